@@ -8,20 +8,34 @@
  * - Forge: Transform sprites into new variations
  */
 
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { SpriteExtractor } from './services/spriteExtractor';
 import ClaudeVisionService from './services/claudeVision';
 import { DataGenerator } from './services/dataGenerator';
 import { NanoBananaService, ART_STYLES, POSE_OPTIONS, POSE_CATEGORIES, COLOR_PALETTES } from './services/nanoBanana';
 import { colorToElement } from './data/elements';
 import { settingsStore } from './stores/useSettingsStore';
+import libraryStorage from './stores/libraryStorage';
+import { KEY_MODES } from './services/backgroundRemover';
+import pixelWorker from './services/pixelWorker';
+import frameGrouper, { GROUPING_MODES } from './services/frameGrouper';
+import duplicateDetector, { DUPLICATE_ACTIONS } from './services/duplicateDetector';
+import atlasImporter from './services/atlasImporter';
+import batchImporter from './services/batchImporter';
+import commandHistory from './stores/commandHistory';
+import { SCHEMA_VERSION, RECORD_KINDS, RECORD_TYPES, upgradeRecords } from './data/schema';
+import transformationHistory, { PROVIDERS } from './services/transformationHistory';
 import { COLORS, TYPOGRAPHY, SPACING, BORDER_RADIUS } from './styles/theme';
 
 // Components
 import UploadZone from './components/UploadZone';
 import MonsterDetail from './components/MonsterDetail';
+import BattleView from './components/BattleView';
+import BalanceReportView from './components/BalanceReportView';
 import SettingsModal from './components/SettingsModal';
 import UploadModal from './components/UploadModal';
+import BulkImportModal from './components/BulkImportModal';
+import GridEditor from './components/GridEditor';
 import { 
   LibraryIcon, 
   ForgeIcon, 
@@ -42,10 +56,15 @@ const MAIN_TABS = [
   { id: 'forge', label: 'Forge', Icon: ForgeIcon },
 ];
 
+// Most palette colors passed to Forge generation as custom colors
+const MAX_FORGE_COLORS = 8;
+
 // Library sub-tabs
 const LIBRARY_TABS = [
   { id: 'originals', label: 'Originals' },
   { id: 'transformations', label: 'Transformations' },
+  { id: 'battle', label: 'Battle' },
+  { id: 'balance', label: 'Balance' },
 ];
 
 export default function App() {
@@ -68,6 +87,7 @@ export default function App() {
   const [selectedPoses, setSelectedPoses] = useState(['front', 'back', 'left', 'right']);
   const [customPrompt, setCustomPrompt] = useState('');
   const [generatedSprites, setGeneratedSprites] = useState({}); // { poseId: base64 }
+  const [showRawGenerations, setShowRawGenerations] = useState(false); // Compare snapped results with the raw output
   const [creativity, setCreativity] = useState(50); // 0-100: 0=exact copy, 100=wild reinterpretation
   const [colorPalette, setColorPalette] = useState('original'); // original, custom, or preset name
   const [customColors, setCustomColors] = useState(['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7']); // 5 color palette
@@ -77,6 +97,10 @@ export default function App() {
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [pendingUpload, setPendingUpload] = useState(null); // { file, preview }
   
+  // Bulk import state (multi-file, folder and zip uploads)
+  const [bulkImport, setBulkImport] = useState(null); // { entries, progress: { stage, done, total } | null, importing }
+  const bulkCancelled = useRef(false);
+  
   // Batch generation state (for sprite sheets)
   const [batchQueue, setBatchQueue] = useState([]); // Array of sprites to process
   const [batchProgress, setBatchProgress] = useState(null); // { current, total, currentSprite, results }
@@ -93,6 +117,8 @@ export default function App() {
   // Hover state for sprite cards
   const [hoveredItemId, setHoveredItemId] = useState(null);
   const [extracting, setExtracting] = useState(false);
+  const extractionAbort = useRef(null); // AbortController of the running extraction
+  const [gridEditorSheetId, setGridEditorSheetId] = useState(null); // Sheet open in the grid editor
   
   // Resizable UI state
   const [sidebarWidth, setSidebarWidth] = useState(280);
@@ -111,44 +137,163 @@ export default function App() {
   // Toast notification state
   const [toast, setToast] = useState(null); // { message, type, action?, actionLabel? }
 
+  const toastTimer = useRef(null);
+
+  // Show a toast and dismiss it after `duration` ms (replaces any current toast)
+  const showToast = useCallback((nextToast, duration = 8000) => {
+    clearTimeout(toastTimer.current);
+    setToast(nextToast);
+    toastTimer.current = setTimeout(() => setToast(null), duration);
+  }, []);
+
+  // History records for the current Forge generation run, keyed like generatedSprites
+  const generationHistory = useRef({});
+  // Unprocessed generations, keyed the same way, when pixel grid snapping replaced them
+  const rawGenerations = useRef({});
+
+  // Latest library state, so commands can be recorded synchronously
+  const libraryRef = useRef({ originals, transformations });
+  libraryRef.current = { originals, transformations };
+
+  /**
+   * Apply an undoable library mutation
+   * @param {string} label - Description shown when undoing/redoing
+   * @param {object} updaters - { originals?, transformations? } functions of the previous list
+   * @returns {object|null} The recorded command, or null when nothing changed
+   */
+  const commitLibrary = useCallback((label, updaters) => {
+    const before = libraryRef.current;
+    const after = {
+      originals: updaters.originals ? updaters.originals(before.originals) : before.originals,
+      transformations: updaters.transformations ? updaters.transformations(before.transformations) : before.transformations
+    };
+    const command = commandHistory.push(label, before, after);
+    if (!command) return null;
+
+    libraryRef.current = after;
+    if (after.originals !== before.originals) setOriginals(after.originals);
+    if (after.transformations !== before.transformations) setTransformations(after.transformations);
+    return command;
+  }, []);
+
+  // Undo or redo a library command; `commandId` undoes a specific command (toast actions)
+  const stepHistory = useCallback((direction, commandId) => {
+    const result = direction === 'undo'
+      ? commandHistory.undo(libraryRef.current, commandId)
+      : commandHistory.redo(libraryRef.current);
+    if (!result) return;
+
+    const { state, command } = result;
+    libraryRef.current = state;
+    setOriginals(state.originals);
+    setTransformations(state.transformations);
+    // Keep the selection pointing at the restored version, or clear it if the record is gone
+    setSelectedItem(prev => prev &&
+      ([...state.originals, ...state.transformations].find(record => record.id === prev.id) || null));
+    showToast({ message: `${direction === 'undo' ? 'Undid' : 'Redid'}: ${command.label}`, type: 'info' }, 3000);
+  }, [showToast]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (text fields keep their own undo)
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const { tagName, isContentEditable } = e.target;
+      if (isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        stepHistory(e.shiftKey ? 'redo' : 'undo');
+      } else if (key === 'y') {
+        e.preventDefault();
+        stepHistory('redo');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [stepHistory]);
+
   // Services
-  const extractor = new SpriteExtractor();
+  const extractor = new SpriteExtractor(settingsStore.getDetectionOptions());
   const vision = new ClaudeVisionService();
   const generator = new DataGenerator();
   const nanoBanana = new NanoBananaService();
 
-  // Load data from localStorage on mount
+  // Library persistence is enabled once the stored library has finished loading
+  const [libraryLoaded, setLibraryLoaded] = useState(false);
+
+  // Load the library from IndexedDB on mount (entries appear batch by batch)
   useEffect(() => {
-    const storedOriginals = settingsStore.loadOriginals();
-    const storedTransformations = settingsStore.loadTransformations();
-    
-    if (storedOriginals.length > 0) {
-      console.log('[App] Loaded', storedOriginals.length, 'originals from localStorage');
-      setOriginals(storedOriginals);
-    }
-    if (storedTransformations.length > 0) {
-      console.log('[App] Loaded', storedTransformations.length, 'transformations from localStorage');
-      setTransformations(storedTransformations);
+    if (settingsStore.getStorageMode() !== 'local') return;
+    let cancelled = false;
+
+    libraryStorage.load({
+      onBatch: (key, records) => {
+        if (cancelled) return;
+        if (key === 'originals') setOriginals(prev => [...prev, ...records]);
+        else setTransformations(prev => [...prev, ...records]);
+      }
+    }).then(({ originals: storedOriginals, transformations: storedTransformations, rejected }) => {
+      if (cancelled) return;
+      console.log('[App] Loaded', storedOriginals.length, 'originals and',
+        storedTransformations.length, 'transformations from IndexedDB');
+      setLibraryLoaded(true);
+      if (rejected.length > 0) {
+        showToast({
+          message: `${rejected.length} saved record(s) could not be upgraded and were skipped (see console)`,
+          type: 'error'
+        });
+      }
+    }).catch((error) => {
+      // Saving stays off so a half-read library never overwrites the stored one
+      if (cancelled) return;
+      showToast({
+        message: `Could not load the saved library (${error.message}). Changes will not be saved until it loads.`,
+        type: 'error',
+        action: () => window.location.reload(),
+        actionLabel: 'Retry'
+      }, 60000);
+    });
+
+    return () => { cancelled = true; };
+  }, [showToast]);
+
+  // Stored records load with their thumbnails only; read the rest of their images when they are shown
+  const hydrateRecords = useCallback(async (ids) => {
+    for (const key of ['originals', 'transformations']) {
+      const records = libraryRef.current[key].filter(record => ids.includes(record.id) && libraryStorage.needsHydration(record));
+      if (records.length === 0) continue;
+      try {
+        const hydrated = await libraryStorage.hydrate(key, records);
+        const sources = new Map(records.map(record => [record.id, record]));
+        const results = new Map(hydrated.map(record => [record.id, record]));
+        // Records edited in the meantime keep their edits
+        const swap = record => (record && sources.get(record.id) === record ? results.get(record.id) : record);
+        (key === 'originals' ? setOriginals : setTransformations)(prev => prev.map(swap));
+        setSelectedItem(swap);
+      } catch (error) {
+        console.error('[App] Failed to load images for', ids, error);
+      }
     }
   }, []);
 
-  // Save originals to localStorage when changed (exclude extracted sprites to avoid quota issues)
   useEffect(() => {
-    if (originals.length > 0) {
-      // Don't save extracted sprites - they're too large and cause quota errors
-      const originalsToSave = originals.filter(o => !o.parentSheetId);
-      if (originalsToSave.length > 0) {
-        settingsStore.saveOriginals(originalsToSave);
-      }
+    if (selectedItem && libraryStorage.needsHydration(selectedItem)) hydrateRecords([selectedItem.id]);
+  }, [selectedItem, hydrateRecords]);
+
+  // Save originals (including extracted sprites) when changed
+  useEffect(() => {
+    if (libraryLoaded) {
+      libraryStorage.saveOriginals(originals);
     }
-  }, [originals]);
+  }, [originals, libraryLoaded]);
 
-  // Save transformations to localStorage when changed
+  // Save transformations when changed
   useEffect(() => {
-    if (transformations.length > 0) {
-      settingsStore.saveTransformations(transformations);
+    if (libraryLoaded) {
+      libraryStorage.saveTransformations(transformations);
     }
-  }, [transformations]);
+  }, [transformations, libraryLoaded]);
 
   // Load extracted sprites when selecting a sprite sheet that has them
   useEffect(() => {
@@ -163,6 +308,7 @@ export default function App() {
             name: sprite.name || sprite.filename,
             index: sprite.extractedIndex ?? idx,
             gridPosition: sprite.gridPosition,
+            frames: sprite.frames,
           }));
         setExtractedSprites(extracted);
         setSelectedExtractedSprites(extracted.map(s => s.index));
@@ -174,19 +320,70 @@ export default function App() {
     }
   }, [selectedItem?.id, selectedItem?.isSpriteSheet, selectedItem?.hasExtractedSprites, originals]);
 
-  // Show upload modal when file is selected
-  const handleFileUpload = useCallback(async (file) => {
-    // Create preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setPendingUpload({
-        file,
-        preview: e.target.result,
-        filename: file.name
-      });
-      setShowUploadModal(true);
-    };
-    reader.readAsDataURL(file);
+  // Show upload modal when file is selected (with its Aseprite/TexturePacker JSON, if dropped together)
+  const handleFileUpload = useCallback(async (file, atlasFile = null) => {
+    const upload = await batchImporter.prepareUpload(file, atlasFile, libraryRef.current.originals);
+    if (upload.atlasError) setProcessingStage(upload.atlasError);
+    setPendingUpload(upload);
+    setShowUploadModal(true);
+  }, []);
+
+  // Upload dropped or selected files: one image opens the upload modal, more open bulk import
+  const handleFilesUpload = useCallback(async (fileList) => {
+    const { files, errors } = await batchImporter.expandArchives(Array.from(fileList));
+    if (errors.length > 0) {
+      showToast({ message: `Could not unpack ${errors.join('; ')}`, type: 'error' });
+    }
+    const pairs = await batchImporter.pairFiles(files);
+    if (pairs.length === 0) {
+      if (errors.length === 0) setProcessingStage('Please drop an image file');
+      return;
+    }
+    if (pairs.length === 1) {
+      handleFileUpload(pairs[0].file, pairs[0].atlasFile);
+      return;
+    }
+
+    bulkCancelled.current = false;
+    const progress = (done) => ({ stage: 'Reading files', done, total: pairs.length });
+    setBulkImport({ entries: [], progress: progress(0), importing: false });
+
+    // Earlier files in the batch join the library records, so repeats within it are flagged too
+    const records = [...libraryRef.current.originals];
+    const entries = [];
+    const stamp = Date.now();
+    for (const [i, { file, atlasFile }] of pairs.entries()) {
+      if (bulkCancelled.current) return;
+      const upload = await batchImporter.prepareUpload(file, atlasFile, records);
+      const { type, count, gridInfo } = await batchImporter.classify(upload, settingsStore.getDetectionOptions());
+      const entry = {
+        id: `orig_${stamp}_${i}`,
+        upload,
+        isSpriteSheet: type === 'sheet',
+        spriteCount: count,
+        gridInfo,
+        // Same defaults as the upload modal: merge exact copies, keep near-duplicates
+        duplicateAction: upload.duplicates[0]?.exact ? DUPLICATE_ACTIONS.merge : DUPLICATE_ACTIONS.keep,
+      };
+      entries.push(entry);
+      records.push({ id: entry.id, filename: upload.filename, base64: upload.preview, fingerprint: upload.fingerprint });
+      setBulkImport(prev => prev && { ...prev, entries: [...entries], progress: progress(i + 1) });
+    }
+    setBulkImport(prev => prev && { ...prev, progress: null });
+  }, [handleFileUpload, showToast]);
+
+  // Change a bulk import entry's classification or duplicate action
+  const updateBulkEntry = useCallback((id, patch) => {
+    setBulkImport(prev => prev && {
+      ...prev,
+      entries: prev.entries.map(entry => entry.id === id ? { ...entry, ...patch } : entry)
+    });
+  }, []);
+
+  // Attach (or with null, detach) atlas JSON to the pending upload; throws when it can't be read
+  const attachUploadAtlas = useCallback(async (file) => {
+    const atlas = file ? await atlasImporter.readFile(file) : null;
+    setPendingUpload(prev => prev && { ...prev, atlas });
   }, []);
 
   // Analyze sprite sheet for count
@@ -196,54 +393,42 @@ export default function App() {
   }, [pendingUpload, nanoBanana]);
 
   // Process upload after modal confirmation
-  const processUpload = useCallback(async (isSpriteSheet = false, spriteCount = 1, analysisResult = null) => {
+  const processUpload = useCallback(async (isSpriteSheet = false, spriteCount = 1, analysisResult = null, duplicateAction = DUPLICATE_ACTIONS.keep) => {
     if (!pendingUpload) return;
     
     setProcessing(true);
     console.log('[App] Processing upload:', pendingUpload.filename, 'isSpriteSheet:', isSpriteSheet, 'count:', spriteCount, 'analysis:', analysisResult);
     
     try {
-      // For single sprites, just store the whole image
-      if (!isSpriteSheet || spriteCount === 1) {
-        setProcessingStage('Storing sprite...');
-        
-        const newOriginal = {
-          id: `orig_${Date.now()}`,
-          filename: pendingUpload.filename,
-          uploadedAt: new Date().toISOString(),
-          base64: pendingUpload.preview,
-          isSpriteSheet: false,
-          spriteCount: 1,
-        };
-        
-        setOriginals(prev => [...prev, newOriginal]);
-        setSelectedItem(newOriginal);
-        setActiveLibraryTab('originals');
-        setProcessingStage('Uploaded 1 sprite');
-      } else {
-        // For sprite sheets, store with metadata including grid info for extraction
-        setProcessingStage('Storing sprite sheet...');
-        
-        const newOriginal = {
-          id: `orig_${Date.now()}`,
-          filename: pendingUpload.filename,
-          uploadedAt: new Date().toISOString(),
-          base64: pendingUpload.preview,
-          isSpriteSheet: true,
-          spriteCount: spriteCount,
-          // Store analysis data for later extraction
-          analysisResult: analysisResult,
-          gridInfo: analysisResult?.gridInfo || null,
-          spriteList: analysisResult?.sprites || [],
-          extractedSprites: null, // Will be populated when user extracts
+      const duplicate = pendingUpload.duplicates?.[0];
+      if (duplicate && duplicateAction === DUPLICATE_ACTIONS.skip) {
+        setProcessingStage(`Skipped duplicate of ${duplicate.record.filename || duplicate.record.name}`);
+        return;
+      }
+      if (duplicate && duplicateAction === DUPLICATE_ACTIONS.merge) {
+        const merged = {
+          ...duplicate.record,
+          aliases: [...(duplicate.record.aliases || []), pendingUpload.filename]
         };
-        
-        setOriginals(prev => [...prev, newOriginal]);
-        setSelectedItem(newOriginal);
+        commitLibrary(`merge ${pendingUpload.filename} into ${merged.filename || merged.name}`, {
+          originals: prev => prev.map(o => o.id === merged.id ? merged : o)
+        });
+        setSelectedItem(merged);
         setActiveLibraryTab('originals');
-        setProcessingStage(`Uploaded sprite sheet (${spriteCount} sprites)`);
+        setProcessingStage(`Merged into ${merged.filename || merged.name}`);
+        return;
       }
 
+      setProcessingStage(isSpriteSheet ? 'Storing sprite sheet...' : 'Storing sprite...');
+      const newOriginal = batchImporter.createOriginal(pendingUpload, { isSpriteSheet, spriteCount, analysisResult, duplicate });
+      
+      commitLibrary(`upload ${newOriginal.filename}`, { originals: prev => [...prev, newOriginal] });
+      setSelectedItem(newOriginal);
+      setActiveLibraryTab('originals');
+      setProcessingStage(newOriginal.isSpriteSheet
+        ? `Uploaded sprite sheet (${newOriginal.spriteCount} sprites)`
+        : newOriginal.frames ? `Uploaded 1 sprite (${newOriginal.frames.length} frames)` : 'Uploaded 1 sprite');
+
     } catch (error) {
       console.error('[App] Processing failed:', error);
       setProcessingStage(`Error: ${error.message}`);
@@ -251,72 +436,177 @@ export default function App() {
       setProcessing(false);
       setPendingUpload(null);
     }
-  }, [pendingUpload]);
+  }, [pendingUpload, commitLibrary]);
 
-  // Extract individual sprites from a sprite sheet
-  const extractSpritesFromSheet = useCallback(async () => {
-    if (!selectedItem?.isSpriteSheet) return;
+  // Extract individual sprites from a sprite sheet (the selected one by default); resolves to the new sprite records
+  const extractSpritesFromSheet = useCallback(async (sheet = selectedItem) => {
+    if (!sheet?.isSpriteSheet) return;
     
+    const controller = new AbortController();
+    extractionAbort.current = controller;
     setExtracting(true);
     setProcessingStage('Extracting sprites from sheet...');
     
     try {
-      const gridInfo = selectedItem.gridInfo;
-      const spriteList = selectedItem.spriteList || [];
-      const spriteCount = selectedItem.spriteCount || 0;
+      const gridInfo = sheet.gridInfo;
+      const spriteList = sheet.spriteList || [];
+      const spriteCount = sheet.spriteCount || 0;
       
-      console.log('[App] Extracting from sheet with gridInfo:', gridInfo, 'spriteList:', spriteList.length, 'count:', spriteCount);
+      // Key a flat background to transparency so extracted sprites come out clean
+      const { backgroundKey, keyTolerance, frameGrouping } = settingsStore.getSettings();
+      const { base64: source } = await pixelWorker.removeBackground(sheet.base64, {
+        mode: backgroundKey,
+        tolerance: keyTolerance
+      }, { signal: controller.signal });
       
-      const extracted = await nanoBanana.extractSpritesFromSheet(
-        selectedItem.base64,
-        gridInfo,
-        spriteList,
-        spriteCount
-      );
+      // Atlas frames and grids saved in the grid editor are used exactly as drawn
+      let extracted;
+      if (sheet.atlas) {
+        console.log('[App] Extracting', sheet.atlas.frames.length, 'atlas frames');
+        extracted = await atlasImporter.extractFrames(source, sheet.atlas);
+      } else if (sheet.spriteRegions?.length) {
+        console.log('[App] Extracting', sheet.spriteRegions.length, 'saved regions');
+        extracted = await nanoBanana.extractRegionsFromSheet(source, sheet.spriteRegions);
+      } else {
+        console.log('[App] Extracting from sheet with gridInfo:', gridInfo, 'spriteList:', spriteList.length, 'count:', spriteCount);
+        extracted = await nanoBanana.extractSpritesFromSheet(
+          source,
+          gridInfo,
+          // Grouping by the sprite list needs every cell, not just the listed ones
+          frameGrouping === GROUPING_MODES.spriteList ? [] : spriteList,
+          spriteCount
+        );
+      }
+      controller.signal.throwIfAborted();
+      
+      // Fingerprint every cell; exact repeats share one stored image
+      const otherOriginals = libraryRef.current.originals.filter(o => o.parentSheetId !== sheet.id && o.id !== sheet.id);
+      extracted = await duplicateDetector.shareExactAssets(extracted, otherOriginals);
+      controller.signal.throwIfAborted();
+      
+      // Group cells into characters whose frames fill monster.animations;
+      // atlases carry their own frame names, tags and timing
+      if (sheet.atlas || (frameGrouping && frameGrouping !== GROUPING_MODES.none)) {
+        setProcessingStage('Grouping animation frames...');
+        const groups = sheet.atlas
+          ? atlasImporter.groupFrames(extracted, sheet.atlas, (sheet.filename || sheet.name || 'Sprite').replace(/\.[a-z0-9]+$/i, ''))
+          : await frameGrouper.groupSprites(extracted, { mode: frameGrouping, spriteList });
+        controller.signal.throwIfAborted();
+        extracted = groups.map((group, index) => ({
+          base64: group.frames[0].base64,
+          name: group.name,
+          index,
+          gridPosition: group.frames[0].gridPosition,
+          frames: group.frames.map(frame => frame.base64),
+          animations: group.animations,
+          fingerprint: group.frames[0].fingerprint,
+        }));
+      }
       
       setExtractedSprites(extracted);
       // Select all by default
       setSelectedExtractedSprites(extracted.map(s => s.index));
-      setProcessingStage(`Extracted ${extracted.length} sprites`);
       
       // Create individual sprite entries linked to parent sheet
       const timestamp = Date.now();
       const newSprites = extracted.map((sprite, idx) => ({
-        id: `extracted_${selectedItem.id}_${idx}_${timestamp}`,
+        id: `extracted_${sheet.id}_${idx}_${timestamp}`,
+        schemaVersion: SCHEMA_VERSION,
         filename: sprite.name || `Sprite ${idx + 1}`,
         name: sprite.name || `Sprite ${idx + 1}`,
         uploadedAt: new Date().toISOString(),
         base64: sprite.base64,
+        fingerprint: sprite.fingerprint,
         isSpriteSheet: false,
         spriteCount: 1,
         // Link back to parent sprite sheet
-        parentSheetId: selectedItem.id,
-        parentSheetName: selectedItem.filename || selectedItem.name,
+        parentSheetId: sheet.id,
+        parentSheetName: sheet.filename || sheet.name,
         extractedIndex: idx,
         gridPosition: sprite.gridPosition,
+        ...(sprite.frames && { frames: sprite.frames, animations: sprite.animations }),
       }));
       
+      // Flag near-duplicates of earlier sprites and of the rest of the library
+      const candidates = [...otherOriginals];
+      let flagged = 0;
+      for (const sprite of newSprites) {
+        const [match] = duplicateDetector.findMatches(sprite.fingerprint, candidates);
+        if (match) {
+          sprite.duplicateOf = match.record.id;
+          flagged++;
+        }
+        candidates.push(sprite);
+      }
+      setProcessingStage(`Extracted ${extracted.length} sprites${flagged > 0 ? ` (${flagged} possible duplicates)` : ''}`);
+      
       // Remove any previously extracted sprites from this sheet, then add new ones
-      setOriginals(prev => {
-        const withoutOldExtracted = prev.filter(orig => orig.parentSheetId !== selectedItem.id);
+      commitLibrary(`re-extract ${sheet.filename || sheet.name}`, { originals: prev => {
+        const withoutOldExtracted = prev.filter(orig => orig.parentSheetId !== sheet.id);
         // Update the parent sheet to mark it as having extracted sprites
         const updated = withoutOldExtracted.map(orig => 
-          orig.id === selectedItem.id 
+          orig.id === sheet.id 
             ? { ...orig, hasExtractedSprites: true, extractedCount: extracted.length }
             : orig
         );
         return [...updated, ...newSprites];
-      });
+      } });
       
       console.log('[App] Saved', newSprites.length, 'extracted sprites to library');
+      return newSprites;
       
     } catch (error) {
+      if (error.name === 'AbortError') {
+        setProcessingStage('Extraction cancelled');
+        return;
+      }
       console.error('[App] Extraction failed:', error);
       setProcessingStage(`Extraction failed: ${error.message}`);
     } finally {
+      if (extractionAbort.current === controller) extractionAbort.current = null;
       setExtracting(false);
     }
-  }, [selectedItem, nanoBanana]);
+  }, [selectedItem, nanoBanana, commitLibrary]);
+
+  // Save a grid edited in the grid editor and re-extract with it
+  const saveSheetGrid = useCallback(({ gridSpec, spriteRegions }) => {
+    const sheet = libraryRef.current.originals.find(o => o.id === gridEditorSheetId);
+    if (!sheet) return;
+
+    // A hand-drawn grid replaces any imported atlas frames
+    const updated = { ...sheet, gridSpec, spriteRegions, spriteCount: spriteRegions.length, atlas: null };
+    commitLibrary(`edit grid of ${sheet.filename || sheet.name}`, {
+      originals: prev => prev.map(o => o.id === sheet.id ? updated : o)
+    });
+    setSelectedItem(updated);
+    setGridEditorSheetId(null);
+    extractSpritesFromSheet(updated);
+  }, [gridEditorSheetId, commitLibrary, extractSpritesFromSheet]);
+
+  // Remove the solid background of an original (local remove-background transformation)
+  const removeOriginalBackground = useCallback(async (original) => {
+    const { backgroundKey, keyTolerance } = settingsStore.getSettings();
+    try {
+      const result = await pixelWorker.removeBackground(original.base64, {
+        mode: backgroundKey === KEY_MODES.off ? undefined : backgroundKey,
+        tolerance: keyTolerance
+      });
+      if (!result.color) {
+        showToast({ message: 'No solid background color found along the image border', type: 'error' });
+        return;
+      }
+
+      const updated = { ...original, base64: result.base64, backgroundRemoved: `rgb(${result.color.join(', ')})` };
+      commitLibrary(`remove background from ${original.filename || original.name}`, {
+        originals: prev => prev.map(o => o.id === original.id ? updated : o)
+      });
+      setSelectedItem(prev => prev?.id === original.id ? updated : prev);
+      showToast({ message: `Removed ${result.removed} background pixels`, type: 'success' }, 3000);
+    } catch (error) {
+      console.error('[App] Background removal failed:', error);
+      showToast({ message: `Background removal failed: ${error.message}`, type: 'error' });
+    }
+  }, [commitLibrary, showToast]);
 
   // Toggle extracted sprite selection
   const toggleExtractedSprite = useCallback((index) => {
@@ -343,6 +633,7 @@ export default function App() {
           name: sprite.name || sprite.filename,
           index: sprite.extractedIndex ?? idx,
           gridPosition: sprite.gridPosition,
+          frames: sprite.frames,
         }));
         setExtractedSprites(extracted);
         setSelectedExtractedSprites(extracted.map(s => s.index));
@@ -420,7 +711,9 @@ export default function App() {
     try {
       // Step 1: Extract sprites
       setProcessingStage('Extracting sprites...');
-      const sprites = await extractor.extractFromFile(file);
+      const sprites = await pixelWorker.extractFromFile(file, extractor.getOptions(), {
+        onProgress: ({ stage, progress }) => setProcessingStage(`${stage}... ${Math.round(progress * 100)}%`)
+      });
       console.log('[App] Extracted', sprites.length, 'sprites');
 
       if (sprites.length === 0) {
@@ -432,6 +725,7 @@ export default function App() {
       // Store originals
       const newOriginals = sprites.map((sprite, index) => ({
         id: `orig_${Date.now()}_${index}`,
+        schemaVersion: SCHEMA_VERSION,
         filename: file.name,
         uploadedAt: new Date().toISOString(),
         base64: sprite.base64,
@@ -442,7 +736,7 @@ export default function App() {
         },
       }));
       
-      setOriginals(prev => [...prev, ...newOriginals]);
+      commitLibrary(`upload ${file.name}`, { originals: prev => [...prev, ...newOriginals] });
       setProcessingStage(`Uploaded ${newOriginals.length} sprite(s)`);
       
       // Select first new original
@@ -457,20 +751,31 @@ export default function App() {
     } finally {
       setProcessing(false);
     }
-  }, [extractor]);
+  }, [extractor, commitLibrary]);
 
   // Transform an original into a monster
   const transformOriginal = useCallback(async (original) => {
     setProcessing(true);
     setProcessingStage('Analyzing sprite...');
+    const history = [];
     
     try {
       let analysis;
       try {
-        analysis = await vision.analyzeSprite(original.base64);
+        analysis = await transformationHistory.track({
+          type: 'text',
+          category: 'analyze-sprite',
+          provider: PROVIDERS.claudeVision,
+          input: { originalId: original.id, image: original.base64 }
+        }, () => vision.analyzeSprite(original.base64), history);
       } catch (error) {
         console.log('[App] Vision analysis failed, using color fallback');
-        const colors = extractor.analyzeColors(original.imageData);
+        const colors = await transformationHistory.track({
+          type: 'text',
+          category: 'analyze-colors',
+          provider: PROVIDERS.local,
+          input: { originalId: original.id }
+        }, () => pixelWorker.analyzeColors(original.base64), history);
         const primaryElement = colorToElement(colors);
         
         analysis = {
@@ -489,11 +794,49 @@ export default function App() {
         };
       }
 
+      // Sprites extracted from sheets (and older uploads) get their palette on first forge
+      let palette = original.palette || null;
+      if (!palette) {
+        try {
+          palette = await transformationHistory.track({
+            type: 'text',
+            category: 'extract-palette',
+            provider: PROVIDERS.local,
+            input: { originalId: original.id },
+            describeOutput: (result) => ({ method: result.method, colors: result.colors.length })
+          }, () => pixelWorker.extractPalette(original.base64), history);
+        } catch (error) {
+          console.warn('[App] Palette extraction failed:', error);
+        }
+      }
+
       setProcessingStage('Generating monster data...');
-      const monster = generator.generateMonster(original.base64, analysis, transformations.length);
-      monster.originalId = original.id; // Link to original
+      const { statProfile, chainShape } = settingsStore.getSettings();
+      const generated = await transformationHistory.track({
+        type: 'text',
+        category: 'generate-monster',
+        provider: PROVIDERS.local,
+        input: { statProfile, chainShape },
+        describeOutput: (result) => ({
+          name: result.name,
+          seed: result.seed,
+          evolutions: result.evolutions.length,
+          learnset: result.learnset.length
+        })
+      }, () => generator.generateMonster(original.base64, analysis, libraryRef.current.transformations.length, {
+        statProfile,
+        chainShape: chainShape === 'auto' ? undefined : chainShape,
+        animations: original.animations,
+      }), history);
+      const monster = transformationHistory.append(
+        { ...generated, originalId: original.id, palette }, // Link to original
+        history
+      );
       
-      setTransformations(prev => [...prev, monster]);
+      commitLibrary(`create ${monster.name}`, {
+        transformations: prev => [...prev, monster],
+        originals: palette && !original.palette ? prev => prev.map(o => o.id === original.id ? { ...o, palette } : o) : undefined
+      });
       setSelectedItem(monster);
       setActiveLibraryTab('transformations');
       setProcessingStage(`Created ${monster.name}!`);
@@ -504,33 +847,226 @@ export default function App() {
     } finally {
       setProcessing(false);
     }
-  }, [vision, extractor, generator, transformations.length]);
+  }, [vision, extractor, generator, commitLibrary]);
 
-  // Update monster data
+  // Use a sprite's palette as the Forge custom colors (extracting it if the record has none yet)
+  const applyPaletteToForge = useCallback(async (item) => {
+    if (!item) return;
+    let { palette } = item;
+    try {
+      if (!palette) {
+        palette = await pixelWorker.extractPalette(item.base64 || item.baseSprite);
+        if (libraryRef.current.originals.some(o => o.id === item.id)) {
+          commitLibrary(`extract palette of ${item.filename || item.name}`, {
+            originals: prev => prev.map(o => o.id === item.id ? { ...o, palette } : o)
+          });
+        }
+      }
+    } catch (error) {
+      console.error('[App] Palette extraction failed:', error);
+      showToast({ message: `Could not extract palette: ${error.message}`, type: 'error' });
+      return;
+    }
+    if (palette.colors.length === 0) {
+      showToast({ message: 'No opaque colors to build a palette from', type: 'error' });
+      return;
+    }
+
+    setCustomColors(palette.colors.slice(0, MAX_FORGE_COLORS).map(color => color.hex));
+    setColorPalette('custom');
+    showToast({ message: `Forge colors set from ${item.name || item.filename || 'sprite'}'s palette`, type: 'success' }, 3000);
+  }, [commitLibrary, showToast]);
+
+  // Close the bulk import dialog, stopping any reading, extraction or forging in progress
+  const closeBulkImport = useCallback(() => {
+    bulkCancelled.current = true;
+    extractionAbort.current?.abort();
+    setBulkImport(null);
+  }, []);
+
+  // Import every confirmed bulk entry as one undoable step, then optionally forge them all
+  const importBulk = useCallback(async ({ forgeAfter }) => {
+    if (!bulkImport) return;
+    const { entries } = bulkImport;
+    bulkCancelled.current = false;
+    setBulkImport(prev => prev && { ...prev, importing: true, progress: { stage: 'Importing', done: 0, total: entries.length } });
+
+    const existingIds = new Set(libraryRef.current.originals.map(o => o.id));
+    const created = new Map();
+    const aliases = new Map(); // Merge target id -> filenames
+    let skipped = 0;
+    for (const entry of entries) {
+      const duplicate = entry.upload.duplicates[0];
+      const action = duplicate ? entry.duplicateAction : DUPLICATE_ACTIONS.keep;
+      if (action === DUPLICATE_ACTIONS.skip) {
+        skipped++;
+        continue;
+      }
+      // Targets can be library records or earlier files in the batch; files merged into a skipped one are kept
+      const targetId = duplicate?.record.id;
+      if (action === DUPLICATE_ACTIONS.merge && (existingIds.has(targetId) || created.has(targetId))) {
+        aliases.set(targetId, [...(aliases.get(targetId) || []), entry.upload.filename]);
+        continue;
+      }
+      created.set(entry.id, batchImporter.createOriginal(entry.upload, {
+        id: entry.id,
+        isSpriteSheet: entry.isSpriteSheet,
+        spriteCount: entry.spriteCount,
+        analysisResult: entry.gridInfo ? { spriteCount: entry.spriteCount, gridInfo: entry.gridInfo } : null,
+        duplicate
+      }));
+    }
+
+    const withAliases = (record) => aliases.has(record.id)
+      ? { ...record, aliases: [...(record.aliases || []), ...aliases.get(record.id)] }
+      : record;
+    const imported = [...created.values()].map(withAliases);
+    commitLibrary(`import ${entries.length} files`, {
+      originals: prev => [...prev.map(withAliases), ...imported]
+    });
+    setActiveLibraryTab('originals');
+    const merged = [...aliases.values()].reduce((sum, names) => sum + names.length, 0);
+    const summary = `Imported ${imported.length} file(s)${merged > 0 ? `, merged ${merged}` : ''}${skipped > 0 ? `, skipped ${skipped}` : ''}`;
+
+    if (forgeAfter) {
+      // Sheets are extracted first; their sprites join the end of the queue
+      const queue = [...imported];
+      for (let i = 0; i < queue.length && !bulkCancelled.current; i++) {
+        const original = queue[i];
+        setBulkImport(prev => prev && { ...prev, progress: { stage: `Forging ${original.name || original.filename}`, done: i, total: queue.length } });
+        if (original.isSpriteSheet) {
+          queue.push(...(await extractSpritesFromSheet(original) || []));
+        } else {
+          await transformOriginal(original);
+        }
+      }
+    }
+
+    setBulkImport(null);
+    showToast({ message: bulkCancelled.current ? `${summary} (forging stopped)` : summary, type: 'success' });
+  }, [bulkImport, commitLibrary, extractSpritesFromSheet, transformOriginal, showToast]);
+
+  // Import transformations from an exported monster file or a list of records
+  const importTransformations = useCallback(async (file) => {
+    try {
+      const data = JSON.parse(await file.text());
+      const candidates = Array.isArray(data) ? data
+        : Array.isArray(data.transformations) ? data.transformations
+        : data.monster ? [data.monster]
+        : [data];
+      const { records, rejected } = upgradeRecords(RECORD_KINDS.transformation, candidates);
+
+      if (rejected.length > 0) {
+        console.warn('[App] Rejected imported records:', rejected);
+      }
+      if (records.length > 0) {
+        const importedIds = new Set(records.map(record => record.id));
+        commitLibrary(`import ${file.name}`, {
+          transformations: prev => [...prev.filter(t => !importedIds.has(t.id)), ...records]
+        });
+        setSelectedItem(records[0]);
+        setActiveLibraryTab('transformations');
+      }
+
+      showToast({
+        message: rejected.length > 0
+          ? `Imported ${records.length} record(s), ${rejected.length} could not be upgraded: ${rejected[0].errors.join(', ')}`
+          : `Imported ${records.length} record(s)`,
+        type: records.length > 0 ? 'success' : 'error'
+      });
+    } catch (error) {
+      console.error('[App] Import failed:', error);
+      showToast({ message: `Import failed: ${error.message}`, type: 'error' });
+    }
+  }, [commitLibrary, showToast]);
+
+  // Update monster data (inline edits, Forge generations)
   const handleMonsterUpdate = useCallback((updatedMonster) => {
-    setTransformations(prev => prev.map(m => 
-      m.id === updatedMonster.id ? updatedMonster : m
-    ));
+    commitLibrary(`edit ${updatedMonster.name || 'monster'}`, {
+      transformations: prev => prev.map(m => m.id === updatedMonster.id ? updatedMonster : m)
+    });
     setSelectedItem(updatedMonster);
-  }, []);
+  }, [commitLibrary]);
+
+  // Rebalance stats for every generated monster with a balance profile
+  const rebalanceCollection = useCallback((statProfile) => {
+    commitLibrary(`rebalance with the ${statProfile} profile`, {
+      transformations: prev => prev.map(m =>
+        m.evolutions?.length ? new DataGenerator({ seed: m.seed }).rebalanceStats(m, { statProfile }) : m
+      )
+    });
+    const rebalanced = libraryRef.current.transformations;
+    setSelectedItem(prev => rebalanced.find(m => m.id === prev?.id) || prev);
+    setProcessingStage(`Rebalanced stats with the ${statProfile} profile`);
+  }, [commitLibrary]);
 
-  // Delete original sprite
+  // Show a toast offering to undo a delete
+  const showUndoToast = useCallback((command) => {
+    if (!command) return;
+    showToast({
+      message: `Deleted ${command.label.replace(/^delete /, '')}`,
+      type: 'info',
+      action: () => {
+        stepHistory('undo', command.id);
+      },
+      actionLabel: 'Undo'
+    });
+  }, [showToast, stepHistory]);
+
+  // Delete original sprite (extracted sprites of a sheet stay in the library)
   const deleteOriginal = useCallback((id, e) => {
     e.stopPropagation(); // Prevent selecting the item
-    setOriginals(prev => prev.filter(o => o.id !== id));
+    const original = libraryRef.current.originals.find(o => o.id === id);
+    const command = commitLibrary(`delete ${original?.filename || original?.name || 'sprite'}`, {
+      originals: prev => prev.filter(o => o.id !== id)
+    });
     if (selectedItem?.id === id) {
       setSelectedItem(null);
     }
-  }, [selectedItem]);
+    showUndoToast(command);
+  }, [selectedItem, commitLibrary, showUndoToast]);
+
+  // Resolve an original flagged as a near-duplicate of another
+  const resolveDuplicate = useCallback((original, action) => {
+    const target = libraryRef.current.originals.find(o => o.id === original.duplicateOf);
+    const name = original.filename || original.name;
+
+    if (action === DUPLICATE_ACTIONS.keep || !target) {
+      const { duplicateOf, ...kept } = original;
+      commitLibrary(`keep ${name}`, { originals: prev => prev.map(o => o.id === original.id ? kept : o) });
+      setSelectedItem(kept);
+      return;
+    }
+
+    if (action === DUPLICATE_ACTIONS.skip) {
+      commitLibrary(`remove duplicate ${name}`, { originals: prev => prev.filter(o => o.id !== original.id) });
+    } else {
+      // Fold the duplicate into its match and re-link anything that pointed at it
+      const merged = { ...target, aliases: [...(target.aliases || []), name] };
+      commitLibrary(`merge ${name} into ${target.filename || target.name}`, {
+        originals: prev => prev
+          .filter(o => o.id !== original.id)
+          .map(o => o.id === target.id ? merged
+            : o.parentSheetId === original.id ? { ...o, parentSheetId: target.id, parentSheetName: target.filename || target.name }
+            : o),
+        transformations: prev => prev.map(t => t.originalId === original.id ? { ...t, originalId: target.id } : t)
+      });
+    }
+    setSelectedItem(libraryRef.current.originals.find(o => o.id === target.id) || null);
+  }, [commitLibrary]);
 
   // Delete transformation
   const deleteTransformation = useCallback((id, e) => {
     e.stopPropagation(); // Prevent selecting the item
-    setTransformations(prev => prev.filter(t => t.id !== id));
+    const transformation = libraryRef.current.transformations.find(t => t.id === id);
+    const command = commitLibrary(`delete ${transformation?.name || 'monster'}`, {
+      transformations: prev => prev.filter(t => t.id !== id)
+    });
     if (selectedItem?.id === id) {
       setSelectedItem(null);
     }
-  }, [selectedItem]);
+    showUndoToast(command);
+  }, [selectedItem, commitLibrary, showUndoToast]);
 
   // Get current library items based on active tab
   const currentLibraryItems = activeLibraryTab === 'originals' ? originals : transformations;
@@ -666,6 +1202,16 @@ export default function App() {
       fontSize: TYPOGRAPHY.fontSize.sm,
       color: COLORS.text.muted,
     },
+    importButton: {
+      marginLeft: 'auto',
+      padding: `2px ${SPACING.sm}`,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+      cursor: 'pointer',
+    },
     itemGrid: {
       display: 'grid',
       gridTemplateColumns: 'repeat(2, 1fr)',
@@ -718,6 +1264,18 @@ export default function App() {
       transition: 'all 0.2s ease',
       zIndex: 10,
     },
+    itemDuplicateBadge: {
+      position: 'absolute',
+      top: '4px',
+      left: '4px',
+      padding: '1px 4px',
+      backgroundColor: COLORS.ui.warning,
+      borderRadius: BORDER_RADIUS.sm,
+      color: '#000',
+      fontSize: '9px',
+      fontWeight: TYPOGRAPHY.fontWeight.medium,
+      zIndex: 10,
+    },
     itemSprite: {
       width: '100%',
       aspectRatio: '1',
@@ -894,6 +1452,20 @@ export default function App() {
               {activeLibraryTab === 'originals' ? 'Uploaded Sprites' : 'Generated Monsters'}
             </span>
             <span style={styles.itemCount}>({currentLibraryItems.length})</span>
+            {activeLibraryTab === 'transformations' && (
+              <label style={styles.importButton} title="Import exported monster JSON">
+                Import
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  style={{ display: 'none' }}
+                  onChange={(e) => {
+                    if (e.target.files?.[0]) importTransformations(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            )}
           </div>
           
           {currentLibraryItems.length === 0 ? (
@@ -918,6 +1490,7 @@ export default function App() {
               {(() => {
                 const sprites = originals.filter(o => !o.isSpriteSheet);
                 const sheets = originals.filter(o => o.isSpriteSheet);
+                const originalIds = new Set(originals.map(o => o.id));
                 
                 return (
                   <>
@@ -963,6 +1536,9 @@ export default function App() {
                               >
                                 <ForgeIcon size={16} color="#000" />
                               </button>
+                              {originalIds.has(item.duplicateOf) && (
+                                <span style={styles.itemDuplicateBadge} title="Possible duplicate - select to resolve">DUP</span>
+                              )}
                               <img
                                 src={item.base64 || item.baseSprite}
                                 alt={item.name || item.filename}
@@ -1049,6 +1625,9 @@ export default function App() {
                                   >
                                     <ForgeIcon size={16} color="#000" />
                                   </button>
+                                  {originalIds.has(item.duplicateOf) && (
+                                    <span style={styles.itemDuplicateBadge} title="Possible duplicate - select to resolve">DUP</span>
+                                  )}
                                   <img
                                     src={item.base64 || item.baseSprite}
                                     alt={item.name || item.filename}
@@ -1056,6 +1635,7 @@ export default function App() {
                                   />
                                   <div style={styles.itemName}>
                                     {item.name || item.filename || 'Sprite'}
+                                    {item.frames?.length > 1 && ` (${item.frames.length} frames)`}
                                   </div>
                                 </div>
                               ))}
@@ -1108,6 +1688,9 @@ export default function App() {
                                     >
                                       <ForgeIcon size={16} color="#000" />
                                     </button>
+                                    {originalIds.has(item.duplicateOf) && (
+                                      <span style={styles.itemDuplicateBadge} title="Possible duplicate - select to resolve">DUP</span>
+                                    )}
                                     <img
                                       src={item.base64 || item.baseSprite}
                                       alt={item.name || item.filename}
@@ -1280,12 +1863,29 @@ export default function App() {
       {/* Main content area */}
       <div style={styles.content}>
         <div style={styles.uploadSection}>
-          <UploadZone onUpload={handleFileUpload} processing={processing} />
+          <UploadZone onUpload={handleFilesUpload} processing={processing} />
           {processingStage && <div style={styles.status}>{processingStage}</div>}
         </div>
 
         {selectedItem && activeLibraryTab === 'transformations' && (
-          <MonsterDetail monster={selectedItem} onUpdate={handleMonsterUpdate} />
+          <MonsterDetail monster={selectedItem} onUpdate={handleMonsterUpdate} onUsePalette={applyPaletteToForge} />
+        )}
+
+        {activeLibraryTab === 'battle' && (
+          <BattleView monsters={transformations} initialMonster={selectedItem?.evolutions ? selectedItem : null} onShowMonsters={hydrateRecords} />
+        )}
+
+        {activeLibraryTab === 'balance' && (
+          <BalanceReportView
+            monsters={transformations}
+            onSelectMonster={(id) => {
+              const monster = transformations.find(t => t.id === id);
+              if (monster) {
+                setSelectedItem(monster);
+                setActiveLibraryTab('transformations');
+              }
+            }}
+          />
         )}
         
         {selectedItem && activeLibraryTab === 'originals' && (
@@ -1315,6 +1915,58 @@ export default function App() {
                 </span>
               </div>
             )}
+            {(() => {
+              const duplicateTarget = originals.find(o => o.id === selectedItem.duplicateOf);
+              if (!duplicateTarget) return null;
+              const actionButton = {
+                padding: `${SPACING.xs} ${SPACING.sm}`,
+                backgroundColor: 'transparent',
+                border: `1px solid ${COLORS.ui.border}`,
+                borderRadius: BORDER_RADIUS.sm,
+                color: COLORS.text.secondary,
+                fontFamily: TYPOGRAPHY.fontFamily.system,
+                fontSize: TYPOGRAPHY.fontSize.xs,
+                cursor: 'pointer',
+              };
+              return (
+                <div style={{
+                  margin: `${SPACING.md} auto 0`,
+                  padding: SPACING.sm,
+                  maxWidth: '400px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: SPACING.sm,
+                  backgroundColor: `${COLORS.ui.warning}15`,
+                  border: `1px solid ${COLORS.ui.warning}40`,
+                  borderRadius: BORDER_RADIUS.sm,
+                  textAlign: 'left',
+                }}>
+                  <img
+                    src={duplicateTarget.base64}
+                    alt={duplicateTarget.name || duplicateTarget.filename}
+                    style={{ width: '48px', height: '48px', objectFit: 'contain', imageRendering: 'pixelated', cursor: 'pointer' }}
+                    onClick={() => setSelectedItem(duplicateTarget)}
+                    title="Show the matching sprite"
+                  />
+                  <div style={{ flex: 1 }}>
+                    <div style={{ color: COLORS.ui.warning, fontSize: TYPOGRAPHY.fontSize.sm, marginBottom: SPACING.xs }}>
+                      Possible duplicate of {duplicateTarget.name || duplicateTarget.filename}
+                    </div>
+                    <div style={{ display: 'flex', gap: SPACING.xs }}>
+                      <button style={actionButton} onClick={() => resolveDuplicate(selectedItem, DUPLICATE_ACTIONS.keep)}>
+                        Keep
+                      </button>
+                      <button style={actionButton} onClick={() => resolveDuplicate(selectedItem, DUPLICATE_ACTIONS.merge)}>
+                        Merge
+                      </button>
+                      <button style={actionButton} onClick={() => resolveDuplicate(selectedItem, DUPLICATE_ACTIONS.skip)}>
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              );
+            })()}
             <div style={{ marginTop: SPACING.md, color: COLORS.text.secondary }}>
               Select this sprite and go to <strong>Forge</strong> to transform it
               {selectedItem.isSpriteSheet && ` (will generate poses for all ${selectedItem.spriteCount} characters)`}
@@ -1342,7 +1994,7 @@ export default function App() {
           </div>
         )}
         
-        {!selectedItem && (
+        {!selectedItem && !['battle', 'balance'].includes(activeLibraryTab) && (
           <div style={{ ...styles.emptyState, flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
             <div style={styles.emptyIcon}>👆</div>
             <div style={styles.emptyText}>Select an item from the library</div>
@@ -1362,6 +2014,74 @@ export default function App() {
     );
   };
 
+  // Run a Nano Banana generation and file its history record under each result key.
+  // Output in a style with pixel grid snapping enabled is snapped before it is returned.
+  const trackGeneration = async (category, keys, input, run) => {
+    const records = [];
+    let result;
+    try {
+      result = await transformationHistory.track({
+        type: 'image',
+        category,
+        provider: PROVIDERS.nanoBanana,
+        input: { style: selectedStyle, customPrompt, creativity, colorPalette, ...input }
+      }, run, records);
+    } finally {
+      keys.forEach(key => {
+        generationHistory.current[key] = [...(generationHistory.current[key] || []), ...records];
+        delete rawGenerations.current[key];
+      });
+    }
+
+    if (!(settingsStore.getSettings().pixelSnapStyles || []).includes(selectedStyle)) return result;
+    if (typeof result === 'string') return snapGeneration(result, keys[0], input.source);
+    // Pose sets come back as { poseId: image } for keys ending in _poseId
+    if (result && typeof result === 'object') {
+      const snapped = {};
+      for (const [poseId, image] of Object.entries(result)) {
+        const key = keys.find(k => k === poseId || k.endsWith(`_${poseId}`)) || poseId;
+        snapped[poseId] = await snapGeneration(image, key, input.source);
+      }
+      return snapped;
+    }
+    return result;
+  };
+
+  // Palette snapped generations are limited to: the custom colors, or the source sprite's for 'original'
+  const getSnapPalette = async (source) => {
+    if (colorPalette === 'custom' && customColors.length > 0) return customColors;
+    if (colorPalette !== 'original' || !source) return null;
+    const palette = source === (selectedItem?.base64 || selectedItem?.baseSprite) && selectedItem?.palette
+      ? selectedItem.palette
+      : await pixelWorker.extractPalette(source);
+    return palette.colors.map(color => color.hex);
+  };
+
+  // Snap a generated image to a true pixel grid, keeping the raw output under its result key
+  const snapGeneration = async (image, key, source) => {
+    if (!image) return image;
+    const style = ART_STYLES[selectedStyle];
+    const records = [];
+    try {
+      const palette = await getSnapPalette(source);
+      const { backgroundKey, keyTolerance } = settingsStore.getSettings();
+      const snapped = await transformationHistory.track({
+        type: 'image',
+        category: 'pixel-snap',
+        provider: PROVIDERS.local,
+        input: { style: selectedStyle, targetSize: style?.resolution || null, colorPalette, paletteColors: palette?.length || 0 },
+        describeOutput: ({ pixelSize, detected, colors, width, height }) => ({ pixelSize, detected, colors, width, height })
+      }, () => pixelWorker.pixelSnap(image, { targetSize: style?.resolution, palette, backgroundKey, keyTolerance }), records);
+      rawGenerations.current[key] = image;
+      return snapped.base64;
+    } catch (error) {
+      console.warn('[App] Pixel snap failed, keeping raw output:', error);
+      return image;
+    } finally {
+      generationHistory.current[key] = [...(generationHistory.current[key] || []), ...records];
+    }
+  };
+
   // Regenerate a single pose
   const regenerateSingle = async (poseId) => {
     if (!selectedItem) return;
@@ -1379,7 +2099,9 @@ export default function App() {
         customColors: colorPalette === 'custom' ? customColors : []
       };
       
-      const newSprite = await nanoBanana.generateWithStyle(sourceImage, selectedStyle, poseId, genOptions);
+      const newSprite = await trackGeneration('regenerate-sprite', [poseId], { pose: poseId, source: sourceImage }, () =>
+        nanoBanana.generateWithStyle(sourceImage, selectedStyle, poseId, genOptions)
+      );
       
       if (newSprite) {
         setGeneratedSprites(prev => ({ ...prev, [poseId]: newSprite }));
@@ -1413,17 +2135,10 @@ export default function App() {
     e.stopPropagation();
     setForgeDragOver(false);
     
-    const files = e.dataTransfer?.files;
-    if (!files || files.length === 0) return;
+    if (!e.dataTransfer?.files?.length) return;
     
-    const file = files[0];
-    if (!file.type.startsWith('image/')) {
-      setProcessingStage('Please drop an image file');
-      return;
-    }
-    
-    // Show upload modal for the dropped file
-    handleFileUpload(file);
+    // Upload the dropped images, folders or archives
+    handleFilesUpload(await batchImporter.collectDroppedFiles(e.dataTransfer));
   };
 
   // Save generated sprites to library
@@ -1446,19 +2161,26 @@ export default function App() {
         const poseId = isBatchResult ? result.poseId : key;
         const spriteName = isBatchResult ? result.spriteName : (selectedItem?.name || 'Sprite');
         
+        const createdAt = new Date().toISOString();
         return {
           id: `gen_${Date.now()}_${key}`,
+          schemaVersion: SCHEMA_VERSION,
+          recordType: RECORD_TYPES.sprite,
           name: `${spriteName} (${ART_STYLES[selectedStyle].name} - ${poseId})`,
           baseSprite: spriteImage,
           base64: spriteImage,
           originalId: selectedItem?.id,
           style: selectedStyle,
           pose: poseId,
-          createdAt: new Date().toISOString(),
+          createdAt,
+          updatedAt: createdAt,
           primaryElement: selectedItem?.primaryElement || 'Unknown',
           sessionId,
           sessionName,
           genOptions: { creativity, colorPalette, customColors, customPrompt },
+          transformationHistory: generationHistory.current[key] || [],
+          // Generation before pixel grid snapping
+          ...(rawGenerations.current[key] && { rawSprite: rawGenerations.current[key] }),
           // For batch results, also store source sprite info
           ...(isBatchResult && {
             sourceSpriteName: result.spriteName,
@@ -1468,10 +2190,12 @@ export default function App() {
       });
     
     if (newTransformations.length > 0) {
-      setTransformations(prev => [...prev, ...newTransformations]);
+      commitLibrary(`save ${newTransformations.length} Forge sprite(s)`, {
+        transformations: prev => [...prev, ...newTransformations]
+      });
       
       // Show prominent toast with link to Library
-      setToast({
+      showToast({
         message: `Saved ${newTransformations.length} sprite(s) to Library!`,
         type: 'success',
         action: () => {
@@ -1480,9 +2204,6 @@ export default function App() {
         },
         actionLabel: 'View in Library'
       });
-      
-      // Auto-dismiss after 8 seconds
-      setTimeout(() => setToast(null), 8000);
     }
   };
 
@@ -1501,6 +2222,8 @@ export default function App() {
     
     setProcessing(true);
     setGeneratedSprites({});
+    generationHistory.current = {};
+    rawGenerations.current = {};
     
     const sourceImage = selectedItem.base64 || selectedItem.baseSprite;
     
@@ -1522,11 +2245,8 @@ export default function App() {
         setProcessingStage(`Generating ${poseId}... (${completed + 1}/${selectedPoses.length})`);
         
         try {
-          const result = await nanoBanana.generateWithStyle(
-            sourceImage,
-            selectedStyle,
-            poseId,
-            genOptions
+          const result = await trackGeneration('generate-sprite', [poseId], { pose: poseId, source: sourceImage }, () =>
+            nanoBanana.generateWithStyle(sourceImage, selectedStyle, poseId, genOptions)
           );
           
           results[poseId] = result;
@@ -1553,11 +2273,8 @@ export default function App() {
             
             // Retry once
             try {
-              const retryResult = await nanoBanana.generateWithStyle(
-                sourceImage,
-                selectedStyle,
-                poseId,
-                genOptions
+              const retryResult = await trackGeneration('generate-sprite', [poseId], { pose: poseId, source: sourceImage, retry: true }, () =>
+                nanoBanana.generateWithStyle(sourceImage, selectedStyle, poseId, genOptions)
               );
               results[poseId] = retryResult;
               failed--;
@@ -1594,6 +2311,8 @@ export default function App() {
     
     setProcessing(true);
     setGeneratedSprites({});
+    generationHistory.current = {};
+    rawGenerations.current = {};
     setBatchProgress({ current: 0, total: spritesToProcess.length, results: {} });
     
     const genOptions = {
@@ -1613,7 +2332,8 @@ export default function App() {
         setProcessingStage(`Processing ${spriteName} (${completed + 1}/${spritesToProcess.length})...`);
         
         try {
-          const results = await nanoBanana.generatePoseSet(
+          const poseKeys = selectedPoses.map(poseId => `${sprite.index}_${poseId}`);
+          const results = await trackGeneration('generate-pose-set', poseKeys, { poses: selectedPoses, source: sprite.base64 }, () => nanoBanana.generatePoseSet(
             sprite.base64,
             selectedStyle,
             selectedPoses,
@@ -1627,7 +2347,7 @@ export default function App() {
                 setProcessingStage(`${spriteName}: ${progress.currentPose}... (${completed + 1}/${spritesToProcess.length})`);
               }
             }
-          );
+          ));
           
           // Store results keyed by sprite index + pose
           Object.entries(results).forEach(([poseId, result]) => {
@@ -1689,6 +2409,8 @@ export default function App() {
     setGenerationPhase('base');
     setProcessing(true);
     setStreamingResults({});
+    generationHistory.current = {};
+    rawGenerations.current = {};
     
     // Initialize base generations array with pending state
     const initialBases = spritesToProcess.map(sprite => ({
@@ -1722,11 +2444,13 @@ export default function App() {
       
       try {
         // Generate only the "front" pose as the base
-        const result = await nanoBanana.generateWithStyle(
-          sprite.base64,
-          selectedStyle,
-          'front', // Always use front as the base pose for approval
-          genOptions
+        const result = await trackGeneration('generate-base-sprite', [`${sprite.index}_front`], { pose: 'front', source: sprite.base64 }, () =>
+          nanoBanana.generateWithStyle(
+            sprite.base64,
+            selectedStyle,
+            'front', // Always use front as the base pose for approval
+            genOptions
+          )
         );
         
         // Update with result immediately (real-time preview)
@@ -1854,11 +2578,13 @@ export default function App() {
         setProcessingStage(`${base.spriteName}: ${poseId} (${totalProgress}/${totalOperations})`);
         
         try {
-          const result = await nanoBanana.generateWithStyle(
-            base.originalBase64, // Use original sprite, not the generated base
-            selectedStyle,
-            poseId,
-            genOptions
+          const result = await trackGeneration('generate-sprite', [`${base.spriteIndex}_${poseId}`], { pose: poseId, source: base.originalBase64 }, () =>
+            nanoBanana.generateWithStyle(
+              base.originalBase64, // Use original sprite, not the generated base
+              selectedStyle,
+              poseId,
+              genOptions
+            )
           );
           
           // Add to results immediately for real-time preview
@@ -2054,6 +2780,25 @@ export default function App() {
                     selectedOriginal ? 'Original Sprite' : 'Transformation'
                   )}
                 </div>
+                {selectedOriginal && (
+                  <button
+                    style={{
+                      marginTop: SPACING.sm,
+                      padding: `${SPACING.xs} ${SPACING.sm}`,
+                      backgroundColor: 'transparent',
+                      border: `1px solid ${COLORS.ui.border}`,
+                      borderRadius: BORDER_RADIUS.sm,
+                      color: COLORS.text.secondary,
+                      fontFamily: TYPOGRAPHY.fontFamily.system,
+                      fontSize: TYPOGRAPHY.fontSize.xs,
+                      cursor: 'pointer',
+                    }}
+                    onClick={() => removeOriginalBackground(selectedOriginal)}
+                    title="Key the border color to transparency (undo with Ctrl+Z)"
+                  >
+                    Remove Background
+                  </button>
+                )}
               </div>
             </div>
           ) : (
@@ -2121,19 +2866,47 @@ export default function App() {
                   marginBottom: SPACING.md 
                 }}>
                   Extract individual sprites from this sheet to generate poses for each one.
+                  {selectedItem.spriteRegions?.length > 0 && ' Using the grid saved in the grid editor.'}
                 </p>
-                <button
-                  style={{
-                    ...styles.forgeButton,
-                    width: '100%',
-                    justifyContent: 'center',
-                    opacity: extracting ? 0.7 : 1,
-                  }}
-                  onClick={extractSpritesFromSheet}
-                  disabled={extracting}
-                >
-                  {extracting ? 'Extracting...' : `Extract ${spriteCount} Sprite(s)`}
-                </button>
+                <div style={{ display: 'flex', gap: SPACING.sm }}>
+                  <button
+                    style={{
+                      ...styles.forgeButton,
+                      flex: 1,
+                      justifyContent: 'center',
+                      opacity: extracting ? 0.7 : 1,
+                    }}
+                    onClick={() => extractSpritesFromSheet()}
+                    disabled={extracting}
+                  >
+                    {extracting ? 'Extracting...' : `Extract ${spriteCount} Sprite(s)`}
+                  </button>
+                  {extracting && (
+                    <button
+                      style={{
+                        ...styles.forgeButton,
+                        backgroundColor: 'transparent',
+                        border: `1px solid ${COLORS.ui.border}`,
+                        color: COLORS.text.secondary,
+                      }}
+                      onClick={() => extractionAbort.current?.abort()}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    style={{
+                      ...styles.forgeButton,
+                      backgroundColor: 'transparent',
+                      border: `1px solid ${COLORS.ui.border}`,
+                      color: COLORS.text.secondary,
+                    }}
+                    onClick={() => setGridEditorSheetId(selectedItem.id)}
+                    disabled={extracting}
+                  >
+                    Edit Grid
+                  </button>
+                </div>
               </div>
             ) : (
               <div>
@@ -2239,6 +3012,7 @@ export default function App() {
                           style={{ marginRight: '4px', cursor: 'pointer' }}
                         />
                         {sprite.name || `#${sprite.index + 1}`}
+                        {sprite.frames?.length > 1 && ` (${sprite.frames.length} frames)`}
                       </div>
                     </div>
                   ))}
@@ -2283,6 +3057,20 @@ export default function App() {
                 >
                   Re-extract sprites
                 </button>
+                <button
+                  style={{
+                    marginTop: SPACING.sm,
+                    marginLeft: SPACING.md,
+                    fontSize: TYPOGRAPHY.fontSize.xs,
+                    color: COLORS.ui.active,
+                    background: 'none',
+                    border: 'none',
+                    cursor: 'pointer',
+                  }}
+                  onClick={() => setGridEditorSheetId(selectedItem.id)}
+                >
+                  Edit grid
+                </button>
               </div>
             )}
           </div>
@@ -2431,6 +3219,15 @@ export default function App() {
                 {palette.name}
               </button>
             ))}
+            {selectedItem && (
+              <button
+                style={forgeStyles.poseChip(false)}
+                onClick={() => applyPaletteToForge(selectedItem)}
+                title="Use the colors extracted from this sprite as custom colors"
+              >
+                From Sprite
+              </button>
+            )}
           </div>
           
           {/* Custom Color Picker */}
@@ -2805,6 +3602,21 @@ export default function App() {
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: SPACING.md }}>
               <h3 style={{ ...styles.forgeSectionTitle, marginBottom: 0 }}>Generated Sprites</h3>
               <div style={{ display: 'flex', gap: SPACING.sm }}>
+                {Object.keys(rawGenerations.current).length > 0 && (
+                  <button
+                    style={{
+                      ...styles.forgeButton,
+                      padding: `${SPACING.xs} ${SPACING.md}`,
+                      fontSize: TYPOGRAPHY.fontSize.xs,
+                      backgroundColor: showRawGenerations ? COLORS.ui.warning : COLORS.background.tertiary,
+                      color: showRawGenerations ? '#000' : COLORS.text.secondary,
+                    }}
+                    onClick={() => setShowRawGenerations(prev => !prev)}
+                    title="Compare the pixel-snapped sprites with the raw generator output"
+                  >
+                    {showRawGenerations ? 'Showing Raw' : 'Show Raw'}
+                  </button>
+                )}
                 <button
                   style={{
                     ...styles.forgeButton,
@@ -2834,7 +3646,8 @@ export default function App() {
               {Object.entries(generatedSprites).map(([key, result], index) => {
                 // Handle both single sprite format (string) and batch format (object with sprite property)
                 const isBatchResult = result && typeof result === 'object' && result.sprite;
-                const spriteImage = isBatchResult ? result.sprite : result;
+                const rawImage = showRawGenerations && rawGenerations.current[key];
+                const spriteImage = rawImage || (isBatchResult ? result.sprite : result);
                 const label = isBatchResult 
                   ? `${result.spriteName} - ${POSE_OPTIONS[result.poseId]?.name || result.poseId}`
                   : (POSE_OPTIONS[key]?.name || key);
@@ -3005,6 +3818,7 @@ export default function App() {
       <SettingsModal 
         isOpen={showSettings} 
         onClose={() => setShowSettings(false)} 
+        onRebalanceCollection={rebalanceCollection}
       />
       
       {/* Upload Modal */}
@@ -3016,9 +3830,30 @@ export default function App() {
         }}
         imagePreview={pendingUpload?.preview}
         filename={pendingUpload?.filename}
+        duplicates={pendingUpload?.duplicates}
+        animation={pendingUpload?.animation}
+        atlas={pendingUpload?.atlas}
+        onAtlasSelect={attachUploadAtlas}
         onConfirm={processUpload}
         onAnalyze={analyzeUploadedImage}
       />
+
+      <BulkImportModal
+        isOpen={!!bulkImport}
+        entries={bulkImport?.entries}
+        progress={bulkImport?.progress}
+        importing={bulkImport?.importing}
+        onChangeEntry={updateBulkEntry}
+        onImport={importBulk}
+        onClose={closeBulkImport}
+      />
+
+      <GridEditor
+        isOpen={!!gridEditorSheetId}
+        sheet={originals.find(o => o.id === gridEditorSheetId)}
+        onClose={() => setGridEditorSheetId(null)}
+        onSave={saveSheetGrid}
+      />
       
       {/* Sprite Carousel Modal */}
       {carouselOpen && carouselSprites.length > 0 && (
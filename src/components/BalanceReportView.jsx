@@ -0,0 +1,276 @@
+/**
+ * BalanceReportView Component
+ *
+ * Collection-wide balance report: stat distributions, coverage,
+ * ability power, outliers and round-robin win rates.
+ */
+
+import React, { useState, useMemo } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../styles/theme';
+import { STAT_NAMES } from '../data/statProfiles';
+import balanceReport from '../services/balanceReport';
+import { RefreshIcon } from './Icons';
+
+export default function BalanceReportView({ monsters = [], onSelectMonster }) {
+  const report = useMemo(() => balanceReport.build(monsters), [monsters]);
+  const [roundRobin, setRoundRobin] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const styles = {
+    container: {
+      display: 'grid',
+      gridTemplateColumns: '1fr 1fr',
+      gap: SPACING.md,
+      padding: SPACING.md
+    },
+    card: {
+      backgroundColor: COLORS.background.card,
+      borderRadius: BORDER_RADIUS.md,
+      padding: SPACING.md,
+      border: `1px solid ${COLORS.ui.border}`
+    },
+    fullWidth: {
+      gridColumn: '1 / -1'
+    },
+    cardTitle: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+      marginBottom: SPACING.sm,
+      textTransform: 'uppercase'
+    },
+    table: {
+      width: '100%',
+      borderCollapse: 'collapse',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.primary
+    },
+    th: {
+      textAlign: 'left',
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      color: COLORS.text.secondary,
+      borderBottom: `1px solid ${COLORS.ui.border}`,
+      fontWeight: TYPOGRAPHY.fontWeight.medium
+    },
+    td: {
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      borderBottom: `1px solid ${COLORS.ui.border}40`
+    },
+    barRow: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.sm,
+      marginBottom: SPACING.xs,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs
+    },
+    barLabel: {
+      width: '72px',
+      color: COLORS.text.secondary
+    },
+    bar: {
+      flex: 1,
+      height: '10px',
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.sm,
+      overflow: 'hidden'
+    },
+    barFill: (ratio, color) => ({
+      height: '100%',
+      width: `${Math.round(ratio * 100)}%`,
+      backgroundColor: color || COLORS.ui.active
+    }),
+    barValue: {
+      width: '40px',
+      textAlign: 'right',
+      color: COLORS.text.primary
+    },
+    warning: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.warning,
+      marginTop: SPACING.sm
+    },
+    outlier: {
+      cursor: onSelectMonster ? 'pointer' : 'default'
+    },
+    button: {
+      padding: `${SPACING.xs} ${SPACING.md}`,
+      backgroundColor: COLORS.ui.active,
+      border: 'none',
+      borderRadius: BORDER_RADIUS.sm,
+      color: '#000',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      fontWeight: TYPOGRAPHY.fontWeight.medium,
+      cursor: running ? 'wait' : 'pointer',
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: SPACING.xs,
+      marginBottom: SPACING.sm
+    },
+    muted: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted
+    }
+  };
+
+  if (report.monsterCount === 0) {
+    return (
+      <div style={{ ...styles.muted, padding: SPACING.lg, textAlign: 'center' }}>
+        Generate some monsters to see a balance report.
+      </div>
+    );
+  }
+
+  const runRoundRobin = () => {
+    setRunning(true);
+    // Let the button state render before the (synchronous) battles start
+    setTimeout(() => {
+      setRoundRobin(balanceReport.runRoundRobin(monsters));
+      setRunning(false);
+    }, 0);
+  };
+
+  const maxElementCount = Math.max(1, ...report.elements.map(e => e.total));
+  const maxCreatureCount = Math.max(1, ...report.creatureTypes.map(t => t.count));
+  const maxPower = Math.max(1, ...report.abilityPower.map(a => a.mean));
+  const format = (value) => Math.round(value);
+
+  return (
+    <div style={styles.container}>
+      {/* Stat distributions */}
+      <div style={{ ...styles.card, ...styles.fullWidth }}>
+        <div style={styles.cardTitle}>
+          Stat Distribution ({report.monsterCount} monsters)
+        </div>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Stage</th>
+              {[...STAT_NAMES, 'total'].map(stat => (
+                <th key={stat} style={styles.th}>{stat.toUpperCase()}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {report.stages.map(({ stage, stats }) => (
+              <tr key={stage}>
+                <td style={styles.td}>{stage}</td>
+                {[...STAT_NAMES, 'total'].map(stat => (
+                  <td key={stat} style={styles.td} title={`min ${stats[stat].min} / max ${stats[stat].max}`}>
+                    {format(stats[stat].mean)} ± {format(stats[stat].stdDev)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Element coverage */}
+      <div style={styles.card}>
+        <div style={styles.cardTitle}>Element Coverage</div>
+        {report.elements.map(({ element, primary, secondary, total }) => (
+          <div key={element} style={styles.barRow} title={`${primary} primary / ${secondary} secondary`}>
+            <span style={styles.barLabel}>{element}</span>
+            <div style={styles.bar}>
+              <div style={styles.barFill(total / maxElementCount, ELEMENT_COLORS[element]?.primary)} />
+            </div>
+            <span style={styles.barValue}>{total}</span>
+          </div>
+        ))}
+        {report.missingElements.length > 0 && (
+          <div style={styles.warning}>No monsters: {report.missingElements.join(', ')}</div>
+        )}
+      </div>
+
+      {/* Creature type coverage */}
+      <div style={styles.card}>
+        <div style={styles.cardTitle}>Creature Types</div>
+        {report.creatureTypes.map(({ type, count }) => (
+          <div key={type} style={styles.barRow}>
+            <span style={styles.barLabel}>{type}</span>
+            <div style={styles.bar}>
+              <div style={styles.barFill(count / maxCreatureCount)} />
+            </div>
+            <span style={styles.barValue}>{count}</span>
+          </div>
+        ))}
+        {report.missingCreatureTypes.length > 0 && (
+          <div style={styles.warning}>No monsters: {report.missingCreatureTypes.join(', ')}</div>
+        )}
+      </div>
+
+      {/* Ability power */}
+      <div style={styles.card}>
+        <div style={styles.cardTitle}>Avg Ability Power</div>
+        {report.abilityPower.map(({ element, count, mean }) => (
+          <div key={element} style={styles.barRow} title={`${count} abilities`}>
+            <span style={styles.barLabel}>{element}</span>
+            <div style={styles.bar}>
+              <div style={styles.barFill(mean / maxPower, ELEMENT_COLORS[element]?.primary)} />
+            </div>
+            <span style={styles.barValue}>{count ? format(mean) : '-'}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Outliers */}
+      <div style={styles.card}>
+        <div style={styles.cardTitle}>Outliers (&gt; 2σ)</div>
+        {report.outliers.length === 0 ? (
+          <div style={styles.muted}>No outliers found</div>
+        ) : (
+          <table style={styles.table}>
+            <tbody>
+              {report.outliers.slice(0, 20).map((o, idx) => (
+                <tr
+                  key={`${o.monsterId}-${o.stage}-${o.stat}-${idx}`}
+                  style={styles.outlier}
+                  onClick={() => onSelectMonster?.(o.monsterId)}
+                >
+                  <td style={styles.td}>{o.name}</td>
+                  <td style={styles.td}>Stage {o.stage}</td>
+                  <td style={styles.td}>{o.stat.toUpperCase()} {o.value}</td>
+                  <td style={{ ...styles.td, color: o.zScore > 0 ? COLORS.ui.error : COLORS.ui.info }}>
+                    {o.zScore > 0 ? '+' : ''}{o.zScore.toFixed(1)}σ
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {report.outliers.length > 20 && (
+          <div style={styles.muted}>+{report.outliers.length - 20} more</div>
+        )}
+      </div>
+
+      {/* Round robin */}
+      <div style={{ ...styles.card, ...styles.fullWidth }}>
+        <div style={styles.cardTitle}>Round-Robin Win Rates</div>
+        <button style={styles.button} onClick={runRoundRobin} disabled={running || report.monsterCount < 2}>
+          <RefreshIcon size={12} color="#000" /> {running ? 'Simulating...' : roundRobin ? 'Re-run' : 'Run Battles'}
+        </button>
+        {roundRobin && (
+          <>
+            <div style={styles.muted}>
+              {roundRobin.battles} battles between {roundRobin.entrants} monsters, {roundRobin.draws} draws
+            </div>
+            {roundRobin.elements.filter(e => e.battles > 0).map(({ element, wins, battles, winRate }) => (
+              <div key={element} style={styles.barRow} title={`${wins}/${battles} wins`}>
+                <span style={styles.barLabel}>{element}</span>
+                <div style={styles.bar}>
+                  <div style={styles.barFill(winRate, ELEMENT_COLORS[element]?.primary)} />
+                </div>
+                <span style={styles.barValue}>{Math.round(winRate * 100)}%</span>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,268 @@
+/**
+ * BattleView Component
+ *
+ * Pits two saved monsters against each other using the battle engine
+ * and shows the turn-by-turn log. Each side picks the evolution form it
+ * fights as, from any stage (and branch) of its own chain.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../styles/theme';
+import battleEngine from '../services/battleEngine';
+import { getChainDepth, getStageForm, normalizeEvolutions } from '../data/evolutions';
+import { RefreshIcon } from './Icons';
+
+export default function BattleView({ monsters = [], initialMonster = null, onShowMonsters }) {
+  const [leftId, setLeftId] = useState(initialMonster?.id || monsters[0]?.id || '');
+  const [rightId, setRightId] = useState(monsters.find(m => m.id !== leftId)?.id || '');
+  // Evolution node each side fights as ('' = first form of the final stage)
+  const [leftForm, setLeftForm] = useState('');
+  const [rightForm, setRightForm] = useState('');
+  const [result, setResult] = useState(null);
+
+  // Follow the library selection
+  useEffect(() => {
+    if (initialMonster?.id) setLeftId(initialMonster.id);
+  }, [initialMonster?.id]);
+
+  // A new monster starts at its final form
+  useEffect(() => setLeftForm(''), [leftId]);
+  useEffect(() => setRightForm(''), [rightId]);
+
+  // Let the library read the evolution sprites of the two picks
+  useEffect(() => {
+    onShowMonsters?.([leftId, rightId].filter(Boolean));
+  }, [leftId, rightId, onShowMonsters]);
+
+  // Keep both picks pointing at monsters that still exist
+  useEffect(() => {
+    if (!monsters.some(m => m.id === leftId)) {
+      setLeftId(monsters[0]?.id || '');
+    } else if (!monsters.some(m => m.id === rightId)) {
+      setRightId(monsters.find(m => m.id !== leftId)?.id || '');
+    }
+  }, [monsters, leftId, rightId]);
+
+  const left = monsters.find(m => m.id === leftId);
+  const right = monsters.find(m => m.id === rightId);
+
+  const styles = {
+    container: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.md,
+      padding: SPACING.md
+    },
+    title: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.primary
+    },
+    arena: {
+      display: 'grid',
+      gridTemplateColumns: '1fr auto 1fr',
+      gap: SPACING.md,
+      alignItems: 'center'
+    },
+    card: (element) => ({
+      backgroundColor: COLORS.background.card,
+      borderRadius: BORDER_RADIUS.md,
+      padding: SPACING.md,
+      border: `1px solid ${ELEMENT_COLORS[element]?.primary || COLORS.ui.border}`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: SPACING.sm
+    }),
+    sprite: {
+      width: '96px',
+      height: '96px',
+      imageRendering: 'pixelated',
+      objectFit: 'contain'
+    },
+    select: {
+      width: '100%',
+      padding: SPACING.xs,
+      backgroundColor: COLORS.background.secondary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm
+    },
+    hpBar: {
+      width: '100%',
+      height: '8px',
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.sm,
+      overflow: 'hidden'
+    },
+    hpFill: (hp, maxHp) => ({
+      height: '100%',
+      width: `${(hp / maxHp) * 100}%`,
+      backgroundColor: hp / maxHp > 0.5 ? COLORS.ui.success : hp / maxHp > 0.2 ? COLORS.ui.warning : COLORS.ui.error,
+      transition: 'width 0.3s ease'
+    }),
+    hpText: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary
+    },
+    versus: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.md,
+      color: COLORS.ui.active
+    },
+    controls: {
+      display: 'flex',
+      gap: SPACING.sm,
+      alignItems: 'center'
+    },
+    button: {
+      padding: `${SPACING.sm} ${SPACING.lg}`,
+      backgroundColor: COLORS.ui.active,
+      border: 'none',
+      borderRadius: BORDER_RADIUS.md,
+      color: '#000',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      fontWeight: TYPOGRAPHY.fontWeight.medium,
+      cursor: 'pointer',
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: SPACING.xs
+    },
+    result: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.primary
+    },
+    log: {
+      backgroundColor: COLORS.background.card,
+      borderRadius: BORDER_RADIUS.md,
+      border: `1px solid ${COLORS.ui.border}`,
+      padding: SPACING.md,
+      maxHeight: '320px',
+      overflowY: 'auto',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm
+    },
+    logEntry: (entry) => ({
+      color: entry.type === 'turn' ? COLORS.text.muted
+        : entry.type === 'faint' || entry.type === 'result' ? COLORS.ui.active
+        : entry.type === 'info' ? COLORS.ui.info
+        : entry.side === 'B' ? COLORS.text.secondary
+        : COLORS.text.primary,
+      marginTop: entry.type === 'turn' ? SPACING.sm : 0,
+      fontWeight: entry.type === 'result' ? TYPOGRAPHY.fontWeight.bold : 'normal'
+    }),
+    empty: {
+      padding: SPACING.lg,
+      textAlign: 'center',
+      color: COLORS.text.muted,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm
+    }
+  };
+
+  if (monsters.length < 2) {
+    return (
+      <div style={styles.empty}>
+        Save at least two monsters to the library to start a battle.
+      </div>
+    );
+  }
+
+  const runBattle = () => {
+    if (!left || !right) return;
+    setResult(battleEngine.battle(left, right, {
+      forms: { A: [getStageForm(left.evolutions || [], null, leftForm)?.id], B: [getStageForm(right.evolutions || [], null, rightForm)?.id] }
+    }));
+  };
+
+  const renderCombatant = (monster, selectedId, onSelect, formId, onSelectForm, side) => {
+    const combatant = result?.teams[side][0];
+    const evolutions = normalizeEvolutions(monster?.evolutions || []);
+    const evo = getStageForm(evolutions, null, formId);
+    const stages = Array.from({ length: getChainDepth(evolutions) }, (_, idx) => idx + 1);
+
+    return (
+      <div style={styles.card(monster?.primaryElement)}>
+        {monster && (
+          <img
+            src={evo?.sprite || monster.baseSprite}
+            alt={evo?.name || monster.name}
+            style={styles.sprite}
+          />
+        )}
+        <select
+          value={selectedId}
+          onChange={(e) => { onSelect(e.target.value); setResult(null); }}
+          style={styles.select}
+        >
+          {monsters.map(m => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        {evolutions.length > 1 && (
+          <select
+            value={evo?.id || ''}
+            onChange={(e) => { onSelectForm(e.target.value); setResult(null); }}
+            style={styles.select}
+          >
+            {stages.map(stage => (
+              <optgroup key={stage} label={`Stage ${stage}`}>
+                {evolutions.filter(node => (node.stage || 1) === stage).map(node => (
+                  <option key={node.id} value={node.id}>
+                    {node.name || `Stage ${stage}`}{node.primaryElement ? ` (${node.primaryElement})` : ''}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        )}
+        {combatant && (
+          <>
+            <div style={styles.hpBar}>
+              <div style={styles.hpFill(combatant.hp, combatant.maxHp)} />
+            </div>
+            <div style={styles.hpText}>{combatant.hp}/{combatant.maxHp} HP</div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.title}>Battle Simulator</div>
+
+      <div style={styles.arena}>
+        {renderCombatant(left, leftId, setLeftId, leftForm, setLeftForm, 'A')}
+        <div style={styles.versus}>VS</div>
+        {renderCombatant(right, rightId, setRightId, rightForm, setRightForm, 'B')}
+      </div>
+
+      <div style={styles.controls}>
+        <button style={styles.button} onClick={runBattle} disabled={!left || !right}>
+          <RefreshIcon size={14} color="#000" /> {result ? 'Rematch' : 'Battle!'}
+        </button>
+        {result && (
+          <span style={styles.result}>
+            {result.winner ? `${result.teams[result.winner][0].name} wins!` : 'Draw'} (seed {result.seed})
+          </span>
+        )}
+      </div>
+
+      {result && (
+        <div style={styles.log}>
+          {result.log.map((entry, idx) => (
+            <div key={idx} style={styles.logEntry(entry)}>
+              {entry.message}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
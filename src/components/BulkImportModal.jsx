@@ -0,0 +1,307 @@
+/**
+ * BulkImportModal Component
+ *
+ * Confirms a multi-file, folder or .zip upload in one step. Each file gets
+ * a guessed single-sprite/sheet classification that can be changed, and
+ * duplicates of library entries (or of earlier files in the batch) can be
+ * skipped, merged or kept. Optionally forges every imported sprite
+ * afterwards, extracting sheets first.
+ */
+
+import { useState } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
+import { DUPLICATE_ACTIONS } from '../services/duplicateDetector';
+import { CloseIcon } from './Icons';
+
+export default function BulkImportModal({
+  isOpen,
+  entries = [], // { id, upload, isSpriteSheet, spriteCount, duplicateAction }
+  progress = null, // { stage, done, total } while reading, importing or forging
+  importing = false,
+  onChangeEntry, // (id: string, patch: object) => void
+  onImport, // ({ forgeAfter: boolean }) => void
+  onClose, // Closes the dialog, cancelling any work in progress
+}) {
+  const [forgeAfter, setForgeAfter] = useState(false);
+
+  if (!isOpen) return null;
+
+  const reading = !!progress && !importing;
+  const importCount = entries.filter(entry => !entry.upload.duplicates[0] || entry.duplicateAction !== DUPLICATE_ACTIONS.skip).length;
+  const duplicateCount = entries.filter(entry => entry.upload.duplicates[0]).length;
+  const sheetCount = entries.filter(entry => entry.isSpriteSheet).length;
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+    },
+    modal: {
+      width: '640px',
+      maxHeight: '90vh',
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.lg,
+      border: `1px solid ${COLORS.ui.border}`,
+      display: 'flex',
+      flexDirection: 'column',
+      overflow: 'hidden',
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: SPACING.md,
+      borderBottom: `1px solid ${COLORS.ui.border}`,
+    },
+    title: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.md,
+      color: COLORS.text.primary,
+    },
+    closeButton: {
+      background: 'none',
+      border: 'none',
+      color: COLORS.text.secondary,
+      cursor: 'pointer',
+      padding: SPACING.xs,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    summary: {
+      padding: `${SPACING.sm} ${SPACING.md}`,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.secondary,
+      borderBottom: `1px solid ${COLORS.ui.border}`,
+    },
+    list: {
+      overflow: 'auto',
+      flex: 1,
+    },
+    row: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.sm,
+      padding: `${SPACING.xs} ${SPACING.md}`,
+      borderBottom: `1px solid ${COLORS.ui.border}`,
+    },
+    thumb: {
+      width: '40px',
+      height: '40px',
+      objectFit: 'contain',
+      imageRendering: 'pixelated',
+      borderRadius: BORDER_RADIUS.sm,
+      backgroundColor: COLORS.background.primary,
+      flexShrink: 0,
+    },
+    fileInfo: {
+      flex: 1,
+      minWidth: 0,
+    },
+    filename: {
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.primary,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+    },
+    note: (color) => ({
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color,
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+    }),
+    select: {
+      padding: '2px 4px',
+      backgroundColor: COLORS.background.primary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+    },
+    countNumber: {
+      width: '44px',
+      padding: '2px 4px',
+      backgroundColor: COLORS.background.primary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      textAlign: 'center',
+    },
+    progress: {
+      padding: `${SPACING.sm} ${SPACING.md}`,
+      borderTop: `1px solid ${COLORS.ui.border}`,
+    },
+    progressLabel: {
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted,
+      marginBottom: SPACING.xs,
+    },
+    progressTrack: {
+      height: '6px',
+      backgroundColor: COLORS.background.primary,
+      borderRadius: BORDER_RADIUS.sm,
+      overflow: 'hidden',
+    },
+    progressBar: {
+      height: '100%',
+      width: progress ? `${Math.round((progress.done / Math.max(1, progress.total)) * 100)}%` : 0,
+      backgroundColor: COLORS.ui.active,
+      transition: 'width 0.2s ease',
+    },
+    footer: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.sm,
+      padding: SPACING.md,
+      borderTop: `1px solid ${COLORS.ui.border}`,
+    },
+    forgeOption: {
+      flex: 1,
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.xs,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.secondary,
+      cursor: 'pointer',
+    },
+    button: (variant, disabled) => ({
+      padding: `${SPACING.sm} ${SPACING.lg}`,
+      backgroundColor: variant === 'primary' ? COLORS.ui.active : 'transparent',
+      border: variant === 'primary' ? 'none' : `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: variant === 'primary' ? '#000' : COLORS.text.secondary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      fontWeight: TYPOGRAPHY.fontWeight.medium,
+      cursor: disabled ? 'not-allowed' : 'pointer',
+      opacity: disabled ? 0.5 : 1,
+    }),
+  };
+
+  const describeEntry = ({ upload }) => {
+    if (upload.atlas) return `Atlas: ${upload.atlas.frames.length} frames`;
+    if (upload.animation) return `Animated: ${upload.animation.frames.length} frames`;
+    return null;
+  };
+
+  return (
+    <div style={styles.overlay} onClick={importing ? undefined : onClose}>
+      <div style={styles.modal} onClick={e => e.stopPropagation()}>
+        <div style={styles.header}>
+          <div style={styles.title}>Bulk Import</div>
+          <button style={styles.closeButton} onClick={onClose} title={importing ? 'Stop' : 'Close'}>
+            <CloseIcon size={20} />
+          </button>
+        </div>
+
+        <div style={styles.summary}>
+          {entries.length} file{entries.length === 1 ? '' : 's'} - {sheetCount} sprite sheet{sheetCount === 1 ? '' : 's'}
+          {duplicateCount > 0 && `, ${duplicateCount} possible duplicate${duplicateCount === 1 ? '' : 's'}`}
+        </div>
+
+        <div style={styles.list}>
+          {entries.map(entry => {
+            const { upload } = entry;
+            const duplicate = upload.duplicates[0];
+            const note = describeEntry(entry);
+            return (
+              <div key={entry.id} style={styles.row}>
+                <img src={upload.preview} alt={upload.filename} style={styles.thumb} />
+                <div style={styles.fileInfo}>
+                  <div style={styles.filename} title={upload.filename}>{upload.filename}</div>
+                  {duplicate && (
+                    <div style={styles.note(COLORS.ui.warning)}>
+                      {duplicate.exact ? 'Exact duplicate of ' : 'Looks like '}
+                      {duplicate.record.name || duplicate.record.filename}
+                    </div>
+                  )}
+                  {note && <div style={styles.note(COLORS.ui.info)}>{note}</div>}
+                  {upload.atlasError && <div style={styles.note(COLORS.ui.error)}>{upload.atlasError}</div>}
+                </div>
+
+                {duplicate && (
+                  <select
+                    style={styles.select}
+                    value={entry.duplicateAction}
+                    disabled={importing}
+                    onChange={(e) => onChangeEntry(entry.id, { duplicateAction: e.target.value })}
+                  >
+                    <option value={DUPLICATE_ACTIONS.keep}>Keep both</option>
+                    <option value={DUPLICATE_ACTIONS.merge}>Merge</option>
+                    <option value={DUPLICATE_ACTIONS.skip}>Skip</option>
+                  </select>
+                )}
+
+                <select
+                  style={styles.select}
+                  value={entry.isSpriteSheet ? 'sheet' : 'single'}
+                  disabled={importing || !!upload.atlas}
+                  onChange={(e) => onChangeEntry(entry.id, {
+                    isSpriteSheet: e.target.value === 'sheet',
+                    spriteCount: e.target.value === 'sheet' ? Math.max(2, entry.spriteCount) : entry.spriteCount
+                  })}
+                >
+                  <option value="single">Single sprite</option>
+                  <option value="sheet">Sprite sheet</option>
+                </select>
+                {entry.isSpriteSheet && (
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    title="Number of sprites"
+                    value={entry.spriteCount}
+                    disabled={importing || !!upload.atlas}
+                    onChange={(e) => onChangeEntry(entry.id, { spriteCount: Math.max(1, parseInt(e.target.value) || 1) })}
+                    style={styles.countNumber}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {progress && (
+          <div style={styles.progress}>
+            <div style={styles.progressLabel}>
+              {progress.stage} ({progress.done}/{progress.total})
+            </div>
+            <div style={styles.progressTrack}>
+              <div style={styles.progressBar} />
+            </div>
+          </div>
+        )}
+
+        <div style={styles.footer}>
+          <label style={styles.forgeOption}>
+            <input
+              type="checkbox"
+              checked={forgeAfter}
+              disabled={importing}
+              onChange={(e) => setForgeAfter(e.target.checked)}
+            />
+            Forge monsters after import
+          </label>
+          <button style={styles.button('secondary')} onClick={onClose}>
+            {importing || reading ? 'Stop' : 'Cancel'}
+          </button>
+          <button
+            style={styles.button('primary', importing || reading || importCount === 0)}
+            disabled={importing || reading || importCount === 0}
+            onClick={() => onImport({ forgeAfter })}
+          >
+            Import {importCount}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
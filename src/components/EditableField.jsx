@@ -0,0 +1,143 @@
+/**
+ * EditableField Component
+ *
+ * Click-to-edit value. Text and number inputs save on Enter or blur
+ * and cancel on Escape; selects save as soon as they change.
+ * onSave returns an error message to keep the editor open, or null.
+ */
+
+import React, { useState } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
+
+export default function EditableField({
+  value,
+  onSave,
+  type = 'text',
+  options = [],
+  children,
+  style,
+  title = 'Click to edit'
+}) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+
+  const styles = {
+    display: {
+      cursor: onSave ? 'text' : 'inherit',
+      borderBottom: onSave ? `1px dashed ${COLORS.ui.border}` : 'none',
+      ...style
+    },
+    wrapper: {
+      display: 'inline-flex',
+      flexDirection: 'column',
+      gap: '2px',
+      width: type === 'textarea' ? '100%' : 'auto'
+    },
+    input: {
+      padding: `2px ${SPACING.xs}`,
+      backgroundColor: COLORS.background.secondary,
+      border: `1px solid ${error ? COLORS.ui.error : COLORS.ui.active}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      width: type === 'number' ? '72px' : '100%',
+      boxSizing: 'border-box',
+      resize: 'vertical'
+    },
+    error: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.error,
+      whiteSpace: 'normal'
+    }
+  };
+
+  if (!onSave) {
+    return <span style={style}>{children ?? value}</span>;
+  }
+
+  const startEditing = () => {
+    const index = options.findIndex(option => option.value === value);
+    setDraft(type === 'select' ? String(index) : value ?? '');
+    setError(null);
+    setEditing(true);
+  };
+
+  const cancel = () => {
+    setEditing(false);
+    setError(null);
+  };
+
+  const save = (raw) => {
+    let next = raw;
+    if (type === 'select') next = options[Number(raw)]?.value;
+    if (type === 'number') next = raw === '' ? NaN : Number(raw);
+
+    const message = onSave(next);
+    if (message) {
+      setError(message);
+    } else {
+      setEditing(false);
+      setError(null);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') cancel();
+    if (e.key === 'Enter' && (type !== 'textarea' || e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save(draft);
+    }
+  };
+
+  if (!editing) {
+    return (
+      <span style={styles.display} onClick={startEditing} title={title}>
+        {children ?? value}
+      </span>
+    );
+  }
+
+  return (
+    <span style={styles.wrapper}>
+      {type === 'select' ? (
+        <select
+          autoFocus
+          value={draft}
+          onChange={(e) => save(e.target.value)}
+          onBlur={cancel}
+          onKeyDown={handleKeyDown}
+          style={styles.input}
+        >
+          {options.map((option, idx) => (
+            <option key={idx} value={idx}>{option.label}</option>
+          ))}
+        </select>
+      ) : type === 'textarea' ? (
+        <textarea
+          autoFocus
+          rows={4}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={() => save(draft)}
+          onKeyDown={handleKeyDown}
+          style={styles.input}
+          title="Ctrl+Enter to save, Escape to cancel"
+        />
+      ) : (
+        <input
+          autoFocus
+          type={type}
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={() => save(draft)}
+          onKeyDown={handleKeyDown}
+          style={styles.input}
+        />
+      )}
+      {error && <span style={styles.error}>{error}</span>}
+    </span>
+  );
+}
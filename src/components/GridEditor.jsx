@@ -0,0 +1,755 @@
+/**
+ * GridEditor Component
+ *
+ * Overlay editor for the grid of a sprite sheet. The grid can be set
+ * numerically or by dragging its lines, and individual cell rectangles can
+ * be moved, resized, drawn, removed and named. Saving returns the grid spec
+ * and the final list of regions, which extraction then uses as-is.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
+import gridDetector from '../services/gridDetector';
+import { CloseIcon, DeleteIcon, RefreshIcon, SaveIcon } from './Icons';
+
+const SPEC_FIELDS = [
+  { key: 'cols', label: 'Columns', min: 1, max: 64 },
+  { key: 'rows', label: 'Rows', min: 1, max: 64 },
+  { key: 'cellWidth', label: 'Cell width', min: 1 },
+  { key: 'cellHeight', label: 'Cell height', min: 1 },
+  { key: 'offsetX', label: 'Offset X', min: 0 },
+  { key: 'offsetY', label: 'Offset Y', min: 0 },
+  { key: 'spacingX', label: 'Spacing X', min: 0 },
+  { key: 'spacingY', label: 'Spacing Y', min: 0 },
+];
+
+const ZOOM_LEVELS = [0.25, 0.5, 1, 2, 3, 4];
+const MAX_PREVIEW_WIDTH = 640;
+
+const cellKey = (row, col) => `${row},${col}`;
+const isGridCell = (region) => region.row !== undefined && region.row !== null;
+
+let drawnCount = 0;
+
+/**
+ * Regions for every grid cell. Manually adjusted or drawn regions are kept,
+ * excluded cells are skipped and names carry over by row/column.
+ */
+function buildRegions(spec, size, previous = [], excluded = new Set(), names = {}) {
+  const custom = previous.filter(region => region.custom);
+  const claimed = new Set(custom.filter(isGridCell).map(region => cellKey(region.row, region.col)));
+  const previousNames = Object.fromEntries(
+    previous.filter(isGridCell).map(region => [cellKey(region.row, region.col), region.name])
+  );
+
+  const cells = gridDetector.getCells(spec, size.width, size.height)
+    .filter(cell => !excluded.has(cellKey(cell.row, cell.col)) && !claimed.has(cellKey(cell.row, cell.col)))
+    .map(cell => ({
+      ...cell,
+      id: `cell_${cell.row}_${cell.col}`,
+      name: previousNames[cellKey(cell.row, cell.col)] ?? names[cellKey(cell.row, cell.col)] ?? ''
+    }));
+
+  return [...cells, ...custom].sort((a, b) =>
+    (isGridCell(a) ? a.row : Infinity) - (isGridCell(b) ? b.row : Infinity) ||
+    (a.col ?? 0) - (b.col ?? 0)
+  );
+}
+
+// Grid found in the sheet's pixels, if any
+function detectSpec(img) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  canvas.width = img.width;
+  canvas.height = img.height;
+  ctx.drawImage(img, 0, 0);
+  return gridDetector.detect(ctx.getImageData(0, 0, img.width, img.height));
+}
+
+export default function GridEditor({
+  isOpen,
+  sheet,   // Original sprite sheet record
+  onClose,
+  onSave,  // ({ gridSpec, spriteRegions }) => void
+}) {
+  const [image, setImage] = useState(null);
+  const [spec, setSpec] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [excluded, setExcluded] = useState(new Set());
+  const [selectedId, setSelectedId] = useState(null);
+  const [tool, setTool] = useState('select'); // 'select' or 'draw'
+  const [zoom, setZoom] = useState(1);
+  const [drag, setDrag] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const svgRef = useRef(null);
+  const imageRef = useRef(null);
+
+  // Names suggested by the sheet analysis, keyed by row/column
+  const analysisNames = Object.fromEntries(
+    (sheet?.spriteList || [])
+      .filter(sprite => sprite.row !== undefined && sprite.col !== undefined && sprite.name)
+      .map(sprite => [cellKey(sprite.row, sprite.col), sprite.name])
+  );
+
+  // Load the sheet and start from the saved grid, the analysis grid or a detected one
+  useEffect(() => {
+    if (!isOpen || !sheet?.base64) return;
+    let cancelled = false;
+
+    const img = new Image();
+    img.onload = () => {
+      if (cancelled) return;
+      const size = { width: img.width, height: img.height };
+      const initialSpec = sheet.gridSpec ||
+        gridDetector.normalize(sheet.gridInfo, img.width, img.height) ||
+        detectSpec(img) ||
+        { cols: 1, rows: 1, cellWidth: img.width, cellHeight: img.height, offsetX: 0, offsetY: 0, spacingX: 0, spacingY: 0 };
+
+      let initialRegions;
+      let initialExcluded = new Set();
+      if (sheet.spriteRegions?.length) {
+        initialRegions = sheet.spriteRegions;
+        // Grid cells missing from the saved regions were removed by hand
+        const present = new Set(initialRegions.filter(isGridCell).map(region => cellKey(region.row, region.col)));
+        initialExcluded = new Set(
+          gridDetector.getCells(initialSpec, size.width, size.height)
+            .map(cell => cellKey(cell.row, cell.col))
+            .filter(key => !present.has(key))
+        );
+      } else {
+        initialRegions = buildRegions(initialSpec, size, [], initialExcluded, analysisNames);
+      }
+
+      setImage(size);
+      setSpec(initialSpec);
+      setRegions(initialRegions);
+      setExcluded(initialExcluded);
+      setSelectedId(null);
+      setNotice(null);
+      setZoom([...ZOOM_LEVELS].reverse().find(level => img.width * level <= MAX_PREVIEW_WIDTH) || ZOOM_LEVELS[0]);
+      imageRef.current = img;
+    };
+    img.src = sheet.base64;
+
+    return () => { cancelled = true; };
+  }, [isOpen, sheet?.id]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !drag) onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [isOpen, drag, onClose]);
+
+  // Convert a mouse event to image pixel coordinates
+  const toImagePoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: Math.round(Math.min(image.width, Math.max(0, (e.clientX - rect.left) / zoom))),
+      y: Math.round(Math.min(image.height, Math.max(0, (e.clientY - rect.top) / zoom)))
+    };
+  };
+
+  const applySpec = (nextSpec, nextExcluded = excluded, previous = regions) => {
+    setSpec(nextSpec);
+    setRegions(buildRegions(nextSpec, image, previous, nextExcluded, analysisNames));
+  };
+
+  const updateSpecField = (field, rawValue) => {
+    const value = Math.round(Number(rawValue));
+    if (!Number.isFinite(value)) return;
+    const { min, max } = SPEC_FIELDS.find(f => f.key === field);
+    applySpec({ ...spec, [field]: Math.min(max ?? Infinity, Math.max(min, value)) });
+  };
+
+  const updateRegion = (id, changes) => {
+    setRegions(prev => prev.map(region => region.id === id ? { ...region, ...changes } : region));
+  };
+
+  const removeRegion = (region) => {
+    if (isGridCell(region)) {
+      const nextExcluded = new Set(excluded);
+      nextExcluded.add(cellKey(region.row, region.col));
+      setExcluded(nextExcluded);
+    }
+    setRegions(prev => prev.filter(r => r.id !== region.id));
+    setSelectedId(null);
+  };
+
+  const handleDetect = () => {
+    const detected = imageRef.current && detectSpec(imageRef.current);
+    if (!detected) {
+      setNotice('No grid found - set it up manually');
+      return;
+    }
+    // Start over from the detected grid, keeping cell names
+    const names = regions.filter(isGridCell).map(region => ({ ...region, custom: false }));
+    setExcluded(new Set());
+    applySpec(detected, new Set(), names);
+    setNotice(`Detected ${detected.cols} x ${detected.rows} grid`);
+  };
+
+  const handleFit = () => {
+    applySpec(gridDetector.normalize({ ...spec, cellWidth: null, cellHeight: null }, image.width, image.height));
+  };
+
+  const handleRestoreCells = () => {
+    const nextExcluded = new Set();
+    setExcluded(nextExcluded);
+    applySpec(spec, nextExcluded);
+  };
+
+  // Drag interactions: moving/resizing regions, drawing new ones, moving grid lines
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMouseMove = (e) => {
+      const point = toImagePoint(e);
+      const dx = point.x - drag.start.x;
+      const dy = point.y - drag.start.y;
+
+      if (drag.type === 'move') {
+        const { origin } = drag;
+        updateRegion(origin.id, {
+          x: Math.min(image.width - origin.width, Math.max(0, origin.x + dx)),
+          y: Math.min(image.height - origin.height, Math.max(0, origin.y + dy)),
+          custom: true
+        });
+      } else if (drag.type === 'resize') {
+        const { origin } = drag;
+        updateRegion(origin.id, {
+          width: Math.max(1, Math.min(image.width - origin.x, origin.width + dx)),
+          height: Math.max(1, Math.min(image.height - origin.y, origin.height + dy)),
+          custom: true
+        });
+      } else if (drag.type === 'draw') {
+        setDrag(prev => ({ ...prev, current: point }));
+      } else if (drag.type === 'line') {
+        // Line `index` is the left/top edge of that column/row; the last one is the far edge
+        const horizontal = drag.axis === 'x';
+        const count = horizontal ? spec.cols : spec.rows;
+        const offsetKey = horizontal ? 'offsetX' : 'offsetY';
+        const cellKeyName = horizontal ? 'cellWidth' : 'cellHeight';
+        const spacing = horizontal ? spec.spacingX : spec.spacingY;
+        const position = horizontal ? point.x : point.y;
+
+        if (drag.index === 0) {
+          applySpec({ ...spec, [offsetKey]: position });
+        } else {
+          const steps = drag.index === count ? count : drag.index;
+          const gaps = drag.index === count ? count - 1 : drag.index;
+          const cellSize = Math.round((position - spec[offsetKey] - gaps * spacing) / steps);
+          applySpec({ ...spec, [cellKeyName]: Math.max(1, cellSize) });
+        }
+      }
+    };
+
+    const handleMouseUp = () => {
+      if (drag.type === 'draw' && drag.current) {
+        const x = Math.min(drag.start.x, drag.current.x);
+        const y = Math.min(drag.start.y, drag.current.y);
+        const width = Math.abs(drag.current.x - drag.start.x);
+        const height = Math.abs(drag.current.y - drag.start.y);
+        if (width >= 2 && height >= 2) {
+          const id = `region_${Date.now()}_${drawnCount++}`;
+          setRegions(prev => [...prev, { id, x, y, width, height, name: '', custom: true }]);
+          setSelectedId(id);
+        }
+      }
+      setDrag(null);
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    document.body.style.userSelect = 'none';
+    return () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+      document.body.style.userSelect = '';
+    };
+  }, [drag, spec, image, zoom, excluded]);
+
+  if (!isOpen) return null;
+
+  const selected = regions.find(region => region.id === selectedId);
+
+  const handleCanvasMouseDown = (e) => {
+    if (e.button !== 0) return;
+    if (tool === 'draw') {
+      setDrag({ type: 'draw', start: toImagePoint(e), current: null });
+    } else {
+      setSelectedId(null);
+    }
+  };
+
+  const startRegionDrag = (e, region, type) => {
+    if (tool !== 'select' || e.button !== 0) return;
+    e.stopPropagation();
+    setSelectedId(region.id);
+    setDrag({ type, origin: region, start: toImagePoint(e) });
+  };
+
+  const startLineDrag = (e, axis, index) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    setDrag({ type: 'line', axis, index, start: toImagePoint(e) });
+  };
+
+  const handleSave = () => {
+    onSave({
+      gridSpec: spec,
+      spriteRegions: regions.map(({ id, row, col, x, y, width, height, name, custom }) => ({
+        id, x, y, width, height, name,
+        ...(row !== undefined && { row, col }),
+        ...(custom && { custom })
+      }))
+    });
+  };
+
+  // Grid line positions: left/top edge of each column/row plus the far edge
+  const linePositions = (axis) => {
+    if (!spec) return [];
+    const horizontal = axis === 'x';
+    const count = horizontal ? spec.cols : spec.rows;
+    const offset = horizontal ? spec.offsetX : spec.offsetY;
+    const cell = horizontal ? spec.cellWidth : spec.cellHeight;
+    const spacing = horizontal ? spec.spacingX : spec.spacingY;
+    return Array.from({ length: count + 1 }, (_, i) =>
+      i < count ? offset + i * (cell + spacing) : offset + count * cell + (count - 1) * spacing
+    );
+  };
+
+  const drawPreview = drag?.type === 'draw' && drag.current && {
+    x: Math.min(drag.start.x, drag.current.x),
+    y: Math.min(drag.start.y, drag.current.y),
+    width: Math.abs(drag.current.x - drag.start.x),
+    height: Math.abs(drag.current.y - drag.start.y)
+  };
+
+  const styles = {
+    overlay: {
+      position: 'fixed',
+      inset: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000,
+    },
+    modal: {
+      width: '1040px',
+      maxWidth: '95vw',
+      height: '85vh',
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.lg,
+      border: `1px solid ${COLORS.ui.border}`,
+      display: 'flex',
+      flexDirection: 'column',
+      overflow: 'hidden',
+    },
+    header: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: SPACING.md,
+      borderBottom: `1px solid ${COLORS.ui.border}`,
+    },
+    title: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.md,
+      color: COLORS.text.primary,
+    },
+    closeButton: {
+      background: 'none',
+      border: 'none',
+      color: COLORS.text.secondary,
+      cursor: 'pointer',
+      padding: SPACING.xs,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    body: {
+      flex: 1,
+      display: 'flex',
+      minHeight: 0,
+    },
+    canvasArea: {
+      flex: 1,
+      overflow: 'auto',
+      padding: SPACING.md,
+      backgroundColor: COLORS.background.primary,
+    },
+    canvas: {
+      position: 'relative',
+      display: 'inline-block',
+      lineHeight: 0,
+      backgroundImage: `repeating-conic-gradient(${COLORS.background.card} 0% 25%, transparent 0% 50%)`,
+      backgroundSize: '16px 16px',
+    },
+    sheetImage: {
+      imageRendering: 'pixelated',
+      display: 'block',
+    },
+    svg: {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      cursor: tool === 'draw' ? 'crosshair' : 'default',
+    },
+    sidebar: {
+      width: '300px',
+      borderLeft: `1px solid ${COLORS.ui.border}`,
+      padding: SPACING.md,
+      overflowY: 'auto',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.md,
+    },
+    sectionTitle: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      fontWeight: TYPOGRAPHY.fontWeight.semibold,
+      color: COLORS.text.secondary,
+      textTransform: 'uppercase',
+      letterSpacing: '0.05em',
+      marginBottom: SPACING.xs,
+    },
+    fieldGrid: {
+      display: 'grid',
+      gridTemplateColumns: '1fr 1fr',
+      gap: SPACING.sm,
+    },
+    fieldLabel: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted,
+    },
+    input: {
+      width: '100%',
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      backgroundColor: COLORS.background.primary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      boxSizing: 'border-box',
+    },
+    buttonRow: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+    },
+    smallButton: (isActive) => ({
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: SPACING.xs,
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      backgroundColor: isActive ? COLORS.ui.active : 'transparent',
+      border: `1px solid ${isActive ? COLORS.ui.active : COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: isActive ? '#000' : COLORS.text.secondary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      cursor: 'pointer',
+    }),
+    notice: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.info,
+      marginTop: SPACING.xs,
+    },
+    regionList: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '2px',
+      maxHeight: '220px',
+      overflowY: 'auto',
+    },
+    regionRow: (isSelected) => ({
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.xs,
+      padding: '2px',
+      borderRadius: BORDER_RADIUS.sm,
+      backgroundColor: isSelected ? `${COLORS.ui.active}30` : 'transparent',
+    }),
+    regionIndex: {
+      width: '28px',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted,
+      cursor: 'pointer',
+      flexShrink: 0,
+    },
+    footer: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.sm,
+      padding: SPACING.md,
+      borderTop: `1px solid ${COLORS.ui.border}`,
+    },
+    footerHint: {
+      flex: 1,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted,
+    },
+    button: (variant) => ({
+      display: 'inline-flex',
+      alignItems: 'center',
+      gap: SPACING.xs,
+      padding: `${SPACING.sm} ${SPACING.lg}`,
+      backgroundColor: variant === 'primary' ? COLORS.ui.active : 'transparent',
+      border: variant === 'primary' ? 'none' : `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: variant === 'primary' ? '#000' : COLORS.text.secondary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      fontWeight: TYPOGRAPHY.fontWeight.medium,
+      cursor: 'pointer',
+    }),
+  };
+
+  const strokeProps = { vectorEffect: 'non-scaling-stroke' };
+
+  return (
+    <div style={styles.overlay} onClick={onClose}>
+      <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.header}>
+          <div style={styles.title}>Edit Grid - {sheet?.filename || sheet?.name || 'Sprite Sheet'}</div>
+          <button style={styles.closeButton} onClick={onClose}>
+            <CloseIcon size={20} />
+          </button>
+        </div>
+
+        <div style={styles.body}>
+          {/* Sheet with grid overlay */}
+          <div style={styles.canvasArea}>
+            {image && spec ? (
+              <div style={styles.canvas}>
+                <img
+                  src={sheet.base64}
+                  alt="Sprite sheet"
+                  width={image.width * zoom}
+                  height={image.height * zoom}
+                  style={styles.sheetImage}
+                  draggable={false}
+                />
+                <svg
+                  ref={svgRef}
+                  width={image.width * zoom}
+                  height={image.height * zoom}
+                  viewBox={`0 0 ${image.width} ${image.height}`}
+                  style={styles.svg}
+                  onMouseDown={handleCanvasMouseDown}
+                >
+                  {regions.map((region, idx) => {
+                    const isSelected = region.id === selectedId;
+                    const color = isSelected ? COLORS.ui.active : region.custom ? COLORS.ui.warning : COLORS.ui.success;
+                    return (
+                      <g key={region.id} style={{ pointerEvents: tool === 'draw' ? 'none' : 'auto' }}>
+                        <rect
+                          x={region.x}
+                          y={region.y}
+                          width={region.width}
+                          height={region.height}
+                          fill={`${color}${isSelected ? '40' : '18'}`}
+                          stroke={color}
+                          strokeWidth={isSelected ? 2 : 1}
+                          {...strokeProps}
+                          style={{ cursor: 'move' }}
+                          onMouseDown={(e) => startRegionDrag(e, region, 'move')}
+                        />
+                        <text
+                          x={region.x + 2 / zoom}
+                          y={region.y + 11 / zoom}
+                          fontSize={10 / zoom}
+                          fill={color}
+                          style={{ pointerEvents: 'none', fontFamily: TYPOGRAPHY.fontFamily.system }}
+                        >
+                          {region.name || idx + 1}
+                        </text>
+                        {isSelected && (
+                          <rect
+                            x={region.x + region.width - 4 / zoom}
+                            y={region.y + region.height - 4 / zoom}
+                            width={8 / zoom}
+                            height={8 / zoom}
+                            fill={COLORS.ui.active}
+                            style={{ cursor: 'nwse-resize' }}
+                            onMouseDown={(e) => startRegionDrag(e, region, 'resize')}
+                          />
+                        )}
+                      </g>
+                    );
+                  })}
+
+                  {/* Draggable grid lines */}
+                  {tool === 'select' && ['x', 'y'].map(axis => linePositions(axis).map((position, index) => {
+                    const vertical = axis === 'x';
+                    const line = vertical
+                      ? { x1: position, y1: 0, x2: position, y2: image.height }
+                      : { x1: 0, y1: position, x2: image.width, y2: position };
+                    return (
+                      <g key={`${axis}${index}`}>
+                        <line {...line} stroke={COLORS.ui.info} strokeWidth={1} strokeDasharray="4 3" {...strokeProps} opacity={0.7} />
+                        <line
+                          {...line}
+                          stroke="transparent"
+                          strokeWidth={8}
+                          {...strokeProps}
+                          style={{ cursor: vertical ? 'ew-resize' : 'ns-resize', pointerEvents: 'stroke' }}
+                          onMouseDown={(e) => startLineDrag(e, axis, index)}
+                        />
+                      </g>
+                    );
+                  }))}
+
+                  {drawPreview && (
+                    <rect
+                      {...drawPreview}
+                      fill={`${COLORS.ui.warning}30`}
+                      stroke={COLORS.ui.warning}
+                      strokeDasharray="3 2"
+                      {...strokeProps}
+                    />
+                  )}
+                </svg>
+              </div>
+            ) : (
+              <div style={styles.fieldLabel}>Loading sheet...</div>
+            )}
+          </div>
+
+          {/* Controls */}
+          {spec && (
+            <div style={styles.sidebar}>
+              <div>
+                <div style={styles.sectionTitle}>Grid</div>
+                <div style={styles.fieldGrid}>
+                  {SPEC_FIELDS.map(field => (
+                    <label key={field.key} style={styles.fieldLabel}>
+                      {field.label}
+                      <input
+                        type="number"
+                        min={field.min}
+                        max={field.max}
+                        value={spec[field.key]}
+                        onChange={(e) => updateSpecField(field.key, e.target.value)}
+                        style={styles.input}
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div style={{ ...styles.buttonRow, marginTop: SPACING.sm }}>
+                  <button style={styles.smallButton(false)} onClick={handleDetect}>
+                    <RefreshIcon size={12} /> Auto-detect
+                  </button>
+                  <button style={styles.smallButton(false)} onClick={handleFit}>
+                    Fit cells to sheet
+                  </button>
+                  {excluded.size > 0 && (
+                    <button style={styles.smallButton(false)} onClick={handleRestoreCells}>
+                      Restore {excluded.size} removed cell(s)
+                    </button>
+                  )}
+                </div>
+                {notice && <div style={styles.notice}>{notice}</div>}
+              </div>
+
+              <div>
+                <div style={styles.sectionTitle}>Tool</div>
+                <div style={styles.buttonRow}>
+                  <button style={styles.smallButton(tool === 'select')} onClick={() => setTool('select')}>
+                    Select / drag lines
+                  </button>
+                  <button style={styles.smallButton(tool === 'draw')} onClick={() => setTool('draw')}>
+                    Draw rectangle
+                  </button>
+                </div>
+                <div style={{ ...styles.buttonRow, marginTop: SPACING.sm }}>
+                  {ZOOM_LEVELS.map(level => (
+                    <button key={level} style={styles.smallButton(zoom === level)} onClick={() => setZoom(level)}>
+                      {level * 100}%
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {selected && (
+                <div>
+                  <div style={styles.sectionTitle}>Selected cell</div>
+                  <div style={styles.fieldGrid}>
+                    {['x', 'y', 'width', 'height'].map(key => (
+                      <label key={key} style={styles.fieldLabel}>
+                        {key}
+                        <input
+                          type="number"
+                          min={key === 'width' || key === 'height' ? 1 : 0}
+                          value={selected[key]}
+                          onChange={(e) => {
+                            const value = Math.round(Number(e.target.value));
+                            if (Number.isFinite(value)) {
+                              updateRegion(selected.id, { [key]: Math.max(key === 'width' || key === 'height' ? 1 : 0, value), custom: true });
+                            }
+                          }}
+                          style={styles.input}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <div style={{ ...styles.buttonRow, marginTop: SPACING.sm }}>
+                    <button style={styles.smallButton(false)} onClick={() => removeRegion(selected)}>
+                      <DeleteIcon size={12} /> Remove cell
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <div style={styles.sectionTitle}>Cells ({regions.length})</div>
+                <div style={styles.regionList}>
+                  {regions.map((region, idx) => (
+                    <div key={region.id} style={styles.regionRow(region.id === selectedId)}>
+                      <span style={styles.regionIndex} onClick={() => setSelectedId(region.id)}>
+                        {isGridCell(region) ? `${region.row + 1}:${region.col + 1}` : `+${idx + 1}`}
+                      </span>
+                      <input
+                        value={region.name}
+                        placeholder={`Sprite ${idx + 1}`}
+                        onFocus={() => setSelectedId(region.id)}
+                        onChange={(e) => updateRegion(region.id, { name: e.target.value })}
+                        style={styles.input}
+                      />
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div style={styles.footer}>
+          <div style={styles.footerHint}>
+            Drag dashed lines to resize the grid, drag a cell to move it, use its corner handle to resize it.
+          </div>
+          <button style={styles.button('secondary')} onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            style={{ ...styles.button('primary'), opacity: regions.length ? 1 : 0.5 }}
+            onClick={handleSave}
+            disabled={!regions.length}
+          >
+            <SaveIcon size={14} color="#000" /> Save & Extract {regions.length} Sprite(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
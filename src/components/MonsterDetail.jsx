@@ -6,6 +6,10 @@
 
 import React, { useState } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../styles/theme';
+import { ELEMENT_TYPES } from '../data/elements';
+import monsterEditor from '../services/monsterEditor';
+import { useSettings } from '../stores/useSettingsStore';
+import EditableField from './EditableField';
 
 // Tab components
 import OverviewTab from './tabs/OverviewTab';
@@ -14,6 +18,7 @@ import EvolutionsTab from './tabs/EvolutionsTab';
 import PosesTab from './tabs/PosesTab';
 import GenerateTab from './tabs/GenerateTab';
 import ExportTab from './tabs/ExportTab';
+import HistoryTab from './tabs/HistoryTab';
 
 const TABS = [
   { id: 'overview', label: 'Overview' },
@@ -21,11 +26,14 @@ const TABS = [
   { id: 'evolutions', label: 'Evolutions' },
   { id: 'poses', label: 'Poses' },
   { id: 'generate', label: 'Generate' },
-  { id: 'export', label: 'Export' }
+  { id: 'export', label: 'Export' },
+  { id: 'history', label: 'History' }
 ];
 
-export default function MonsterDetail({ monster, onUpdate }) {
+export default function MonsterDetail({ monster, onUpdate, onUsePalette }) {
   const [activeTab, setActiveTab] = useState('overview');
+  const { showTransformationHistory } = useSettings();
+  const tabs = TABS.filter(tab => tab.id !== 'history' || showTransformationHistory);
 
   const styles = {
     container: {
@@ -73,6 +81,14 @@ export default function MonsterDetail({ monster, onUpdate }) {
       fontSize: TYPOGRAPHY.fontSize.xs,
       border: `1px solid ${ELEMENT_COLORS[element]?.primary || COLORS.ui.border}`
     }),
+    secondaryPlaceholder: {
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.muted,
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      border: `1px dashed ${COLORS.ui.border}`
+    },
     tabs: {
       display: 'flex',
       borderBottom: `1px solid ${COLORS.ui.border}`,
@@ -115,20 +131,32 @@ export default function MonsterDetail({ monster, onUpdate }) {
     );
   }
 
+  // Validate and save a manual edit; returns the error message, if any
+  const handleEdit = onUpdate ? (edit) => {
+    const { monster: updated, error } = monsterEditor.applyEdit(monster, edit);
+    if (error) return error;
+    if (updated !== monster) onUpdate(updated);
+    return null;
+  } : undefined;
+
+  const elementOptions = ELEMENT_TYPES.map(element => ({ value: element, label: element }));
+
   const renderTabContent = () => {
     switch (activeTab) {
       case 'overview':
-        return <OverviewTab monster={monster} />;
+        return <OverviewTab monster={monster} onUpdate={onUpdate} onEdit={handleEdit} onUsePalette={onUsePalette} />;
       case 'abilities':
-        return <AbilitiesTab monster={monster} />;
+        return <AbilitiesTab monster={monster} onEdit={handleEdit} />;
       case 'evolutions':
-        return <EvolutionsTab monster={monster} />;
+        return <EvolutionsTab monster={monster} onUpdate={onUpdate} onEdit={handleEdit} />;
       case 'poses':
         return <PosesTab monster={monster} />;
       case 'generate':
         return <GenerateTab monster={monster} onUpdate={onUpdate} />;
       case 'export':
         return <ExportTab monster={monster} />;
+      case 'history':
+        return showTransformationHistory ? <HistoryTab monster={monster} /> : null;
       default:
         return null;
     }
@@ -143,22 +171,47 @@ export default function MonsterDetail({ monster, onUpdate }) {
           style={styles.sprite}
         />
         <div style={styles.info}>
-          <div style={styles.name}>{monster.name}</div>
+          <div style={styles.name}>
+            <EditableField
+              value={monster.name}
+              onSave={handleEdit && ((value) => handleEdit({ field: 'name', value }))}
+            />
+          </div>
           <div style={styles.elements}>
-            <span style={styles.elementBadge(monster.primaryElement)}>
-              {monster.primaryElement}
-            </span>
-            {monster.secondaryElement && (
-              <span style={styles.elementBadge(monster.secondaryElement)}>
-                {monster.secondaryElement}
+            <EditableField
+              type="select"
+              value={monster.primaryElement}
+              options={elementOptions}
+              onSave={handleEdit && ((value) => handleEdit({ field: 'primaryElement', value }))}
+              title="Click to change element"
+            >
+              <span style={styles.elementBadge(monster.primaryElement)}>
+                {monster.primaryElement}
               </span>
+            </EditableField>
+            {(monster.secondaryElement || handleEdit) && (
+              <EditableField
+                type="select"
+                value={monster.secondaryElement || null}
+                options={[{ value: null, label: 'None' }, ...elementOptions]}
+                onSave={handleEdit && ((value) => handleEdit({ field: 'secondaryElement', value }))}
+                title="Click to change element"
+              >
+                {monster.secondaryElement ? (
+                  <span style={styles.elementBadge(monster.secondaryElement)}>
+                    {monster.secondaryElement}
+                  </span>
+                ) : (
+                  <span style={styles.secondaryPlaceholder}>+ Element</span>
+                )}
+              </EditableField>
             )}
           </div>
         </div>
       </div>
 
       <div style={styles.tabs}>
-        {TABS.map((tab) => (
+        {tabs.map((tab) => (
           <button
             key={tab.id}
             style={styles.tab(activeTab === tab.id)}
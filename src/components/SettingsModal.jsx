@@ -7,6 +7,13 @@
 import React, { useState, useEffect } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
 import { settingsStore } from '../stores/useSettingsStore';
+import libraryStorage from '../stores/libraryStorage';
+import { STAT_PROFILES } from '../data/statProfiles';
+import { CHAIN_SHAPES } from '../data/evolutions';
+import { DETECTION_MODES } from '../services/spriteExtractor';
+import { KEY_MODES } from '../services/backgroundRemover';
+import { GROUPING_MODES } from '../services/frameGrouper';
+import { ART_STYLES } from '../services/nanoBanana';
 import { IntegrationsIcon, ForgeIcon, InfoIcon, CloseIcon, SaveIcon, DeleteIcon, RefreshIcon, ImageIcon } from './Icons';
 
 const TABS = [
@@ -16,7 +23,7 @@ const TABS = [
   { id: 'about', label: 'About', Icon: InfoIcon },
 ];
 
-export default function SettingsModal({ isOpen, onClose }) {
+export default function SettingsModal({ isOpen, onClose, onRebalanceCollection }) {
   const [activeTab, setActiveTab] = useState('storage');
   const [settings, setSettings] = useState(settingsStore.getSettings());
   
@@ -31,6 +38,9 @@ export default function SettingsModal({ isOpen, onClose }) {
   const [testStatus, setTestStatus] = useState('idle'); // idle, testing, success, error
   const [testError, setTestError] = useState(null);
   
+  // Library storage usage (local mode)
+  const [storageUsage, setStorageUsage] = useState(null);
+  
   // Sync with store
   useEffect(() => {
     return settingsStore.subscribe((newSettings) => {
@@ -38,6 +48,16 @@ export default function SettingsModal({ isOpen, onClose }) {
     });
   }, []);
   
+  // Refresh storage usage whenever the storage tab is shown
+  useEffect(() => {
+    if (!isOpen || activeTab !== 'storage' || settings.storageMode !== 'local') return;
+    let cancelled = false;
+    libraryStorage.getUsage().then(usage => {
+      if (!cancelled) setStorageUsage(usage);
+    });
+    return () => { cancelled = true; };
+  }, [isOpen, activeTab, settings.storageMode]);
+  
   // Handle ESC key
   useEffect(() => {
     if (!isOpen) return;
@@ -310,6 +330,31 @@ export default function SettingsModal({ isOpen, onClose }) {
       color: COLORS.ui.active,
       textDecoration: 'none',
     },
+    usageBar: {
+      height: '8px',
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.sm,
+      overflow: 'hidden',
+      margin: `${SPACING.sm} 0`,
+    },
+    usageFill: (ratio) => ({
+      height: '100%',
+      width: `${Math.min(100, Math.max(1, ratio * 100))}%`,
+      backgroundColor: ratio > 0.8 ? COLORS.ui.warning : COLORS.ui.active,
+    }),
+    usageText: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+    },
+  };
+  
+  const formatBytes = (bytes) => {
+    if (bytes === null || bytes === undefined) return '?';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
   };
   
   const renderStorageTab = () => (
@@ -346,7 +391,7 @@ export default function SettingsModal({ isOpen, onClose }) {
                   Local Storage (Browser)
                 </div>
                 <div style={{ fontSize: TYPOGRAPHY.fontSize.xs, color: COLORS.text.secondary }}>
-                  Sprites are saved in your browser's localStorage. Data persists across refreshes but is limited to this browser/device.
+                  Sprites are saved in your browser's IndexedDB. Data persists across refreshes but is limited to this browser/device.
                 </div>
               </div>
             </label>
@@ -386,10 +431,31 @@ export default function SettingsModal({ isOpen, onClose }) {
         {/* Local Storage Info */}
         {settings.storageMode === 'local' && (
           <div style={styles.infoBox}>
-            <div style={styles.infoTitle}>Local Storage Notes:</div>
+            <div style={styles.infoTitle}>Storage Usage:</div>
+            {storageUsage ? (
+              <>
+                {storageUsage.quota ? (
+                  <div style={styles.usageBar} title={`${formatBytes(storageUsage.usage)} of ${formatBytes(storageUsage.quota)}`}>
+                    <div style={styles.usageFill(storageUsage.usage / storageUsage.quota)} />
+                  </div>
+                ) : null}
+                <div style={styles.usageText}>
+                  {formatBytes(storageUsage.usage)} used
+                  {storageUsage.quota ? ` of ${formatBytes(storageUsage.quota)} available` : ''}
+                </div>
+                <div style={styles.usageText}>
+                  {storageUsage.originals} originals, {storageUsage.transformations} transformations,
+                  {' '}{storageUsage.assets} images ({formatBytes(storageUsage.assetBytes)})
+                </div>
+              </>
+            ) : (
+              <div style={styles.usageText}>Calculating...</div>
+            )}
+            
+            <div style={{ ...styles.infoTitle, marginTop: SPACING.md }}>Local Storage Notes:</div>
             <ul style={styles.infoList}>
-              <li>Data is stored in your browser's localStorage</li>
-              <li>Storage limit is typically 5-10MB depending on browser</li>
+              <li>Data is stored in your browser's IndexedDB</li>
+              <li>Images are stored once as binary files, separate from monster data</li>
               <li>Data will be lost if you clear browser data</li>
               <li>Not synced across devices or browsers</li>
             </ul>
@@ -399,8 +465,7 @@ export default function SettingsModal({ isOpen, onClose }) {
                 style={styles.button('danger')}
                 onClick={() => {
                   if (window.confirm('Are you sure you want to clear all local data? This cannot be undone.')) {
-                    settingsStore.clearLocalStorage();
-                    window.location.reload();
+                    libraryStorage.clear().then(() => window.location.reload());
                   }
                 }}
               >
@@ -623,6 +688,180 @@ export default function SettingsModal({ isOpen, onClose }) {
           </div>
         </div>
         
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Stat balance profile</label>
+          <select
+            value={settings.statProfile}
+            onChange={(e) => settingsStore.updateSettings({ statProfile: e.target.value })}
+            style={{ ...styles.input, paddingRight: SPACING.sm, fontFamily: TYPOGRAPHY.fontFamily.system }}
+          >
+            {Object.values(STAT_PROFILES).map(profile => (
+              <option key={profile.id} value={profile.id}>
+                {profile.name} - {profile.description}
+              </option>
+            ))}
+          </select>
+          <div style={styles.hint}>
+            How each stage's base-stat total is spread across HP, Attack, Defense, Special and Speed
+          </div>
+          {onRebalanceCollection && (
+            <div style={styles.buttonRow}>
+              <button
+                style={styles.button('secondary')}
+                onClick={() => {
+                  const profile = STAT_PROFILES[settings.statProfile];
+                  if (window.confirm(`Rebalance stats for every monster using the ${profile?.name || settings.statProfile} profile?`)) {
+                    onRebalanceCollection(settings.statProfile);
+                  }
+                }}
+              >
+                <RefreshIcon size={14} />
+                Apply to All Monsters
+              </button>
+            </div>
+          )}
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Evolution chain</label>
+          <select
+            value={settings.chainShape || 'auto'}
+            onChange={(e) => settingsStore.updateSettings({ chainShape: e.target.value })}
+            style={{ ...styles.input, paddingRight: SPACING.sm, fontFamily: TYPOGRAPHY.fontFamily.system }}
+          >
+            <option value="auto">Auto - three stages</option>
+            {Object.values(CHAIN_SHAPES).map(shape => (
+              <option key={shape.id} value={shape.id}>{shape.name}</option>
+            ))}
+          </select>
+          <div style={styles.hint}>
+            Shape of the evolution tree for newly forged monsters. Chains can be edited per monster in the Evolutions tab
+          </div>
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Sprite sheet detection</label>
+          <select
+            value={settings.detectionMode || DETECTION_MODES.auto}
+            onChange={(e) => settingsStore.updateSettings({ detectionMode: e.target.value })}
+            style={{ ...styles.input, paddingRight: SPACING.sm, fontFamily: TYPOGRAPHY.fontFamily.system }}
+          >
+            <option value={DETECTION_MODES.auto}>Auto - whichever finds more sprites</option>
+            <option value={DETECTION_MODES.gaps}>Transparent gaps - split on empty rows and columns</option>
+            <option value={DETECTION_MODES.components}>Connected components - flood-fill opaque pixels</option>
+          </select>
+          <div style={{ display: 'flex', gap: SPACING.md, marginTop: SPACING.sm }}>
+            <label style={{ ...styles.hint, flex: 1 }}>
+              Alpha threshold
+              <input
+                type="number"
+                min={0}
+                max={254}
+                value={settings.alphaThreshold}
+                onChange={(e) => settingsStore.updateSettings({ alphaThreshold: Math.min(254, Math.max(0, Number(e.target.value) || 0)) })}
+                style={{ ...styles.input, paddingRight: SPACING.sm, marginTop: SPACING.xs }}
+              />
+            </label>
+            <label style={{ ...styles.hint, flex: 1 }}>
+              Connectivity
+              <select
+                value={settings.connectivity}
+                onChange={(e) => settingsStore.updateSettings({ connectivity: Number(e.target.value) })}
+                style={{ ...styles.input, paddingRight: SPACING.sm, marginTop: SPACING.xs, fontFamily: TYPOGRAPHY.fontFamily.system }}
+              >
+                <option value={8}>8 (diagonals touch)</option>
+                <option value={4}>4 (edges only)</option>
+              </select>
+            </label>
+            <label style={{ ...styles.hint, flex: 1 }}>
+              Merge distance (px)
+              <input
+                type="number"
+                min={0}
+                max={64}
+                value={settings.mergeDistance}
+                onChange={(e) => settingsStore.updateSettings({ mergeDistance: Math.min(64, Math.max(0, Number(e.target.value) || 0)) })}
+                style={{ ...styles.input, paddingRight: SPACING.sm, marginTop: SPACING.xs }}
+              />
+            </label>
+          </div>
+          <div style={styles.hint}>
+            How uploaded sheets with transparent backgrounds are split. Parts closer than the merge distance (a floating tail, sparks) stay with their sprite
+          </div>
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Background removal</label>
+          <div style={{ display: 'flex', gap: SPACING.md }}>
+            <select
+              value={settings.backgroundKey || KEY_MODES.flood}
+              onChange={(e) => settingsStore.updateSettings({ backgroundKey: e.target.value })}
+              style={{ ...styles.input, flex: 2, paddingRight: SPACING.sm, fontFamily: TYPOGRAPHY.fontFamily.system }}
+            >
+              <option value={KEY_MODES.flood}>Flood from edges - keep matching colors inside sprites</option>
+              <option value={KEY_MODES.global}>Every matching pixel</option>
+              <option value={KEY_MODES.off}>Off</option>
+            </select>
+            <label style={{ ...styles.hint, flex: 1, marginTop: 0 }}>
+              Tolerance
+              <input
+                type="number"
+                min={0}
+                max={128}
+                value={settings.keyTolerance}
+                onChange={(e) => settingsStore.updateSettings({ keyTolerance: Math.min(128, Math.max(0, Number(e.target.value) || 0)) })}
+                style={{ ...styles.input, paddingRight: SPACING.sm, marginTop: SPACING.xs }}
+              />
+            </label>
+          </div>
+          <div style={styles.hint}>
+            Sheets on a flat background (magenta, teal, white) have the border color keyed to transparency before sprites are detected and extracted
+          </div>
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Animation frame grouping</label>
+          <select
+            value={settings.frameGrouping || GROUPING_MODES.none}
+            onChange={(e) => settingsStore.updateSettings({ frameGrouping: e.target.value })}
+            style={{ ...styles.input, paddingRight: SPACING.sm, fontFamily: TYPOGRAPHY.fontFamily.system }}
+          >
+            <option value={GROUPING_MODES.none}>Off - every cell is a separate sprite</option>
+            <option value={GROUPING_MODES.row}>By row - each sheet row is one character</option>
+            <option value={GROUPING_MODES.similarity}>By similarity - cells that look alike</option>
+            <option value={GROUPING_MODES.spriteList}>By analysis - characters found by Gemini</option>
+          </select>
+          <div style={styles.hint}>
+            Grouped cells are extracted as one sprite carrying its frames, which become the monster's animations instead of placeholders
+          </div>
+        </div>
+
+        <div style={styles.formGroup}>
+          <label style={styles.label}>Pixel grid snap</label>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: `${SPACING.xs} ${SPACING.md}` }}>
+            {Object.values(ART_STYLES).map(style => {
+              const snapStyles = settings.pixelSnapStyles || [];
+              return (
+                <label key={style.id} style={{ ...styles.hint, display: 'flex', alignItems: 'center', gap: SPACING.xs, marginTop: 0 }}>
+                  <input
+                    type="checkbox"
+                    checked={snapStyles.includes(style.id)}
+                    onChange={(e) => settingsStore.updateSettings({
+                      pixelSnapStyles: e.target.checked
+                        ? [...snapStyles, style.id]
+                        : snapStyles.filter(id => id !== style.id)
+                    })}
+                  />
+                  {style.name}{style.resolution ? ` (${style.resolution}px)` : ''}
+                </label>
+              );
+            })}
+          </div>
+          <div style={styles.hint}>
+            Forge output in these styles is snapped to its drawn pixel grid, downsampled to the style's resolution and limited to the source sprite's or the custom palette. The raw output is kept for comparison
+          </div>
+        </div>
+        
         <div style={styles.formGroup}>
           <label style={{ ...styles.label, display: 'flex', alignItems: 'center', gap: SPACING.sm }}>
             <input
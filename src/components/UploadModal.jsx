@@ -2,11 +2,18 @@
  * UploadModal Component
  * 
  * Modal that appears after image upload to ask if it's a single sprite
- * or a sprite sheet with multiple characters.
+ * or a sprite sheet with multiple characters. Uploads that duplicate a
+ * library entry are flagged with the choice to skip, merge or keep them.
+ * Animated uploads show their frame count and playback rate. Sheets can
+ * carry Aseprite/TexturePacker atlas JSON, whose frame rectangles are then
+ * used for extraction instead of auto-detection.
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
+import { DUPLICATE_ACTIONS } from '../services/duplicateDetector';
+import { ATLAS_FORMATS } from '../services/atlasImporter';
+import animationDecoder from '../services/animationDecoder';
 import { CloseIcon, ImageIcon, GroupIcon, SparkleIcon } from './Icons';
 
 export default function UploadModal({ 
@@ -14,13 +21,42 @@ export default function UploadModal({
   onClose, 
   imagePreview, 
   filename,
-  onConfirm, // (isSpriteSheet: boolean, estimatedCount?: number) => void
+  duplicates = [], // Library matches from duplicateDetector.findMatches
+  animation = null, // Decoded frames from animationDecoder.decodeFile
+  atlas = null, // Parsed atlas from atlasImporter.readFile
+  onAtlasSelect, // (file: File|null) => Promise - attaches or removes atlas JSON, rejects if unreadable
+  onConfirm, // (isSpriteSheet: boolean, estimatedCount?: number, analysis?: object, duplicateAction?: string) => void
   onAnalyze, // () => Promise<{ spriteCount: number, description: string }>
 }) {
   const [mode, setMode] = useState('single'); // 'single' or 'sheet'
   const [analyzing, setAnalyzing] = useState(false);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [manualCount, setManualCount] = useState(1);
+  const [duplicateAction, setDuplicateAction] = useState(DUPLICATE_ACTIONS.keep);
+  const [atlasError, setAtlasError] = useState(null);
+
+  const duplicate = duplicates[0];
+
+  // Exact copies default to merging, near-duplicates to keeping both
+  useEffect(() => {
+    setDuplicateAction(duplicate?.exact ? DUPLICATE_ACTIONS.merge : DUPLICATE_ACTIONS.keep);
+  }, [duplicate]);
+
+  // An atlas means a sheet with one sprite per exported frame
+  useEffect(() => {
+    if (!atlas) return;
+    setMode('sheet');
+    setManualCount(atlas.frames.length);
+  }, [atlas]);
+
+  const handleAtlasSelect = async (file) => {
+    setAtlasError(null);
+    try {
+      await onAtlasSelect(file);
+    } catch (error) {
+      setAtlasError(error.message);
+    }
+  };
 
   const handleAnalyze = async () => {
     setAnalyzing(true);
@@ -42,7 +78,8 @@ export default function UploadModal({
     onConfirm(
       mode === 'sheet', 
       mode === 'sheet' ? manualCount : 1,
-      analysisResult // Pass full analysis result including gridInfo
+      analysisResult, // Pass full analysis result including gridInfo
+      duplicate ? duplicateAction : DUPLICATE_ACTIONS.keep
     );
     onClose();
   };
@@ -115,6 +152,51 @@ export default function UploadModal({
       color: COLORS.text.muted,
       marginTop: SPACING.xs,
     },
+    animationInfo: {
+      textAlign: 'center',
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.info,
+      marginTop: '2px',
+    },
+    duplicateSection: {
+      display: 'flex',
+      gap: SPACING.md,
+      alignItems: 'center',
+      padding: SPACING.md,
+      marginBottom: SPACING.lg,
+      backgroundColor: `${COLORS.ui.warning}15`,
+      border: `1px solid ${COLORS.ui.warning}40`,
+      borderRadius: BORDER_RADIUS.md,
+    },
+    duplicateThumb: {
+      width: '56px',
+      height: '56px',
+      objectFit: 'contain',
+      imageRendering: 'pixelated',
+      backgroundColor: COLORS.background.primary,
+      borderRadius: BORDER_RADIUS.sm,
+      flexShrink: 0,
+    },
+    duplicateText: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.ui.warning,
+      marginBottom: SPACING.sm,
+    },
+    duplicateOptions: {
+      display: 'flex',
+      gap: SPACING.xs,
+    },
+    duplicateOption: (isSelected) => ({
+      padding: `${SPACING.xs} ${SPACING.sm}`,
+      backgroundColor: isSelected ? `${COLORS.ui.active}20` : 'transparent',
+      border: `1px solid ${isSelected ? COLORS.ui.active : COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: isSelected ? COLORS.text.primary : COLORS.text.secondary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      cursor: 'pointer',
+    }),
     question: {
       fontFamily: TYPOGRAPHY.fontFamily.system,
       fontSize: TYPOGRAPHY.fontSize.md,
@@ -183,6 +265,28 @@ export default function UploadModal({
       borderRadius: BORDER_RADIUS.sm,
       border: `1px solid ${COLORS.ui.success}40`,
     },
+    atlasRow: {
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      gap: SPACING.sm,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.secondary,
+    },
+    atlasLink: {
+      background: 'none',
+      border: 'none',
+      padding: 0,
+      color: COLORS.ui.info,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      cursor: 'pointer',
+      textDecoration: 'underline',
+    },
+    atlasError: {
+      marginTop: SPACING.xs,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.error,
+    },
     countInput: {
       display: 'flex',
       alignItems: 'center',
@@ -239,9 +343,44 @@ export default function UploadModal({
             <div>
               <img src={imagePreview} alt="Uploaded" style={styles.previewImage} />
               <div style={styles.filename}>{filename}</div>
+              {animation && (
+                <div style={styles.animationInfo}>
+                  Animated {animation.format.toUpperCase()} - {animation.frames.length} frames, {animationDecoder.toAnimations(animation.frames).idle.fps} fps
+                </div>
+              )}
             </div>
           </div>
 
+          {/* Duplicate warning */}
+          {duplicate && (
+            <div style={styles.duplicateSection}>
+              <img src={duplicate.record.base64} alt="Existing sprite" style={styles.duplicateThumb} />
+              <div>
+                <div style={styles.duplicateText}>
+                  {duplicate.exact ? 'Exact duplicate of ' : 'Looks like '}
+                  <strong>{duplicate.record.name || duplicate.record.filename}</strong>
+                  {!duplicate.exact && ` (${duplicate.distance}/64 bits differ)`}
+                  {duplicates.length > 1 && ` and ${duplicates.length - 1} more`}
+                </div>
+                <div style={styles.duplicateOptions}>
+                  {[
+                    [DUPLICATE_ACTIONS.keep, 'Keep both'],
+                    [DUPLICATE_ACTIONS.merge, 'Merge into existing'],
+                    [DUPLICATE_ACTIONS.skip, 'Skip upload'],
+                  ].map(([action, label]) => (
+                    <button
+                      key={action}
+                      style={styles.duplicateOption(duplicateAction === action)}
+                      onClick={() => setDuplicateAction(action)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Question */}
           <div style={styles.question}>
             What type of image is this?
@@ -272,8 +411,23 @@ export default function UploadModal({
             </div>
           </div>
 
+          {/* Atlas frames (for sprite sheets exported with JSON) */}
+          {mode === 'sheet' && atlas && (
+            <div style={styles.analyzeSection}>
+              <div style={styles.atlasRow}>
+                <span>
+                  {atlas.format === ATLAS_FORMATS.aseprite ? 'Aseprite' : 'TexturePacker'} atlas - {atlas.frames.length} frames
+                  {atlas.tags.length > 0 && `, tags: ${atlas.tags.map(tag => tag.name).join(', ')}`}
+                </span>
+                <button style={styles.atlasLink} onClick={() => handleAtlasSelect(null)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          )}
+
           {/* AI Analysis (for sprite sheets) */}
-          {mode === 'sheet' && (
+          {mode === 'sheet' && !atlas && (
             <div style={styles.analyzeSection}>
               <button 
                 style={styles.analyzeButton}
@@ -308,6 +462,20 @@ export default function UploadModal({
                   style={styles.countNumber}
                 />
               </div>
+
+              <div style={{ ...styles.atlasRow, marginTop: SPACING.md }}>
+                <span>Exported from Aseprite or TexturePacker?</span>
+                <label style={styles.atlasLink}>
+                  Load atlas JSON
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={(e) => e.target.files?.[0] && handleAtlasSelect(e.target.files[0])}
+                    style={{ display: 'none' }}
+                  />
+                </label>
+              </div>
+              {atlasError && <div style={styles.atlasError}>{atlasError}</div>}
             </div>
           )}
         </div>
@@ -317,7 +485,7 @@ export default function UploadModal({
             Cancel
           </button>
           <button style={styles.button('primary')} onClick={handleConfirm}>
-            Continue
+            {duplicate && duplicateAction === DUPLICATE_ACTIONS.skip ? 'Skip' : 'Continue'}
           </button>
         </div>
       </div>
@@ -1,13 +1,19 @@
 /**
  * UploadZone Component
  * 
- * Drag & drop area for uploading sprite images/sheets.
+ * Drag & drop area for uploading sprite images/sheets. Accepts several
+ * files at once, dropped folders and .zip archives; Aseprite or
+ * TexturePacker JSON travels with its image as the atlas.
  */
 
 import React, { useCallback, useState } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../styles/theme';
+import batchImporter from '../services/batchImporter';
 
-export default function UploadZone({ onUpload, processing }) {
+export default function UploadZone({
+  onUpload, // (files: File[]) => void - every dropped/selected file, folders expanded
+  processing
+}) {
   const [isDragging, setIsDragging] = useState(false);
 
   const handleDragOver = useCallback((e) => {
@@ -20,23 +26,22 @@ export default function UploadZone({ onUpload, processing }) {
     setIsDragging(false);
   }, []);
 
-  const handleDrop = useCallback((e) => {
+  const handleDrop = useCallback(async (e) => {
     e.preventDefault();
     setIsDragging(false);
     
-    const files = Array.from(e.dataTransfer.files);
-    const imageFile = files.find(f => f.type.startsWith('image/'));
-    
-    if (imageFile) {
-      onUpload(imageFile);
+    const files = await batchImporter.collectDroppedFiles(e.dataTransfer);
+    if (files.length > 0) {
+      onUpload(files);
     }
   }, [onUpload]);
 
   const handleFileSelect = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (file) {
-      onUpload(file);
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) {
+      onUpload(files);
     }
+    e.target.value = '';
   }, [onUpload]);
 
   const styles = {
@@ -91,7 +96,7 @@ export default function UploadZone({ onUpload, processing }) {
       onDrop={handleDrop}
     >
       <div style={styles.title}>
-        {processing ? 'Processing...' : 'Drop Sprite Here'}
+        {processing ? 'Processing...' : 'Drop Sprites Here'}
       </div>
       <div style={styles.subtitle}>
         or click to browse
@@ -99,7 +104,8 @@ export default function UploadZone({ onUpload, processing }) {
       
       <input
         type="file"
-        accept="image/*"
+        accept="image/*,.json,application/json,.zip"
+        multiple
         onChange={handleFileSelect}
         style={styles.input}
         id="sprite-upload"
@@ -108,12 +114,12 @@ export default function UploadZone({ onUpload, processing }) {
       
       <label htmlFor="sprite-upload">
         <span style={styles.button}>
-          Select Image
+          Select Files
         </span>
       </label>
       
       <div style={styles.formats}>
-        Supports PNG, JPG, GIF (single sprites or sprite sheets)
+        Supports PNG, JPG, GIF (single sprites or sprite sheets), with optional Aseprite/TexturePacker JSON, and folders or ZIP archives of them
       </div>
     </div>
   );
@@ -1,14 +1,23 @@
 /**
  * AbilitiesTab Component
  * 
- * Shows monster abilities for each evolution stage.
+ * Shows the level-up learnset and the abilities known at each evolution stage.
+ * Ability names, types, power, accuracy and PP are editable inline.
  */
 
 import React, { useState } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../../styles/theme';
+import { describeEffect } from '../../data/abilities';
+import { describeMethod } from '../../data/evolutions';
+import { ELEMENT_TYPES } from '../../data/elements';
+import EditableField from '../EditableField';
 
-export default function AbilitiesTab({ monster }) {
-  const [selectedEvo, setSelectedEvo] = useState(1);
+const LEARNSET_VIEW = 'learnset';
+
+const ELEMENT_OPTIONS = ELEMENT_TYPES.map(element => ({ value: element, label: element }));
+
+export default function AbilitiesTab({ monster, onEdit }) {
+  const [selectedEvo, setSelectedEvo] = useState(monster?.learnset?.length ? LEARNSET_VIEW : 1);
 
   // Guard against missing data
   if (!monster) {
@@ -16,6 +25,8 @@ export default function AbilitiesTab({ monster }) {
   }
 
   const evolutions = monster.evolutions || [];
+  const learnset = monster.learnset || [];
+  const showLearnset = selectedEvo === LEARNSET_VIEW && learnset.length > 0;
   const currentEvo = evolutions[selectedEvo] || evolutions[0] || {};
   const abilities = currentEvo?.abilities || [];
 
@@ -99,6 +110,58 @@ export default function AbilitiesTab({ monster }) {
       backgroundColor: COLORS.background.secondary,
       borderRadius: BORDER_RADIUS.sm
     },
+    timeline: {
+      display: 'flex',
+      flexDirection: 'column',
+      borderLeft: `2px solid ${COLORS.ui.border}`,
+      marginLeft: SPACING.md,
+      paddingLeft: SPACING.md
+    },
+    timelineEntry: {
+      position: 'relative',
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.md,
+      padding: `${SPACING.sm} 0`
+    },
+    timelineDot: (element) => ({
+      position: 'absolute',
+      left: `calc(-${SPACING.md} - 6px)`,
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%',
+      backgroundColor: ELEMENT_COLORS[element]?.primary || COLORS.ui.border
+    }),
+    timelineLevel: {
+      width: '56px',
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary
+    },
+    timelineBody: {
+      flex: 1,
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.sm,
+      flexWrap: 'wrap'
+    },
+    timelineMeta: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted
+    },
+    timelineEffect: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+      fontStyle: 'italic'
+    },
+    evolutionMarker: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.active,
+      padding: `${SPACING.sm} 0 ${SPACING.xs}`
+    },
     empty: {
       textAlign: 'center',
       padding: SPACING.xl,
@@ -108,9 +171,44 @@ export default function AbilitiesTab({ monster }) {
     }
   };
 
+  // Edits apply to every copy of the ability (learnset and each form)
+  const abilityEditor = (ability, field) =>
+    onEdit && ((value) => onEdit({ field, value, ability: ability.name }));
+
+  const renderName = (ability) => (
+    <span style={styles.name}>
+      <EditableField value={ability.name} onSave={abilityEditor(ability, 'abilityName')} />
+    </span>
+  );
+
+  const renderType = (ability) => (
+    <EditableField
+      type="select"
+      value={ability.type}
+      options={ELEMENT_OPTIONS}
+      onSave={abilityEditor(ability, 'abilityType')}
+    >
+      <span style={styles.typeBadge(ability.type)}>{ability.type}</span>
+    </EditableField>
+  );
+
+  const renderNumber = (ability, field, suffix = '') => (
+    <EditableField type="number" value={ability[field]} onSave={abilityEditor(ability, field)}>
+      {ability[field]}{suffix}
+    </EditableField>
+  );
+
   return (
     <div style={styles.container}>
       <div style={styles.evoSelector}>
+        {learnset.length > 0 && (
+          <button
+            style={styles.evoButton(selectedEvo === LEARNSET_VIEW)}
+            onClick={() => setSelectedEvo(LEARNSET_VIEW)}
+          >
+            Learnset
+          </button>
+        )}
         {evolutions.map((evo, idx) => (
           <button
             key={idx}
@@ -122,7 +220,49 @@ export default function AbilitiesTab({ monster }) {
         ))}
       </div>
 
-      {abilities.length === 0 ? (
+      {showLearnset ? (
+        <div style={styles.timeline}>
+          {learnset.map((entry, idx) => {
+            const { ability } = entry;
+            const previousLevel = idx === 0 ? 0 : learnset[idx - 1].level;
+            // Forms that become available between the previous move and this one
+            const reached = evolutions.filter(evo =>
+              (evo.level || 1) > previousLevel && (evo.level || 1) <= entry.level
+            );
+
+            return (
+              <React.Fragment key={`${entry.level}-${ability.name}`}>
+                {reached.map(evo => (
+                  <div key={evo.id || evo.name} style={styles.evolutionMarker}>
+                    {evo.parentId ? `Evolves into ${evo.name}` : evo.name} ({describeMethod(evo.method)})
+                  </div>
+                ))}
+                <div style={styles.timelineEntry}>
+                  <span style={styles.timelineDot(ability.type)} />
+                  <span style={styles.timelineLevel}>Lv.{entry.level}</span>
+                  <div style={styles.timelineBody}>
+                    {renderName(ability)}
+                    {renderType(ability)}
+                    <span style={styles.timelineMeta}>
+                      {renderNumber(ability, 'power')} PWR / {renderNumber(ability, 'accuracy', '%')} / {renderNumber(ability, 'pp')} PP
+                    </span>
+                    {ability.effect && (
+                      <span style={styles.timelineEffect}>{describeEffect(ability.effect)}</span>
+                    )}
+                  </div>
+                </div>
+              </React.Fragment>
+            );
+          })}
+          {evolutions
+            .filter(evo => (evo.level || 1) > learnset[learnset.length - 1].level)
+            .map(evo => (
+              <div key={evo.id || evo.name} style={styles.evolutionMarker}>
+                Evolves into {evo.name} ({describeMethod(evo.method)})
+              </div>
+            ))}
+        </div>
+      ) : abilities.length === 0 ? (
         <div style={styles.empty}>
           No abilities available for this evolution
         </div>
@@ -131,28 +271,28 @@ export default function AbilitiesTab({ monster }) {
           {abilities.map((ability, idx) => (
             <div key={idx} style={styles.card}>
               <div style={styles.header}>
-                <span style={styles.name}>{ability.name}</span>
-                <span style={styles.typeBadge(ability.type)}>{ability.type}</span>
+                {renderName(ability)}
+                {renderType(ability)}
               </div>
               
               <div style={styles.stats}>
                 <div style={styles.stat}>
                   <div style={styles.statLabel}>Power</div>
-                  <div style={styles.statValue}>{ability.power}</div>
+                  <div style={styles.statValue}>{renderNumber(ability, 'power')}</div>
                 </div>
                 <div style={styles.stat}>
                   <div style={styles.statLabel}>Accuracy</div>
-                  <div style={styles.statValue}>{ability.accuracy}%</div>
+                  <div style={styles.statValue}>{renderNumber(ability, 'accuracy', '%')}</div>
                 </div>
                 <div style={styles.stat}>
                   <div style={styles.statLabel}>PP</div>
-                  <div style={styles.statValue}>{ability.pp}</div>
+                  <div style={styles.statValue}>{renderNumber(ability, 'pp')}</div>
                 </div>
               </div>
 
               {ability.effect && (
                 <div style={styles.effect}>
-                  {ability.effect}
+                  {describeEffect(ability.effect)}
                 </div>
               )}
             </div>
@@ -1,19 +1,35 @@
 /**
  * EvolutionsTab Component
- * 
- * Shows evolution chain with sprites and stats comparison.
+ *
+ * Shows the evolution tree with sprites and stats comparison,
+ * plus an editor for adding, removing and reordering forms.
  */
 
-import React from 'react';
+import React, { useState } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../../styles/theme';
+import {
+  EVOLUTION_METHODS,
+  EVOLUTION_ITEMS,
+  describeMethod,
+  normalizeEvolutions,
+  getChildren,
+  getRoots,
+  addEvolution,
+  removeEvolution,
+  moveEvolution,
+  reorderTree
+} from '../../data/evolutions';
+import EditableField from '../EditableField';
+
+export default function EvolutionsTab({ monster, onUpdate, onEdit }) {
+  const [editing, setEditing] = useState(false);
 
-export default function EvolutionsTab({ monster }) {
   // Guard against missing data
   if (!monster) {
     return <div style={{ padding: '20px', color: '#999' }}>No monster selected</div>;
   }
 
-  const evolutions = monster.evolutions || [];
+  const evolutions = normalizeEvolutions(monster.evolutions || []);
 
   if (evolutions.length === 0) {
     return <div style={{ padding: '20px', color: '#999' }}>No evolution data available</div>;
@@ -25,6 +41,20 @@ export default function EvolutionsTab({ monster }) {
       flexDirection: 'column',
       gap: SPACING.lg
     },
+    toolbar: {
+      display: 'flex',
+      justifyContent: 'flex-end'
+    },
+    toolbarButton: (isActive) => ({
+      padding: `${SPACING.xs} ${SPACING.md}`,
+      backgroundColor: isActive ? COLORS.ui.active : COLORS.background.card,
+      color: COLORS.text.primary,
+      border: `1px solid ${isActive ? COLORS.ui.active : COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      cursor: 'pointer'
+    }),
     chain: {
       display: 'flex',
       alignItems: 'center',
@@ -32,14 +62,24 @@ export default function EvolutionsTab({ monster }) {
       gap: SPACING.md,
       flexWrap: 'wrap'
     },
-    evoCard: {
+    branch: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.md
+    },
+    children: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.md
+    },
+    evoCard: (element) => ({
       backgroundColor: COLORS.background.card,
       borderRadius: BORDER_RADIUS.md,
       padding: SPACING.md,
-      border: `1px solid ${COLORS.ui.border}`,
+      border: `1px solid ${element ? ELEMENT_COLORS[element]?.primary || COLORS.ui.border : COLORS.ui.border}`,
       textAlign: 'center',
       minWidth: '180px'
-    },
+    }),
     sprite: {
       width: '96px',
       height: '96px',
@@ -79,11 +119,40 @@ export default function EvolutionsTab({ monster }) {
       fontSize: TYPOGRAPHY.fontSize.xl,
       color: COLORS.ui.active
     },
+    input: {
+      width: '100%',
+      padding: SPACING.xs,
+      marginBottom: SPACING.xs,
+      backgroundColor: COLORS.background.secondary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      boxSizing: 'border-box'
+    },
+    editActions: {
+      display: 'flex',
+      justifyContent: 'center',
+      gap: SPACING.xs,
+      marginTop: SPACING.xs
+    },
+    editButton: (danger) => ({
+      padding: `2px ${SPACING.sm}`,
+      backgroundColor: 'transparent',
+      color: danger ? COLORS.ui.error : COLORS.text.secondary,
+      border: `1px solid ${danger ? COLORS.ui.error : COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      cursor: 'pointer'
+    }),
     statsComparison: {
       backgroundColor: COLORS.background.card,
       borderRadius: BORDER_RADIUS.md,
       padding: SPACING.md,
-      border: `1px solid ${COLORS.ui.border}`
+      border: `1px solid ${COLORS.ui.border}`,
+      overflowX: 'auto'
     },
     statsTitle: {
       fontFamily: TYPOGRAPHY.fontFamily.pixel,
@@ -94,7 +163,7 @@ export default function EvolutionsTab({ monster }) {
     },
     statsGrid: {
       display: 'grid',
-      gridTemplateColumns: '80px repeat(3, 1fr)',
+      gridTemplateColumns: `80px repeat(${evolutions.length}, 1fr)`,
       gap: SPACING.sm
     },
     statsHeader: {
@@ -123,63 +192,220 @@ export default function EvolutionsTab({ monster }) {
   };
 
   const statNames = ['hp', 'attack', 'defense', 'special', 'speed'];
+  const findNode = (id) => evolutions.find(evo => evo.id === id);
+
+  const saveEvolutions = (next) => {
+    onUpdate({ ...monster, evolutions: next });
+  };
+
+  const updateNode = (id, changes) => {
+    saveEvolutions(reorderTree(evolutions.map(evo => (evo.id === id ? { ...evo, ...changes } : evo))));
+  };
+
+  const handleMethodType = (node, type) => {
+    const config = EVOLUTION_METHODS[type];
+    const value = type === 'level' ? Math.max(node.level || 1, 2) : config.defaultValue;
+    updateNode(node.id, { method: { type, value } });
+  };
+
+  const handleMethodValue = (node, rawValue) => {
+    const limit = node.method.type === 'level' ? 100 : 255;
+    const value = ['level', 'friendship'].includes(node.method.type)
+      ? Math.max(1, Math.min(limit, parseInt(rawValue, 10) || 1))
+      : rawValue;
+    const changes = { method: { ...node.method, value } };
+    if (node.method.type === 'level') changes.level = value;
+    updateNode(node.id, changes);
+  };
+
+  const handleAdd = (parent) => {
+    const level = Math.min((parent.level || 1) + 15, 100);
+    saveEvolutions(addEvolution(evolutions, parent.id, {
+      id: `evo_${Date.now()}`,
+      name: `${parent.name} Form`,
+      level,
+      method: { type: 'level', value: level },
+      sprite: null,
+      stats: { ...parent.stats },
+      abilities: [...(parent.abilities || [])],
+      lore: ''
+    }));
+  };
+
+  const renderMethodEditor = (node) => {
+    const { method } = node;
+    const options = method.type === 'item' ? EVOLUTION_ITEMS : EVOLUTION_METHODS[method.type]?.options;
+
+    return (
+      <>
+        <select
+          value={method.type}
+          onChange={(e) => handleMethodType(node, e.target.value)}
+          style={styles.input}
+        >
+          {Object.values(EVOLUTION_METHODS).map(m => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        {options ? (
+          <select
+            value={method.value}
+            onChange={(e) => handleMethodValue(node, e.target.value)}
+            style={styles.input}
+          >
+            {!options.includes(method.value) && <option value={method.value}>{method.value}</option>}
+            {options.map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type={['level', 'friendship'].includes(method.type) ? 'number' : 'text'}
+            value={method.value}
+            onChange={(e) => handleMethodValue(node, e.target.value)}
+            style={styles.input}
+          />
+        )}
+      </>
+    );
+  };
+
+  const renderCard = (node) => {
+    const siblings = evolutions.filter(evo => evo.parentId === node.parentId);
+    const index = siblings.findIndex(evo => evo.id === node.id);
+
+    return (
+      <div style={styles.evoCard(node.primaryElement)}>
+        <img
+          src={node.sprite || monster.baseSprite}
+          alt={node.name}
+          style={{
+            ...styles.sprite,
+            opacity: node.sprite ? 1 : 0.6
+          }}
+        />
+        <div style={styles.name}>
+          <EditableField
+            value={node.name}
+            onSave={onEdit && ((value) => onEdit({ field: 'evolutionName', value, evolutionId: node.id }))}
+          />
+        </div>
+        {editing && node.method ? renderMethodEditor(node) : (
+          <div style={styles.level}>
+            {node.method ? describeMethod(node.method) : 'Base Form'}
+            {node.primaryElement && ` · ${node.primaryElement}`}
+          </div>
+        )}
+        {editing && (
+          <div style={styles.editActions}>
+            {siblings.length > 1 && (
+              <>
+                <button
+                  style={styles.editButton()}
+                  onClick={() => saveEvolutions(moveEvolution(evolutions, node.id, -1))}
+                  disabled={index === 0}
+                  title="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  style={styles.editButton()}
+                  onClick={() => saveEvolutions(moveEvolution(evolutions, node.id, 1))}
+                  disabled={index === siblings.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+              </>
+            )}
+            <button style={styles.editButton()} onClick={() => handleAdd(node)} title="Add evolution">
+              + Evolution
+            </button>
+            {node.parentId && (
+              <button
+                style={styles.editButton(true)}
+                onClick={() => saveEvolutions(removeEvolution(evolutions, node.id))}
+                title="Remove this form and its evolutions"
+              >
+                ×
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render a node followed by its evolutions (stacked when branching)
+  const renderBranch = (node) => {
+    const children = getChildren(evolutions, node.id);
+
+    return (
+      <div key={node.id} style={styles.branch}>
+        {renderCard(node)}
+        {children.length > 0 && (
+          <>
+            <div style={styles.arrow}>→</div>
+            <div style={styles.children}>
+              {children.map(child => renderBranch(child))}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
 
   return (
     <div style={styles.container}>
-      {/* Evolution Chain */}
+      {onUpdate && (
+        <div style={styles.toolbar}>
+          <button style={styles.toolbarButton(editing)} onClick={() => setEditing(!editing)}>
+            {editing ? 'Done' : 'Edit Chain'}
+          </button>
+        </div>
+      )}
+
+      {/* Evolution Tree */}
       <div style={styles.chain}>
-        {evolutions.map((evo, idx) => (
-          <React.Fragment key={idx}>
-            <div style={styles.evoCard}>
-              <img
-                src={evo.sprite || monster.baseSprite}
-                alt={evo.name}
-                style={{
-                  ...styles.sprite,
-                  opacity: evo.sprite ? 1 : 0.6
-                }}
-              />
-              <div style={styles.name}>{evo.name}</div>
-              <div style={styles.level}>
-                {idx === 0 ? 'Base Form' : `Evolves at Lv.${evo.level}`}
-              </div>
-            </div>
-            
-            {idx < evolutions.length - 1 && (
-              <div style={styles.arrow}>→</div>
-            )}
-          </React.Fragment>
-        ))}
+        {getRoots(evolutions).map(root => renderBranch(root))}
       </div>
 
       {/* Stats Comparison */}
       <div style={styles.statsComparison}>
         <div style={styles.statsTitle}>Stats by Evolution</div>
-        
+
         <div style={styles.statsGrid}>
           <div></div>
-          {evolutions.map((evo, idx) => (
-            <div key={idx} style={styles.statsHeader}>
+          {evolutions.map((evo) => (
+            <div key={evo.id} style={styles.statsHeader}>
               {evo.name}
             </div>
           ))}
-          
+
           {statNames.map((stat) => (
             <React.Fragment key={stat}>
               <div style={styles.statLabel}>{stat.toUpperCase()}</div>
-              {evolutions.map((evo, idx) => (
-                <div 
-                  key={idx} 
-                  style={idx > 0 ? styles.statIncrease : styles.statValue}
-                >
-                  {evo.stats?.[stat] || 0}
-                  {idx > 0 && evolutions[idx - 1]?.stats && (
-                    <span style={{ fontSize: TYPOGRAPHY.fontSize.xs, marginLeft: '4px' }}>
-                      (+{(evo.stats?.[stat] || 0) - (evolutions[idx - 1].stats?.[stat] || 0)})
-                    </span>
-                  )}
-                </div>
-              ))}
+              {evolutions.map((evo) => {
+                const parent = evo.parentId && findNode(evo.parentId);
+                return (
+                  <div
+                    key={evo.id}
+                    style={parent ? styles.statIncrease : styles.statValue}
+                  >
+                    <EditableField
+                      type="number"
+                      value={evo.stats?.[stat] || 0}
+                      onSave={onEdit && ((value) => onEdit({ field: stat, value, evolutionId: evo.id }))}
+                    />
+                    {parent?.stats && (
+                      <span style={{ fontSize: TYPOGRAPHY.fontSize.xs, marginLeft: '4px' }}>
+                        ({(evo.stats?.[stat] || 0) - (parent.stats[stat] || 0) >= 0 ? '+' : ''}
+                        {(evo.stats?.[stat] || 0) - (parent.stats[stat] || 0)})
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
             </React.Fragment>
           ))}
         </div>
@@ -8,6 +8,7 @@ import React, { useState, useEffect } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../../styles/theme';
 import { y14dStorage } from '../../services/y14dStorage';
 import { settingsStore } from '../../stores/useSettingsStore';
+import { normalizeEvolutions } from '../../data/evolutions';
 
 export default function ExportTab({ monster }) {
   const [copied, setCopied] = useState(false);
@@ -36,6 +37,11 @@ export default function ExportTab({ monster }) {
       },
       monster: {
         id: monster.id,
+        schemaVersion: monster.schemaVersion,
+        recordType: monster.recordType,
+        seed: monster.seed,
+        statProfile: monster.statProfile,
+        rarity: monster.rarity,
         name: monster.name,
         primaryElement: monster.primaryElement,
         secondaryElement: monster.secondaryElement,
@@ -46,22 +52,37 @@ export default function ExportTab({ monster }) {
         genderRatio: monster.genderRatio,
         eggGroups: monster.eggGroups,
         analysis: monster.analysis,
-        evolutions: monster.evolutions.map(evo => ({
+        chainShape: monster.chainShape,
+        // Images travel with the data so importing the file rebuilds the monster
+        baseSprite: monster.baseSprite,
+        evolutions: normalizeEvolutions(monster.evolutions).map(evo => ({
+          id: evo.id,
+          parentId: evo.parentId,
+          stage: evo.stage,
+          method: evo.method,
+          primaryElement: evo.primaryElement,
+          secondaryElement: evo.secondaryElement,
           level: evo.level,
           name: evo.name,
           stats: evo.stats,
           abilities: evo.abilities,
           lore: evo.lore,
-          hasSprite: !!evo.sprite
+          hasSprite: !!evo.sprite,
+          sprite: evo.sprite || null
         })),
+        learnset: monster.learnset || [],
         poses: Object.entries(monster.poses || {}).reduce((acc, [key, val]) => {
-          acc[key] = { generated: val.generated };
+          acc[key] = { sprite: val.sprite, generated: val.generated };
           return acc;
         }, {}),
         animations: Object.entries(monster.animations || {}).reduce((acc, [key, val]) => {
-          acc[key] = { frameCount: val.frames?.length || 0, fps: val.fps, generated: val.generated };
+          acc[key] = { frames: val.frames || [], frameCount: val.frames?.length || 0, fps: val.fps, generated: val.generated };
           return acc;
-        }, {})
+        }, {}),
+        originalId: monster.originalId,
+        createdAt: monster.createdAt,
+        updatedAt: monster.updatedAt,
+        transformationHistory: monster.transformationHistory || []
       }
     };
   };
@@ -361,9 +382,17 @@ export default function ExportTab({ monster }) {
       <div style={styles.card}>
         <div style={styles.title}>JSON Preview</div>
         <pre style={styles.preview}>
-          {JSON.stringify(exportData, null, 2)}
+          {JSON.stringify(exportData, abbreviateDataUrls, 2)}
         </pre>
       </div>
     </div>
   );
 }
+
+// Keep the preview readable: image data URLs are shown by type and size only
+function abbreviateDataUrls(key, value) {
+  if (typeof value === 'string' && value.startsWith('data:')) {
+    return `${value.slice(0, value.indexOf(',') + 1)}... (${Math.round(value.length / 1024)} KB)`;
+  }
+  return value;
+}
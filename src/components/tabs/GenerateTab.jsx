@@ -7,6 +7,7 @@
 import React, { useState } from 'react';
 import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../../styles/theme';
 import NanoBananaService from '../../services/nanoBanana';
+import transformationHistory, { PROVIDERS } from '../../services/transformationHistory';
 
 export default function GenerateTab({ monster, onUpdate }) {
   const [generating, setGenerating] = useState(false);
@@ -22,13 +23,19 @@ export default function GenerateTab({ monster, onUpdate }) {
   const handleGenerate = async () => {
     setGenerating(true);
     const description = monster.analysis?.visualDescription || monster.name;
+    const history = [];
+    const updates = { ...monster };
+    const track = (category, run) => transformationHistory.track({
+      type: 'image',
+      category,
+      provider: PROVIDERS.nanoBanana,
+      input: { description, source: monster.baseSprite }
+    }, run, history);
     
     try {
-      const updates = { ...monster };
-
       if (selectedOptions.poses) {
         setProgress('Generating poses...');
-        const poses = await nanoBanana.generateAllPoses(description, monster.baseSprite);
+        const poses = await track('generate-poses', () => nanoBanana.generateAllPoses(description, monster.baseSprite));
         
         updates.poses = {
           front: { sprite: poses.front || monster.baseSprite, generated: !!poses.front },
@@ -40,27 +47,30 @@ export default function GenerateTab({ monster, onUpdate }) {
 
       if (selectedOptions.evolutions) {
         setProgress('Generating evolutions...');
-        const evoSprites = await nanoBanana.generateEvolutions(description, monster.baseSprite);
+        const evoSprites = await track('generate-evolutions', () => nanoBanana.generateEvolutions(description, monster.baseSprite));
         
         if (monster.evolutions && Array.isArray(monster.evolutions)) {
+          // One sprite per stage; branching forms at the same stage share it
           updates.evolutions = monster.evolutions.map((evo, idx) => ({
             ...evo,
-            sprite: evoSprites[idx] || evo.sprite
+            sprite: evoSprites[(evo.stage || idx + 1) - 1] || evo.sprite
           }));
         }
       }
 
       if (selectedOptions.shiny) {
         setProgress('Generating shiny variant...');
-        const shiny = await nanoBanana.generateSprite(description, 'shiny', monster.baseSprite);
+        const shiny = await track('generate-shiny', () => nanoBanana.generateSprite(description, 'shiny', monster.baseSprite));
         updates.shinySprite = shiny;
       }
 
-      onUpdate(updates);
+      onUpdate(transformationHistory.append(updates, history));
       setProgress('Generation complete!');
     } catch (error) {
       console.error('Generation failed:', error);
       setProgress(`Error: ${error.message}`);
+      // Keep the steps that finished and record the failure
+      onUpdate(transformationHistory.append(updates, history));
     } finally {
       setGenerating(false);
     }
@@ -0,0 +1,160 @@
+/**
+ * HistoryTab Component
+ *
+ * Timeline of the analysis, generation and edit steps recorded
+ * in the monster's transformation history.
+ */
+
+import React, { useState } from 'react';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../../styles/theme';
+
+function formatDuration(ms) {
+  if (!ms) return '-';
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function formatTime(timestamp) {
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+export default function HistoryTab({ monster }) {
+  const [expandedId, setExpandedId] = useState(null);
+
+  // Guard against missing data
+  if (!monster) {
+    return <div style={{ padding: '20px', color: '#999' }}>No monster selected</div>;
+  }
+
+  const history = [...(monster.transformationHistory || [])].reverse();
+  const failures = history.filter(record => !record.success).length;
+
+  const styles = {
+    container: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: SPACING.sm
+    },
+    summary: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+      marginBottom: SPACING.xs
+    },
+    timeline: {
+      display: 'flex',
+      flexDirection: 'column',
+      borderLeft: `2px solid ${COLORS.ui.border}`,
+      marginLeft: SPACING.sm,
+      paddingLeft: SPACING.md
+    },
+    entry: {
+      position: 'relative',
+      padding: `${SPACING.sm} 0`,
+      cursor: 'pointer'
+    },
+    dot: (success) => ({
+      position: 'absolute',
+      left: `calc(-${SPACING.md} - 6px)`,
+      top: '14px',
+      width: '10px',
+      height: '10px',
+      borderRadius: '50%',
+      backgroundColor: success ? COLORS.ui.success : COLORS.ui.error
+    }),
+    row: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: SPACING.md,
+      flexWrap: 'wrap',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm
+    },
+    time: {
+      width: '160px',
+      color: COLORS.text.muted,
+      fontSize: TYPOGRAPHY.fontSize.xs
+    },
+    category: {
+      fontFamily: TYPOGRAPHY.fontFamily.pixel,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.primary,
+      minWidth: '160px'
+    },
+    provider: {
+      color: COLORS.text.secondary,
+      minWidth: '100px'
+    },
+    status: (success) => ({
+      color: success ? COLORS.ui.success : COLORS.ui.error
+    }),
+    duration: {
+      color: COLORS.text.secondary,
+      marginLeft: 'auto'
+    },
+    error: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.ui.error,
+      marginTop: SPACING.xs
+    },
+    details: {
+      marginTop: SPACING.sm,
+      padding: SPACING.sm,
+      backgroundColor: COLORS.background.secondary,
+      borderRadius: BORDER_RADIUS.sm,
+      fontFamily: 'monospace',
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.secondary,
+      whiteSpace: 'pre-wrap',
+      wordBreak: 'break-word',
+      maxHeight: '240px',
+      overflow: 'auto'
+    },
+    empty: {
+      textAlign: 'center',
+      padding: SPACING.xl,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.muted
+    }
+  };
+
+  if (history.length === 0) {
+    return <div style={styles.empty}>No transformation history recorded for this monster</div>;
+  }
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.summary}>
+        {history.length} step{history.length === 1 ? '' : 's'}
+        {failures > 0 && `, ${failures} failed`}. Click a step to see its input and output.
+      </div>
+
+      <div style={styles.timeline}>
+        {history.map(record => (
+          <div
+            key={record.id}
+            style={styles.entry}
+            onClick={() => setExpandedId(expandedId === record.id ? null : record.id)}
+          >
+            <span style={styles.dot(record.success)} />
+            <div style={styles.row}>
+              <span style={styles.time}>{formatTime(record.timestamp)}</span>
+              <span style={styles.category}>{record.category}</span>
+              <span style={styles.provider}>{record.provider}</span>
+              <span style={styles.status(record.success)}>{record.success ? '✓' : '✗'}</span>
+              <span style={styles.duration}>{formatDuration(record.duration)}</span>
+            </div>
+            {record.error && <div style={styles.error}>{record.error}</div>}
+            {expandedId === record.id && (
+              <div style={styles.details}>
+                {JSON.stringify({ type: record.type, input: record.input, output: record.output }, null, 2)}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,20 +1,40 @@
 /**
  * OverviewTab Component
  * 
- * Shows monster overview with stats and basic info.
+ * Shows monster overview with stats, basic info and the sprite palette.
  */
 
 import React from 'react';
-import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING } from '../../styles/theme';
+import { COLORS, BORDER_RADIUS, TYPOGRAPHY, SPACING, ELEMENT_COLORS } from '../../styles/theme';
+import { getDefensiveProfile, CREATURE_TYPES, SIZE_CLASSES } from '../../data/elements';
+import { STAT_PROFILES, RARITY_TIERS, DEFAULT_STAT_PROFILE, DEFAULT_RARITY } from '../../data/statProfiles';
+import { normalizeEvolutions } from '../../data/evolutions';
+import { EGG_GROUPS, GENDER_RATIOS } from '../../data/validation';
+import { DataGenerator } from '../../services/dataGenerator';
+import { PALETTE_METHODS } from '../../services/paletteExtractor';
+import EditableField from '../EditableField';
 
-export default function OverviewTab({ monster }) {
+const toOptions = (values) => values.map(value => ({ value, label: value }));
+
+function formatGenderRatio(genderRatio) {
+  if (!genderRatio) return 'Unknown';
+  if (genderRatio.male === 0 && genderRatio.female === 0) return 'Genderless';
+  return `${Math.round((genderRatio.male || 0) * 1000) / 10}% M / ${Math.round((genderRatio.female || 0) * 1000) / 10}% F`;
+}
+
+const GENDER_OPTIONS = GENDER_RATIOS.map(male => {
+  const value = male === null ? { male: 0, female: 0 } : { male, female: 1 - male };
+  return { value, label: formatGenderRatio(value) };
+});
+
+export default function OverviewTab({ monster, onUpdate, onEdit, onUsePalette }) {
   // Guard against missing data
   if (!monster) {
     return <div style={{ padding: '20px', color: '#999' }}>No monster selected</div>;
   }
 
   // Get current evolution (middle stage by default)
-  const evolutions = monster.evolutions || [];
+  const evolutions = normalizeEvolutions(monster.evolutions || []);
   const currentEvo = evolutions[1] || evolutions[0] || {};
 
   const styles = {
@@ -97,10 +117,137 @@ export default function OverviewTab({ monster }) {
     },
     fullWidth: {
       gridColumn: '1 / -1'
+    },
+    profileRow: {
+      display: 'flex',
+      gap: SPACING.sm,
+      marginTop: SPACING.md
+    },
+    select: {
+      flex: 1,
+      padding: SPACING.xs,
+      backgroundColor: COLORS.background.secondary,
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.primary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs
+    },
+    total: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.secondary,
+      borderTop: `1px solid ${COLORS.ui.border}`,
+      paddingTop: SPACING.sm
+    },
+    matchupRow: {
+      display: 'flex',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+      marginBottom: SPACING.sm
+    },
+    matchupLabel: {
+      width: '80px',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.sm,
+      color: COLORS.text.secondary
+    },
+    matchupBadge: (element) => ({
+      padding: `2px ${SPACING.sm}`,
+      borderRadius: BORDER_RADIUS.sm,
+      backgroundColor: `${ELEMENT_COLORS[element]?.primary || COLORS.ui.border}30`,
+      color: ELEMENT_COLORS[element]?.primary || COLORS.text.secondary,
+      border: `1px solid ${ELEMENT_COLORS[element]?.primary || COLORS.ui.border}`,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs
+    }),
+    paletteRow: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: SPACING.xs,
+      marginBottom: SPACING.sm
+    },
+    swatch: (hex, share) => ({
+      width: '28px',
+      height: '28px',
+      backgroundColor: hex,
+      borderRadius: BORDER_RADIUS.sm,
+      border: `1px solid ${COLORS.ui.border}`,
+      // Thicker bottom edge for the colors the sprite uses most
+      borderBottom: `${Math.max(1, Math.round(share * 12))}px solid ${COLORS.ui.border}`
+    }),
+    paletteFooter: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted
+    },
+    paletteButton: {
+      padding: `2px ${SPACING.sm}`,
+      backgroundColor: 'transparent',
+      border: `1px solid ${COLORS.ui.border}`,
+      borderRadius: BORDER_RADIUS.sm,
+      color: COLORS.text.secondary,
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      cursor: 'pointer'
+    },
+    matchupNone: {
+      fontFamily: TYPOGRAPHY.fontFamily.system,
+      fontSize: TYPOGRAPHY.fontSize.xs,
+      color: COLORS.text.muted
     }
   };
 
   const stats = currentEvo?.stats || {};
+  const statTotal = Object.values(stats).reduce((sum, value) => sum + (value || 0), 0);
+
+  const matchups = getDefensiveProfile(monster.primaryElement, monster.secondaryElement);
+
+  const renderMatchups = (label, entries) => (
+    <div style={styles.matchupRow}>
+      <div style={styles.matchupLabel}>{label}</div>
+      {entries.length === 0 ? (
+        <span style={styles.matchupNone}>None</span>
+      ) : entries.map(({ element, multiplier }) => (
+        <span key={element} style={styles.matchupBadge(element)}>
+          {element} {multiplier}x
+        </span>
+      ))}
+    </div>
+  );
+
+  // Bind a field to onEdit (undefined keeps the field read-only)
+  const editor = (field, target = {}) => onEdit && ((value) => onEdit({ field, value, ...target }));
+  const evoEditor = (field) => currentEvo.id && editor(field, { evolutionId: currentEvo.id });
+
+  const renderDetail = (label, field, options) => (
+    <div style={styles.infoRow}>
+      <span style={styles.infoLabel}>{label}</span>
+      <span style={styles.infoValue}>
+        <EditableField
+          type={options ? 'select' : 'number'}
+          value={monster[field]}
+          options={options && toOptions(options)}
+          onSave={editor(field)}
+        />
+      </span>
+    </div>
+  );
+
+  const handleEggGroups = (value) => onEdit({
+    field: 'eggGroups',
+    value: value.split(',').map(group => group.trim().toLowerCase()).filter(Boolean)
+  });
+
+  const handleRebalance = (changes) => {
+    onUpdate(new DataGenerator({ seed: monster.seed }).rebalanceStats(monster, changes));
+  };
 
   return (
     <div style={styles.container}>
@@ -117,48 +264,124 @@ export default function OverviewTab({ monster }) {
               <div style={styles.statFill(stat, stats[stat] || 0)} />
             </div>
             <div style={styles.statValue}>
-              {stats[stat] || 0}
+              <EditableField type="number" value={stats[stat] || 0} onSave={evoEditor(stat)} />
             </div>
           </div>
         ))}
+
+        <div style={styles.total}>
+          <span>Total</span>
+          <span style={styles.infoValue}>{statTotal}</span>
+        </div>
+
+        {onUpdate && evolutions.length > 0 && (
+          <div style={styles.profileRow}>
+            <select
+              value={monster.statProfile || DEFAULT_STAT_PROFILE}
+              onChange={(e) => handleRebalance({ statProfile: e.target.value })}
+              style={styles.select}
+              title="Balance profile"
+            >
+              {Object.values(STAT_PROFILES).map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <select
+              value={monster.rarity || DEFAULT_RARITY}
+              onChange={(e) => handleRebalance({ rarity: e.target.value })}
+              style={styles.select}
+              title="Rarity"
+            >
+              {Object.values(RARITY_TIERS).map(tier => (
+                <option key={tier.id} value={tier.id}>{tier.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* Info Card */}
       <div style={styles.card}>
         <div style={styles.cardTitle}>Details</div>
         
-        <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>Type</span>
-          <span style={styles.infoValue}>{monster.creatureType}</span>
-        </div>
+        {renderDetail('Type', 'creatureType', CREATURE_TYPES)}
+        {renderDetail('Size', 'sizeClass', SIZE_CLASSES)}
+        {renderDetail('Catch Rate', 'catchRate')}
+        {renderDetail('Base Exp', 'baseExp')}
         
         <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>Size</span>
-          <span style={styles.infoValue}>{monster.sizeClass}</span>
-        </div>
-        
-        <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>Catch Rate</span>
-          <span style={styles.infoValue}>{monster.catchRate}</span>
-        </div>
-        
-        <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>Base Exp</span>
-          <span style={styles.infoValue}>{monster.baseExp}</span>
+          <span style={styles.infoLabel}>Gender Ratio</span>
+          <span style={styles.infoValue}>
+            <EditableField
+              type="select"
+              value={GENDER_OPTIONS.find(option =>
+                option.value.male === monster.genderRatio?.male && option.value.female === monster.genderRatio?.female
+              )?.value}
+              options={GENDER_OPTIONS}
+              onSave={editor('genderRatio')}
+            >
+              {formatGenderRatio(monster.genderRatio)}
+            </EditableField>
+          </span>
         </div>
-        
+
         <div style={styles.infoRow}>
-          <span style={styles.infoLabel}>Gender Ratio</span>
+          <span style={styles.infoLabel}>Egg Groups</span>
           <span style={styles.infoValue}>
-            {!monster.genderRatio ? 'Unknown' :
-              monster.genderRatio.male === 0 && monster.genderRatio.female === 0
-              ? 'Genderless'
-              : `${Math.round((monster.genderRatio.male || 0) * 100)}% M / ${Math.round((monster.genderRatio.female || 0) * 100)}% F`
-            }
+            <EditableField
+              value={(monster.eggGroups || []).join(', ')}
+              onSave={onEdit && handleEggGroups}
+              title={`Comma separated: ${EGG_GROUPS.join(', ')}`}
+            >
+              {(monster.eggGroups || []).join(', ') || 'None'}
+            </EditableField>
           </span>
         </div>
+
+        {monster.seed !== undefined && (
+          <div style={styles.infoRow}>
+            <span style={styles.infoLabel}>Seed</span>
+            <span style={styles.infoValue}>{monster.seed}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Type Matchups Card */}
+      <div style={{ ...styles.card, ...styles.fullWidth }}>
+        <div style={styles.cardTitle}>Type Matchups</div>
+        {renderMatchups('Weak to', matchups.weaknesses)}
+        {renderMatchups('Resists', matchups.resistances)}
+        {matchups.immunities.length > 0 && renderMatchups('Immune to', matchups.immunities)}
       </div>
 
+      {/* Palette Card */}
+      {monster.palette?.colors?.length > 0 && (
+        <div style={{ ...styles.card, ...styles.fullWidth }}>
+          <div style={styles.cardTitle}>Palette</div>
+          <div style={styles.paletteRow}>
+            {monster.palette.colors.map(color => (
+              <div
+                key={color.hex}
+                style={styles.swatch(color.hex, color.share)}
+                title={`${color.hex} - ${Math.round(color.share * 100)}%`}
+              />
+            ))}
+          </div>
+          <div style={styles.paletteFooter}>
+            <span>
+              {monster.palette.method === PALETTE_METHODS.exact
+                ? `${monster.palette.colors.length} exact colors`
+                : `${monster.palette.colors.length} colors quantized from ${monster.palette.distinctColors}`}
+            </span>
+            {onUsePalette && (
+              <button style={styles.paletteButton} onClick={() => onUsePalette(monster)}>
+                Use in Forge
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Description Card */}
       <div style={{ ...styles.card, ...styles.fullWidth }}>
         <div style={styles.cardTitle}>Analysis</div>
@@ -171,7 +394,9 @@ export default function OverviewTab({ monster }) {
       <div style={{ ...styles.card, ...styles.fullWidth }}>
         <div style={styles.cardTitle}>Lore</div>
         <div style={styles.lore}>
-          {currentEvo?.lore || 'No lore available'}
+          <EditableField type="textarea" value={currentEvo?.lore || ''} onSave={evoEditor('lore')}>
+            {currentEvo?.lore || 'No lore available'}
+          </EditableField>
         </div>
       </div>
     </div>
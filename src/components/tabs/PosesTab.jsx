@@ -157,7 +157,7 @@ export default function PosesTab({ monster }) {
           {Object.entries(animations).map(([name, anim]) => (
             <div key={name} style={styles.animCard}>
               <div style={styles.framesRow}>
-                {anim.frames.slice(0, 4).map((frame, idx) => (
+                {anim.frames?.length > 0 ? anim.frames.slice(0, 4).map((frame, idx) => (
                   <img
                     key={idx}
                     src={frame}
@@ -167,7 +167,10 @@ export default function PosesTab({ monster }) {
                       opacity: anim.generated ? 1 : 0.5
                     }}
                   />
-                ))}
+                )) : (
+                  // Data-only exports keep a frame count but no images
+                  <div style={{ ...styles.placeholder, width: styles.frame.width, height: styles.frame.height, marginBottom: 0 }}>?</div>
+                )}
               </div>
               <div style={styles.animLabel}>
                 {name.charAt(0).toUpperCase() + name.slice(1)}
@@ -59,35 +59,200 @@ export const ABILITY_DATABASE = {
 };
 
 /**
- * Status effects that abilities can inflict
+ * Status conditions and how they behave in battle
+ * - volatile: stacks with a major status and clears on switch-out
+ * - duration: [min, max] turns, or null if it lasts until cured
+ * - residual: fraction of max HP lost at end of turn (poison grows each turn)
+ * - skipChance: chance to lose the turn
+ * - thawChance: chance per turn to recover before acting
+ * - statMultiplier: battle stat modifiers while afflicted
  */
-export const STATUS_EFFECTS = [
-  { name: 'burn', description: 'Takes damage each turn, attack reduced' },
-  { name: 'paralysis', description: 'May fail to move, speed reduced' },
-  { name: 'freeze', description: 'Cannot move until thawed' },
-  { name: 'confusion', description: 'May hurt itself instead of attacking' },
-  { name: 'poison', description: 'Takes increasing damage each turn' },
-  { name: 'sleep', description: 'Cannot move for several turns' }
+export const STATUS_EFFECTS = {
+  burn: {
+    name: 'burn',
+    description: 'Takes damage each turn, attack reduced',
+    volatile: false,
+    duration: null,
+    residual: 1 / 16,
+    statMultiplier: { attack: 0.5 }
+  },
+  paralysis: {
+    name: 'paralysis',
+    description: 'May fail to move, speed reduced',
+    volatile: false,
+    duration: null,
+    skipChance: 0.25,
+    statMultiplier: { speed: 0.5 }
+  },
+  freeze: {
+    name: 'freeze',
+    description: 'Cannot move until thawed',
+    volatile: false,
+    duration: [1, 5],
+    thawChance: 0.2
+  },
+  confusion: {
+    name: 'confusion',
+    description: 'May hurt itself instead of attacking',
+    volatile: true,
+    duration: [2, 4],
+    selfHitChance: 1 / 3
+  },
+  poison: {
+    name: 'poison',
+    description: 'Takes increasing damage each turn',
+    volatile: false,
+    duration: null,
+    residual: 1 / 16,
+    escalating: true
+  },
+  sleep: {
+    name: 'sleep',
+    description: 'Cannot move for several turns',
+    volatile: false,
+    duration: [1, 3]
+  }
+};
+
+/**
+ * Effect kinds an ability can carry
+ */
+export const EFFECT_KINDS = [
+  'status',        // inflict a STATUS_EFFECTS condition
+  'stat',          // raise/lower a stat by `stages` (-6..+6)
+  'heal',          // restore `amount` of max HP
+  'crit',          // raise critical-hit stage by `stages`
+  'priority',      // move first
+  'ignoreDefense', // ignore target defense boosts
+  'multiTarget',   // hits every opponent in multi battles
+  'flinch',        // target loses its turn if it hasn't moved yet
+  'custom'         // free text with no battle behaviour
 ];
 
 /**
  * Ability effects pool for random assignment
+ *
+ * Effect shape: { kind, target: 'target' | 'self', chance (0-1), status?,
+ * stat?, stages?, amount?, duration? (turns, null = rest of battle) }
  */
 export const ABILITY_EFFECTS = [
   null,
-  'May cause burn',
-  'May cause paralysis',
-  'May cause freeze',
-  'May cause confusion',
-  'May lower target defense',
-  'May lower target speed',
-  'May raise user attack',
-  'Heals user slightly',
-  'High critical hit ratio',
-  'Always strikes first',
-  'Ignores target defense',
-  'Hits multiple targets',
-  'May cause flinching'
+  { kind: 'status', target: 'target', chance: 0.3, status: 'burn' },
+  { kind: 'status', target: 'target', chance: 0.3, status: 'paralysis' },
+  { kind: 'status', target: 'target', chance: 0.1, status: 'freeze' },
+  { kind: 'status', target: 'target', chance: 0.3, status: 'confusion' },
+  { kind: 'status', target: 'target', chance: 0.3, status: 'poison' },
+  { kind: 'status', target: 'target', chance: 0.2, status: 'sleep' },
+  { kind: 'stat', target: 'target', chance: 0.3, stat: 'defense', stages: -1, duration: null },
+  { kind: 'stat', target: 'target', chance: 0.3, stat: 'speed', stages: -1, duration: null },
+  { kind: 'stat', target: 'self', chance: 0.5, stat: 'attack', stages: 1, duration: null },
+  { kind: 'heal', target: 'self', chance: 1, amount: 0.125 },
+  { kind: 'crit', target: 'self', chance: 1, stages: 1 },
+  { kind: 'priority', target: 'self', chance: 1 },
+  { kind: 'ignoreDefense', target: 'target', chance: 1 },
+  { kind: 'multiTarget', target: 'target', chance: 1 },
+  { kind: 'flinch', target: 'target', chance: 0.2 }
 ];
 
+/**
+ * Legacy free-text effects and their structured equivalents
+ */
+const LEGACY_EFFECTS = {
+  'May cause burn': ABILITY_EFFECTS[1],
+  'May cause paralysis': ABILITY_EFFECTS[2],
+  'May cause freeze': ABILITY_EFFECTS[3],
+  'May cause confusion': ABILITY_EFFECTS[4],
+  'May cause poison': ABILITY_EFFECTS[5],
+  'May cause sleep': ABILITY_EFFECTS[6],
+  'May lower target defense': ABILITY_EFFECTS[7],
+  'May lower target speed': ABILITY_EFFECTS[8],
+  'May raise user attack': ABILITY_EFFECTS[9],
+  'Heals user slightly': ABILITY_EFFECTS[10],
+  'High critical hit ratio': ABILITY_EFFECTS[11],
+  'Always strikes first': ABILITY_EFFECTS[12],
+  'Ignores target defense': ABILITY_EFFECTS[13],
+  'Hits multiple targets': ABILITY_EFFECTS[14],
+  'May cause flinching': ABILITY_EFFECTS[15]
+};
+
+/**
+ * Convert a legacy string effect to the structured shape.
+ * Structured effects and null pass through unchanged; unknown strings are
+ * kept as 'custom' effects so no text is lost.
+ */
+export function migrateEffect(effect) {
+  if (!effect || typeof effect !== 'string') return effect || null;
+  const structured = LEGACY_EFFECTS[effect.trim()];
+  return structured
+    ? { ...structured }
+    : { kind: 'custom', target: 'target', chance: 1, description: effect };
+}
+
+/**
+ * Migrate every ability effect on a saved monster
+ */
+export function migrateMonsterEffects(monster) {
+  if (!monster?.evolutions) return monster;
+  const needsMigration = monster.evolutions.some(evo =>
+    evo.abilities?.some(ability => typeof ability?.effect === 'string')
+  );
+  if (!needsMigration) return monster;
+
+  return {
+    ...monster,
+    evolutions: monster.evolutions.map(evo => ({
+      ...evo,
+      abilities: evo.abilities?.map(ability => ({
+        ...ability,
+        effect: migrateEffect(ability.effect)
+      }))
+    }))
+  };
+}
+
+/**
+ * Human-readable summary of a structured effect
+ */
+export function describeEffect(effect) {
+  if (!effect) return '';
+  if (typeof effect === 'string') return effect;
+
+  const who = effect.target === 'self' ? 'user' : 'target';
+  let text;
+
+  switch (effect.kind) {
+    case 'status':
+      text = `inflict ${effect.status}`;
+      break;
+    case 'stat': {
+      const amount = Math.abs(effect.stages) > 1 ? ` by ${Math.abs(effect.stages)}` : '';
+      text = `${effect.stages > 0 ? 'raise' : 'lower'} ${who} ${effect.stat}${amount}`;
+      break;
+    }
+    case 'heal':
+      text = `heal user for ${Math.round(effect.amount * 100)}% of max HP`;
+      break;
+    case 'crit':
+      text = 'land critical hits more often';
+      break;
+    case 'priority':
+      text = 'always strike first';
+      break;
+    case 'ignoreDefense':
+      text = 'ignore target defense boosts';
+      break;
+    case 'multiTarget':
+      text = 'hit multiple targets';
+      break;
+    case 'flinch':
+      text = 'make the target flinch';
+      break;
+    default:
+      text = effect.description || effect.kind;
+  }
+
+  const sentence = effect.chance < 1 ? `${Math.round(effect.chance * 100)}% chance to ${text}` : text;
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+}
+
 export default ABILITY_DATABASE;
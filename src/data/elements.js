@@ -18,69 +18,237 @@ export const ELEMENT_TYPES = [
   'Psychic'
 ];
 
+/**
+ * Element relationships
+ * - strengths: elements this element deals 2x damage to
+ * - weaknesses: elements that deal 2x damage to this element
+ * - resistances: elements that deal 0.5x damage to this element
+ * - immunities: elements that deal no damage to this element
+ *
+ * strengths and weaknesses must mirror each other; see validateTypeChart().
+ */
 export const ELEMENT_CONFIG = {
   Fire: {
     name: 'Fire',
     strengths: ['Nature', 'Ice'],
     weaknesses: ['Water', 'Earth'],
+    resistances: ['Fire', 'Nature', 'Ice'],
+    immunities: [],
     description: 'Masters of flame and heat'
   },
   Water: {
     name: 'Water',
     strengths: ['Fire', 'Earth'],
     weaknesses: ['Electric', 'Nature'],
+    resistances: ['Water', 'Fire', 'Ice'],
+    immunities: [],
     description: 'Controllers of tides and currents'
   },
   Earth: {
     name: 'Earth',
-    strengths: ['Electric', 'Fire'],
-    weaknesses: ['Water', 'Nature'],
+    strengths: ['Electric', 'Fire', 'Light'],
+    weaknesses: ['Water', 'Air', 'Nature'],
+    resistances: ['Fire'],
+    immunities: ['Electric'],
     description: 'Sturdy guardians of stone and soil'
   },
   Air: {
     name: 'Air',
     strengths: ['Earth', 'Nature'],
-    weaknesses: ['Electric', 'Ice'],
+    weaknesses: ['Electric', 'Ice', 'Psychic'],
+    resistances: ['Nature'],
+    immunities: ['Earth'],
     description: 'Swift riders of wind and storm'
   },
   Electric: {
     name: 'Electric',
     strengths: ['Water', 'Air'],
     weaknesses: ['Earth', 'Shadow'],
+    resistances: ['Electric', 'Air'],
+    immunities: [],
     description: 'Crackling wielders of lightning'
   },
   Shadow: {
     name: 'Shadow',
-    strengths: ['Psychic', 'Light'],
-    weaknesses: ['Light', 'Fire'],
+    strengths: ['Psychic', 'Electric'],
+    weaknesses: ['Light'],
+    resistances: ['Shadow'],
+    immunities: ['Psychic'],
     description: 'Lurkers in darkness and void'
   },
   Light: {
     name: 'Light',
     strengths: ['Shadow', 'Psychic'],
-    weaknesses: ['Shadow', 'Earth'],
+    weaknesses: ['Earth'],
+    resistances: ['Light', 'Shadow'],
+    immunities: [],
     description: 'Radiant bringers of illumination'
   },
   Nature: {
     name: 'Nature',
     strengths: ['Water', 'Earth'],
-    weaknesses: ['Fire', 'Ice'],
+    weaknesses: ['Fire', 'Air', 'Ice'],
+    resistances: ['Water', 'Earth', 'Electric'],
+    immunities: [],
     description: 'Living embodiments of growth'
   },
   Ice: {
     name: 'Ice',
     strengths: ['Air', 'Nature'],
-    weaknesses: ['Fire', 'Electric'],
+    weaknesses: ['Fire', 'Psychic'],
+    resistances: ['Ice'],
+    immunities: [],
     description: 'Frozen masters of frost'
   },
   Psychic: {
     name: 'Psychic',
-    strengths: ['Shadow', 'Electric'],
+    strengths: ['Air', 'Ice'],
     weaknesses: ['Shadow', 'Light'],
+    resistances: ['Psychic'],
+    immunities: [],
     description: 'Mysterious wielders of mental power'
   }
 };
 
+/**
+ * Allowed effectiveness multipliers
+ */
+export const EFFECTIVENESS = {
+  SUPER: 2,
+  NORMAL: 1,
+  RESISTED: 0.5,
+  IMMUNE: 0
+};
+
+/**
+ * Build the attacker x defender effectiveness matrix from ELEMENT_CONFIG
+ * @param {Object} config - Element config (defaults to ELEMENT_CONFIG)
+ * @returns {Object} matrix[attacking][defending] = multiplier
+ */
+export function buildTypeChart(config = ELEMENT_CONFIG) {
+  const elements = Object.keys(config);
+  const chart = {};
+
+  for (const attacking of elements) {
+    chart[attacking] = {};
+    for (const defending of elements) {
+      const defender = config[defending];
+      let multiplier = EFFECTIVENESS.NORMAL;
+
+      if (defender.immunities?.includes(attacking)) {
+        multiplier = EFFECTIVENESS.IMMUNE;
+      } else if (config[attacking].strengths?.includes(defending)) {
+        multiplier = EFFECTIVENESS.SUPER;
+      } else if (defender.resistances?.includes(attacking)) {
+        multiplier = EFFECTIVENESS.RESISTED;
+      }
+
+      chart[attacking][defending] = multiplier;
+    }
+  }
+
+  return chart;
+}
+
+/**
+ * Check ELEMENT_CONFIG for contradictions
+ * @param {Object} config - Element config (defaults to ELEMENT_CONFIG)
+ * @returns {string[]} Problems found (empty when consistent)
+ */
+export function validateTypeChart(config = ELEMENT_CONFIG) {
+  const errors = [];
+  const elements = Object.keys(config);
+  const lists = ['strengths', 'weaknesses', 'resistances', 'immunities'];
+
+  for (const element of elements) {
+    const entry = config[element];
+
+    for (const list of lists) {
+      for (const other of entry[list] || []) {
+        if (!config[other]) {
+          errors.push(`${element}.${list} references unknown element "${other}"`);
+        }
+      }
+    }
+
+    for (const other of entry.strengths || []) {
+      if (!config[other]?.weaknesses?.includes(element)) {
+        errors.push(`${element} is strong against ${other}, but ${other} does not list ${element} as a weakness`);
+      }
+      if (entry.weaknesses?.includes(other)) {
+        errors.push(`${element} is both strong and weak against ${other}`);
+      }
+      if (config[other]?.resistances?.includes(element) || config[other]?.immunities?.includes(element)) {
+        errors.push(`${other} both resists and is weak to ${element}`);
+      }
+    }
+
+    for (const other of entry.weaknesses || []) {
+      if (!config[other]?.strengths?.includes(element)) {
+        errors.push(`${element} is weak to ${other}, but ${other} does not list ${element} as a strength`);
+      }
+    }
+
+    for (const other of entry.immunities || []) {
+      if (entry.resistances?.includes(other)) {
+        errors.push(`${element} lists ${other} as both a resistance and an immunity`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+export const TYPE_CHART = buildTypeChart();
+
+const typeChartErrors = validateTypeChart();
+if (typeChartErrors.length > 0) {
+  console.warn('[elements] Inconsistent type chart:', typeChartErrors);
+}
+
+/**
+ * Get the damage multiplier for an attack against a (possibly dual-type) defender
+ * @param {string} attacking - Attacking element
+ * @param {string} primary - Defender's primary element
+ * @param {string} secondary - Defender's secondary element (optional)
+ * @returns {number} Combined multiplier (0, 0.25, 0.5, 1, 2 or 4)
+ */
+export function getEffectiveness(attacking, primary, secondary = null) {
+  const row = TYPE_CHART[attacking];
+  if (!row) return EFFECTIVENESS.NORMAL;
+
+  let multiplier = row[primary] ?? EFFECTIVENESS.NORMAL;
+  if (secondary && secondary !== primary) {
+    multiplier *= row[secondary] ?? EFFECTIVENESS.NORMAL;
+  }
+  return multiplier;
+}
+
+/**
+ * Get a defender's weaknesses, resistances and immunities
+ * @param {string} primary - Defender's primary element
+ * @param {string} secondary - Defender's secondary element (optional)
+ * @returns {Object} { weaknesses, resistances, immunities } as [{ element, multiplier }]
+ */
+export function getDefensiveProfile(primary, secondary = null) {
+  const profile = { weaknesses: [], resistances: [], immunities: [] };
+
+  for (const attacking of ELEMENT_TYPES) {
+    const multiplier = getEffectiveness(attacking, primary, secondary);
+    if (multiplier === EFFECTIVENESS.IMMUNE) {
+      profile.immunities.push({ element: attacking, multiplier });
+    } else if (multiplier > EFFECTIVENESS.NORMAL) {
+      profile.weaknesses.push({ element: attacking, multiplier });
+    } else if (multiplier < EFFECTIVENESS.NORMAL) {
+      profile.resistances.push({ element: attacking, multiplier });
+    }
+  }
+
+  profile.weaknesses.sort((a, b) => b.multiplier - a.multiplier);
+  profile.resistances.sort((a, b) => a.multiplier - b.multiplier);
+  return profile;
+}
+
 export const CREATURE_TYPES = [
   'beast',
   'dragon',
@@ -0,0 +1,193 @@
+/**
+ * Evolution Chain Definitions
+ *
+ * Evolutions are stored as a flat list of nodes forming a tree:
+ * { id, parentId, stage, level, name, element?, method, stats, abilities, lore, sprite }
+ * - parentId: null for the base form
+ * - stage: depth in the tree (1 = base form)
+ * - level: earliest level the form can appear at
+ * - method: what triggers the evolution from its parent
+ *
+ * Nodes are kept in depth-first order, so a linear chain reads the same
+ * as the old three-element array.
+ */
+
+import { ELEMENT_TYPES } from './elements';
+
+// Deepest chain the stat budgets are defined for
+export const MAX_STAGES = 3;
+
+export const EVOLUTION_METHODS = {
+  level: { id: 'level', name: 'Level', defaultValue: 16 },
+  item: { id: 'item', name: 'Item', defaultValue: 'Moon Stone' },
+  friendship: { id: 'friendship', name: 'Friendship', defaultValue: 220 },
+  time: { id: 'time', name: 'Time of Day', defaultValue: 'night', options: ['morning', 'day', 'dusk', 'night'] },
+  location: { id: 'location', name: 'Location', defaultValue: 'Ancient Ruins' }
+};
+
+/**
+ * Evolution stones, one per element
+ */
+export const ELEMENT_STONES = {
+  Fire: 'Ember Stone',
+  Water: 'Tide Stone',
+  Earth: 'Bedrock Stone',
+  Air: 'Gale Stone',
+  Electric: 'Volt Stone',
+  Shadow: 'Dusk Stone',
+  Light: 'Dawn Stone',
+  Nature: 'Leaf Stone',
+  Ice: 'Frost Stone',
+  Psychic: 'Mind Stone'
+};
+
+export const EVOLUTION_ITEMS = [...ELEMENT_TYPES.map(e => ELEMENT_STONES[e]), 'Moon Stone', 'Link Cable'];
+
+/**
+ * Chain shapes the generator can produce
+ * - levels: level each stage of the main line begins at
+ * - branches: number of elemental forms the base splits into (0 = linear)
+ */
+export const CHAIN_SHAPES = {
+  single: { id: 'single', name: 'Single Stage', levels: [1], branches: 0 },
+  'two-stage': { id: 'two-stage', name: 'Two Stages', levels: [1, 30], branches: 0 },
+  'three-stage': { id: 'three-stage', name: 'Three Stages', levels: [1, 16, 36], branches: 0 },
+  branching: { id: 'branching', name: 'Branching', levels: [1, 25], branches: 3 }
+};
+
+export const DEFAULT_CHAIN_SHAPE = 'three-stage';
+
+/**
+ * Human-readable evolution trigger
+ */
+export function describeMethod(method) {
+  if (!method) return 'Base Form';
+  switch (method.type) {
+    case 'level':
+      return `Lv.${method.value}`;
+    case 'item':
+      return `Use ${method.value}`;
+    case 'friendship':
+      return `Friendship ${method.value}+`;
+    case 'time':
+      return `Level up at ${method.value}`;
+    case 'location':
+      return `Level up at ${method.value}`;
+    default:
+      return method.type;
+  }
+}
+
+/**
+ * Give older linear evolution arrays ids, parents, stages and level methods
+ */
+export function normalizeEvolutions(evolutions = []) {
+  if (evolutions.every(evo => evo.id)) return evolutions;
+
+  return evolutions.map((evo, idx) => ({
+    ...evo,
+    id: evo.id || `evo_${idx + 1}`,
+    parentId: evo.parentId !== undefined ? evo.parentId : idx === 0 ? null : `evo_${idx}`,
+    stage: evo.stage || idx + 1,
+    method: evo.method !== undefined
+      ? evo.method
+      : idx === 0 ? null : { type: 'level', value: evo.level }
+  }));
+}
+
+export function getChildren(evolutions, id) {
+  return evolutions.filter(evo => evo.parentId === id);
+}
+
+export function getRoots(evolutions) {
+  return evolutions.filter(evo => !evo.parentId);
+}
+
+/**
+ * Deepest stage in the tree
+ */
+export function getChainDepth(evolutions) {
+  return evolutions.reduce((max, evo) => Math.max(max, evo.stage || 1), 0);
+}
+
+/**
+ * The form a monster takes at an evolution stage: the node with formId when
+ * given, else the first form of the stage (the final stage when stage is
+ * omitted or deeper than the chain)
+ */
+export function getStageForm(evolutions, stage, formId) {
+  const nodes = normalizeEvolutions(evolutions);
+  const chosen = formId && nodes.find(evo => evo.id === formId);
+  if (chosen) return chosen;
+  const depth = getChainDepth(nodes);
+  const target = Math.min(stage ?? depth, depth);
+  return nodes.find(evo => (evo.stage || 1) === target) || null;
+}
+
+/**
+ * Stat budget stage for a node. Shorter chains are aligned to the final
+ * stage, so a single-stage legendary gets a fully evolved budget.
+ */
+export function getBudgetStage(node, evolutions) {
+  const depth = Math.min(getChainDepth(evolutions), MAX_STAGES);
+  return Math.min((node.stage || 1) + (MAX_STAGES - depth), MAX_STAGES);
+}
+
+/**
+ * Re-derive stages and depth-first order after the tree changes
+ */
+export function reorderTree(evolutions) {
+  const ordered = [];
+  const visit = (node, stage) => {
+    ordered.push({ ...node, stage });
+    getChildren(evolutions, node.id).forEach(child => visit(child, stage + 1));
+  };
+  getRoots(evolutions).forEach(root => visit(root, 1));
+  return ordered;
+}
+
+/**
+ * Add a node under a parent (or as a new root when parentId is null)
+ */
+export function addEvolution(evolutions, parentId, node) {
+  return reorderTree([...evolutions, { ...node, parentId }]);
+}
+
+/**
+ * Remove a node and everything that evolves from it
+ */
+export function removeEvolution(evolutions, id) {
+  const doomed = new Set([id]);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const evo of evolutions) {
+      if (evo.parentId && doomed.has(evo.parentId) && !doomed.has(evo.id)) {
+        doomed.add(evo.id);
+        changed = true;
+      }
+    }
+  }
+  return reorderTree(evolutions.filter(evo => !doomed.has(evo.id)));
+}
+
+/**
+ * Move a node before/after its siblings
+ * @param {number} direction - -1 to move earlier, 1 to move later
+ */
+export function moveEvolution(evolutions, id, direction) {
+  const node = evolutions.find(evo => evo.id === id);
+  if (!node) return evolutions;
+
+  const siblings = evolutions.filter(evo => evo.parentId === node.parentId);
+  const index = siblings.findIndex(evo => evo.id === id);
+  const target = siblings[index + direction];
+  if (!target) return evolutions;
+
+  const swapped = evolutions.map(evo =>
+    evo.id === id ? target : evo.id === target.id ? node : evo
+  );
+  return reorderTree(swapped);
+}
+
+export default CHAIN_SHAPES;
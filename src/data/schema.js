@@ -0,0 +1,175 @@
+/**
+ * Record Schema Versions
+ *
+ * Originals and transformations carry a schemaVersion. Records saved or
+ * exported by older versions are upgraded one step at a time through
+ * MIGRATIONS when they are loaded or imported.
+ *
+ * Versions:
+ * 1 - No schemaVersion: free-text ability effects, flat evolution arrays,
+ *     generated sprites saved without any record type
+ * 2 - Structured ability effects and evolution trees (ids, parentId, method)
+ * 3 - ETL metadata (see docs/ETL_PIPELINE_SPEC.md): recordType, createdAt,
+ *     updatedAt and transformationHistory on every transformation
+ */
+
+import { ELEMENT_TYPES } from './elements';
+import { migrateMonsterEffects } from './abilities';
+import { normalizeEvolutions } from './evolutions';
+
+export const SCHEMA_VERSION = 3;
+
+export const RECORD_KINDS = {
+  original: 'original',
+  transformation: 'transformation'
+};
+
+// Kinds of transformation record
+export const RECORD_TYPES = {
+  monster: 'monster',
+  sprite: 'sprite'
+};
+
+// Timestamp embedded in generated ids such as monster_1700000000000_3
+function timestampFromId(id) {
+  const match = String(id || '').match(/_(\d{12,})/);
+  return match ? new Date(Number(match[1])).toISOString() : null;
+}
+
+/**
+ * Upgrade steps. Each step takes a record at version - 1 and returns it
+ * at `version`. Kinds a step does not list pass through unchanged.
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Structured ability effects and evolution trees',
+    transformation: (record) => {
+      const migrated = migrateMonsterEffects(record);
+      return Array.isArray(migrated.evolutions)
+        ? { ...migrated, evolutions: normalizeEvolutions(migrated.evolutions) }
+        : migrated;
+    }
+  },
+  {
+    version: 3,
+    description: 'Record type, timestamps and transformation history',
+    original: (record) => {
+      // ImageData never survived serialization; drop the empty leftovers
+      const { imageData, ...rest } = record;
+      return {
+        ...rest,
+        uploadedAt: rest.uploadedAt || timestampFromId(rest.id) || new Date().toISOString()
+      };
+    },
+    transformation: (record) => {
+      const createdAt = record.createdAt || timestampFromId(record.id) || new Date().toISOString();
+      const recordType = record.recordType ||
+        (Array.isArray(record.evolutions) ? RECORD_TYPES.monster : RECORD_TYPES.sprite);
+      const sprite = record.baseSprite || record.base64;
+
+      return {
+        ...record,
+        recordType,
+        createdAt,
+        updatedAt: record.updatedAt || createdAt,
+        transformationHistory: record.transformationHistory || [],
+        // Generated sprites were saved with either field depending on the code path
+        ...(recordType === RECORD_TYPES.sprite && sprite ? { baseSprite: sprite, base64: sprite } : {})
+      };
+    }
+  }
+];
+
+/**
+ * Problems that make a record unusable at the current schema version
+ * @param {string} kind - RECORD_KINDS value
+ * @param {object} record - Record to check
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateRecord(kind, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) return ['Record is not an object'];
+
+  const errors = [];
+  if (typeof record.id !== 'string' || !record.id) errors.push('Missing id');
+  if (record.schemaVersion !== SCHEMA_VERSION) errors.push(`Unexpected schema version ${record.schemaVersion}`);
+
+  if (kind === RECORD_KINDS.original) {
+    if (typeof record.base64 !== 'string' || !record.base64) errors.push('Missing image data');
+    return errors;
+  }
+
+  if (record.recordType === RECORD_TYPES.sprite) {
+    if (typeof record.baseSprite !== 'string' || !record.baseSprite) errors.push('Missing sprite image');
+    return errors;
+  }
+
+  if (typeof record.name !== 'string' || !record.name) errors.push('Missing name');
+  // Without its sprite there is nothing to show or regenerate from
+  if (typeof record.baseSprite !== 'string' || !record.baseSprite) errors.push('Missing sprite image');
+  if (!ELEMENT_TYPES.includes(record.primaryElement)) errors.push(`Unknown primary element "${record.primaryElement}"`);
+  if (record.secondaryElement && !ELEMENT_TYPES.includes(record.secondaryElement)) {
+    errors.push(`Unknown secondary element "${record.secondaryElement}"`);
+  }
+  if (!Array.isArray(record.evolutions) || record.evolutions.length === 0) {
+    errors.push('Missing evolutions');
+  } else {
+    const ids = new Set(record.evolutions.map(evo => evo.id));
+    record.evolutions.forEach((evo, idx) => {
+      if (!evo.id) errors.push(`Evolution ${idx + 1} has no id`);
+      if (!evo.stats) errors.push(`Evolution ${idx + 1} has no stats`);
+      if (evo.parentId && !ids.has(evo.parentId)) errors.push(`Evolution ${idx + 1} has an unknown parent`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Upgrade a record to SCHEMA_VERSION and validate it
+ * @param {string} kind - RECORD_KINDS value
+ * @param {object} record - Stored or imported record
+ * @returns {object} { record, errors } - record is null when it cannot be upgraded
+ */
+export function upgradeRecord(kind, record) {
+  if (!record || typeof record !== 'object') {
+    return { record: null, errors: ['Record is not an object'] };
+  }
+
+  const from = record.schemaVersion || 1;
+  if (from > SCHEMA_VERSION) {
+    return { record: null, errors: [`Saved by a newer version (schema ${from})`] };
+  }
+
+  let upgraded = record;
+  try {
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= from) continue;
+      const step = migration[kind];
+      upgraded = { ...(step ? step(upgraded) : upgraded), schemaVersion: migration.version };
+    }
+  } catch (error) {
+    return { record: null, errors: [`Migration failed: ${error.message}`] };
+  }
+
+  const errors = validateRecord(kind, upgraded);
+  return errors.length ? { record: null, errors } : { record: upgraded, errors };
+}
+
+/**
+ * Upgrade a list of records, separating the ones that can't be upgraded
+ * @returns {object} { records, rejected: [{ id, errors }] }
+ */
+export function upgradeRecords(kind, records = []) {
+  const result = { records: [], rejected: [] };
+  for (const record of records) {
+    const { record: upgraded, errors } = upgradeRecord(kind, record);
+    if (upgraded) {
+      result.records.push(upgraded);
+    } else {
+      result.rejected.push({ id: record?.id ?? null, name: record?.name || record?.filename || null, errors });
+    }
+  }
+  return result;
+}
+
+export default upgradeRecords;
@@ -0,0 +1,113 @@
+/**
+ * Stat Budget & Balance Profiles
+ *
+ * Target base-stat totals per evolution stage and rarity, plus the
+ * profiles used by the DataGenerator to distribute those points.
+ */
+
+export const STAT_NAMES = ['hp', 'attack', 'defense', 'special', 'speed'];
+
+/**
+ * Target base-stat total for each evolution stage
+ */
+export const BASE_STAT_TOTALS = {
+  1: 300,
+  2: 420,
+  3: 525
+};
+
+/**
+ * Rarity tiers scale the stage budget
+ */
+export const RARITY_TIERS = {
+  common: { id: 'common', name: 'Common', multiplier: 1.0 },
+  uncommon: { id: 'uncommon', name: 'Uncommon', multiplier: 1.05 },
+  rare: { id: 'rare', name: 'Rare', multiplier: 1.1 },
+  legendary: { id: 'legendary', name: 'Legendary', multiplier: 1.25 }
+};
+
+/**
+ * Creature type bonuses, used as distribution weights
+ */
+export const TYPE_STAT_BONUS = {
+  beast: { attack: 10, speed: 5 },
+  dragon: { attack: 15, special: 10 },
+  elemental: { special: 15, defense: 5 },
+  spirit: { special: 10, speed: 10 },
+  construct: { defense: 20, hp: 10 },
+  plant: { defense: 10, hp: 15 },
+  aquatic: { hp: 10, special: 10 },
+  avian: { speed: 20, attack: 5 },
+  insectoid: { speed: 15, defense: 10 },
+  mythical: { special: 15, attack: 10 }
+};
+
+/**
+ * Size multipliers - larger creatures lean toward bulk, smaller toward speed
+ */
+export const SIZE_STAT_MULTIPLIER = {
+  tiny: 0.7,
+  small: 0.85,
+  medium: 1.0,
+  large: 1.15,
+  massive: 1.3
+};
+
+/**
+ * Balance profiles
+ * - weights: relative share of the budget per stat
+ * - variance: max random jitter applied to each weight (0.1 = ±10%)
+ * - emphasis: multiplier applied to the two strongest stats (and divides the weakest)
+ */
+export const STAT_PROFILES = {
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'Even spread with small variations',
+    weights: { hp: 1, attack: 1, defense: 1, special: 1, speed: 1 },
+    variance: 0.1,
+    emphasis: 1
+  },
+  'min-max': {
+    id: 'min-max',
+    name: 'Min-Max',
+    description: 'Two standout stats, one dump stat',
+    weights: { hp: 1, attack: 1, defense: 1, special: 1, speed: 1 },
+    variance: 0.2,
+    emphasis: 1.8
+  },
+  'glass-cannon': {
+    id: 'glass-cannon',
+    name: 'Glass Cannon',
+    description: 'Hits hard and fast, breaks easily',
+    weights: { hp: 0.7, attack: 1.4, defense: 0.6, special: 1.4, speed: 1.3 },
+    variance: 0.1,
+    emphasis: 1
+  },
+  tank: {
+    id: 'tank',
+    name: 'Tank',
+    description: 'Soaks damage, slow to act',
+    weights: { hp: 1.5, attack: 0.8, defense: 1.5, special: 0.7, speed: 0.5 },
+    variance: 0.1,
+    emphasis: 1
+  }
+};
+
+export const DEFAULT_STAT_PROFILE = 'balanced';
+export const DEFAULT_RARITY = 'common';
+
+/**
+ * Get the base-stat total for a stage and rarity
+ * @param {number} evolutionLevel - Evolution stage (1-based)
+ * @param {string} rarity - Rarity tier id
+ * @returns {number} Target base-stat total
+ */
+export function getStatBudget(evolutionLevel, rarity = DEFAULT_RARITY) {
+  const stages = Object.keys(BASE_STAT_TOTALS).map(Number);
+  const stage = Math.min(Math.max(evolutionLevel, 1), Math.max(...stages));
+  const tier = RARITY_TIERS[rarity] || RARITY_TIERS[DEFAULT_RARITY];
+  return Math.round(BASE_STAT_TOTALS[stage] * tier.multiplier);
+}
+
+export default STAT_PROFILES;
@@ -0,0 +1,109 @@
+/**
+ * Monster Field Validation
+ *
+ * Allowed values and numeric ranges for hand-edited monster data.
+ * Each validator returns an error message, or null when the value is valid.
+ */
+
+import { ELEMENT_TYPES, CREATURE_TYPES, SIZE_CLASSES } from './elements';
+import { STAT_NAMES } from './statProfiles';
+
+export const FIELD_LIMITS = {
+  name: { min: 1, max: 24 },
+  lore: { max: 500 },
+  stat: { min: 1, max: 255 },
+  catchRate: { min: 1, max: 255 },
+  baseExp: { min: 1, max: 400 },
+  power: { min: 0, max: 250 },
+  accuracy: { min: 1, max: 100 },
+  pp: { min: 1, max: 64 },
+  eggGroups: { min: 1, max: 2 }
+};
+
+export const EGG_GROUPS = ['monster', ...CREATURE_TYPES, 'undiscovered'];
+
+/**
+ * Male share options offered by the editor (null = genderless)
+ */
+export const GENDER_RATIOS = [null, 0, 0.125, 0.25, 0.5, 0.75, 0.875, 1];
+
+function checkRange(label, value, { min, max }) {
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    return `${label} must be a whole number`;
+  }
+  if (value < min || value > max) {
+    return `${label} must be between ${min} and ${max}`;
+  }
+  return null;
+}
+
+function checkOneOf(label, value, allowed) {
+  return allowed.includes(value) ? null : `${label} must be one of: ${allowed.join(', ')}`;
+}
+
+function checkName(label, value) {
+  if (typeof value !== 'string') return `${label} must be text`;
+  const length = value.trim().length;
+  if (length < FIELD_LIMITS.name.min) return `${label} cannot be empty`;
+  if (length > FIELD_LIMITS.name.max) return `${label} must be at most ${FIELD_LIMITS.name.max} characters`;
+  return null;
+}
+
+const VALIDATORS = {
+  name: (value) => checkName('Name', value),
+  primaryElement: (value, monster) => {
+    if (value === monster?.secondaryElement) return 'Primary element must differ from the secondary element';
+    return checkOneOf('Primary element', value, ELEMENT_TYPES);
+  },
+  secondaryElement: (value, monster) => {
+    if (value === null) return null;
+    if (value === monster?.primaryElement) return 'Secondary element must differ from the primary element';
+    return checkOneOf('Secondary element', value, ELEMENT_TYPES);
+  },
+  creatureType: (value) => checkOneOf('Creature type', value, CREATURE_TYPES),
+  sizeClass: (value) => checkOneOf('Size', value, SIZE_CLASSES),
+  catchRate: (value) => checkRange('Catch rate', value, FIELD_LIMITS.catchRate),
+  baseExp: (value) => checkRange('Base exp', value, FIELD_LIMITS.baseExp),
+  genderRatio: (value) => {
+    const { male, female } = value || {};
+    if (typeof male !== 'number' || typeof female !== 'number') return 'Gender ratio needs male and female shares';
+    if (male < 0 || female < 0) return 'Gender ratio shares cannot be negative';
+    const sum = male + female;
+    if (sum !== 0 && Math.abs(sum - 1) > 0.001) return 'Gender ratio shares must add up to 100%';
+    return null;
+  },
+  eggGroups: (value) => {
+    if (!Array.isArray(value)) return 'Egg groups must be a list';
+    const { min, max } = FIELD_LIMITS.eggGroups;
+    if (value.length < min || value.length > max) return `Pick ${min} to ${max} egg groups`;
+    if (new Set(value).size !== value.length) return 'Egg groups cannot repeat';
+    const unknown = value.find(group => !EGG_GROUPS.includes(group));
+    return unknown ? `Unknown egg group "${unknown}"` : null;
+  },
+  lore: (value) => {
+    if (typeof value !== 'string') return 'Lore must be text';
+    return value.length > FIELD_LIMITS.lore.max ? `Lore must be at most ${FIELD_LIMITS.lore.max} characters` : null;
+  },
+  evolutionName: (value) => checkName('Form name', value),
+  stat: (value) => checkRange('Stat', value, FIELD_LIMITS.stat),
+  abilityName: (value) => checkName('Ability name', value),
+  abilityType: (value) => checkOneOf('Ability type', value, ELEMENT_TYPES),
+  power: (value) => checkRange('Power', value, FIELD_LIMITS.power),
+  accuracy: (value) => checkRange('Accuracy', value, FIELD_LIMITS.accuracy),
+  pp: (value) => checkRange('PP', value, FIELD_LIMITS.pp)
+};
+
+/**
+ * Validate a single editable field
+ * @param {string} field - Key of VALIDATORS (stat names map to 'stat')
+ * @param {*} value - Proposed value
+ * @param {object} monster - Monster being edited, for cross-field rules
+ * @returns {string|null} Error message
+ */
+export function validateField(field, value, monster) {
+  const validator = VALIDATORS[STAT_NAMES.includes(field) ? 'stat' : field];
+  if (!validator) return `Unknown field "${field}"`;
+  return validator(value, monster);
+}
+
+export default validateField;
@@ -0,0 +1,630 @@
+/**
+ * Animation Decoder Service
+ *
+ * Splits animated GIF, APNG and animated WebP files into fully composited
+ * frames with per-frame delays. An <img> element only exposes the first
+ * frame, so uploads are decoded here instead. The WebCodecs ImageDecoder is
+ * used where the browser has it; otherwise the container is parsed here:
+ * GIF frames are LZW-decoded directly, APNG and WebP frames are rebuilt as
+ * standalone still images for the browser to decode and then composited.
+ *
+ * Result: { format, width, height, loopCount, frames: [{ base64, delay }] }
+ * (delay in ms; loopCount 0 = forever)
+ */
+
+export const ANIMATION_FORMATS = {
+  gif: 'gif',
+  apng: 'apng',
+  webp: 'webp'
+};
+
+const MIME_TYPES = {
+  [ANIMATION_FORMATS.gif]: 'image/gif',
+  [ANIMATION_FORMATS.apng]: 'image/apng',
+  [ANIMATION_FORMATS.webp]: 'image/webp'
+};
+
+// Browsers render delays below 20ms as 100ms
+const MIN_DELAY = 20;
+const DEFAULT_DELAY = 100;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+
+export class AnimationDecoder {
+  constructor(options = {}) {
+    this.maxFrames = options.maxFrames || 120;
+  }
+
+  /**
+   * Decode an uploaded file
+   * @param {File|Blob} file - Image file
+   * @returns {Promise<object|null>} Decoded animation, or null for still images
+   */
+  async decodeFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const format = this.detectFormat(bytes);
+    if (!format) return null;
+
+    const animation = await this.decodeWithImageDecoder(bytes, format) || await this.decodeContainer(bytes, format);
+    if (!animation || animation.frames.length < 2) return null;
+
+    console.log('[AnimationDecoder] Decoded', animation.frames.length, 'frames from', format, `${animation.width}x${animation.height}`);
+    return { format, ...animation };
+  }
+
+  /**
+   * Animated format of a file, from its magic bytes
+   * @returns {string|null} ANIMATION_FORMATS value, or null for still or unknown images
+   */
+  detectFormat(bytes) {
+    if (readAscii(bytes, 0, 3) === 'GIF') return ANIMATION_FORMATS.gif;
+    if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+      return this.readPngChunks(bytes).some(chunk => chunk.type === 'acTL') ? ANIMATION_FORMATS.apng : null;
+    }
+    if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+      return this.readRiffChunks(bytes, 12).some(chunk => chunk.type === 'ANIM') ? ANIMATION_FORMATS.webp : null;
+    }
+    return null;
+  }
+
+  /**
+   * Decode with the WebCodecs ImageDecoder, when supported for the format
+   * @returns {Promise<object|null>} null when unavailable or it fails
+   */
+  async decodeWithImageDecoder(bytes, format) {
+    const { ImageDecoder } = window;
+    const type = MIME_TYPES[format];
+    try {
+      if (!ImageDecoder || !(await ImageDecoder.isTypeSupported(type))) return null;
+
+      const decoder = new ImageDecoder({ data: bytes, type });
+      await decoder.tracks.ready;
+      const track = decoder.tracks.selectedTrack;
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      const frames = [];
+
+      for (let frameIndex = 0; frameIndex < Math.min(track.frameCount, this.maxFrames); frameIndex++) {
+        const { image } = await decoder.decode({ frameIndex });
+        canvas.width = image.displayWidth;
+        canvas.height = image.displayHeight;
+        ctx.drawImage(image, 0, 0);
+        frames.push({ base64: canvas.toDataURL('image/png'), delay: normalizeDelay((image.duration || 0) / 1000) });
+        image.close();
+      }
+      decoder.close();
+
+      return {
+        width: canvas.width,
+        height: canvas.height,
+        loopCount: Number.isFinite(track.repetitionCount) ? track.repetitionCount : 0,
+        frames
+      };
+    } catch (error) {
+      console.warn('[AnimationDecoder] ImageDecoder failed, parsing the file instead:', error);
+      return null;
+    }
+  }
+
+  async decodeContainer(bytes, format) {
+    if (format === ANIMATION_FORMATS.gif) {
+      const gif = this.decodeGif(bytes);
+      const frames = [];
+      for (const frame of gif.frames) {
+        frames.push({ base64: pixelsToDataUrl(frame.pixels, gif.width, gif.height), delay: frame.delay });
+      }
+      return { width: gif.width, height: gif.height, loopCount: gif.loopCount, frames };
+    }
+    const parts = format === ANIMATION_FORMATS.apng ? this.splitApng(bytes) : this.splitWebp(bytes);
+    return this.compositeParts(parts);
+  }
+
+  /**
+   * Decode every frame of a GIF, composited onto the logical screen
+   * @param {Uint8Array} bytes - File contents
+   * @returns {object} { width, height, loopCount, frames: [{ pixels: Uint8ClampedArray (RGBA), delay }] }
+   */
+  decodeGif(bytes) {
+    if (readAscii(bytes, 0, 3) !== 'GIF') throw new Error('Not a GIF file');
+
+    const width = readUint16(bytes, 6);
+    const height = readUint16(bytes, 8);
+    const screenFlags = bytes[10];
+    let pos = 13;
+    let globalPalette = null;
+    if (screenFlags & 0x80) {
+      const size = 3 * (1 << ((screenFlags & 0x07) + 1));
+      globalPalette = bytes.subarray(pos, pos + size);
+      pos += size;
+    }
+
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let loopCount = 1;
+    let control = { delay: DEFAULT_DELAY, disposal: 0, transparentIndex: -1 };
+
+    while (pos < bytes.length && frames.length < this.maxFrames) {
+      const block = bytes[pos++];
+
+      if (block === 0x21) {
+        const label = bytes[pos++];
+        if (label === 0xf9) {
+          // Graphic control extension
+          const flags = bytes[pos + 1];
+          control = {
+            disposal: (flags >> 2) & 0x07,
+            delay: normalizeDelay(readUint16(bytes, pos + 2) * 10),
+            transparentIndex: flags & 0x01 ? bytes[pos + 4] : -1
+          };
+        } else if (label === 0xff && readAscii(bytes, pos + 1, 11) === 'NETSCAPE2.0') {
+          loopCount = readUint16(bytes, pos + 15);
+        }
+        pos = skipSubBlocks(bytes, pos);
+      } else if (block === 0x2c) {
+        const left = readUint16(bytes, pos);
+        const top = readUint16(bytes, pos + 2);
+        const frameWidth = readUint16(bytes, pos + 4);
+        const frameHeight = readUint16(bytes, pos + 6);
+        const flags = bytes[pos + 8];
+        pos += 9;
+
+        let palette = globalPalette;
+        if (flags & 0x80) {
+          const size = 3 * (1 << ((flags & 0x07) + 1));
+          palette = bytes.subarray(pos, pos + size);
+          pos += size;
+        }
+
+        const minCodeSize = bytes[pos++];
+        const { data, end } = readSubBlocks(bytes, pos);
+        pos = end;
+
+        let indices = lzwDecode(minCodeSize, data, frameWidth * frameHeight);
+        if (flags & 0x40) indices = deinterlace(indices, frameWidth, frameHeight);
+
+        const previous = control.disposal === 3 ? canvas.slice() : null;
+        drawIndexed(canvas, width, height, indices, palette, control.transparentIndex, left, top, frameWidth, frameHeight);
+        frames.push({ pixels: canvas.slice(), delay: control.delay });
+
+        // Dispose before the next frame
+        if (control.disposal === 2) {
+          clearRect(canvas, width, height, left, top, frameWidth, frameHeight);
+        } else if (previous) {
+          canvas.set(previous);
+        }
+        control = { delay: DEFAULT_DELAY, disposal: 0, transparentIndex: -1 };
+      } else {
+        // 0x3b trailer, or a corrupt block
+        break;
+      }
+    }
+
+    return { width, height, loopCount, frames };
+  }
+
+  /**
+   * Split an APNG into standalone PNG frames
+   * @returns {object} { width, height, loopCount, parts } - see compositeParts
+   */
+  splitApng(bytes) {
+    const chunks = this.readPngChunks(bytes);
+    const ihdr = chunks.find(chunk => chunk.type === 'IHDR');
+    const actl = chunks.find(chunk => chunk.type === 'acTL');
+    const width = readUint32(ihdr.data, 0);
+    const height = readUint32(ihdr.data, 4);
+    // Ancillary chunks before the image data (palette, transparency, color space) go in every frame
+    const firstData = chunks.findIndex(chunk => chunk.type === 'IDAT');
+    const shared = chunks.slice(0, firstData).filter(chunk => !['IHDR', 'acTL', 'fcTL'].includes(chunk.type));
+
+    const parts = [];
+    let current = null;
+    for (const chunk of chunks) {
+      if (chunk.type === 'fcTL') {
+        const delayNum = readUint16(chunk.data, 20);
+        const delayDen = readUint16(chunk.data, 22) || 100;
+        current = {
+          width: readUint32(chunk.data, 4),
+          height: readUint32(chunk.data, 8),
+          x: readUint32(chunk.data, 12),
+          y: readUint32(chunk.data, 16),
+          delay: normalizeDelay(delayNum * 1000 / delayDen),
+          dispose: ['none', 'background', 'previous'][chunk.data[24]] || 'none',
+          blend: chunk.data[25] === 1 ? 'over' : 'source',
+          data: []
+        };
+        parts.push(current);
+      } else if (chunk.type === 'IDAT' && current) {
+        current.data.push(chunk.data);
+      } else if (chunk.type === 'fdAT' && current) {
+        current.data.push(chunk.data.subarray(4)); // Skip the sequence number
+      }
+    }
+
+    const frames = parts.filter(part => part.data.length > 0).slice(0, this.maxFrames);
+    for (const part of frames) {
+      const header = new Uint8Array(ihdr.data);
+      writeUint32(header, 0, part.width);
+      writeUint32(header, 4, part.height);
+      part.blob = new Blob([
+        new Uint8Array(PNG_SIGNATURE),
+        buildPngChunk('IHDR', header),
+        ...shared.map(chunk => buildPngChunk(chunk.type, chunk.data)),
+        ...part.data.map(data => buildPngChunk('IDAT', data)),
+        buildPngChunk('IEND', new Uint8Array(0))
+      ], { type: 'image/png' });
+      delete part.data;
+    }
+
+    return { width, height, loopCount: readUint32(actl.data, 4), parts: frames };
+  }
+
+  /**
+   * Split an animated WebP into standalone still WebP frames
+   * @returns {object} { width, height, loopCount, parts } - see compositeParts
+   */
+  splitWebp(bytes) {
+    const chunks = this.readRiffChunks(bytes, 12);
+    const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+    const anim = chunks.find(chunk => chunk.type === 'ANIM');
+    const width = readUint24(vp8x.data, 4) + 1;
+    const height = readUint24(vp8x.data, 7) + 1;
+
+    const parts = chunks
+      .filter(chunk => chunk.type === 'ANMF')
+      .slice(0, this.maxFrames)
+      .map(chunk => {
+        const { data } = chunk;
+        const frameWidth = readUint24(data, 6) + 1;
+        const frameHeight = readUint24(data, 9) + 1;
+        const flags = data[15];
+        const frameChunks = this.readRiffChunks(data, 16);
+        const hasAlpha = frameChunks.some(frame => frame.type === 'ALPH' || frame.type === 'VP8L');
+
+        // Alpha needs an extended (VP8X) header on a still image
+        const body = [];
+        if (hasAlpha) {
+          const header = new Uint8Array(10);
+          header[0] = 0x10;
+          writeUint24(header, 4, frameWidth - 1);
+          writeUint24(header, 7, frameHeight - 1);
+          body.push(buildRiffChunk('VP8X', header));
+        }
+        frameChunks
+          .filter(frame => ['ALPH', 'VP8 ', 'VP8L'].includes(frame.type))
+          .forEach(frame => body.push(buildRiffChunk(frame.type, frame.data)));
+
+        const size = 4 + body.reduce((sum, part) => sum + part.length, 0);
+        const riffHeader = new Uint8Array(12);
+        riffHeader.set([0x52, 0x49, 0x46, 0x46]); // RIFF
+        writeUint32LE(riffHeader, 4, size);
+        riffHeader.set([0x57, 0x45, 0x42, 0x50], 8); // WEBP
+
+        return {
+          x: readUint24(data, 0) * 2,
+          y: readUint24(data, 3) * 2,
+          width: frameWidth,
+          height: frameHeight,
+          delay: normalizeDelay(readUint24(data, 12)),
+          dispose: flags & 0x01 ? 'background' : 'none',
+          blend: flags & 0x02 ? 'source' : 'over',
+          blob: new Blob([riffHeader, ...body], { type: 'image/webp' })
+        };
+      });
+
+    return { width, height, loopCount: anim ? readUint16(anim.data, 4) : 0, parts };
+  }
+
+  /**
+   * Composite standalone frame images onto a canvas with dispose and blend ops
+   * @param {object} animation - { width, height, loopCount, parts: [{ blob, x, y, width, height, delay, dispose, blend }] }
+   */
+  async compositeParts({ width, height, loopCount, parts }) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    canvas.width = width;
+    canvas.height = height;
+    const frames = [];
+
+    for (const part of parts) {
+      const bitmap = await createImageBitmap(part.blob);
+      const previous = part.dispose === 'previous' ? ctx.getImageData(0, 0, width, height) : null;
+
+      if (part.blend === 'source') ctx.clearRect(part.x, part.y, part.width, part.height);
+      ctx.drawImage(bitmap, part.x, part.y);
+      bitmap.close?.();
+      frames.push({ base64: canvas.toDataURL('image/png'), delay: part.delay });
+
+      if (part.dispose === 'background') {
+        ctx.clearRect(part.x, part.y, part.width, part.height);
+      } else if (previous) {
+        ctx.putImageData(previous, 0, 0);
+      }
+    }
+
+    return { width, height, loopCount, frames };
+  }
+
+  /**
+   * Map decoded frames onto monster.animations
+   * @param {Array<{base64, delay}>} frames - Decoded frames
+   * @param {string} name - Animation set name
+   * @returns {object} { [name]: { frames, fps, delays, generated } }
+   */
+  toAnimations(frames, name = 'idle') {
+    const delays = frames.map(frame => frame.delay);
+    const averageDelay = delays.reduce((sum, delay) => sum + delay, 0) / delays.length;
+    return {
+      [name]: {
+        frames: frames.map(frame => frame.base64),
+        fps: Math.min(60, Math.max(1, Math.round(1000 / averageDelay))),
+        delays,
+        generated: true
+      }
+    };
+  }
+
+  readPngChunks(bytes) {
+    const chunks = [];
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+      const length = readUint32(bytes, pos);
+      const type = readAscii(bytes, pos + 4, 4);
+      chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+      pos += 12 + length;
+      if (type === 'IEND') break;
+    }
+    return chunks;
+  }
+
+  readRiffChunks(bytes, start) {
+    const chunks = [];
+    let pos = start;
+    while (pos + 8 <= bytes.length) {
+      const length = readUint32LE(bytes, pos + 4);
+      chunks.push({ type: readAscii(bytes, pos, 4), data: bytes.subarray(pos + 8, pos + 8 + length) });
+      pos += 8 + length + (length & 1);
+    }
+    return chunks;
+  }
+}
+
+/**
+ * GIF variable-length-code LZW decoder
+ * @returns {Uint8Array} Palette indices
+ */
+function lzwDecode(minCodeSize, data, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  const output = new Uint8Array(pixelCount);
+  for (let code = 0; code < clearCode; code++) {
+    prefix[code] = -1;
+    suffix[code] = code;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let codeMask = (1 << codeSize) - 1;
+  let nextCode = endCode + 1;
+  let oldCode = -1;
+  let first = 0;
+  let out = 0;
+  let datum = 0;
+  let bits = 0;
+  let pos = 0;
+
+  while (out < pixelCount) {
+    while (bits < codeSize && pos < data.length) {
+      datum |= data[pos++] << bits;
+      bits += 8;
+    }
+    if (bits < codeSize) break;
+
+    const code = datum & codeMask;
+    datum >>= codeSize;
+    bits -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      codeMask = (1 << codeSize) - 1;
+      nextCode = endCode + 1;
+      oldCode = -1;
+      continue;
+    }
+    if (code === endCode) break;
+
+    if (oldCode === -1) {
+      output[out++] = suffix[code];
+      oldCode = code;
+      first = code;
+      continue;
+    }
+
+    let top = 0;
+    let current = code;
+    if (code >= nextCode) {
+      // Code not in the table yet: previous string plus its own first character
+      stack[top++] = first;
+      current = oldCode;
+    }
+    while (current >= clearCode) {
+      stack[top++] = suffix[current];
+      current = prefix[current];
+    }
+    first = suffix[current];
+    stack[top++] = first;
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = oldCode;
+      suffix[nextCode] = first;
+      nextCode++;
+      if ((nextCode & codeMask) === 0 && nextCode < 4096) {
+        codeSize++;
+        codeMask = (1 << codeSize) - 1;
+      }
+    }
+    oldCode = code;
+
+    while (top > 0 && out < pixelCount) {
+      output[out++] = stack[--top];
+    }
+  }
+  return output;
+}
+
+// Reorder interlaced rows (passes start at rows 0, 4, 2, 1)
+function deinterlace(indices, width, height) {
+  const result = new Uint8Array(indices.length);
+  const passes = [[0, 8], [4, 8], [2, 4], [1, 2]];
+  let row = 0;
+  for (const [start, step] of passes) {
+    for (let y = start; y < height; y += step) {
+      result.set(indices.subarray(row * width, (row + 1) * width), y * width);
+      row++;
+    }
+  }
+  return result;
+}
+
+function drawIndexed(canvas, width, height, indices, palette, transparentIndex, left, top, frameWidth, frameHeight) {
+  if (!palette) return;
+  for (let y = 0; y < frameHeight; y++) {
+    const cy = top + y;
+    if (cy >= height) break;
+    for (let x = 0; x < frameWidth; x++) {
+      const cx = left + x;
+      if (cx >= width) break;
+      const index = indices[y * frameWidth + x];
+      if (index === transparentIndex) continue;
+      const target = (cy * width + cx) * 4;
+      canvas[target] = palette[index * 3];
+      canvas[target + 1] = palette[index * 3 + 1];
+      canvas[target + 2] = palette[index * 3 + 2];
+      canvas[target + 3] = 255;
+    }
+  }
+}
+
+function clearRect(canvas, width, height, left, top, rectWidth, rectHeight) {
+  for (let y = top; y < Math.min(height, top + rectHeight); y++) {
+    canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + rectWidth)) * 4);
+  }
+}
+
+function readSubBlocks(bytes, start) {
+  let pos = start;
+  let length = 0;
+  while (pos < bytes.length && bytes[pos] !== 0) {
+    length += bytes[pos];
+    pos += bytes[pos] + 1;
+  }
+
+  const data = new Uint8Array(length);
+  let offset = 0;
+  pos = start;
+  while (pos < bytes.length && bytes[pos] !== 0) {
+    const size = bytes[pos];
+    data.set(bytes.subarray(pos + 1, pos + 1 + size), offset);
+    offset += size;
+    pos += size + 1;
+  }
+  return { data, end: pos + 1 };
+}
+
+function skipSubBlocks(bytes, pos) {
+  while (pos < bytes.length && bytes[pos] !== 0) {
+    pos += bytes[pos] + 1;
+  }
+  return pos + 1;
+}
+
+function normalizeDelay(ms) {
+  return ms < MIN_DELAY ? DEFAULT_DELAY : Math.round(ms);
+}
+
+function pixelsToDataUrl(pixels, width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+function buildPngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  writeUint32(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  writeUint32(chunk, 8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+function buildRiffChunk(type, data) {
+  const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+  for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+  writeUint32LE(chunk, 4, data.length);
+  chunk.set(data, 8);
+  return chunk;
+}
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readAscii(bytes, pos, length) {
+  return String.fromCharCode(...bytes.subarray(pos, pos + length));
+}
+
+function readUint16(bytes, pos) {
+  return bytes[pos] | (bytes[pos + 1] << 8);
+}
+
+function readUint24(bytes, pos) {
+  return bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16);
+}
+
+function readUint32LE(bytes, pos) {
+  return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+// Big-endian (PNG)
+function readUint32(bytes, pos) {
+  return ((bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3]) >>> 0;
+}
+
+function writeUint32(bytes, pos, value) {
+  bytes[pos] = (value >>> 24) & 0xff;
+  bytes[pos + 1] = (value >>> 16) & 0xff;
+  bytes[pos + 2] = (value >>> 8) & 0xff;
+  bytes[pos + 3] = value & 0xff;
+}
+
+function writeUint32LE(bytes, pos, value) {
+  bytes[pos] = value & 0xff;
+  bytes[pos + 1] = (value >>> 8) & 0xff;
+  bytes[pos + 2] = (value >>> 16) & 0xff;
+  bytes[pos + 3] = (value >>> 24) & 0xff;
+}
+
+function writeUint24(bytes, pos, value) {
+  bytes[pos] = value & 0xff;
+  bytes[pos + 1] = (value >>> 8) & 0xff;
+  bytes[pos + 2] = (value >>> 16) & 0xff;
+}
+
+export default new AnimationDecoder();
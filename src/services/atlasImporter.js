@@ -0,0 +1,189 @@
+/**
+ * Atlas Import Service
+ *
+ * Reads the JSON that Aseprite and TexturePacker export next to a sprite
+ * sheet, so sprites are cut from the exact frame rectangles instead of
+ * relying on grid detection. Trimmed frames are restored to their source
+ * size and rotated TexturePacker frames are turned back upright.
+ *
+ * Aseprite exports are one character: its tags become animation names and
+ * frame durations become fps. TexturePacker frames are grouped by name,
+ * with trailing frame numbers stripped ("goblin/walk_01.png" and
+ * "goblin/walk_02.png" are two frames of goblin/walk).
+ *
+ * Atlas: { format, image, frames: [{ name, rect, rotated, sourceRect, sourceSize, duration }], tags: [{ name, from, to, direction }] }
+ */
+
+import animationDecoder from './animationDecoder';
+import { loadImage } from '../utils/imageData';
+
+export const ATLAS_FORMATS = {
+  aseprite: 'aseprite',
+  texturePacker: 'texturePacker'
+};
+
+// Aseprite's default; TexturePacker doesn't store frame timing
+const DEFAULT_DURATION = 100;
+
+export class AtlasImporter {
+  /**
+   * Whether a file looks like atlas JSON
+   * @param {File} file
+   */
+  isAtlasFile(file) {
+    return file.type === 'application/json' || /\.json$/i.test(file.name);
+  }
+
+  /**
+   * Read and parse an atlas file
+   * @param {File} file - Exported .json
+   * @returns {Promise<object>} Atlas (see parse)
+   */
+  async readFile(file) {
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name} is not valid JSON`);
+    }
+    const atlas = this.parse(json);
+    console.log('[AtlasImporter] Read', atlas.frames.length, 'frames and', atlas.tags.length, 'tags from', file.name, `(${atlas.format})`);
+    return atlas;
+  }
+
+  /**
+   * Normalize Aseprite or TexturePacker JSON (hash or array frames)
+   * @param {object} json - Parsed export
+   * @returns {object} Atlas
+   */
+  parse(json) {
+    const rawFrames = Array.isArray(json?.frames)
+      ? json.frames
+      : Object.entries(json?.frames || {}).map(([filename, frame]) => ({ filename, ...frame }));
+    if (rawFrames.length === 0 || !rawFrames.every(frame => frame.frame)) {
+      throw new Error('No frame rectangles found - expected an Aseprite or TexturePacker JSON export');
+    }
+
+    const meta = json.meta || {};
+    const isAseprite = /aseprite/i.test(meta.app || '') || Array.isArray(meta.frameTags);
+
+    const frames = rawFrames.map((frame, index) => {
+      const { x, y, w, h } = frame.frame;
+      const sourceSize = frame.sourceSize || { w, h };
+      return {
+        name: frame.filename || `Frame ${index + 1}`,
+        rect: { x, y, width: w, height: h },
+        rotated: !!frame.rotated,
+        sourceRect: frame.trimmed && frame.spriteSourceSize
+          ? { x: frame.spriteSourceSize.x, y: frame.spriteSourceSize.y }
+          : { x: 0, y: 0 },
+        sourceSize: { width: sourceSize.w, height: sourceSize.h },
+        duration: frame.duration || DEFAULT_DURATION
+      };
+    });
+
+    const tags = (meta.frameTags || [])
+      .filter(tag => tag.from >= 0 && tag.to < frames.length && tag.from <= tag.to)
+      .map(tag => ({ name: tag.name, from: tag.from, to: tag.to, direction: tag.direction || 'forward' }));
+
+    return {
+      format: isAseprite ? ATLAS_FORMATS.aseprite : ATLAS_FORMATS.texturePacker,
+      image: meta.image || null,
+      frames,
+      tags
+    };
+  }
+
+  /**
+   * Cut every atlas frame out of the sheet
+   * @param {string} imageBase64 - Sheet image data URL
+   * @param {object} atlas - Parsed atlas
+   * @returns {Promise<Array>} Sprites { base64, name, index, region, duration }
+   */
+  async extractFrames(imageBase64, atlas) {
+    const img = await loadImage(imageBase64);
+    const sprites = atlas.frames.map((frame, index) => {
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      canvas.width = frame.sourceSize.width;
+      canvas.height = frame.sourceSize.height;
+
+      const { x, y, width, height } = frame.rect;
+      if (frame.rotated) {
+        // Packed 90° clockwise: the sheet holds a height x width block
+        ctx.translate(frame.sourceRect.x, frame.sourceRect.y + height);
+        ctx.rotate(-Math.PI / 2);
+        ctx.drawImage(img, x, y, height, width, 0, 0, height, width);
+      } else {
+        ctx.drawImage(img, x, y, width, height, frame.sourceRect.x, frame.sourceRect.y, width, height);
+      }
+
+      return {
+        base64: canvas.toDataURL('image/png'),
+        name: frame.name,
+        index,
+        region: { ...frame.rect },
+        duration: frame.duration
+      };
+    });
+
+    console.log('[AtlasImporter] Extracted', sprites.length, 'frames');
+    return sprites;
+  }
+
+  /**
+   * Group extracted frames into characters with animations
+   * @param {Array} sprites - From extractFrames (in atlas order)
+   * @param {object} atlas - Parsed atlas
+   * @param {string} name - Character name for Aseprite exports
+   * @returns {Array} Groups { name, frames: [sprite], animations }
+   */
+  groupFrames(sprites, atlas, name) {
+    if (atlas.format === ATLAS_FORMATS.aseprite) {
+      const tags = atlas.tags.length > 0
+        ? atlas.tags
+        : [{ name: 'idle', from: 0, to: sprites.length - 1, direction: 'forward' }];
+      const animations = {};
+      for (const tag of tags) {
+        const frames = orderTagFrames(sprites.slice(tag.from, tag.to + 1), tag.direction);
+        Object.assign(animations, this.toAnimations(frames, animationName(tag.name)));
+      }
+      return [{ name, frames: sprites, animations }];
+    }
+
+    const groups = new Map();
+    for (const sprite of sprites) {
+      const stem = frameStem(sprite.name);
+      if (!groups.has(stem)) groups.set(stem, []);
+      groups.get(stem).push(sprite);
+    }
+    return [...groups.entries()].map(([stem, frames]) => ({
+      name: stem,
+      frames,
+      animations: frames.length > 1 ? this.toAnimations(frames, animationName(stem.split('/').pop())) : null
+    }));
+  }
+
+  toAnimations(frames, name) {
+    return animationDecoder.toAnimations(frames.map(frame => ({ base64: frame.base64, delay: frame.duration })), name);
+  }
+}
+
+// Frames for an Aseprite tag direction; ping-pong doesn't repeat the end frames
+function orderTagFrames(frames, direction) {
+  if (direction === 'reverse') return [...frames].reverse();
+  if (direction === 'pingpong') return [...frames, ...frames.slice(1, -1).reverse()];
+  return frames;
+}
+
+// "goblin/walk_01.png" -> "goblin/walk"
+function frameStem(filename) {
+  const stem = filename.replace(/\.[a-z0-9]+$/i, '').replace(/[\s_\-.]*\d+$/, '');
+  return stem || filename;
+}
+
+function animationName(label) {
+  return label.trim().toLowerCase().replace(/\s+/g, '_') || 'idle';
+}
+
+export default new AtlasImporter();
@@ -0,0 +1,144 @@
+/**
+ * Background Removal Service
+ *
+ * Local `remove-background` transformation (docs/ETL_PIPELINE_SPEC.md):
+ * samples the border color of an image and keys it to alpha, either
+ * everywhere or only where it is connected to the edges (flood mode, which
+ * keeps matching colors inside the sprite such as white eyes).
+ * Runs on ImageData only; pixelWorker.removeBackground keys data URLs
+ * off the main thread.
+ */
+
+export const KEY_MODES = {
+  off: 'off',
+  flood: 'flood',   // Only background connected to the image edges
+  global: 'global'  // Every pixel matching the background color
+};
+
+export class BackgroundRemover {
+  constructor(options = {}) {
+    this.tolerance = options.tolerance ?? 24;
+    this.alphaThreshold = options.alphaThreshold ?? 50;
+    this.minBorderCoverage = options.minBorderCoverage ?? 0.6;
+  }
+
+  /**
+   * Find a solid background color along the image border
+   * @param {ImageData} imageData - Image pixels
+   * @param {number} tolerance - Max per-channel difference from the sampled color
+   * @returns {number[]|null} [r, g, b], or null when the border is transparent or not uniform
+   */
+  sampleBorderColor(imageData, tolerance = this.tolerance) {
+    const { data, width, height } = imageData;
+    const border = this.borderIndices(width, height);
+    const bins = new Map();
+    let transparent = 0;
+
+    for (const pixel of border) {
+      const idx = pixel * 4;
+      if (data[idx + 3] <= this.alphaThreshold) {
+        transparent++;
+        continue;
+      }
+      const key = ((data[idx] >> 4) << 8) | ((data[idx + 1] >> 4) << 4) | (data[idx + 2] >> 4);
+      const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bin.count++;
+      bin.r += data[idx];
+      bin.g += data[idx + 1];
+      bin.b += data[idx + 2];
+      bins.set(key, bin);
+    }
+
+    // Already transparent - nothing to key
+    if (transparent > border.length / 2 || bins.size === 0) return null;
+
+    const best = [...bins.values()].sort((a, b) => b.count - a.count)[0];
+    const color = [best.r / best.count, best.g / best.count, best.b / best.count].map(Math.round);
+
+    const matching = border.filter(pixel => this.matches(data, pixel * 4, color, tolerance)).length;
+    return matching / border.length >= this.minBorderCoverage ? color : null;
+  }
+
+  /**
+   * Key the background color to transparency
+   * @param {ImageData} imageData - Image pixels (not modified)
+   * @param {object} options - { mode: KEY_MODES value, tolerance, color? }
+   * @returns {object} { imageData, color, removed } - color is null when nothing was keyed
+   */
+  removeBackground(imageData, options = {}) {
+    const mode = options.mode || KEY_MODES.flood;
+    const tolerance = options.tolerance ?? this.tolerance;
+    const color = mode === KEY_MODES.off ? null : (options.color || this.sampleBorderColor(imageData, tolerance));
+    if (!color) return { imageData, color: null, removed: 0 };
+
+    const { width, height } = imageData;
+    const data = new Uint8ClampedArray(imageData.data);
+    let removed = 0;
+
+    if (mode === KEY_MODES.global) {
+      for (let idx = 0; idx < data.length; idx += 4) {
+        if (data[idx + 3] > 0 && this.matches(data, idx, color, tolerance)) {
+          data[idx + 3] = 0;
+          removed++;
+        }
+      }
+    } else {
+      // Flood fill from every matching border pixel
+      const visited = new Uint8Array(width * height);
+      const stack = [];
+      for (const pixel of this.borderIndices(width, height)) {
+        if (!visited[pixel]) {
+          visited[pixel] = 1;
+          stack.push(pixel);
+        }
+      }
+
+      while (stack.length > 0) {
+        const pixel = stack.pop();
+        const idx = pixel * 4;
+        if (data[idx + 3] > 0 && !this.matches(data, idx, color, tolerance)) continue;
+        if (data[idx + 3] > 0) removed++;
+        data[idx + 3] = 0;
+
+        const x = pixel % width;
+        const y = (pixel - x) / width;
+        const neighbours = [
+          x > 0 ? pixel - 1 : -1,
+          x < width - 1 ? pixel + 1 : -1,
+          y > 0 ? pixel - width : -1,
+          y < height - 1 ? pixel + width : -1
+        ];
+        for (const next of neighbours) {
+          if (next >= 0 && !visited[next]) {
+            visited[next] = 1;
+            stack.push(next);
+          }
+        }
+      }
+    }
+
+    return { imageData: new ImageData(data, width, height), color, removed };
+  }
+
+  matches(data, idx, color, tolerance) {
+    return Math.abs(data[idx] - color[0]) <= tolerance &&
+      Math.abs(data[idx + 1] - color[1]) <= tolerance &&
+      Math.abs(data[idx + 2] - color[2]) <= tolerance;
+  }
+
+  // Pixel indices of the outermost row and column on each side
+  borderIndices(width, height) {
+    const indices = [];
+    for (let x = 0; x < width; x++) {
+      indices.push(x);
+      if (height > 1) indices.push((height - 1) * width + x);
+    }
+    for (let y = 1; y < height - 1; y++) {
+      indices.push(y * width);
+      if (width > 1) indices.push(y * width + width - 1);
+    }
+    return indices;
+  }
+}
+
+export default new BackgroundRemover();
@@ -0,0 +1,59 @@
+import { BackgroundRemover, KEY_MODES } from './backgroundRemover';
+
+const WHITE = [255, 255, 255];
+const GREEN = [20, 160, 60];
+
+// 12x12 white image with a green 6x6 body holding one white "eye" pixel
+function drawSprite(background = WHITE) {
+  const width = 12;
+  const height = 12;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const body = x >= 3 && x < 9 && y >= 3 && y < 9;
+      const eye = x === 5 && y === 5;
+      const color = eye ? WHITE : body ? GREEN : background;
+      if (color) data.set([...color, 255], (y * width + x) * 4);
+    }
+  }
+  return new ImageData(data, width, height);
+}
+
+const alphaAt = (imageData, x, y) => imageData.data[(y * imageData.width + x) * 4 + 3];
+
+describe('BackgroundRemover', () => {
+  const remover = new BackgroundRemover();
+
+  it('samples a solid border color', () => {
+    expect(remover.sampleBorderColor(drawSprite())).toEqual(WHITE);
+  });
+
+  it('finds nothing to key on a transparent border', () => {
+    const result = remover.removeBackground(drawSprite(null));
+    expect(result.color).toBeNull();
+    expect(result.removed).toBe(0);
+  });
+
+  it('flood mode keeps matching colors inside the sprite', () => {
+    const source = drawSprite();
+    const { imageData, color, removed } = remover.removeBackground(source, { mode: KEY_MODES.flood });
+    expect(color).toEqual(WHITE);
+    expect(removed).toBe(144 - 36);
+    expect(alphaAt(imageData, 0, 0)).toBe(0);
+    expect(alphaAt(imageData, 5, 5)).toBe(255);
+    expect(alphaAt(imageData, 4, 4)).toBe(255);
+    // The input is left untouched
+    expect(alphaAt(source, 0, 0)).toBe(255);
+  });
+
+  it('global mode keys every matching pixel', () => {
+    const { imageData, removed } = remover.removeBackground(drawSprite(), { mode: KEY_MODES.global });
+    expect(removed).toBe(144 - 35);
+    expect(alphaAt(imageData, 5, 5)).toBe(0);
+  });
+
+  it('does nothing when keying is off', () => {
+    const source = drawSprite();
+    expect(remover.removeBackground(source, { mode: KEY_MODES.off })).toEqual({ imageData: source, color: null, removed: 0 });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Balance Report
+ *
+ * Aggregates the transformation collection to spot balance problems:
+ * - Stat distributions per evolution stage
+ * - Element and creature-type coverage
+ * - Average ability power per element
+ * - Outliers more than two standard deviations from the mean
+ * - Round-robin battle win rates per element
+ */
+
+import { ELEMENT_TYPES, CREATURE_TYPES } from '../data/elements';
+import { STAT_NAMES } from '../data/statProfiles';
+import { MAX_STAGES, getBudgetStage, normalizeEvolutions } from '../data/evolutions';
+import battleEngine from './battleEngine';
+
+const OUTLIER_THRESHOLD = 2;
+
+function summarize(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: 0, stdDev: 0, min: 0, max: 0 };
+  }
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return {
+    count: values.length,
+    mean,
+    stdDev: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values)
+  };
+}
+
+function countBy(keys, values) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const value of values) {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  return counts;
+}
+
+export class BalanceReport {
+  /**
+   * Build the static report (no battles)
+   * @param {object[]} monsters - Transformation records
+   * @returns {object} Report
+   */
+  build(monsters = []) {
+    const withEvolutions = monsters
+      .filter(m => m.evolutions?.length)
+      .map(m => ({ ...m, evolutions: normalizeEvolutions(m.evolutions) }));
+    const stages = this.getStageDistributions(withEvolutions);
+
+    const primaryCounts = countBy(ELEMENT_TYPES, withEvolutions.map(m => m.primaryElement));
+    const secondaryCounts = countBy(ELEMENT_TYPES, withEvolutions.map(m => m.secondaryElement));
+    const creatureCounts = countBy(CREATURE_TYPES, withEvolutions.map(m => m.creatureType));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      monsterCount: withEvolutions.length,
+      stages,
+      elements: ELEMENT_TYPES.map(element => ({
+        element,
+        primary: primaryCounts[element],
+        secondary: secondaryCounts[element],
+        total: primaryCounts[element] + secondaryCounts[element]
+      })),
+      creatureTypes: Object.entries(creatureCounts).map(([type, count]) => ({ type, count })),
+      missingElements: ELEMENT_TYPES.filter(e => primaryCounts[e] + secondaryCounts[e] === 0),
+      missingCreatureTypes: CREATURE_TYPES.filter(t => !creatureCounts[t]),
+      abilityPower: this.getAbilityPower(withEvolutions),
+      outliers: this.findOutliers(withEvolutions, stages)
+    };
+  }
+
+  /**
+   * Per-stage summaries for each stat and the base-stat total.
+   * Forms are bucketed by budget stage, so a single-stage legendary
+   * is compared against other fully evolved forms.
+   */
+  getStageDistributions(monsters) {
+    const stages = [];
+
+    for (let idx = 0; idx < MAX_STAGES; idx++) {
+      const statSets = monsters
+        .flatMap(m => m.evolutions.filter(evo => getBudgetStage(evo, m.evolutions) === idx + 1))
+        .map(evo => evo.stats)
+        .filter(Boolean);
+
+      const stats = {};
+      for (const stat of STAT_NAMES) {
+        stats[stat] = summarize(statSets.map(s => s[stat] || 0));
+      }
+      stats.total = summarize(statSets.map(s => STAT_NAMES.reduce((sum, stat) => sum + (s[stat] || 0), 0)));
+
+      stages.push({ stage: idx + 1, stats });
+    }
+
+    return stages;
+  }
+
+  /**
+   * Average ability power grouped by ability element
+   */
+  getAbilityPower(monsters) {
+    const powers = Object.fromEntries(ELEMENT_TYPES.map(e => [e, []]));
+
+    for (const monster of monsters) {
+      for (const evo of monster.evolutions) {
+        for (const ability of evo.abilities || []) {
+          if (powers[ability.type] && typeof ability.power === 'number') {
+            powers[ability.type].push(ability.power);
+          }
+        }
+      }
+    }
+
+    return ELEMENT_TYPES.map(element => {
+      const { count, mean, stdDev } = summarize(powers[element]);
+      return { element, count, mean, stdDev };
+    });
+  }
+
+  /**
+   * Stats more than OUTLIER_THRESHOLD standard deviations from their stage mean
+   */
+  findOutliers(monsters, stages) {
+    const outliers = [];
+
+    for (const monster of monsters) {
+      monster.evolutions.forEach((evo) => {
+        const stage = getBudgetStage(evo, monster.evolutions);
+        const summary = stages[stage - 1]?.stats;
+        if (!evo.stats || !summary) return;
+
+        const values = {
+          ...evo.stats,
+          total: STAT_NAMES.reduce((sum, stat) => sum + (evo.stats[stat] || 0), 0)
+        };
+
+        for (const stat of [...STAT_NAMES, 'total']) {
+          const { mean, stdDev } = summary[stat];
+          if (stdDev === 0) continue;
+          const zScore = ((values[stat] || 0) - mean) / stdDev;
+          if (Math.abs(zScore) > OUTLIER_THRESHOLD) {
+            outliers.push({
+              monsterId: monster.id,
+              name: evo.name || monster.name,
+              stage,
+              stat,
+              value: values[stat] || 0,
+              mean,
+              zScore
+            });
+          }
+        }
+      });
+    }
+
+    return outliers.sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore));
+  }
+
+  /**
+   * Battle every monster against every other once and tally wins per primary element
+   * @param {object[]} monsters - Transformation records
+   * @param {object} options
+   * @param {number} options.stage - Evolution stage to battle at, 1 = base form (defaults to final)
+   * @param {number} options.seed - Base seed; battle i uses seed + i
+   * @param {number} options.maxMonsters - Cap on participants (battles grow quadratically)
+   * @returns {object} { battles, draws, elements: [{ element, wins, losses, draws, battles, winRate }] }
+   */
+  runRoundRobin(monsters = [], options = {}) {
+    const { stage, seed = 1, maxMonsters = 100 } = options;
+    const entrants = monsters.filter(m => m.evolutions?.length).slice(0, maxMonsters);
+    const tally = Object.fromEntries(
+      ELEMENT_TYPES.map(e => [e, { element: e, wins: 0, losses: 0, draws: 0, battles: 0 }])
+    );
+
+    let battles = 0;
+    let draws = 0;
+
+    for (let i = 0; i < entrants.length; i++) {
+      for (let j = i + 1; j < entrants.length; j++) {
+        const a = entrants[i];
+        const b = entrants[j];
+        const { winner } = battleEngine.battle(a, b, { stage, seed: seed + battles });
+        battles++;
+
+        const sideA = tally[a.primaryElement];
+        const sideB = tally[b.primaryElement];
+        if (sideA) sideA.battles++;
+        if (sideB) sideB.battles++;
+
+        if (winner === 'A') {
+          if (sideA) sideA.wins++;
+          if (sideB) sideB.losses++;
+        } else if (winner === 'B') {
+          if (sideB) sideB.wins++;
+          if (sideA) sideA.losses++;
+        } else {
+          draws++;
+          if (sideA) sideA.draws++;
+          if (sideB) sideB.draws++;
+        }
+      }
+    }
+
+    return {
+      battles,
+      draws,
+      entrants: entrants.length,
+      elements: Object.values(tally).map(entry => ({
+        ...entry,
+        winRate: entry.battles ? entry.wins / entry.battles : null
+      }))
+    };
+  }
+}
+
+export default new BalanceReport();
@@ -0,0 +1,244 @@
+/**
+ * Batch Import Service
+ *
+ * Prepares uploads for the Originals library: gathers files from multi-file
+ * and folder drops, unpacks .zip archives, pairs sheets with their atlas
+ * JSON, and reads each image (animation frames, fingerprint, library
+ * duplicates, palette, single-vs-sheet guess) so one dialog can confirm
+ * them all.
+ *
+ * Upload: { file, preview, filename, fingerprint, duplicates, palette, animation, atlas, atlasError }
+ */
+
+import { SCHEMA_VERSION } from '../data/schema';
+import animationDecoder from './animationDecoder';
+import atlasImporter from './atlasImporter';
+import duplicateDetector from './duplicateDetector';
+import pixelWorker from './pixelWorker';
+import zipReader from './zipReader';
+
+export class BatchImporter {
+  /**
+   * Files from a drop, walking into dropped folders
+   * @param {DataTransfer} dataTransfer - From the drop event
+   * @returns {Promise<File[]>}
+   */
+  async collectDroppedFiles(dataTransfer) {
+    // Entries have to be taken before the first await, while the drop data is still readable
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => item.webkitGetAsEntry?.());
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+      return Array.from(dataTransfer.files || []);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      files.push(...await readEntry(entry));
+    }
+    return files;
+  }
+
+  /**
+   * Replace .zip archives with the files inside them
+   * @param {File[]} files
+   * @returns {Promise<{files: File[], errors: string[]}>}
+   */
+  async expandArchives(files) {
+    const expanded = [];
+    const errors = [];
+    for (const file of files) {
+      if (!zipReader.isZipFile(file)) {
+        expanded.push(file);
+        continue;
+      }
+      try {
+        expanded.push(...await zipReader.readFiles(file));
+      } catch (error) {
+        console.warn('[BatchImporter] Could not unpack', file.name, error);
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+    return { files: expanded, errors };
+  }
+
+  /**
+   * Images in a file list, each with the atlas JSON of the same name (or
+   * whose meta.image names it) when there is one
+   * @param {File[]} files
+   * @returns {Promise<Array<{file: File, atlasFile: File|null}>>}
+   */
+  async pairFiles(files) {
+    const images = files.filter(file => file.type.startsWith('image/'));
+    const atlasFiles = files.filter(file => atlasImporter.isAtlasFile(file));
+
+    const atlasByName = new Map();
+    for (const atlasFile of atlasFiles) {
+      atlasByName.set(stem(atlasFile.name), atlasFile);
+      try {
+        const image = JSON.parse(await atlasFile.text())?.meta?.image;
+        if (image) atlasByName.set(stem(image.split('/').pop()), atlasFile);
+      } catch (error) {
+        // Unreadable JSON is reported when the atlas is read
+      }
+    }
+
+    // A single image dropped with a single JSON belongs together whatever their names
+    if (images.length === 1 && atlasFiles.length === 1) {
+      return [{ file: images[0], atlasFile: atlasFiles[0] }];
+    }
+    return images.map(file => ({ file, atlasFile: atlasByName.get(stem(file.name)) || null }));
+  }
+
+  /**
+   * Read an image for upload
+   * @param {File} file - Image file
+   * @param {File|null} atlasFile - Atlas JSON exported with it
+   * @param {Array} records - Records to check for duplicates (with fingerprints)
+   * @returns {Promise<object>} Upload
+   */
+  async prepareUpload(file, atlasFile, records = []) {
+    let preview = await readDataUrl(file);
+
+    // Animated GIF/APNG/WebP keep every frame; the first one stands in for the image
+    let animation = null;
+    try {
+      animation = await animationDecoder.decodeFile(file);
+      if (animation) preview = animation.frames[0].base64;
+    } catch (error) {
+      console.warn('[BatchImporter] Could not decode animation frames:', error);
+    }
+
+    let atlas = null;
+    let atlasError = null;
+    if (atlasFile) {
+      try {
+        atlas = await atlasImporter.readFile(atlasFile);
+      } catch (error) {
+        console.warn('[BatchImporter] Could not read atlas:', error);
+        atlasError = `Ignored ${atlasFile.name}: ${error.message}`;
+      }
+    }
+
+    // Flag uploads that duplicate something already in the library
+    let fingerprint = null;
+    let duplicates = [];
+    try {
+      fingerprint = await duplicateDetector.fingerprintDataUrl(preview);
+      duplicates = duplicateDetector.findMatches(fingerprint, records);
+    } catch (error) {
+      console.warn('[BatchImporter] Could not fingerprint upload:', error);
+    }
+
+    let palette = null;
+    try {
+      palette = await pixelWorker.extractPalette(preview);
+    } catch (error) {
+      console.warn('[BatchImporter] Could not extract palette:', error);
+    }
+
+    return { file, preview, filename: file.name, fingerprint, duplicates, palette, animation, atlas, atlasError };
+  }
+
+  /**
+   * Guess whether an upload is one sprite or a sheet
+   * @param {object} upload - From prepareUpload
+   * @param {object} detectionOptions - SpriteExtractor options
+   * @returns {Promise<{type: 'single'|'sheet', count: number, gridInfo: object|null}>}
+   */
+  async classify(upload, detectionOptions = {}) {
+    if (upload.atlas) return { type: 'sheet', count: upload.atlas.frames.length, gridInfo: null };
+    if (upload.animation) return { type: 'single', count: 1, gridInfo: null };
+
+    try {
+      const detection = await pixelWorker.detectType(upload.preview, detectionOptions);
+      return detection.type === 'single' || detection.count < 2
+        ? { type: 'single', count: 1, gridInfo: null }
+        : { type: 'sheet', count: detection.count, gridInfo: detection.gridInfo };
+    } catch (error) {
+      console.warn('[BatchImporter] Could not classify', upload.filename, error);
+      return { type: 'single', count: 1, gridInfo: null };
+    }
+  }
+
+  /**
+   * Build the Originals record for an upload
+   * @param {object} upload - From prepareUpload
+   * @param {object} options - { id?, isSpriteSheet, spriteCount, analysisResult?, duplicate? }
+   * @returns {object} Original record
+   */
+  createOriginal(upload, { id = `orig_${Date.now()}`, isSpriteSheet = false, spriteCount = 1, analysisResult = null, duplicate = null } = {}) {
+    // Exact copies reuse the existing image so it is stored once
+    const base64 = duplicate?.exact ? duplicate.record.base64 : upload.preview;
+    const original = {
+      id,
+      schemaVersion: SCHEMA_VERSION,
+      filename: upload.filename,
+      uploadedAt: new Date().toISOString(),
+      base64,
+      fingerprint: upload.fingerprint,
+      palette: upload.palette || null,
+    };
+
+    // For single sprites, just store the whole image
+    if (!isSpriteSheet || spriteCount === 1) {
+      Object.assign(original, { isSpriteSheet: false, spriteCount: 1 });
+      const { animation } = upload;
+      if (animation) {
+        const frames = [base64, ...animation.frames.slice(1).map(frame => frame.base64)];
+        original.frames = frames;
+        original.frameDelays = animation.frames.map(frame => frame.delay);
+        original.loopCount = animation.loopCount;
+        original.animations = animationDecoder.toAnimations(animation.frames.map((frame, i) => ({ ...frame, base64: frames[i] })));
+      }
+      return original;
+    }
+
+    // For sprite sheets, store with metadata including grid info for extraction
+    return Object.assign(original, {
+      isSpriteSheet: true,
+      spriteCount: upload.atlas ? upload.atlas.frames.length : spriteCount,
+      // Store analysis data for later extraction
+      analysisResult,
+      gridInfo: analysisResult?.gridInfo || null,
+      spriteList: analysisResult?.sprites || [],
+      // Exported frame rectangles replace grid detection
+      atlas: upload.atlas || null,
+      extractedSprites: null, // Will be populated when user extracts
+    });
+  }
+}
+
+async function readEntry(entry) {
+  if (entry.isFile) {
+    return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+  }
+  if (!entry.isDirectory || entry.name.startsWith('.')) return [];
+
+  // readEntries returns directory contents in batches until it returns none
+  const reader = entry.createReader();
+  const files = [];
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) {
+      files.push(...await readEntry(child));
+    }
+  } while (batch.length > 0);
+  return files;
+}
+
+function readDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+function stem(filename) {
+  return filename.replace(/\.[a-z0-9]+$/i, '').toLowerCase();
+}
+
+export default new BatchImporter();
@@ -0,0 +1,349 @@
+/**
+ * Battle Engine
+ *
+ * Headless turn-based battle simulator for generated monsters:
+ * - 1v1 and team battles
+ * - Damage formula with STAB, type effectiveness and critical hits
+ * - Accuracy rolls, move priority and speed ordering
+ * - PP consumption (Struggle when out of PP)
+ * - Status conditions and stat stages via the StatusEngine
+ * - Turn-by-turn battle log
+ *
+ * Battles are seeded, so the same seed and teams replay identically.
+ */
+
+import { getEffectiveness } from '../data/elements';
+import { migrateEffect } from '../data/abilities';
+import statusEngine from './statusEngine';
+import { getStageForm } from '../data/evolutions';
+import { createRng, randomSeed } from '../utils/random';
+
+const STRUGGLE = {
+  name: 'Struggle',
+  type: null,
+  power: 50,
+  accuracy: 100,
+  pp: Infinity,
+  priority: 0,
+  effect: null
+};
+
+const CONFUSION_HIT = {
+  name: 'Confusion damage',
+  type: null,
+  power: 40,
+  accuracy: 100,
+  priority: 0,
+  effect: null
+};
+
+export class BattleEngine {
+  /**
+   * @param {object} options
+   * @param {number} options.level - Level all combatants fight at
+   * @param {number} options.maxTurns - Turn cap before the battle is a draw
+   */
+  constructor(options = {}) {
+    this.level = options.level ?? 50;
+    this.maxTurns = options.maxTurns ?? 100;
+    this.rng = Math.random;
+  }
+
+  /**
+   * Run a 1v1 battle between two monsters
+   * @param {object} monsterA - Transformation record
+   * @param {object} monsterB - Transformation record
+   * @param {object} options - See simulate()
+   */
+  battle(monsterA, monsterB, options = {}) {
+    return this.simulate([monsterA], [monsterB], options);
+  }
+
+  /**
+   * Run a team battle. Fainted monsters are replaced by the next in line.
+   * @param {object[]} teamA - Transformation records
+   * @param {object[]} teamB - Transformation records
+   * @param {object} options
+   * @param {number} options.seed - Seed for all rolls (random if omitted)
+   * @param {number} options.stage - Evolution stage to fight as, 1 = base form (defaults to final stage)
+   * @param {object} options.forms - { A: evolutionId[], B: evolutionId[] } exact form per team member,
+   *   overriding stage (picks a branch when a stage has several)
+   * @returns {object} { seed, winner: 'A' | 'B' | null, turns, log, teams }
+   */
+  simulate(teamA, teamB, options = {}) {
+    const seed = options.seed ?? randomSeed();
+    this.rng = createRng(seed);
+
+    const sides = {
+      A: teamA.map((monster, idx) => this.createCombatant(monster, options.stage, options.forms?.A?.[idx])),
+      B: teamB.map((monster, idx) => this.createCombatant(monster, options.stage, options.forms?.B?.[idx]))
+    };
+    const active = { A: 0, B: 0 };
+    const log = [];
+
+    if (sides.A.length === 0 || sides.B.length === 0) {
+      throw new Error('Both teams need at least one monster');
+    }
+
+    log.push({
+      turn: 0,
+      type: 'start',
+      message: `${sides.A[0].name} vs ${sides.B[0].name}!`
+    });
+
+    let turn = 0;
+    let winner = null;
+
+    while (turn < this.maxTurns) {
+      turn++;
+      log.push({ turn, type: 'turn', message: `Turn ${turn}` });
+
+      const a = sides.A[active.A];
+      const b = sides.B[active.B];
+      const actions = [
+        { side: 'A', user: a, target: b, ability: this.chooseAbility(a, b) },
+        { side: 'B', user: b, target: a, ability: this.chooseAbility(b, a) }
+      ];
+
+      for (const action of this.getTurnOrder(actions)) {
+        if (action.user.fainted || action.target.fainted) continue;
+        this.executeAction(action, turn, log);
+      }
+
+      // Residual status damage
+      for (const [side, combatant] of [['A', a], ['B', b]]) {
+        for (const message of statusEngine.endOfTurn(combatant)) {
+          log.push({ turn, type: 'status', side, message });
+        }
+        this.checkFaint(combatant, side, turn, log);
+      }
+
+      // Replace fainted monsters
+      for (const side of ['A', 'B']) {
+        if (!sides[side][active[side]].fainted) continue;
+        const next = sides[side].findIndex(c => !c.fainted);
+        if (next === -1) continue;
+        active[side] = next;
+        log.push({
+          turn,
+          type: 'switch',
+          side,
+          message: `Team ${side} sends out ${sides[side][next].name}!`
+        });
+      }
+
+      const aDown = sides.A.every(c => c.fainted);
+      const bDown = sides.B.every(c => c.fainted);
+      if (aDown || bDown) {
+        winner = aDown && bDown ? null : aDown ? 'B' : 'A';
+        break;
+      }
+    }
+
+    log.push({
+      turn,
+      type: 'result',
+      winner,
+      message: winner
+        ? `Team ${winner} wins in ${turn} turn${turn === 1 ? '' : 's'}!`
+        : turn >= this.maxTurns ? `Draw after ${turn} turns` : 'Both teams fainted - draw'
+    });
+
+    return { seed, winner, turns: turn, log, teams: sides };
+  }
+
+  /**
+   * Build battle state for a monster at a given evolution stage
+   * @param {number} stage - Evolution stage (1 = base form); final stage when omitted
+   * @param {string} formId - Exact evolution node to use instead
+   */
+  createCombatant(monster, stage, formId) {
+    const evo = getStageForm(monster.evolutions || [], stage, formId) || {};
+    const base = evo.stats || monster.stats || {};
+
+    const stats = {
+      attack: this.scaleStat(base.attack),
+      defense: this.scaleStat(base.defense),
+      special: this.scaleStat(base.special),
+      speed: this.scaleStat(base.speed)
+    };
+    const maxHp = Math.floor((2 * (base.hp || 1) * this.level) / 100) + this.level + 10;
+
+    return {
+      ...statusEngine.createState(),
+      id: monster.id,
+      name: evo.name || monster.name || 'Unknown',
+      sprite: evo.sprite || monster.baseSprite,
+      primaryElement: evo.primaryElement || monster.primaryElement,
+      secondaryElement: evo.primaryElement ? evo.secondaryElement : monster.secondaryElement,
+      stats,
+      maxHp,
+      hp: maxHp,
+      fainted: false,
+      abilities: (evo.abilities || monster.abilities || [])
+        .filter(ability => ability && ability.power > 0)
+        .map(ability => ({ ...ability, effect: migrateEffect(ability.effect), ppLeft: ability.pp ?? 10 }))
+    };
+  }
+
+  /**
+   * Convert a base stat to its value at battle level
+   */
+  scaleStat(base = 1) {
+    return Math.floor((2 * base * this.level) / 100) + 5;
+  }
+
+  /**
+   * Pick the usable ability with the highest expected damage
+   */
+  chooseAbility(user, target) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const ability of user.abilities) {
+      if (ability.ppLeft <= 0) continue;
+      const score = ability.power
+        * ((ability.accuracy ?? 100) / 100)
+        * this.getStab(user, ability)
+        * getEffectiveness(ability.type, target.primaryElement, target.secondaryElement);
+      if (score > bestScore) {
+        best = ability;
+        bestScore = score;
+      }
+    }
+
+    return best || STRUGGLE;
+  }
+
+  /**
+   * Order actions by ability priority, then speed, then a coin flip
+   */
+  getTurnOrder(actions) {
+    const entries = actions.map(action => ({
+      action,
+      priority: (action.ability.priority || 0) + (action.ability.effect?.kind === 'priority' ? 1 : 0),
+      speed: statusEngine.getStat(action.user, 'speed'),
+      roll: this.rng()
+    }));
+    return entries
+      .sort((x, y) => y.priority - x.priority || y.speed - x.speed || y.roll - x.roll)
+      .map(entry => entry.action);
+  }
+
+  /**
+   * Resolve one monster's move and append to the log
+   */
+  executeAction({ side, user, target, ability }, turn, log) {
+    const { canMove, selfHit, messages } = statusEngine.beforeMove(user, this.rng);
+    for (const message of messages) {
+      log.push({ turn, type: 'status', side, message });
+    }
+    if (selfHit) {
+      const { damage } = this.calculateDamage(user, user, CONFUSION_HIT);
+      user.hp = Math.max(0, user.hp - damage);
+      log.push({ turn, type: 'damage', side, damage, message: `${user.name} took ${damage} damage (${user.hp}/${user.maxHp} HP)` });
+      this.checkFaint(user, side, turn, log);
+    }
+    if (!canMove) return;
+
+    if (ability !== STRUGGLE) ability.ppLeft--;
+    log.push({
+      turn,
+      type: 'move',
+      side,
+      ability: ability.name,
+      message: ability === STRUGGLE
+        ? `${user.name} has no PP left and struggles!`
+        : `${user.name} used ${ability.name}!`
+    });
+
+    if (this.rng() * 100 >= (ability.accuracy ?? 100)) {
+      log.push({ turn, type: 'miss', side, message: `${user.name}'s attack missed!` });
+      return;
+    }
+
+    const { damage, effectiveness, critical } = this.calculateDamage(user, target, ability);
+
+    if (effectiveness === 0) {
+      log.push({ turn, type: 'immune', side, message: `It doesn't affect ${target.name}...` });
+      return;
+    }
+
+    target.hp = Math.max(0, target.hp - damage);
+    log.push({
+      turn,
+      type: 'damage',
+      side,
+      damage,
+      effectiveness,
+      critical,
+      targetHp: target.hp,
+      message: `${target.name} took ${damage} damage (${target.hp}/${target.maxHp} HP)`
+    });
+    if (critical) log.push({ turn, type: 'info', side, message: 'A critical hit!' });
+    if (effectiveness > 1) log.push({ turn, type: 'info', side, message: "It's super effective!" });
+    if (effectiveness < 1) log.push({ turn, type: 'info', side, message: "It's not very effective..." });
+
+    if (ability === STRUGGLE) {
+      const recoil = Math.max(1, Math.floor(damage / 4));
+      user.hp = Math.max(0, user.hp - recoil);
+      log.push({ turn, type: 'recoil', side, message: `${user.name} is hit by recoil (${recoil})` });
+      this.checkFaint(user, side, turn, log);
+    }
+
+    this.checkFaint(target, side === 'A' ? 'B' : 'A', turn, log);
+
+    for (const message of statusEngine.applyEffect(ability.effect, user, target, this.rng)) {
+      log.push({ turn, type: 'status', side, message });
+    }
+  }
+
+  /**
+   * Mark a combatant as fainted when out of HP
+   */
+  checkFaint(combatant, side, turn, log) {
+    if (combatant.hp > 0 || combatant.fainted) return;
+    combatant.fainted = true;
+    log.push({ turn, type: 'faint', side, message: `${combatant.name} fainted!` });
+  }
+
+  /**
+   * Damage formula. Monsters attack with their stronger offensive stat;
+   * special attacks are blunted by the average of defense and special.
+   * @returns {object} { damage, effectiveness, critical }
+   */
+  calculateDamage(user, target, ability) {
+    const kind = ability.effect?.kind;
+    const ignoreBoosts = kind === 'ignoreDefense';
+    const physical = user.stats.attack >= user.stats.special;
+    const attackStat = statusEngine.getStat(user, physical ? 'attack' : 'special');
+    const defense = statusEngine.getStat(target, 'defense', { ignoreBoosts });
+    const defenseStat = physical
+      ? defense
+      : Math.round((defense + statusEngine.getStat(target, 'special', { ignoreBoosts })) / 2);
+
+    const effectiveness = ability.type
+      ? getEffectiveness(ability.type, target.primaryElement, target.secondaryElement)
+      : 1;
+    const critStage = (user.statStages?.crit || 0) + (kind === 'crit' ? ability.effect.stages || 1 : 0);
+    const critical = this.rng() < statusEngine.getCritChance(critStage);
+    const variance = 0.85 + this.rng() * 0.15;
+
+    const base = ((2 * this.level) / 5 + 2) * ability.power * (attackStat / Math.max(defenseStat, 1)) / 50 + 2;
+    const modifier = this.getStab(user, ability) * effectiveness * (critical ? 1.5 : 1) * variance;
+    const damage = effectiveness === 0 ? 0 : Math.max(1, Math.floor(base * modifier));
+
+    return { damage, effectiveness, critical };
+  }
+
+  /**
+   * Same-type attack bonus
+   */
+  getStab(user, ability) {
+    return ability.type && (ability.type === user.primaryElement || ability.type === user.secondaryElement)
+      ? 1.5
+      : 1;
+  }
+}
+
+export default new BattleEngine();
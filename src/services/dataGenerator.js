@@ -3,24 +3,99 @@
  * 
  * Generates:
  * - Names (base + evolution variants)
- * - Stats (scaled by evolution level)
- * - Abilities (element-appropriate)
+ * - Stats (base-stat budget per stage and rarity)
+ * - Learnsets (element-appropriate abilities by level)
  * - Lore/descriptions
+ *
+ * All randomness flows through a seeded PRNG, so the same seed and
+ * analysis always reproduce the same monster.
  */
 
-import { ABILITY_DATABASE } from '../data/abilities';
+import { ABILITY_DATABASE, ABILITY_EFFECTS } from '../data/abilities';
 import { ELEMENT_CONFIG } from '../data/elements';
+import {
+  STAT_NAMES,
+  STAT_PROFILES,
+  TYPE_STAT_BONUS,
+  SIZE_STAT_MULTIPLIER,
+  DEFAULT_STAT_PROFILE,
+  DEFAULT_RARITY,
+  getStatBudget
+} from '../data/statProfiles';
+import {
+  CHAIN_SHAPES,
+  DEFAULT_CHAIN_SHAPE,
+  ELEMENT_STONES,
+  getBudgetStage,
+  normalizeEvolutions
+} from '../data/evolutions';
+import { createRng, hashString } from '../utils/random';
+import { SCHEMA_VERSION, RECORD_TYPES } from '../data/schema';
+import transformationHistory from './transformationHistory';
+
+// Level each evolution stage begins at
+export const EVOLUTION_LEVELS = [1, 16, 36];
+export const MAX_LEVEL = 100;
+
+// Moves learned during each stage
+const LEARNSET_MOVES_PER_STAGE = [3, 3, 4];
+
+const NAME_PREFIXES = {
+  Fire: ['Ember', 'Blaze', 'Pyro', 'Infern', 'Scorch', 'Cinder'],
+  Water: ['Aqua', 'Hydro', 'Tidal', 'Vapor', 'Splash', 'Coral'],
+  Earth: ['Terra', 'Geo', 'Rock', 'Quake', 'Granite', 'Clay'],
+  Air: ['Zephyr', 'Gust', 'Aero', 'Breeze', 'Cyclone', 'Whisp'],
+  Electric: ['Volt', 'Spark', 'Thunder', 'Zap', 'Surge', 'Amp'],
+  Shadow: ['Shade', 'Umbra', 'Nox', 'Dusk', 'Void', 'Murk'],
+  Light: ['Lux', 'Beam', 'Radiant', 'Sol', 'Gleam', 'Halo'],
+  Nature: ['Bloom', 'Fern', 'Sprout', 'Thorn', 'Moss', 'Leaf'],
+  Ice: ['Frost', 'Cryo', 'Glace', 'Chill', 'Sleet', 'Rime'],
+  Psychic: ['Mind', 'Psi', 'Mystic', 'Enigma', 'Oracle', 'Aura']
+};
 
 export class DataGenerator {
-  
+  /**
+   * @param {object} options - { seed? } seeds the PRNG up front (e.g. to rebalance a saved monster)
+   */
+  constructor(options = {}) {
+    this.seed = options.seed ?? null;
+    this.rng = this.seed === null ? Math.random : createRng(this.seed);
+  }
+
   /**
    * Generate complete monster data from analysis
+   * @param {string} spriteBase64 - Source sprite data URL
+   * @param {object} analysis - Sprite analysis
+   * @param {number} index - Position in the collection (used for the id)
+   * @param {object} options - Generation options
+   * @param {number} options.seed - Explicit seed (defaults to a hash of the sprite)
+   * @param {string} options.statProfile - Balance profile id from STAT_PROFILES
+   * @param {string} options.rarity - Rarity tier id from RARITY_TIERS
+   * @param {string} options.chainShape - Evolution shape id from CHAIN_SHAPES
+   *   (legendaries default to a single stage)
+   * @param {object} options.animations - Animation frames grouped from a sprite sheet
+   *   (used instead of the placeholders)
    */
-  generateMonster(spriteBase64, analysis, index) {
+  generateMonster(spriteBase64, analysis, index, options = {}) {
+    const seed = options.seed ?? this.deriveSeed(spriteBase64);
+    const statProfile = options.statProfile || DEFAULT_STAT_PROFILE;
+    const rarity = options.rarity || DEFAULT_RARITY;
+    const chainShape = options.chainShape || (rarity === 'legendary' ? 'single' : DEFAULT_CHAIN_SHAPE);
+    this.seed = seed;
+    this.rng = createRng(seed);
+
     const baseName = this.generateName(analysis);
+    const learnset = this.generateLearnset(analysis, (CHAIN_SHAPES[chainShape] || CHAIN_SHAPES[DEFAULT_CHAIN_SHAPE]).levels);
+    const createdAt = new Date().toISOString();
     
     return {
       id: `monster_${Date.now()}_${index}`,
+      schemaVersion: SCHEMA_VERSION,
+      recordType: RECORD_TYPES.monster,
+      seed,
+      statProfile,
+      rarity,
+      chainShape,
       name: baseName,
       analysis: analysis,
       baseSprite: spriteBase64,
@@ -28,16 +103,27 @@ export class DataGenerator {
       secondaryElement: analysis.secondaryElement,
       creatureType: analysis.creatureType || 'beast',
       sizeClass: analysis.sizeClass || 'medium',
-      evolutions: this.generateEvolutions(baseName, analysis),
+      learnset,
+      evolutions: this.generateEvolutions(baseName, analysis, { statProfile, rarity, learnset, chainShape }),
       poses: this.generatePosePlaceholders(spriteBase64),
-      animations: this.generateAnimationPlaceholders(spriteBase64),
+      animations: options.animations || this.generateAnimationPlaceholders(spriteBase64),
       catchRate: this.randomRange(55, 255),
       baseExp: this.randomRange(50, 200),
       genderRatio: this.generateGenderRatio(),
-      eggGroups: [analysis.creatureType || 'monster']
+      eggGroups: [analysis.creatureType || 'monster'],
+      createdAt,
+      updatedAt: createdAt,
+      transformationHistory: []
     };
   }
 
+  /**
+   * Derive a stable seed from sprite data
+   */
+  deriveSeed(spriteBase64) {
+    return hashString(spriteBase64 || '');
+  }
+
   /**
    * Generate monster name from analysis
    */
@@ -45,182 +131,317 @@ export class DataGenerator {
     // Use suggested names if available
     if (analysis.suggestedNames?.length > 0) {
       return analysis.suggestedNames[
-        Math.floor(Math.random() * analysis.suggestedNames.length)
+        Math.floor(this.random() * analysis.suggestedNames.length)
       ];
     }
 
     // Generate from element + suffix
-    const prefixes = {
-      Fire: ['Ember', 'Blaze', 'Pyro', 'Infern', 'Scorch', 'Cinder'],
-      Water: ['Aqua', 'Hydro', 'Tidal', 'Vapor', 'Splash', 'Coral'],
-      Earth: ['Terra', 'Geo', 'Rock', 'Quake', 'Granite', 'Clay'],
-      Air: ['Zephyr', 'Gust', 'Aero', 'Breeze', 'Cyclone', 'Whisp'],
-      Electric: ['Volt', 'Spark', 'Thunder', 'Zap', 'Surge', 'Amp'],
-      Shadow: ['Shade', 'Umbra', 'Nox', 'Dusk', 'Void', 'Murk'],
-      Light: ['Lux', 'Beam', 'Radiant', 'Sol', 'Gleam', 'Halo'],
-      Nature: ['Bloom', 'Fern', 'Sprout', 'Thorn', 'Moss', 'Leaf'],
-      Ice: ['Frost', 'Cryo', 'Glace', 'Chill', 'Sleet', 'Rime'],
-      Psychic: ['Mind', 'Psi', 'Mystic', 'Enigma', 'Oracle', 'Aura']
-    };
-
     const suffixes = ['on', 'ix', 'us', 'ara', 'eon', 'ite', 'ox', 'yn', 'or', 'ax'];
 
     const element = analysis.primaryElement || 'Psychic';
-    const prefixList = prefixes[element] || prefixes.Psychic;
-    const prefix = prefixList[Math.floor(Math.random() * prefixList.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefixList = NAME_PREFIXES[element] || NAME_PREFIXES.Psychic;
+    const prefix = prefixList[Math.floor(this.random() * prefixList.length)];
+    const suffix = suffixes[Math.floor(this.random() * suffixes.length)];
 
     return prefix + suffix;
   }
 
   /**
-   * Generate evolution chain
+   * Generate the evolution tree for a chain shape (see CHAIN_SHAPES).
+   * Linear shapes produce one node per level; branching shapes split the
+   * final stage into elemental forms triggered by evolution stones.
+   * Each node knows every learnset move up to the level it evolves again.
    */
-  generateEvolutions(baseName, analysis) {
-    const levels = [1, 16, 36];
-    
-    return levels.map((level, idx) => {
-      const evoLevel = idx + 1;
-      const evoName = this.generateEvolutionName(baseName, evoLevel);
-      
+  generateEvolutions(baseName, analysis, options = {}) {
+    const shape = CHAIN_SHAPES[options.chainShape] || CHAIN_SHAPES[DEFAULT_CHAIN_SHAPE];
+    const learnset = options.learnset || this.generateLearnset(analysis, shape.levels);
+    const primaryElement = analysis.primaryElement || 'Psychic';
+    const nodes = [];
+
+    shape.levels.forEach((level, idx) => {
+      const stage = idx + 1;
+      const parentId = idx === 0 ? null : nodes.find(node => node.stage === stage - 1)?.id;
+      const method = idx === 0 ? null : { type: 'level', value: level };
+      const branching = shape.branches > 0 && idx === shape.levels.length - 1 && idx > 0;
+
+      if (!branching) {
+        nodes.push({ id: `evo_${stage}`, parentId, stage, level, method });
+        return;
+      }
+
+      this.getBranchElements(analysis, shape.branches).forEach(element => {
+        nodes.push({
+          id: `evo_${stage}_${element.toLowerCase()}`,
+          parentId,
+          stage,
+          level,
+          method: { type: 'item', value: ELEMENT_STONES[element] },
+          primaryElement: element,
+          secondaryElement: element === primaryElement ? analysis.secondaryElement : primaryElement
+        });
+      });
+    });
+
+    return nodes.map(node => {
+      const budgetStage = getBudgetStage(node, nodes);
+      const nodeAnalysis = { ...analysis, primaryElement: node.primaryElement || primaryElement };
+      const name = node.primaryElement
+        ? this.generateBranchName(baseName, node.primaryElement)
+        : shape.levels.length === 1 ? baseName : this.generateEvolutionName(baseName, budgetStage);
+
+      // Moves learned before the next evolution (leaves keep learning to MAX_LEVEL)
+      const childLevels = nodes.filter(child => child.parentId === node.id).map(child => child.level);
+      const lastLevel = childLevels.length ? Math.min(...childLevels) - 1 : MAX_LEVEL;
+      const abilities = learnset.filter(entry => entry.level <= lastLevel).map(entry => entry.ability);
+      if (node.primaryElement) {
+        abilities.push(this.generateSignatureAbility(node.primaryElement, budgetStage));
+      }
+
       return {
-        level: level,
-        name: evoName,
+        ...node,
+        name,
         sprite: null, // Filled by Nano Banana generation
-        stats: this.generateStats(evoLevel, analysis),
-        abilities: this.generateAbilities(analysis.primaryElement, evoLevel, analysis.secondaryElement),
-        lore: this.generateLore(evoName, analysis, evoLevel)
+        stats: this.generateStats(budgetStage, analysis, { ...options, variant: node.primaryElement }),
+        abilities,
+        lore: this.generateLore(name, nodeAnalysis, { stage: node.stage, depth: shape.levels.length, branch: node.primaryElement })
       };
     });
   }
 
+  /**
+   * Pick elements for branching forms: the secondary element first,
+   * then elements the primary is strong against, then any other.
+   */
+  getBranchElements(analysis, count) {
+    const primary = analysis.primaryElement || 'Psychic';
+    const preferred = [analysis.secondaryElement, ...(ELEMENT_CONFIG[primary]?.strengths || [])];
+    const others = Object.keys(ELEMENT_CONFIG).filter(e => e !== primary && !preferred.includes(e));
+
+    // Shuffle the fallbacks so branch sets vary between species
+    for (let i = others.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [others[i], others[j]] = [others[j], others[i]];
+    }
+
+    return [...new Set([...preferred, ...others])]
+      .filter(element => element && element !== primary)
+      .slice(0, count);
+  }
+
+  /**
+   * Name an elemental branch form after its base species
+   */
+  generateBranchName(baseName, element) {
+    const prefixList = NAME_PREFIXES[element] || NAME_PREFIXES.Psychic;
+    const prefix = prefixList[Math.floor(this.random() * prefixList.length)];
+    return prefix + baseName.slice(Math.ceil(baseName.length / 2)).toLowerCase();
+  }
+
+  /**
+   * Move a branch form learns on evolving
+   */
+  generateSignatureAbility(element, stage) {
+    const pool = ABILITY_DATABASE[element]?.intermediate || ABILITY_DATABASE.Psychic.intermediate;
+    const name = pool[Math.floor(this.random() * pool.length)];
+    return this.createAbility(name, element, stage);
+  }
+
   /**
    * Generate evolution variant names
    */
   generateEvolutionName(baseName, level) {
     if (level === 1) {
       const babySuffixes = ['let', 'ling', 'ito', 'ini', 'pup', 'kit'];
-      return baseName.slice(0, -2) + babySuffixes[Math.floor(Math.random() * babySuffixes.length)];
+      return baseName.slice(0, -2) + babySuffixes[Math.floor(this.random() * babySuffixes.length)];
     } else if (level === 3) {
       const powerPrefixes = ['Mega', 'Ultra', 'Supreme', 'Arch', 'Prime', 'Neo'];
-      return powerPrefixes[Math.floor(Math.random() * powerPrefixes.length)] + baseName;
+      return powerPrefixes[Math.floor(this.random() * powerPrefixes.length)] + baseName;
     }
     return baseName;
   }
 
   /**
    * Generate stats for an evolution level
+   *
+   * Distributes a fixed base-stat total (by stage and rarity) across the
+   * five stats, weighted by the balance profile, creature type and size.
+   * Uses its own PRNG stream so rebalancing never changes names or abilities.
+   * @param {number} evolutionLevel - Evolution stage (1-based)
+   * @param {object} analysis - Sprite analysis (creatureType, sizeClass)
+   * @param {object} options - { statProfile, rarity, variant }; variant separates
+   *   the streams of sibling forms at the same stage
    */
-  generateStats(evolutionLevel, analysis) {
-    const sizeMultiplier = {
-      tiny: 0.7,
-      small: 0.85,
-      medium: 1.0,
-      large: 1.15,
-      massive: 1.3
-    }[analysis.sizeClass] || 1.0;
-
-    const typeBonus = {
-      beast: { attack: 10, speed: 5 },
-      dragon: { attack: 15, special: 10 },
-      elemental: { special: 15, defense: 5 },
-      spirit: { special: 10, speed: 10 },
-      construct: { defense: 20, hp: 10 },
-      plant: { defense: 10, hp: 15 },
-      aquatic: { hp: 10, special: 10 },
-      avian: { speed: 20, attack: 5 },
-      insectoid: { speed: 15, defense: 10 },
-      mythical: { special: 15, attack: 10 }
-    }[analysis.creatureType] || {};
-
-    const base = 25 + (evolutionLevel * 25);
+  generateStats(evolutionLevel, analysis, options = {}) {
+    const profile = STAT_PROFILES[options.statProfile] || STAT_PROFILES[DEFAULT_STAT_PROFILE];
+    const budget = getStatBudget(evolutionLevel, options.rarity);
+    const streamKey = options.variant ? `${evolutionLevel}:${options.variant}` : evolutionLevel;
+    const rng = createRng(hashString(`${this.seed}:stats:${streamKey}`));
 
-    return {
-      hp: Math.floor((base + (typeBonus.hp || 0) + this.randomRange(0, 20)) * sizeMultiplier),
-      attack: Math.floor((base + (typeBonus.attack || 0) + this.randomRange(0, 20)) * sizeMultiplier),
-      defense: Math.floor((base + (typeBonus.defense || 0) + this.randomRange(0, 20)) * sizeMultiplier),
-      special: Math.floor((base + (typeBonus.special || 0) + this.randomRange(0, 20)) * sizeMultiplier),
-      speed: Math.floor((base + (typeBonus.speed || 0) + this.randomRange(0, 20)) * sizeMultiplier)
+    const sizeMultiplier = SIZE_STAT_MULTIPLIER[analysis.sizeClass] || 1.0;
+    const typeBonus = TYPE_STAT_BONUS[analysis.creatureType] || {};
+
+    // Larger creatures lean toward bulk, smaller ones toward speed
+    const sizeWeight = {
+      hp: sizeMultiplier,
+      defense: sizeMultiplier,
+      speed: 1 / sizeMultiplier
     };
+
+    const weights = {};
+    STAT_NAMES.forEach(stat => {
+      const jitter = 1 + (rng() * 2 - 1) * profile.variance;
+      weights[stat] = profile.weights[stat]
+        * (1 + (typeBonus[stat] || 0) / 50)
+        * (sizeWeight[stat] || 1)
+        * jitter;
+    });
+
+    if (profile.emphasis !== 1) {
+      const ranked = [...STAT_NAMES].sort((a, b) => weights[b] - weights[a]);
+      weights[ranked[0]] *= profile.emphasis;
+      weights[ranked[1]] *= profile.emphasis;
+      weights[ranked[ranked.length - 1]] /= profile.emphasis;
+    }
+
+    return this.distributeBudget(budget, weights);
   }
 
   /**
-   * Generate abilities for an evolution level
+   * Split a stat budget by weight so the total matches exactly
    */
-  generateAbilities(primaryElement, evolutionLevel, secondaryElement = null) {
-    const abilities = [];
-    const count = evolutionLevel === 1 ? 2 : evolutionLevel === 2 ? 4 : 6;
+  distributeBudget(budget, weights, minStat = 5) {
+    const totalWeight = STAT_NAMES.reduce((sum, stat) => sum + weights[stat], 0);
+    const spendable = budget - minStat * STAT_NAMES.length;
 
-    const primary = ABILITY_DATABASE[primaryElement] || ABILITY_DATABASE.Psychic;
-    
-    // Build ability pool based on evolution level
-    const pool = [
-      ...primary.basic,
-      ...(evolutionLevel >= 2 ? primary.intermediate : []),
-      ...(evolutionLevel >= 3 ? primary.advanced : [])
-    ];
-
-    // Select primary element abilities
-    const primaryCount = Math.ceil(count * 0.7);
-    for (let i = 0; i < primaryCount && pool.length > 0; i++) {
-      const idx = Math.floor(Math.random() * pool.length);
-      const name = pool.splice(idx, 1)[0];
-      abilities.push(this.createAbility(name, primaryElement, evolutionLevel));
-    }
+    const stats = {};
+    const remainders = [];
+    let allocated = 0;
+
+    STAT_NAMES.forEach(stat => {
+      const exact = spendable * weights[stat] / totalWeight;
+      stats[stat] = minStat + Math.floor(exact);
+      allocated += Math.floor(exact);
+      remainders.push({ stat, fraction: exact - Math.floor(exact) });
+    });
+
+    // Hand leftover points to the largest fractional parts
+    remainders
+      .sort((a, b) => b.fraction - a.fraction)
+      .slice(0, spendable - allocated)
+      .forEach(({ stat }) => { stats[stat]++; });
+
+    return stats;
+  }
+
+  /**
+   * Rebalance stats for every evolution with a different profile or rarity.
+   * Names, abilities and lore are left untouched. Call it on a generator
+   * seeded with the monster's seed (new DataGenerator({ seed })) so shared
+   * generators keep their own stream.
+   */
+  rebalanceStats(monster, options = {}) {
+    const statProfile = options.statProfile || monster.statProfile || DEFAULT_STAT_PROFILE;
+    const rarity = options.rarity || monster.rarity || DEFAULT_RARITY;
+    const analysis = {
+      ...monster.analysis,
+      creatureType: monster.creatureType,
+      sizeClass: monster.sizeClass
+    };
+
+    const evolutions = normalizeEvolutions(monster.evolutions);
+
+    return transformationHistory.append({
+      ...monster,
+      statProfile,
+      rarity,
+      evolutions: evolutions.map(evo => ({
+        ...evo,
+        stats: this.generateStats(getBudgetStage(evo, evolutions), analysis, {
+          statProfile,
+          rarity,
+          variant: evo.primaryElement
+        })
+      }))
+    }, [transformationHistory.createRecord({
+      category: 'rebalance-stats',
+      input: { statProfile: monster.statProfile, rarity: monster.rarity },
+      output: { statProfile, rarity }
+    })]);
+  }
 
-    // Add secondary element abilities if present
-    if (secondaryElement) {
-      const secondary = ABILITY_DATABASE[secondaryElement];
-      if (secondary) {
-        const secondaryPool = [
-          ...secondary.basic,
-          ...(evolutionLevel >= 2 ? secondary.intermediate : [])
-        ];
-        
-        const secondaryCount = count - abilities.length;
-        for (let i = 0; i < secondaryCount && secondaryPool.length > 0; i++) {
-          const idx = Math.floor(Math.random() * secondaryPool.length);
-          const name = secondaryPool.splice(idx, 1)[0];
-          abilities.push(this.createAbility(name, secondaryElement, evolutionLevel));
+  /**
+   * Generate a level-up learnset covering levels 1-100.
+   * Each stage draws from its ability tier and starts learning at its
+   * evolution level; later stages inherit everything learned before.
+   * @param {object} analysis - Sprite analysis (primary/secondary element)
+   * @param {number[]} evolutionLevels - Level each stage begins at
+   * @returns {object[]} [{ level, stage, ability }] sorted by level
+   */
+  generateLearnset(analysis, evolutionLevels = EVOLUTION_LEVELS) {
+    const primaryElement = ABILITY_DATABASE[analysis.primaryElement] ? analysis.primaryElement : 'Psychic';
+    const secondaryElement = ABILITY_DATABASE[analysis.secondaryElement] ? analysis.secondaryElement : null;
+    const tiers = ['basic', 'intermediate', 'advanced'];
+    const learned = new Set();
+    const learnset = [];
+
+    evolutionLevels.forEach((startLevel, idx) => {
+      const stage = idx + 1;
+      const endLevel = (evolutionLevels[idx + 1] ?? MAX_LEVEL + 1) - 1;
+      const count = LEARNSET_MOVES_PER_STAGE[idx] ?? 3;
+
+      for (let i = 0; i < count; i++) {
+        // Roughly 30% of moves come from the secondary element (up to intermediate tier)
+        const useSecondary = secondaryElement && this.random() < 0.3;
+        const element = useSecondary ? secondaryElement : primaryElement;
+        const tier = tiers[useSecondary ? Math.min(idx, 1) : Math.min(idx, tiers.length - 1)];
+        const pool = ABILITY_DATABASE[element][tier].filter(name => !learned.has(name));
+        if (pool.length === 0) continue;
+
+        const name = pool[Math.floor(this.random() * pool.length)];
+        learned.add(name);
+
+        // First move(s) of a stage are learned on evolving; the rest spread across the stage
+        let level = startLevel;
+        if (i > 0 && !(stage === 1 && i === 1)) {
+          const spacing = (endLevel - startLevel) / count;
+          level = Math.min(endLevel, Math.round(startLevel + spacing * i + this.randomRange(-2, 2)));
         }
+
+        learnset.push({ level, stage, ability: this.createAbility(name, element, stage) });
       }
-    }
+    });
 
-    return abilities.slice(0, count);
+    return learnset.sort((a, b) => a.level - b.level);
   }
 
   /**
    * Create ability object with stats
    */
   createAbility(name, element, evolutionLevel) {
-    const effects = [
-      null,
-      'May cause burn',
-      'May cause paralysis',
-      'May cause freeze',
-      'May cause confusion',
-      'May lower target defense',
-      'May lower target speed',
-      'May raise user attack',
-      'Heals user slightly',
-      'High critical hit ratio'
-    ];
-
     return {
       name: name,
       type: element,
       power: 30 + (evolutionLevel * 20) + this.randomRange(0, 30),
       accuracy: 70 + this.randomRange(0, 30),
       pp: 5 + this.randomRange(0, 20),
-      priority: Math.random() > 0.9 ? 1 : 0,
-      effect: Math.random() > 0.6 ? effects[Math.floor(Math.random() * effects.length)] : null
+      priority: this.random() > 0.9 ? 1 : 0,
+      effect: this.random() > 0.6 ? this.pickEffect() : null
     };
   }
 
+  /**
+   * Pick a structured effect from the shared pool
+   */
+  pickEffect() {
+    const effect = ABILITY_EFFECTS[Math.floor(this.random() * ABILITY_EFFECTS.length)];
+    return effect ? { ...effect } : null;
+  }
+
   /**
    * Generate lore entry
+   * @param {object} position - { stage, depth, branch } within the chain shape
    */
-  generateLore(name, analysis, evolutionLevel) {
+  generateLore(name, analysis, { stage = 1, depth = 3, branch } = {}) {
     const habitats = {
       Fire: 'volcanic regions and sun-scorched deserts',
       Water: 'deep ocean trenches and crystal-clear lakes',
@@ -234,16 +455,22 @@ export class DataGenerator {
       Psychic: 'places of great mental energy'
     };
 
-    const stageDescriptions = {
-      1: 'In its juvenile form, it is curious and playful.',
-      2: 'It is loyal and determined, fiercely protective of allies.',
-      3: 'In its final evolution, it commands respect from all who encounter it.'
-    };
+    let stageDescription;
+    if (depth === 1) {
+      stageDescription = 'It does not evolve, and needs no further form to hold its own.';
+    } else if (stage === 1) {
+      stageDescription = 'In its juvenile form, it is curious and playful.';
+    } else if (stage < depth) {
+      stageDescription = 'It is loyal and determined, fiercely protective of allies.';
+    } else if (branch) {
+      stageDescription = `Awakened by a ${ELEMENT_STONES[branch] || 'stone'}, it is one of several forms its line can take.`;
+    } else {
+      stageDescription = 'In its final evolution, it commands respect from all who encounter it.';
+    }
 
     const habitat = habitats[analysis.primaryElement] || 'mysterious lands';
-    const stage = stageDescriptions[evolutionLevel];
 
-    return `${name} is a ${analysis.sizeClass || 'medium'}-sized ${analysis.creatureType || 'creature'} found in ${habitat}. ${stage} ${analysis.visualDescription || ''}`;
+    return `${name} is a ${analysis.sizeClass || 'medium'}-sized ${analysis.creatureType || 'creature'} found in ${habitat}. ${stageDescription} ${analysis.visualDescription || ''}`;
   }
 
   /**
@@ -275,18 +502,25 @@ export class DataGenerator {
    * Generate gender ratio (some monsters are genderless)
    */
   generateGenderRatio() {
-    const roll = Math.random();
+    const roll = this.random();
     if (roll < 0.1) return { male: 0, female: 0 }; // Genderless
     if (roll < 0.3) return { male: 0.875, female: 0.125 }; // Mostly male
     if (roll < 0.5) return { male: 0.125, female: 0.875 }; // Mostly female
     return { male: 0.5, female: 0.5 }; // Equal
   }
 
+  /**
+   * Utility: next float in [0, 1) from the active PRNG
+   */
+  random() {
+    return this.rng();
+  }
+
   /**
    * Utility: random number in range
    */
   randomRange(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(this.random() * (max - min + 1)) + min;
   }
 }
 
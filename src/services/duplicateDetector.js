@@ -0,0 +1,210 @@
+/**
+ * Duplicate Detection Service
+ *
+ * Fingerprints sprites with perceptual hashes (aHash and dHash over the
+ * sprite cropped to its visible pixels) plus an exact pixel hash, so
+ * re-uploaded sheets and repeated frames can be flagged before they fill
+ * the library. Exact duplicates reuse the same data URL, which libraryStorage
+ * then stores as a single asset.
+ *
+ * Fingerprint: { aHash, dHash, pixelHash, width, height } - hashes are hex strings
+ */
+
+import { findContentBounds, loadImageData } from '../utils/imageData';
+
+// Max differing bits (of 64) for two sprites to count as near-duplicates
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+// What to do with an incoming duplicate
+export const DUPLICATE_ACTIONS = {
+  skip: 'skip',   // Don't add it
+  merge: 'merge', // Fold it into the existing record
+  keep: 'keep'    // Keep both
+};
+
+const HASH_SIZE = 8;
+
+export class DuplicateDetector {
+  constructor(options = {}) {
+    this.alphaThreshold = options.alphaThreshold ?? 50;
+    this.threshold = options.threshold ?? NEAR_DUPLICATE_DISTANCE;
+  }
+
+  /**
+   * Fingerprint sprite pixels
+   * @param {ImageData} imageData - Sprite pixels
+   * @returns {object} { aHash, dHash, pixelHash, width, height }
+   */
+  fingerprint(imageData) {
+    const { width, height } = imageData;
+    const bounds = findContentBounds(imageData, this.alphaThreshold) || { minX: 0, minY: 0, maxX: width - 1, maxY: height - 1 };
+
+    const grid = this.sampleLuminance(imageData, bounds, HASH_SIZE, HASH_SIZE);
+    const mean = grid.reduce((sum, value) => sum + value, 0) / grid.length;
+    const aBits = Array.from(grid, value => (value > mean ? 1 : 0));
+
+    // dHash compares each cell with its right neighbour
+    const wide = this.sampleLuminance(imageData, bounds, HASH_SIZE + 1, HASH_SIZE);
+    const dBits = [];
+    for (let y = 0; y < HASH_SIZE; y++) {
+      for (let x = 0; x < HASH_SIZE; x++) {
+        const idx = y * (HASH_SIZE + 1) + x;
+        dBits.push(wide[idx] > wide[idx + 1] ? 1 : 0);
+      }
+    }
+
+    return {
+      aHash: bitsToHex(aBits),
+      dHash: bitsToHex(dBits),
+      pixelHash: this.hashPixels(imageData),
+      width,
+      height
+    };
+  }
+
+  /**
+   * Fingerprint an image data URL
+   * @returns {Promise<object>} See fingerprint
+   */
+  async fingerprintDataUrl(imageBase64) {
+    return this.fingerprint(await loadImageData(imageBase64));
+  }
+
+  /**
+   * Perceptual distance between two fingerprints - the larger of the
+   * aHash and dHash distances, so both have to agree
+   * @returns {number} Differing bits (0 - 64)
+   */
+  distance(a, b) {
+    if (a.pixelHash === b.pixelHash) return 0;
+    return Math.max(hammingDistance(a.aHash, b.aHash), hammingDistance(a.dHash, b.dHash));
+  }
+
+  isExact(a, b) {
+    return a.pixelHash === b.pixelHash && a.width === b.width && a.height === b.height;
+  }
+
+  /**
+   * Records that duplicate a fingerprint, exact matches first, then by distance
+   * @param {object} fingerprint - Incoming sprite fingerprint
+   * @param {Array} records - Records with a `fingerprint` field (others are ignored)
+   * @param {object} options - { threshold?, excludeIds?: Set }
+   * @returns {Array<{record, distance, exact}>}
+   */
+  findMatches(fingerprint, records, options = {}) {
+    const threshold = options.threshold ?? this.threshold;
+    const excludeIds = options.excludeIds || new Set();
+    const matches = [];
+
+    for (const record of records) {
+      if (!record.fingerprint || excludeIds.has(record.id)) continue;
+      const exact = this.isExact(fingerprint, record.fingerprint);
+      const distance = exact ? 0 : this.distance(fingerprint, record.fingerprint);
+      if (exact || distance <= threshold) {
+        matches.push({ record, distance, exact });
+      }
+    }
+    return matches.sort((a, b) => (b.exact - a.exact) || (a.distance - b.distance));
+  }
+
+  /**
+   * Fingerprint a batch of extracted sprites and point exact duplicates
+   * (within the batch or of existing records) at one shared data URL
+   * @param {Array} sprites - { base64, ... }
+   * @param {Array} records - Existing records with fingerprints
+   * @returns {Promise<Array>} Sprites with `fingerprint` set and shared base64
+   */
+  async shareExactAssets(sprites, records = []) {
+    const byPixels = new Map();
+    for (const record of records) {
+      if (record.fingerprint && record.base64) {
+        byPixels.set(this.exactKey(record.fingerprint), record.base64);
+      }
+    }
+
+    let shared = 0;
+    const result = [];
+    for (const sprite of sprites) {
+      const fingerprint = await this.fingerprintDataUrl(sprite.base64);
+      const key = this.exactKey(fingerprint);
+      const existing = byPixels.get(key);
+      if (existing && existing !== sprite.base64) shared++;
+      if (!existing) byPixels.set(key, sprite.base64);
+      result.push({ ...sprite, base64: existing || sprite.base64, fingerprint });
+    }
+
+    if (shared > 0) {
+      console.log('[DuplicateDetector] Shared', shared, 'exact duplicate image(s)');
+    }
+    return result;
+  }
+
+  exactKey(fingerprint) {
+    return `${fingerprint.width}x${fingerprint.height}_${fingerprint.pixelHash}`;
+  }
+
+  /**
+   * Average luminance per cell of a cols x rows grid over the bounds.
+   * Transparent pixels count as black so the silhouette shapes the hash.
+   */
+  sampleLuminance(imageData, bounds, cols, rows) {
+    const { data, width } = imageData;
+    const sums = new Float32Array(cols * rows);
+    const counts = new Uint32Array(cols * rows);
+    const boxWidth = bounds.maxX - bounds.minX + 1;
+    const boxHeight = bounds.maxY - bounds.minY + 1;
+
+    for (let y = bounds.minY; y <= bounds.maxY; y++) {
+      const cy = Math.min(rows - 1, Math.floor((y - bounds.minY) * rows / boxHeight));
+      for (let x = bounds.minX; x <= bounds.maxX; x++) {
+        const cx = Math.min(cols - 1, Math.floor((x - bounds.minX) * cols / boxWidth));
+        const idx = (y * width + x) * 4;
+        const alpha = data[idx + 3] / 255;
+        sums[cy * cols + cx] += (0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2]) * alpha;
+        counts[cy * cols + cx]++;
+      }
+    }
+    return sums.map((sum, cell) => (counts[cell] > 0 ? sum / counts[cell] : 0));
+  }
+
+  /**
+   * Two FNV-1a passes over the pixels (fully transparent pixels hash
+   * alike whatever their color) for a 64-bit exact-match key
+   */
+  hashPixels(imageData) {
+    const { data } = imageData;
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193;
+    for (let idx = 0; idx < data.length; idx += 4) {
+      const transparent = data[idx + 3] === 0;
+      for (let ch = 0; ch < 4; ch++) {
+        const value = transparent ? 0 : data[idx + ch];
+        h1 = Math.imul(h1 ^ value, 0x01000193);
+        h2 = Math.imul(h2 ^ value, 0x5bd1e995);
+      }
+    }
+    return `${(h1 >>> 0).toString(16).padStart(8, '0')}${(h2 >>> 0).toString(16).padStart(8, '0')}`;
+  }
+}
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+function hammingDistance(a = '', b = '') {
+  let distance = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    let diff = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+export default new DuplicateDetector();
@@ -0,0 +1,55 @@
+import { DuplicateDetector } from './duplicateDetector';
+
+/**
+ * Draw a sprite into a transparent cell
+ * @param {function} shape - (x, y) => [r, g, b] or null, in sprite coordinates
+ */
+function drawSprite(shape, { size = 16, left = 0, top = 0, cell = 32 } = {}) {
+  const data = new Uint8ClampedArray(cell * cell * 4);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const color = shape(x, y);
+      if (color) data.set([...color, 255], ((top + y) * cell + left + x) * 4);
+    }
+  }
+  return new ImageData(data, cell, cell);
+}
+
+const slime = (x, y) => (y >= 6 ? (x === 5 && y === 9 ? [255, 255, 255] : [40, 200, 80]) : null);
+const bat = (x, y) => (Math.abs(x - 8) <= y / 2 && y < 12 ? [90, 40, 120] : null);
+
+describe('DuplicateDetector', () => {
+  const detector = new DuplicateDetector();
+
+  it('treats identical pixels as exact duplicates', () => {
+    const a = detector.fingerprint(drawSprite(slime));
+    const b = detector.fingerprint(drawSprite(slime));
+    expect(detector.isExact(a, b)).toBe(true);
+    expect(detector.distance(a, b)).toBe(0);
+  });
+
+  it('matches a sprite moved within its cell', () => {
+    const a = detector.fingerprint(drawSprite(slime));
+    const b = detector.fingerprint(drawSprite(slime, { left: 9, top: 4 }));
+    expect(detector.isExact(a, b)).toBe(false);
+    expect(detector.distance(a, b)).toBe(0);
+  });
+
+  it('tells different sprites apart', () => {
+    const a = detector.fingerprint(drawSprite(slime));
+    const b = detector.fingerprint(drawSprite(bat));
+    expect(detector.distance(a, b)).toBeGreaterThan(detector.threshold);
+  });
+
+  it('lists exact matches first, then by distance', () => {
+    const fingerprint = detector.fingerprint(drawSprite(slime));
+    const records = [
+      { id: 'bat', fingerprint: detector.fingerprint(drawSprite(bat)) },
+      { id: 'moved', fingerprint: detector.fingerprint(drawSprite(slime, { left: 3 })) },
+      { id: 'same', fingerprint: detector.fingerprint(drawSprite(slime)) },
+      { id: 'unprinted' }
+    ];
+    expect(detector.findMatches(fingerprint, records).map(match => match.record.id)).toEqual(['same', 'moved']);
+    expect(detector.findMatches(fingerprint, records, { excludeIds: new Set(['same']) }).map(match => match.record.id)).toEqual(['moved']);
+  });
+});
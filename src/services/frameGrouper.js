@@ -0,0 +1,188 @@
+/**
+ * Frame Grouping Service
+ *
+ * Groups the cells extracted from a sprite sheet into characters, each
+ * carrying ordered animation frames. A sheet row is usually one creature's
+ * walk cycle, so cells can be grouped by row, by perceptual similarity, or
+ * by the unique characters in Gemini's sprite list.
+ *
+ * Group shape: { name, frames: [sprite], animations: { [name]: { frames, fps, generated } } }
+ * where animations matches monster.animations (see DataGenerator).
+ */
+
+import duplicateDetector from './duplicateDetector';
+
+export const GROUPING_MODES = {
+  none: 'none',             // Every cell is its own sprite
+  row: 'row',               // One character per sheet row
+  similarity: 'similarity', // Cells that look alike
+  spriteList: 'spriteList'  // Characters listed by analyzeSpriteSheet
+};
+
+// A single row is most often a walk cycle; further rows take the remaining sets in order
+const ANIMATION_ORDER = ['walk', 'idle', 'attack', 'hurt', 'faint'];
+const ANIMATION_FPS = { idle: 2, walk: 4, attack: 6, hurt: 4, faint: 3 };
+
+// Max differing bits (of 64) between frames of one character - looser than
+// NEAR_DUPLICATE_DISTANCE since walk-cycle poses differ
+const SAME_CHARACTER_DISTANCE = 12;
+
+export class FrameGrouper {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? SAME_CHARACTER_DISTANCE;
+  }
+
+  /**
+   * Group extracted sprites
+   * @param {Array} sprites - Extracted sprites { base64, name, index, gridPosition?, fingerprint? }
+   * @param {object} options - { mode: GROUPING_MODES value, spriteList?, threshold? }
+   * @returns {Promise<Array>} Groups in reading order of their first frame
+   */
+  async groupSprites(sprites, options = {}) {
+    const mode = options.mode || GROUPING_MODES.row;
+    const ordered = [...sprites].sort(compareReadingOrder);
+    let groups;
+
+    if (mode === GROUPING_MODES.similarity) {
+      const fingerprints = await Promise.all(ordered.map(sprite => sprite.fingerprint || duplicateDetector.fingerprintDataUrl(sprite.base64)));
+      groups = this.groupBySimilarity(ordered, fingerprints, options.threshold ?? this.threshold);
+    } else if (mode === GROUPING_MODES.spriteList && options.spriteList?.length) {
+      groups = this.groupBySpriteList(ordered, options.spriteList);
+    } else if (mode === GROUPING_MODES.none) {
+      groups = ordered.map(sprite => ({ name: sprite.name, frames: [sprite] }));
+    } else {
+      groups = this.groupByRow(ordered);
+    }
+
+    console.log('[FrameGrouper] Grouped', sprites.length, 'cells into', groups.length, 'characters by', mode);
+    return groups.map(group => this.buildGroup(group.name, group.frames));
+  }
+
+  /**
+   * One group per grid row. Cells without a grid position stay on their own.
+   */
+  groupByRow(sprites) {
+    const rows = new Map();
+    const groups = [];
+    for (const sprite of sprites) {
+      const row = sprite.gridPosition?.row;
+      if (row === undefined) {
+        groups.push({ name: sprite.name, frames: [sprite] });
+        continue;
+      }
+      if (!rows.has(row)) {
+        const group = { name: `Row ${row + 1}`, frames: [] };
+        rows.set(row, group);
+        groups.push(group);
+      }
+      rows.get(row).frames.push(sprite);
+    }
+    return groups;
+  }
+
+  /**
+   * Assign every cell to a listed character: the nearest entry to its left
+   * on the same row, or, on rows without entries (extra animation rows),
+   * the character owning that column in the closest row above.
+   * @param {Array} spriteList - [{ name, row, col }] from analyzeSpriteSheet
+   */
+  groupBySpriteList(sprites, spriteList) {
+    const entries = spriteList
+      .filter(entry => entry.row !== undefined && entry.col !== undefined)
+      .sort((a, b) => (a.row - b.row) || (a.col - b.col));
+    if (entries.length === 0) return this.groupByRow(sprites);
+
+    const byEntry = new Map();
+    const groups = [];
+    for (const sprite of sprites) {
+      const entry = sprite.gridPosition && this.findOwner(entries, sprite.gridPosition);
+      if (!entry) {
+        groups.push({ name: sprite.name, frames: [sprite] });
+        continue;
+      }
+      if (!byEntry.has(entry)) {
+        const group = { name: entry.name || `Character ${byEntry.size + 1}`, frames: [] };
+        byEntry.set(entry, group);
+        groups.push(group);
+      }
+      byEntry.get(entry).frames.push(sprite);
+    }
+    return groups;
+  }
+
+  findOwner(entries, { row, col }) {
+    const above = entries.filter(entry => entry.row <= row);
+    const ownerRow = above.length > 0 ? above[above.length - 1].row : entries[0].row;
+    const onRow = entries.filter(entry => entry.row === ownerRow);
+    return [...onRow].reverse().find(entry => entry.col <= col) || onRow[0];
+  }
+
+  /**
+   * Greedy clustering in reading order: a cell joins the group holding its
+   * closest frame when that frame is within the fingerprint distance threshold
+   * @param {Array<object>} fingerprints - DuplicateDetector fingerprint per sprite
+   */
+  groupBySimilarity(sprites, fingerprints, threshold) {
+    const groups = [];
+    sprites.forEach((sprite, i) => {
+      let best = null;
+      let bestDistance = Infinity;
+      for (const group of groups) {
+        for (const member of group.members) {
+          const distance = duplicateDetector.distance(fingerprints[i], fingerprints[member]);
+          if (distance < bestDistance) {
+            best = group;
+            bestDistance = distance;
+          }
+        }
+      }
+
+      if (best && bestDistance <= threshold) {
+        best.members.push(i);
+        best.frames.push(sprite);
+      } else {
+        groups.push({ name: `Character ${groups.length + 1}`, members: [i], frames: [sprite] });
+      }
+    });
+    return groups.map(({ name, frames }) => ({ name, frames }));
+  }
+
+  /**
+   * Split a group's frames into animations, one per sheet row
+   */
+  buildGroup(name, frames) {
+    const rows = [];
+    for (const frame of frames) {
+      const row = frame.gridPosition?.row ?? -1;
+      const animation = rows.find(entry => entry.row === row);
+      if (animation) {
+        animation.frames.push(frame.base64);
+      } else {
+        rows.push({ row, frames: [frame.base64] });
+      }
+    }
+
+    const animations = {};
+    rows.forEach((entry, i) => {
+      const animationName = ANIMATION_ORDER[i] || `row${entry.row + 1}`;
+      animations[animationName] = {
+        frames: entry.frames,
+        fps: ANIMATION_FPS[animationName] || 6,
+        generated: true
+      };
+    });
+    return { name, frames, animations };
+  }
+}
+
+// Reading order by grid position, falling back to extraction order
+function compareReadingOrder(a, b) {
+  const rowA = a.gridPosition?.row ?? Infinity;
+  const rowB = b.gridPosition?.row ?? Infinity;
+  if (rowA !== rowB) return rowA - rowB;
+  const colA = a.gridPosition?.col ?? 0;
+  const colB = b.gridPosition?.col ?? 0;
+  return (colA - colB) || (a.index - b.index);
+}
+
+export default new FrameGrouper();
@@ -0,0 +1,54 @@
+import { FrameGrouper, GROUPING_MODES } from './frameGrouper';
+
+const cell = (row, col, extra = {}) => ({
+  base64: `data:image/png;base64,${row}-${col}`,
+  name: `Sprite ${row * 4 + col + 1}`,
+  index: row * 4 + col,
+  gridPosition: { row, col },
+  ...extra
+});
+
+// Fingerprints as DuplicateDetector makes them; only the hashes matter for distance
+const print = (aHash, dHash = aHash) => ({ aHash, dHash, pixelHash: `${aHash}${dHash}`, width: 16, height: 16 });
+
+describe('FrameGrouper', () => {
+  const grouper = new FrameGrouper();
+
+  it('groups each sheet row into a walk cycle', async () => {
+    const sprites = [cell(1, 1), cell(0, 1), cell(1, 0), cell(0, 0)];
+    const groups = await grouper.groupSprites(sprites, { mode: GROUPING_MODES.row });
+
+    expect(groups.map(group => group.name)).toEqual(['Row 1', 'Row 2']);
+    expect(groups[0].animations).toEqual({
+      walk: { frames: [cell(0, 0).base64, cell(0, 1).base64], fps: 4, generated: true }
+    });
+  });
+
+  it('splits a character spanning rows into animations', async () => {
+    const spriteList = [{ name: 'Slime', row: 0, col: 0 }, { name: 'Bat', row: 0, col: 2 }];
+    const sprites = [cell(0, 0), cell(0, 1), cell(0, 2), cell(0, 3), cell(1, 0), cell(1, 1), cell(1, 2)];
+    const groups = await grouper.groupSprites(sprites, { mode: GROUPING_MODES.spriteList, spriteList });
+
+    expect(groups.map(group => group.name)).toEqual(['Slime', 'Bat']);
+    expect(Object.keys(groups[0].animations)).toEqual(['walk', 'idle']);
+    expect(groups[0].animations.idle.frames).toEqual([cell(1, 0).base64, cell(1, 1).base64]);
+    expect(groups[1].frames).toHaveLength(3);
+  });
+
+  it('groups look-alike cells by fingerprint distance', async () => {
+    const sprites = [
+      cell(0, 0, { fingerprint: print('ffff0000ffff0000') }),
+      cell(0, 1, { fingerprint: print('0000ffff0000ffff') }),
+      cell(0, 2, { fingerprint: print('ffff0000ffff0001') }),
+      cell(0, 3, { fingerprint: print('0000ffff0000fff0') })
+    ];
+    const groups = await grouper.groupSprites(sprites, { mode: GROUPING_MODES.similarity });
+
+    expect(groups.map(group => group.frames.map(frame => frame.gridPosition.col))).toEqual([[0, 2], [1, 3]]);
+  });
+
+  it('keeps every cell on its own with grouping off', async () => {
+    const groups = await grouper.groupSprites([cell(0, 1), cell(0, 0)], { mode: GROUPING_MODES.none });
+    expect(groups.map(group => group.name)).toEqual(['Sprite 1', 'Sprite 2']);
+  });
+});
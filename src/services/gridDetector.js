@@ -0,0 +1,359 @@
+/**
+ * Grid Detection Service
+ *
+ * Infers the grid of a sprite sheet from its blank lines - rows and columns
+ * that are fully transparent or a single solid color. A kind of blank line
+ * that recurs at a regular period between content (1px rules, transparent
+ * gutters) is taken as the separator, which gives cell size, spacing and
+ * offset per axis, so 32x48 cells, separator rules and sheet margins are all
+ * supported. Sheets without one fall back to the period that fits the
+ * content, with no spacing.
+ *
+ * Grid spec (shared by SpriteExtractor and NanoBananaService):
+ * { cols, rows, cellWidth, cellHeight, offsetX, offsetY, spacingX, spacingY }
+ */
+
+import { findContentBounds } from '../utils/imageData';
+
+// Rescans while newly found solid lines can reveal more (margin, then rules, then padding)
+const MAX_SCANS = 4;
+
+export class GridDetector {
+  constructor(options = {}) {
+    this.alphaThreshold = options.alphaThreshold ?? 50;
+    this.colorTolerance = options.colorTolerance ?? 8;
+    this.minCellSize = options.minCellSize || 8;
+  }
+
+  /**
+   * Detect a grid from image pixels
+   * @param {ImageData} imageData - Sheet pixels
+   * @param {object} options - Overrides for alphaThreshold, colorTolerance, minCellSize
+   * @returns {object|null} Grid spec, or null when no grid with 2+ cells is found
+   */
+  detect(imageData, options = {}) {
+    const settings = {
+      alphaThreshold: options.alphaThreshold ?? this.alphaThreshold,
+      colorTolerance: options.colorTolerance ?? this.colorTolerance,
+      minCellSize: options.minCellSize || this.minCellSize
+    };
+
+    // Lines are only compared inside the visible bounds, so rules stay
+    // uniform on sheets with a transparent margin
+    const bounds = findContentBounds(imageData, settings.alphaThreshold);
+    if (!bounds) return null;
+
+    // A rule crosses every line of the other axis, so padding rows inside
+    // ruled cells only read as blank once the solid columns are skipped
+    let columns = this.scanLines(imageData, 'vertical', bounds, settings);
+    let rows = this.scanLines(imageData, 'horizontal', bounds, settings);
+    for (let scan = 1; scan < MAX_SCANS; scan++) {
+      const solidColumns = solidLines(columns);
+      const solidRows = solidLines(rows);
+      const nextColumns = this.scanLines(imageData, 'vertical', bounds, settings, solidRows);
+      const nextRows = this.scanLines(imageData, 'horizontal', bounds, settings, solidColumns);
+      // Skipping pixels never breaks a solid line, so equal counts mean nothing new was found
+      const changed = solidLines(nextColumns).size !== solidColumns.size || solidLines(nextRows).size !== solidRows.size;
+      columns = nextColumns;
+      rows = nextRows;
+      if (!changed) break;
+    }
+
+    const xAxis = this.findAxisGrid(columns.map(lineKey), settings.minCellSize);
+    const yAxis = this.findAxisGrid(rows.map(lineKey), settings.minCellSize);
+    if (!xAxis || !yAxis || xAxis.count * yAxis.count < 2) return null;
+
+    const spec = {
+      cols: xAxis.count,
+      rows: yAxis.count,
+      cellWidth: xAxis.cell,
+      cellHeight: yAxis.cell,
+      offsetX: xAxis.offset,
+      offsetY: yAxis.offset,
+      spacingX: xAxis.spacing,
+      spacingY: yAxis.spacing
+    };
+    console.log('[GridDetector] Detected grid:', spec);
+    return spec;
+  }
+
+  /**
+   * Summarize each row or column (within the content bounds) as transparent,
+   * a single color, or mixed
+   * @param {Set<number>} skip - Positions along the line to ignore (solid lines of the other axis)
+   * @returns {Array<{transparent: boolean, color: number[]|null}>} color is null for mixed lines
+   */
+  scanLines(imageData, direction, bounds, settings, skip = new Set()) {
+    const { data, width, height } = imageData;
+    const horizontal = direction === 'horizontal';
+    const lineCount = horizontal ? height : width;
+    const from = horizontal ? bounds.minX : bounds.minY;
+    const to = horizontal ? bounds.maxX : bounds.maxY;
+    const lines = [];
+
+    for (let line = 0; line < lineCount; line++) {
+      let transparent = true;
+      let seenTransparent = false;
+      let color = null;
+      let uniform = true;
+
+      for (let i = from; i <= to && uniform; i++) {
+        if (skip.has(i)) continue;
+        const idx = horizontal ? (line * width + i) * 4 : (i * width + line) * 4;
+        const opaque = data[idx + 3] > settings.alphaThreshold;
+
+        if (!opaque) {
+          // Transparent pixels break a solid-color line
+          if (color) uniform = false;
+          seenTransparent = true;
+          continue;
+        }
+        if (seenTransparent) {
+          uniform = false;
+        } else if (!color) {
+          color = [data[idx], data[idx + 1], data[idx + 2]];
+        } else if (!this.colorsMatch(color, data, idx, settings.colorTolerance)) {
+          uniform = false;
+        }
+        transparent = false;
+      }
+
+      lines.push({ transparent: uniform && transparent, color: uniform && !transparent ? color : null });
+    }
+    return lines;
+  }
+
+  colorsMatch(color, data, idx, tolerance) {
+    return Math.abs(color[0] - data[idx]) <= tolerance &&
+      Math.abs(color[1] - data[idx + 1]) <= tolerance &&
+      Math.abs(color[2] - data[idx + 2]) <= tolerance;
+  }
+
+  /**
+   * Find offset, cell size, spacing and count along one axis
+   * @param {Array<string|null>} keys - Blank line kind per line (see lineKey), null for content
+   * @returns {object|null} { offset, cell, spacing, count }
+   */
+  findAxisGrid(keys, minCellSize) {
+    const runs = findRuns(keys, key => key === null);
+    if (runs.length === 0) return null;
+    return this.findSeparatorGrid(keys, runs, minCellSize) || this.findGapGrid(keys.length, runs, minCellSize);
+  }
+
+  /**
+   * Look for a kind of blank line that separates the content at a regular
+   * period: between the first and last content, its shortest runs recur
+   * every `period` lines, every run of it holds such a boundary, and every
+   * boundary is covered by it. A single run splits the axis into two cells. Padding inside cells fails the test - it
+   * sits on both sides of each boundary, or away from it.
+   * @returns {object|null} { offset, cell, spacing, count }
+   */
+  findSeparatorGrid(keys, contentRuns, minCellSize) {
+    const first = contentRuns[0][0];
+    const last = contentRuns[contentRuns.length - 1][1];
+    const kinds = [...new Set(keys.filter(key => key !== null))]
+      // Solid rules win over transparent gutters when both fit
+      .sort((a, b) => (a === TRANSPARENT) - (b === TRANSPARENT));
+
+    let best = null;
+    for (const kind of kinds) {
+      const runs = findRuns(keys, key => key === kind).filter(([start, end]) => start > first && end < last);
+      if (runs.length === 0) continue;
+
+      const spacing = Math.min(...runs.map(([start, end]) => end - start + 1));
+      const starts = runs.filter(([start, end]) => end - start + 1 === spacing).map(([start]) => start);
+      // Two cells have no period to measure; the first starts after any leading run of the separator
+      const lead = keys[0] === kind ? findRuns(keys, key => key === kind)[0][1] + 1 : 0;
+      const period = starts.length > 1
+        ? Math.min(...starts.slice(1).map((start, i) => start - starts[i]))
+        : starts[0] - lead + spacing;
+      if (period - spacing < minCellSize) continue;
+
+      const phase = starts[0] % period;
+      const holdsBoundary = (start, end) => start + (((phase - start) % period) + period) % period + spacing - 1 <= end;
+      const boundaryCovered = b => keys.slice(b, b + spacing).every(key => key === kind);
+
+      let valid = starts.every(start => start % period === phase) && runs.every(([start, end]) => holdsBoundary(start, end));
+      for (let b = phase; valid && b + spacing - 1 < last; b += period) {
+        if (b > first && !boundaryCovered(b)) valid = false;
+      }
+      if (!valid) continue;
+
+      if (!best || spacing < best.spacing) {
+        best = { kind, period, spacing, phase };
+      }
+    }
+    if (!best) return null;
+
+    const { kind, period, spacing, phase } = best;
+    const cell = period - spacing;
+    // Cells start right after a separator; count outward from the content and
+    // keep edge cells that hold anything besides separator lines
+    const holdsCell = start => start >= 0 && start + cell <= keys.length &&
+      keys.slice(start, start + cell).some(key => key !== kind);
+    let offset = phase + spacing + Math.floor((first - phase - spacing) / period) * period;
+    while (holdsCell(offset - period)) offset -= period;
+    let count = Math.floor((last - offset) / period) + 1;
+    while (holdsCell(offset + count * period)) count++;
+    if (offset < 0 || offset + count * period - spacing > keys.length) return null;
+
+    return { offset, cell, spacing, count };
+  }
+
+  /**
+   * Fallback without separators: every period is tried; a phase is valid
+   * when no cell boundary cuts through content. Periods are ranked by
+   * occupied cells, then fewest empty cells, then most of the axis covered.
+   * @returns {object|null} { offset, cell, spacing: 0, count }
+   */
+  findGapGrid(length, runs, minCellSize) {
+    const first = runs[0][0];
+    const last = runs[runs.length - 1][1];
+    let best = null;
+
+    for (let period = minCellSize; period <= length; period++) {
+      // Mark phases whose boundaries (phase + k * period) fall inside a content run
+      const forbidden = new Int32Array(period + 1);
+      let fits = true;
+      for (const [start, end] of runs) {
+        if (end - start >= period) { fits = false; break; }
+        if (end === start) continue;
+        const from = (start + 1) % period;
+        const to = end % period;
+        if (from <= to) {
+          forbidden[from]++;
+          forbidden[to + 1]--;
+        } else {
+          forbidden[from]++;
+          forbidden[period]--;
+          forbidden[0]++;
+          forbidden[to + 1]--;
+        }
+      }
+      if (!fits) continue;
+
+      // Smallest valid offset
+      let offset = -1;
+      let blocked = 0;
+      for (let phase = 0; phase < period && phase <= first; phase++) {
+        blocked += forbidden[phase];
+        if (blocked === 0) {
+          offset = phase;
+          break;
+        }
+      }
+      if (offset < 0) continue;
+
+      const count = Math.floor((length - offset) / period);
+      if (count < 1 || last >= offset + count * period) continue;
+
+      const occupied = new Set(runs.map(([start]) => Math.floor((start - offset) / period))).size;
+      const candidate = { offset, period, count, occupied, empty: count - occupied, covered: count * period };
+      if (!best || this.compareCandidates(candidate, best) < 0) {
+        best = candidate;
+      }
+    }
+
+    if (!best) return null;
+    return { offset: best.offset, cell: best.period, spacing: 0, count: best.count };
+  }
+
+  // Negative when `a` is the better axis grid
+  compareCandidates(a, b) {
+    return (b.occupied - a.occupied) ||
+      (a.empty - b.empty) ||
+      (b.covered - a.covered);
+  }
+
+  /**
+   * Fill in a partial grid (e.g. rows/cols from vision analysis) from the image size
+   * @param {object} gridInfo - { rows, cols, cellWidth?, cellHeight?, offsetX?, offsetY?, spacingX?, spacingY? }
+   * @returns {object|null} Grid spec
+   */
+  normalize(gridInfo, width, height) {
+    if (!gridInfo?.rows || !gridInfo?.cols) return null;
+
+    const { rows, cols } = gridInfo;
+    const offsetX = gridInfo.offsetX || 0;
+    const offsetY = gridInfo.offsetY || 0;
+    const spacingX = gridInfo.spacingX || 0;
+    const spacingY = gridInfo.spacingY || 0;
+
+    return {
+      rows,
+      cols,
+      cellWidth: gridInfo.cellWidth || Math.floor((width - offsetX - spacingX * (cols - 1)) / cols),
+      cellHeight: gridInfo.cellHeight || Math.floor((height - offsetY - spacingY * (rows - 1)) / rows),
+      offsetX,
+      offsetY,
+      spacingX,
+      spacingY
+    };
+  }
+
+  /**
+   * Pixel rectangle of a grid cell
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getCellRect(spec, row, col) {
+    return {
+      x: spec.offsetX + col * (spec.cellWidth + spec.spacingX),
+      y: spec.offsetY + row * (spec.cellHeight + spec.spacingY),
+      width: spec.cellWidth,
+      height: spec.cellHeight
+    };
+  }
+
+  /**
+   * Every cell of a grid in reading order, clipped to the image size when given
+   * @returns {Array<{row, col, x, y, width, height}>}
+   */
+  getCells(spec, width = Infinity, height = Infinity) {
+    const cells = [];
+    for (let row = 0; row < spec.rows; row++) {
+      for (let col = 0; col < spec.cols; col++) {
+        const rect = this.getCellRect(spec, row, col);
+        if (rect.x >= width || rect.y >= height) continue;
+        cells.push({
+          row,
+          col,
+          ...rect,
+          width: Math.min(rect.width, width - rect.x),
+          height: Math.min(rect.height, height - rect.y)
+        });
+      }
+    }
+    return cells;
+  }
+}
+
+const TRANSPARENT = 'transparent';
+
+// Blank line kind: 'transparent', a quantized color, or null for content
+function lineKey(line) {
+  if (line.transparent) return TRANSPARENT;
+  return line.color ? line.color.map(c => c >> 3).join(',') : null;
+}
+
+// Positions of single-color (opaque) lines
+function solidLines(lines) {
+  const solid = new Set();
+  lines.forEach((line, i) => {
+    if (line.color) solid.add(i);
+  });
+  return solid;
+}
+
+// [start, end] of each maximal run of lines matching a test
+function findRuns(keys, test) {
+  const runs = [];
+  for (let i = 0; i < keys.length; i++) {
+    if (!test(keys[i])) continue;
+    const start = i;
+    while (i + 1 < keys.length && test(keys[i + 1])) i++;
+    runs.push([start, i]);
+  }
+  return runs;
+}
+
+export default new GridDetector();
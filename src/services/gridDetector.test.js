@@ -0,0 +1,98 @@
+import { GridDetector } from './gridDetector';
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+const MAGENTA = [255, 0, 255];
+
+/**
+ * Draw a sheet of two-color sprites
+ * @param {object} layout - { cols, rows, cellWidth, cellHeight, margin, spacing, padding, background, rule }
+ *   background/rule are [r, g, b] (null is transparent); rules fill the spacing between cells
+ */
+function drawSheet({ cols = 3, rows = 2, cellWidth = 32, cellHeight = 48, margin = 0, spacing = 0, padding = 0, background = null, rule = null }) {
+  const width = margin * 2 + cols * cellWidth + (cols - 1) * spacing;
+  const height = margin * 2 + rows * cellHeight + (rows - 1) * spacing;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const fill = (x, y, color) => {
+    if (!color) return;
+    const idx = (y * width + x) * 4;
+    data.set([...color, 255], idx);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) fill(x, y, background);
+  }
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const left = margin + col * (cellWidth + spacing);
+      const top = margin + row * (cellHeight + spacing);
+      if (rule && col < cols - 1) {
+        for (let y = margin; y < height - margin; y++) {
+          for (let s = 0; s < spacing; s++) fill(left + cellWidth + s, y, rule);
+        }
+      }
+      if (rule && row < rows - 1) {
+        for (let x = margin; x < width - margin; x++) {
+          for (let s = 0; s < spacing; s++) fill(x, top + cellHeight + s, rule);
+        }
+      }
+      // Body with a stripe, shifted per cell like animation frames
+      for (let y = top + padding; y < top + cellHeight - padding; y++) {
+        for (let x = left + padding; x < left + cellWidth - padding; x++) {
+          fill(x, y, (x + y + col) % 5 === 0 ? [200, 40, 40] : [40, 120, 200]);
+        }
+      }
+    }
+  }
+  return new ImageData(data, width, height);
+}
+
+describe('GridDetector', () => {
+  const detector = new GridDetector();
+
+  it('finds non-square cells', () => {
+    expect(detector.detect(drawSheet({ cols: 4, rows: 2, spacing: 2 }))).toEqual({
+      cols: 4, rows: 2, cellWidth: 32, cellHeight: 48, offsetX: 0, offsetY: 0, spacingX: 2, spacingY: 2
+    });
+  });
+
+  it('infers a transparent margin and gutters separately', () => {
+    expect(detector.detect(drawSheet({ cols: 3, rows: 3, cellWidth: 32, cellHeight: 32, margin: 4, spacing: 2 }))).toEqual({
+      cols: 3, rows: 3, cellWidth: 32, cellHeight: 32, offsetX: 4, offsetY: 4, spacingX: 2, spacingY: 2
+    });
+  });
+
+  describe.each([
+    ['transparent', null],
+    ['white', WHITE],
+    ['magenta', MAGENTA]
+  ])('1px separator rules on a %s background', (name, background) => {
+    it.each([0, 2])('with a %ipx margin', (margin) => {
+      const sheet = drawSheet({ cols: 3, rows: 3, margin, spacing: 1, padding: 3, background, rule: BLACK });
+      expect(detector.detect(sheet)).toEqual({
+        cols: 3, rows: 3, cellWidth: 32, cellHeight: 48, offsetX: margin, offsetY: margin, spacingX: 1, spacingY: 1
+      });
+    });
+  });
+
+  it('keeps empty cells between separators', () => {
+    const sheet = drawSheet({ cols: 3, rows: 2, spacing: 1, padding: 3, background: WHITE, rule: BLACK });
+    // Blank out the middle cell of the first row
+    for (let y = 3; y < 45; y++) {
+      for (let x = 33 + 3; x < 33 + 29; x++) sheet.data.set([...WHITE, 255], (y * sheet.width + x) * 4);
+    }
+    expect(detector.detect(sheet)).toMatchObject({ cols: 3, rows: 2, cellWidth: 32, cellHeight: 48, spacingX: 1 });
+  });
+
+  it('returns null for a single sprite', () => {
+    expect(detector.detect(drawSheet({ cols: 1, rows: 1, padding: 4 }))).toBeNull();
+  });
+
+  it('lays out cells from a spec', () => {
+    const spec = { cols: 2, rows: 1, cellWidth: 32, cellHeight: 48, offsetX: 2, offsetY: 2, spacingX: 1, spacingY: 1 };
+    expect(detector.getCells(spec)).toEqual([
+      { row: 0, col: 0, x: 2, y: 2, width: 32, height: 48 },
+      { row: 0, col: 1, x: 35, y: 2, width: 32, height: 48 }
+    ]);
+  });
+});
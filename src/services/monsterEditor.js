@@ -0,0 +1,142 @@
+/**
+ * Monster Editor
+ *
+ * Applies validated manual edits to a monster and records each one
+ * in the monster's transformation history.
+ *
+ * An edit is { field, value } plus a target for nested fields:
+ * - evolutionId: form to change for 'evolutionName', 'lore' and stat fields
+ * - ability: current ability name for ability fields. The change is applied
+ *   to every copy of the ability (learnset and each form that knows it)
+ */
+
+import { STAT_NAMES } from '../data/statProfiles';
+import { validateField } from '../data/validation';
+import { normalizeEvolutions } from '../data/evolutions';
+import transformationHistory, { PROVIDERS } from './transformationHistory';
+
+const MONSTER_FIELDS = [
+  'name', 'primaryElement', 'secondaryElement', 'creatureType', 'sizeClass',
+  'catchRate', 'baseExp', 'genderRatio', 'eggGroups'
+];
+
+const EVOLUTION_FIELDS = {
+  evolutionName: 'name',
+  lore: 'lore'
+};
+
+const ABILITY_FIELDS = {
+  abilityName: 'name',
+  abilityType: 'type',
+  power: 'power',
+  accuracy: 'accuracy',
+  pp: 'pp'
+};
+
+export class MonsterEditor {
+  /**
+   * Apply a single edit
+   * @param {object} monster - Monster record
+   * @param {object} edit - { field, value, evolutionId?, ability? }
+   * @returns {object} { monster, error } - monster is unchanged when error is set
+   */
+  applyEdit(monster, edit) {
+    const { field } = edit;
+    const value = typeof edit.value === 'string' && field !== 'lore' ? edit.value.trim() : edit.value;
+
+    const error = validateField(field, value, monster);
+    if (error) return { monster, error };
+
+    let result;
+    if (MONSTER_FIELDS.includes(field)) {
+      result = { previous: monster[field], updated: { ...monster, [field]: value }, path: field };
+    } else if (EVOLUTION_FIELDS[field] || STAT_NAMES.includes(field)) {
+      result = this.editEvolution(monster, edit.evolutionId, field, value);
+    } else if (ABILITY_FIELDS[field]) {
+      result = this.editAbility(monster, edit.ability, ABILITY_FIELDS[field], value);
+    }
+
+    if (!result) return { monster, error: 'Nothing to edit' };
+    if (result.error) return { monster, error: result.error };
+    if (JSON.stringify(result.previous) === JSON.stringify(value)) return { monster, error: null };
+
+    return {
+      monster: this.recordEdit(result.updated, result.path, result.previous, value),
+      error: null
+    };
+  }
+
+  /**
+   * Change a form's name, lore or one of its stats
+   */
+  editEvolution(monster, evolutionId, field, value) {
+    const evolutions = normalizeEvolutions(monster.evolutions || []);
+    const target = evolutions.find(evo => evo.id === evolutionId);
+    if (!target) return { error: `Unknown evolution "${evolutionId}"` };
+
+    const isStat = STAT_NAMES.includes(field);
+    const key = isStat ? field : EVOLUTION_FIELDS[field];
+    const previous = isStat ? target.stats?.[key] : target[key];
+    const changes = isStat ? { stats: { ...target.stats, [key]: value } } : { [key]: value };
+
+    return {
+      previous,
+      path: `evolutions.${evolutionId}.${isStat ? `stats.${key}` : key}`,
+      updated: {
+        ...monster,
+        evolutions: evolutions.map(evo => (evo.id === evolutionId ? { ...evo, ...changes } : evo))
+      }
+    };
+  }
+
+  /**
+   * Change an ability property everywhere the ability appears
+   */
+  editAbility(monster, abilityName, key, value) {
+    const matches = (ability) => ability?.name === abilityName;
+    const known = (monster.learnset || []).some(entry => matches(entry.ability)) ||
+      (monster.evolutions || []).some(evo => (evo.abilities || []).some(matches));
+    if (!known) return { error: `Unknown ability "${abilityName}"` };
+    if (key === 'name' && value !== abilityName && this.getAbilityNames(monster).includes(value)) {
+      return { error: `${monster.name} already knows an ability called "${value}"` };
+    }
+
+    const update = (ability) => (matches(ability) ? { ...ability, [key]: value } : ability);
+    const previous = [
+      ...(monster.learnset || []).map(entry => entry.ability),
+      ...(monster.evolutions || []).flatMap(evo => evo.abilities || [])
+    ].find(matches)[key];
+
+    return {
+      previous,
+      path: `abilities.${abilityName}.${key}`,
+      updated: {
+        ...monster,
+        learnset: monster.learnset?.map(entry => ({ ...entry, ability: update(entry.ability) })),
+        evolutions: monster.evolutions?.map(evo => ({ ...evo, abilities: evo.abilities?.map(update) }))
+      }
+    };
+  }
+
+  getAbilityNames(monster) {
+    return [
+      ...(monster.learnset || []).map(entry => entry.ability?.name),
+      ...(monster.evolutions || []).flatMap(evo => (evo.abilities || []).map(ability => ability.name))
+    ];
+  }
+
+  /**
+   * Append a manual edit to the monster's transformation history
+   */
+  recordEdit(monster, path, previous, value) {
+    return transformationHistory.append(monster, [transformationHistory.createRecord({
+      type: 'text',
+      category: 'manual-edit',
+      provider: PROVIDERS.manual,
+      input: { field: path, previous: previous ?? null },
+      output: { value }
+    })]);
+  }
+}
+
+export default new MonsterEditor();
@@ -8,18 +8,22 @@
  * NO OPENAI COMPONENTS
  */
 
+import gridDetector from './gridDetector';
+
 // Available art styles for sprite generation
 export const ART_STYLES = {
   pixel: {
     id: 'pixel',
     name: 'Pixel Art',
     description: '16-bit retro game style',
+    resolution: 64, // Pixel grid snapping target (see PixelSnapper)
     prompt: 'pixel art sprite, 64x64 pixels, clean pixel art style, video game character sprite, retro 16-bit aesthetic'
   },
   pixel_hd: {
     id: 'pixel_hd',
     name: 'HD Pixel Art',
     description: 'High-res pixel art (128x128)',
+    resolution: 128,
     prompt: 'high resolution pixel art sprite, 128x128 pixels, detailed pixel art style, modern indie game aesthetic'
   },
   anime: {
@@ -622,36 +626,30 @@ Guidelines:
       img.onload = () => {
         const extractedSprites = [];
         
-        // Try to get or estimate grid dimensions
-        let rows, cols, cellWidth, cellHeight;
+        // Try to get or estimate the grid spec (see gridDetector)
+        let grid = null;
         
         if (gridInfo && gridInfo.rows && gridInfo.cols) {
-          rows = gridInfo.rows;
-          cols = gridInfo.cols;
-          cellWidth = gridInfo.cellWidth || Math.floor(img.width / cols);
-          cellHeight = gridInfo.cellHeight || Math.floor(img.height / rows);
-          console.log('[NanoBanana] Using provided gridInfo:', rows, 'x', cols);
+          // Prefer pixel-exact offsets and spacing when they agree with the analysis
+          const detected = this.detectGridFromImage(img);
+          grid = detected && detected.rows === gridInfo.rows && detected.cols === gridInfo.cols
+            ? detected
+            : gridDetector.normalize(gridInfo, img.width, img.height);
+          console.log('[NanoBanana] Using provided gridInfo:', grid.rows, 'x', grid.cols);
         } else if (spriteCount > 1) {
           // Estimate grid from sprite count and image dimensions
-          const estimated = this.estimateGridFromCount(img.width, img.height, spriteCount);
-          rows = estimated.rows;
-          cols = estimated.cols;
-          cellWidth = estimated.cellWidth;
-          cellHeight = estimated.cellHeight;
-          console.log('[NanoBanana] Estimated grid from count:', rows, 'x', cols, 'cells:', cellWidth, 'x', cellHeight);
+          grid = gridDetector.normalize(this.estimateGridFromCount(img.width, img.height, spriteCount), img.width, img.height);
+          console.log('[NanoBanana] Estimated grid from count:', grid.rows, 'x', grid.cols);
         } else {
           // Try to auto-detect grid from image
-          const detected = this.detectGridFromImage(img);
-          if (detected) {
-            rows = detected.rows;
-            cols = detected.cols;
-            cellWidth = detected.cellWidth;
-            cellHeight = detected.cellHeight;
-            console.log('[NanoBanana] Auto-detected grid:', rows, 'x', cols);
+          grid = this.detectGridFromImage(img);
+          if (grid) {
+            console.log('[NanoBanana] Auto-detected grid:', grid.rows, 'x', grid.cols);
           }
         }
         
-        if (rows && cols) {
+        if (grid) {
+          const { rows, cols, cellWidth, cellHeight } = grid;
           console.log('[NanoBanana] Extracting grid:', rows, 'x', cols, 'cells:', cellWidth, 'x', cellHeight);
           
           // If we have sprite positions, extract only those
@@ -663,15 +661,11 @@ Guidelines:
                 canvas.width = cellWidth;
                 canvas.height = cellHeight;
                 
+                const cell = gridDetector.getCellRect(grid, sprite.row, sprite.col);
                 ctx.drawImage(
                   img,
-                  sprite.col * cellWidth,
-                  sprite.row * cellHeight,
-                  cellWidth,
-                  cellHeight,
-                  0, 0,
-                  cellWidth,
-                  cellHeight
+                  cell.x, cell.y, cell.width, cell.height,
+                  0, 0, cell.width, cell.height
                 );
                 
                 // Check if cell has content
@@ -696,15 +690,11 @@ Guidelines:
                 canvas.width = cellWidth;
                 canvas.height = cellHeight;
                 
+                const cell = gridDetector.getCellRect(grid, r, c);
                 ctx.drawImage(
                   img,
-                  c * cellWidth,
-                  r * cellHeight,
-                  cellWidth,
-                  cellHeight,
-                  0, 0,
-                  cellWidth,
-                  cellHeight
+                  cell.x, cell.y, cell.width, cell.height,
+                  0, 0, cell.width, cell.height
                 );
                 
                 const imageData = ctx.getImageData(0, 0, cellWidth, cellHeight);
@@ -745,6 +735,48 @@ Guidelines:
     });
   }
 
+  /**
+   * Extract sprites from explicit regions, such as a grid saved in the grid editor.
+   * Every region is extracted as-is, with no detection, estimation or content check.
+   * @param {string} imageBase64 - Base64 encoded sprite sheet
+   * @param {Array<{x, y, width, height, name?, row?, col?}>} regions - Pixel rectangles
+   * @returns {Promise<Array<{base64: string, name: string, index: number}>>}
+   */
+  async extractRegionsFromSheet(imageBase64, regions) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const extractedSprites = regions.map((region, index) => {
+          const canvas = document.createElement('canvas');
+          const ctx = canvas.getContext('2d');
+          canvas.width = region.width;
+          canvas.height = region.height;
+          
+          ctx.drawImage(
+            img,
+            region.x, region.y, region.width, region.height,
+            0, 0, region.width, region.height
+          );
+          
+          return {
+            base64: canvas.toDataURL('image/png'),
+            name: region.name || `Sprite ${index + 1}`,
+            description: '',
+            index,
+            region: { x: region.x, y: region.y, width: region.width, height: region.height },
+            ...(region.row !== undefined && { gridPosition: { row: region.row, col: region.col } })
+          };
+        });
+        
+        console.log('[NanoBanana] Extracted', extractedSprites.length, 'sprites from saved regions');
+        resolve(extractedSprites);
+      };
+      
+      img.onerror = () => reject(new Error('Failed to load image for extraction'));
+      img.src = imageBase64;
+    });
+  }
+
   /**
    * Check if a cell has meaningful content (not empty/transparent/white)
    */
@@ -819,15 +851,22 @@ Guidelines:
 
   /**
    * Try to detect grid from image by looking for repeating patterns
+   * @returns {object|null} Grid spec (see gridDetector)
    */
   detectGridFromImage(img) {
     const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
     canvas.width = img.width;
     canvas.height = img.height;
     ctx.drawImage(img, 0, 0);
     
-    // Sample common cell sizes
+    // Periodic separator lines give exact cell size, offset and spacing
+    const spec = gridDetector.detect(ctx.getImageData(0, 0, img.width, img.height));
+    if (spec && spec.cols * spec.rows <= 300) {
+      return spec;
+    }
+    
+    // Otherwise sample common square cell sizes
     const possibleSizes = [96, 80, 72, 64, 56, 48, 40, 32];
     
     for (const size of possibleSizes) {
@@ -862,12 +901,7 @@ Guidelines:
         
         // If most sampled cells have content, this is probably a good grid
         if (filledCells >= sampleCount * 0.5) {
-          return {
-            rows,
-            cols,
-            cellWidth: size,
-            cellHeight: size
-          };
+          return gridDetector.normalize({ rows, cols, cellWidth: size, cellHeight: size }, img.width, img.height);
         }
       }
     }
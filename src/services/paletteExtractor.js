@@ -0,0 +1,198 @@
+/**
+ * Palette Extraction Service
+ *
+ * Extracts the color palette of a sprite. True pixel art uses a handful of
+ * exact colors, which are simply counted. Noisy art (AI output, scaled or
+ * compressed images) has thousands of near-identical shades, so it is
+ * quantized instead: median cut splits the color space into boxes, and
+ * k-means refines their centers.
+ *
+ * DOM-free; runs in the pixel worker (see pixelTasks).
+ *
+ * Palette: { method, distinctColors, colors: [{ hex, count, share }] } - most used first
+ */
+
+export const PALETTE_METHODS = {
+  auto: 'auto',           // Exact when the sprite has few enough colors, else k-means
+  exact: 'exact',         // Count every distinct color
+  medianCut: 'medianCut', // Median cut only
+  kmeans: 'kmeans'        // Median cut refined with k-means
+};
+
+const KMEANS_ITERATIONS = 8;
+
+export class PaletteExtractor {
+  constructor(options = {}) {
+    this.maxColors = options.maxColors || 16;
+    this.alphaThreshold = options.alphaThreshold ?? 128;
+  }
+
+  /**
+   * Extract the palette of sprite pixels
+   * @param {ImageData} imageData - Sprite pixels (transparent pixels are ignored)
+   * @param {object} options - { method?: PALETTE_METHODS value, maxColors? }
+   * @returns {object} Palette
+   */
+  extractPalette(imageData, options = {}) {
+    const maxColors = options.maxColors || this.maxColors;
+    const counts = this.countColors(imageData);
+    const distinctColors = counts.size;
+
+    let method = options.method || PALETTE_METHODS.auto;
+    if (method === PALETTE_METHODS.auto) {
+      method = distinctColors <= maxColors ? PALETTE_METHODS.exact : PALETTE_METHODS.kmeans;
+    }
+
+    const entries = [...counts.entries()].map(([key, count]) => ({ rgb: [key >> 16, (key >> 8) & 0xff, key & 0xff], count }));
+    let colors;
+    if (method === PALETTE_METHODS.exact) {
+      colors = entries.sort((a, b) => b.count - a.count).slice(0, maxColors);
+    } else {
+      colors = this.medianCut(entries, maxColors);
+      if (method === PALETTE_METHODS.kmeans) {
+        colors = this.refineKMeans(entries, colors);
+      }
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.count, 0) || 1;
+    console.log('[PaletteExtractor] Extracted', colors.length, 'of', distinctColors, 'colors by', method);
+    return {
+      method,
+      distinctColors,
+      colors: colors
+        .sort((a, b) => b.count - a.count)
+        .map(color => ({ hex: toHex(color.rgb), count: color.count, share: Math.round((color.count / total) * 1000) / 1000 }))
+    };
+  }
+
+  /**
+   * Pixel count per opaque color
+   * @returns {Map<number, number>} 0xRRGGBB -> count
+   */
+  countColors(imageData) {
+    const { data } = imageData;
+    const counts = new Map();
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < this.alphaThreshold) continue;
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Split the colors into boxes along their widest channel, at the weighted
+   * median, until there are maxColors boxes; each box yields its mean color
+   * @param {Array<{rgb, count}>} entries - Distinct colors with counts
+   */
+  medianCut(entries, maxColors) {
+    if (entries.length === 0) return [];
+    const boxes = [entries];
+
+    while (boxes.length < maxColors) {
+      // Split the box with the most pixels times its widest range
+      let best = -1;
+      let bestScore = 0;
+      let bestChannel = 0;
+      boxes.forEach((box, index) => {
+        if (box.length < 2) return;
+        const { channel, range } = widestChannel(box);
+        const score = range * box.reduce((sum, entry) => sum + entry.count, 0);
+        if (score > bestScore) {
+          best = index;
+          bestScore = score;
+          bestChannel = channel;
+        }
+      });
+      if (best < 0) break;
+
+      const box = boxes[best].sort((a, b) => a.rgb[bestChannel] - b.rgb[bestChannel]);
+      const half = box.reduce((sum, entry) => sum + entry.count, 0) / 2;
+      let split = 1;
+      for (let seen = 0; split < box.length - 1; split++) {
+        seen += box[split - 1].count;
+        if (seen >= half) break;
+      }
+      boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+    }
+
+    return boxes.map(box => meanColor(box));
+  }
+
+  /**
+   * Move each palette color to the weighted mean of the colors nearest it
+   * @param {Array<{rgb, count}>} entries - Distinct colors with counts
+   * @param {Array<{rgb, count}>} palette - Starting centers (from medianCut)
+   */
+  refineKMeans(entries, palette) {
+    let centers = palette.map(color => color.rgb);
+    let clusters = [];
+
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+      const current = centers;
+      clusters = current.map(() => []);
+      for (const entry of entries) {
+        clusters[nearest(entry.rgb, current)].push(entry);
+      }
+      const next = clusters.map((cluster, index) => (cluster.length > 0 ? meanColor(cluster).rgb : current[index]));
+      const moved = next.some((center, index) => distanceSq(center, current[index]) > 1);
+      centers = next;
+      if (!moved) break;
+    }
+
+    return clusters
+      .map((cluster, index) => ({ rgb: centers[index], count: cluster.reduce((sum, entry) => sum + entry.count, 0) }))
+      .filter(color => color.count > 0);
+  }
+}
+
+function widestChannel(box) {
+  let channel = 0;
+  let range = -1;
+  for (let c = 0; c < 3; c++) {
+    let min = 255;
+    let max = 0;
+    for (const entry of box) {
+      if (entry.rgb[c] < min) min = entry.rgb[c];
+      if (entry.rgb[c] > max) max = entry.rgb[c];
+    }
+    if (max - min > range) {
+      range = max - min;
+      channel = c;
+    }
+  }
+  return { channel, range };
+}
+
+function meanColor(entries) {
+  const sums = [0, 0, 0];
+  let count = 0;
+  for (const entry of entries) {
+    for (let c = 0; c < 3; c++) sums[c] += entry.rgb[c] * entry.count;
+    count += entry.count;
+  }
+  return { rgb: sums.map(sum => Math.round(sum / count)), count };
+}
+
+function nearest(rgb, centers) {
+  let best = 0;
+  let bestDistance = Infinity;
+  centers.forEach((center, index) => {
+    const distance = distanceSq(rgb, center);
+    if (distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function distanceSq(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+export default new PaletteExtractor();
@@ -0,0 +1,38 @@
+import { PaletteExtractor, PALETTE_METHODS } from './paletteExtractor';
+
+// One row of pixels: [color, count] runs, plus a transparent pixel that must be ignored
+function drawPixels(runs) {
+  const pixels = runs.flatMap(([color, count]) => Array(count).fill([...color, 255]));
+  pixels.push([255, 0, 0, 0]);
+  return new ImageData(new Uint8ClampedArray(pixels.flat()), pixels.length, 1);
+}
+
+describe('PaletteExtractor', () => {
+  const extractor = new PaletteExtractor();
+
+  it('counts the exact colors of true pixel art', () => {
+    const palette = extractor.extractPalette(drawPixels([[[0, 0, 0], 2], [[255, 255, 255], 6]]));
+    expect(palette).toEqual({
+      method: PALETTE_METHODS.exact,
+      distinctColors: 2,
+      colors: [
+        { hex: '#FFFFFF', count: 6, share: 0.75 },
+        { hex: '#000000', count: 2, share: 0.25 }
+      ]
+    });
+  });
+
+  it('quantizes noisy shades down to their base colors', () => {
+    const runs = [];
+    for (let shade = 0; shade < 20; shade++) {
+      runs.push([[200 + shade, 30, 30], 3]);
+      runs.push([[30, 30, 200 + shade], 3]);
+    }
+    const palette = extractor.extractPalette(drawPixels(runs), { maxColors: 2 });
+
+    expect(palette.method).toBe(PALETTE_METHODS.kmeans);
+    expect(palette.distinctColors).toBe(40);
+    expect(palette.colors.map(color => color.count)).toEqual([60, 60]);
+    expect(palette.colors.map(color => color.hex).sort()).toEqual(['#1E1ED2', '#D21E1E']);
+  });
+});
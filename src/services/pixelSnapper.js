@@ -0,0 +1,324 @@
+/**
+ * Pixel Snap Service
+ *
+ * Local `pixel-snap` transformation: turns an image that only looks like
+ * pixel art (a large, anti-aliased render of big "pixels", as image models
+ * return) into a true low-resolution sprite. It finds the size and offset
+ * of the drawn pixel grid from where color edges line up, takes the
+ * majority color of each grid cell, fits the result to the target
+ * resolution, drops stray semi-transparent and isolated edge pixels, and
+ * quantizes to a palette.
+ *
+ * DOM-free; runs in the pixel worker (see pixelTasks).
+ */
+
+import backgroundRemover, { KEY_MODES } from './backgroundRemover';
+import { PaletteExtractor } from './paletteExtractor';
+import { findContentBounds } from '../utils/imageData';
+
+// Smallest pixel size tried, fewest grid lines the largest must leave, and the step between
+// sizes (AI renders rarely scale by whole numbers)
+const MIN_PIXEL_SIZE = 2;
+const MAX_GRID_LINES = 16;
+const PIXEL_SIZE_STEP = 0.25;
+
+// Share of a cell ignored on each side, where anti-aliasing blends neighbouring pixels
+const CELL_MARGIN = 0.2;
+
+export class PixelSnapper {
+  constructor(options = {}) {
+    this.alphaThreshold = options.alphaThreshold ?? 128;
+    this.maxColors = options.maxColors || 16;
+    // A grid counts as found when its lines are this much busier than the image on average
+    this.minGridStrength = options.minGridStrength ?? 2.5;
+    // Prefer the smallest pixel size scoring at least this share of the best (multiples score as well)
+    this.harmonicTolerance = options.harmonicTolerance ?? 0.75;
+  }
+
+  /**
+   * Snap an image to its pixel grid
+   * @param {ImageData} imageData - Generated image (not modified)
+   * @param {object} options - { targetSize?, palette?: string[], maxColors?, backgroundKey?, keyTolerance? }
+   *   targetSize - Longest side of the result in pixels; the detected grid is used as is when omitted
+   *   palette - Hex colors to quantize to; the image's own palette (maxColors) when omitted
+   * @returns {object} { imageData, pixelSize, detected, colors, palette, width, height }
+   */
+  snap(imageData, options = {}) {
+    const { targetSize = null, palette = null, maxColors = this.maxColors } = options;
+
+    // Solid backgrounds would otherwise count as sprite pixels
+    let source = imageData;
+    if ((options.backgroundKey || KEY_MODES.flood) !== KEY_MODES.off) {
+      source = backgroundRemover.removeBackground(imageData, {
+        mode: options.backgroundKey || KEY_MODES.flood,
+        tolerance: options.keyTolerance
+      }).imageData;
+    }
+
+    let grid = this.detectGrid(source);
+    const detected = grid.strength >= this.minGridStrength;
+    if (!detected) {
+      const size = targetSize ? Math.max(1, Math.max(source.width, source.height) / targetSize) : 1;
+      grid = { size, offsetX: 0, offsetY: 0, strength: grid.strength };
+    }
+
+    let result = this.sampleGrid(source, grid);
+    result = this.fitToSize(result, targetSize);
+    this.removeStrayPixels(result);
+
+    const colors = palette?.length
+      ? palette.map(hexToRgb).filter(Boolean)
+      : new PaletteExtractor({ alphaThreshold: this.alphaThreshold })
+        .extractPalette(result, { maxColors })
+        .colors.map(color => hexToRgb(color.hex));
+    this.quantize(result, colors);
+
+    console.log('[PixelSnapper] Snapped', `${imageData.width}x${imageData.height}`, 'to', `${result.width}x${result.height}`,
+      detected ? `(pixel size ${grid.size.toFixed(2)})` : '(no grid found)');
+    return {
+      imageData: result,
+      pixelSize: Math.round(grid.size * 100) / 100,
+      detected,
+      colors: colors.length,
+      palette: colors.map(rgbToHex),
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  /**
+   * Find the drawn pixel grid. Edges between big pixels all fall on the
+   * grid lines, so the right size and offset put the grid lines where the
+   * column and row color changes are strongest.
+   * @returns {object} { size, offsetX, offsetY, strength } - strength is the line/average edge ratio
+   */
+  detectGrid(imageData) {
+    const { width, height } = imageData;
+    const columns = this.edgeProfile(imageData, true);
+    const rows = this.edgeProfile(imageData, false);
+    const maxSize = Math.max(MIN_PIXEL_SIZE, Math.min(width, height) / MAX_GRID_LINES);
+
+    const candidates = [];
+    for (let size = MIN_PIXEL_SIZE; size <= maxSize; size += PIXEL_SIZE_STEP) {
+      const x = this.bestOffset(columns, size);
+      const y = this.bestOffset(rows, size);
+      candidates.push({ size, offsetX: x.offset, offsetY: y.offset, strength: (x.strength + y.strength) / 2 });
+    }
+    if (candidates.length === 0) return { size: 1, offsetX: 0, offsetY: 0, strength: 0 };
+
+    const best = Math.max(...candidates.map(candidate => candidate.strength));
+    return candidates.find(candidate => candidate.strength >= best * this.harmonicTolerance);
+  }
+
+  /**
+   * Color change between each column (or row) and the one before it, summed along it
+   * @returns {Float64Array} profile[i] - change at the boundary before column/row i
+   */
+  edgeProfile(imageData, vertical) {
+    const { data, width, height } = imageData;
+    const length = vertical ? width : height;
+    const span = vertical ? height : width;
+    const profile = new Float64Array(length);
+
+    for (let i = 1; i < length; i++) {
+      let sum = 0;
+      for (let j = 0; j < span; j++) {
+        const a = vertical ? (j * width + i) * 4 : (i * width + j) * 4;
+        const b = vertical ? a - 4 : a - width * 4;
+        // Transparent pixels all look alike whatever their color channels hold
+        const alphaA = data[a + 3] / 255;
+        const alphaB = data[b + 3] / 255;
+        sum += Math.abs(data[a] * alphaA - data[b] * alphaB) +
+          Math.abs(data[a + 1] * alphaA - data[b + 1] * alphaB) +
+          Math.abs(data[a + 2] * alphaA - data[b + 2] * alphaB) +
+          Math.abs(data[a + 3] - data[b + 3]);
+      }
+      profile[i] = sum;
+    }
+    return profile;
+  }
+
+  /**
+   * Offset whose grid lines carry the most edge, relative to the average
+   * boundary. Each line is scored over the two boundaries around it, since
+   * at fractional sizes an anti-aliased edge is split between them.
+   */
+  bestOffset(profile, size) {
+    let total = 0;
+    for (let i = 1; i < profile.length; i++) total += profile[i];
+    const average = total / Math.max(1, profile.length - 1);
+    if (average === 0) return { offset: 0, strength: 0 };
+
+    let best = { offset: 0, strength: 0 };
+    for (let offset = 0; offset < size; offset += 0.5) {
+      let sum = 0;
+      let lines = 0;
+      for (let line = offset; line < profile.length - 1; line += size) {
+        const i = Math.floor(line);
+        if (i < 1) continue;
+        sum += profile[i] + profile[i + 1];
+        lines++;
+      }
+      const strength = lines > 0 ? sum / lines / (2 * average) : 0;
+      if (strength > best.strength) best = { offset, strength };
+    }
+    return best;
+  }
+
+  /**
+   * One output pixel per grid cell: the most common color among the
+   * cell's inner pixels, or transparent when most of them are
+   */
+  sampleGrid(imageData, grid) {
+    const { data, width, height } = imageData;
+    const { size } = grid;
+    // Start the grid at or before the image edge so partial cells are kept
+    const startX = grid.offsetX - Math.ceil(grid.offsetX / size) * size;
+    const startY = grid.offsetY - Math.ceil(grid.offsetY / size) * size;
+    const cols = Math.max(1, Math.ceil((width - startX) / size - 0.5));
+    const rows = Math.max(1, Math.ceil((height - startY) / size - 0.5));
+    const out = new Uint8ClampedArray(cols * rows * 4);
+    const margin = size * CELL_MARGIN;
+
+    for (let row = 0; row < rows; row++) {
+      const top = startY + row * size;
+      const y0 = Math.max(0, Math.round(top + margin));
+      const y1 = Math.min(height, Math.max(y0 + 1, Math.round(top + size - margin)));
+      for (let col = 0; col < cols; col++) {
+        const left = startX + col * size;
+        const x0 = Math.max(0, Math.round(left + margin));
+        const x1 = Math.min(width, Math.max(x0 + 1, Math.round(left + size - margin)));
+
+        const buckets = new Map();
+        let transparent = 0;
+        let opaque = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const idx = (y * width + x) * 4;
+            if (data[idx + 3] < this.alphaThreshold) {
+              transparent++;
+              continue;
+            }
+            opaque++;
+            // Near-identical shades vote together
+            const key = ((data[idx] >> 3) << 10) | ((data[idx + 1] >> 3) << 5) | (data[idx + 2] >> 3);
+            const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bucket.count++;
+            bucket.r += data[idx];
+            bucket.g += data[idx + 1];
+            bucket.b += data[idx + 2];
+            buckets.set(key, bucket);
+          }
+        }
+        if (opaque === 0 || transparent > opaque) continue;
+
+        let winner = null;
+        for (const bucket of buckets.values()) {
+          if (!winner || bucket.count > winner.count) winner = bucket;
+        }
+        const o = (row * cols + col) * 4;
+        out[o] = Math.round(winner.r / winner.count);
+        out[o + 1] = Math.round(winner.g / winner.count);
+        out[o + 2] = Math.round(winner.b / winner.count);
+        out[o + 3] = 255;
+      }
+    }
+    return new ImageData(out, cols, rows);
+  }
+
+  /**
+   * Crop to the sprite and center it on a targetSize square, scaling it
+   * down (nearest neighbour) only when it does not fit
+   */
+  fitToSize(imageData, targetSize) {
+    if (!targetSize) return imageData;
+    const { data, width } = imageData;
+
+    const bounds = findContentBounds(imageData);
+    const out = new Uint8ClampedArray(targetSize * targetSize * 4);
+    if (!bounds) return new ImageData(out, targetSize, targetSize);
+    const { minX, minY, maxX, maxY } = bounds;
+
+    const contentWidth = maxX - minX + 1;
+    const contentHeight = maxY - minY + 1;
+    const scale = Math.min(1, targetSize / Math.max(contentWidth, contentHeight));
+    const fitWidth = Math.max(1, Math.round(contentWidth * scale));
+    const fitHeight = Math.max(1, Math.round(contentHeight * scale));
+    const left = Math.floor((targetSize - fitWidth) / 2);
+    const top = Math.floor((targetSize - fitHeight) / 2);
+
+    for (let y = 0; y < fitHeight; y++) {
+      const sy = minY + Math.min(contentHeight - 1, Math.floor((y + 0.5) / scale));
+      for (let x = 0; x < fitWidth; x++) {
+        const sx = minX + Math.min(contentWidth - 1, Math.floor((x + 0.5) / scale));
+        const s = (sy * width + sx) * 4;
+        const o = ((top + y) * targetSize + left + x) * 4;
+        for (let c = 0; c < 4; c++) out[o + c] = data[s + c];
+      }
+    }
+    return new ImageData(out, targetSize, targetSize);
+  }
+
+  /**
+   * Make every pixel fully opaque or fully transparent, and clear opaque
+   * pixels with no opaque neighbour (specks left by anti-aliased edges)
+   * @returns {number} Pixels cleared
+   */
+  removeStrayPixels(imageData) {
+    const { data, width, height } = imageData;
+    for (let idx = 3; idx < data.length; idx += 4) {
+      data[idx] = data[idx] >= this.alphaThreshold ? 255 : 0;
+    }
+
+    const opaque = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] > 0;
+    const stray = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (opaque(x, y) && !opaque(x - 1, y) && !opaque(x + 1, y) && !opaque(x, y - 1) && !opaque(x, y + 1)) {
+          stray.push((y * width + x) * 4);
+        }
+      }
+    }
+    stray.forEach(idx => data.fill(0, idx, idx + 4));
+    return stray.length;
+  }
+
+  // Replace every opaque pixel with its nearest palette color, in place
+  quantize(imageData, colors) {
+    if (colors.length === 0) return;
+    const { data } = imageData;
+    const cache = new Map();
+    for (let idx = 0; idx < data.length; idx += 4) {
+      if (data[idx + 3] === 0) continue;
+      const key = (data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2];
+      let color = cache.get(key);
+      if (!color) {
+        let bestDistance = Infinity;
+        for (const candidate of colors) {
+          const distance = (candidate[0] - data[idx]) ** 2 + (candidate[1] - data[idx + 1]) ** 2 + (candidate[2] - data[idx + 2]) ** 2;
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            color = candidate;
+          }
+        }
+        cache.set(key, color);
+      }
+      data[idx] = color[0];
+      data[idx + 1] = color[1];
+      data[idx + 2] = color[2];
+    }
+  }
+}
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+}
+
+function rgbToHex(rgb) {
+  return `#${rgb.map(value => value.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+}
+
+export default new PixelSnapper();
@@ -0,0 +1,69 @@
+import { PixelSnapper } from './pixelSnapper';
+import { createRng } from '../utils/random';
+
+const COLORS = [[30, 30, 40], [220, 60, 60], [60, 160, 220], [240, 220, 120]];
+
+// 16x16 pixel art: random colors over a transparent corner
+function drawArt(seed = 7) {
+  const rng = createRng(seed);
+  const data = new Uint8ClampedArray(16 * 16 * 4);
+  for (let i = 0; i < 16 * 16; i++) {
+    const x = i % 16;
+    const y = Math.floor(i / 16);
+    if (x + y < 4) continue;
+    data.set([...COLORS[Math.floor(rng() * COLORS.length)], 255], i * 4);
+  }
+  return new ImageData(data, 16, 16);
+}
+
+// Render art with big "pixels" of a (possibly fractional) size, like an image model would
+function upscale(art, size, offset = 0) {
+  const width = Math.round(art.width * size + offset * 2);
+  const data = new Uint8ClampedArray(width * width * 4);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = Math.floor((x - offset) / size);
+      const sy = Math.floor((y - offset) / size);
+      if (sx < 0 || sy < 0 || sx >= art.width || sy >= art.height) continue;
+      const from = (sy * art.width + sx) * 4;
+      data.set(art.data.subarray(from, from + 4), (y * width + x) * 4);
+    }
+  }
+  return new ImageData(data, width, width);
+}
+
+describe('PixelSnapper', () => {
+  const snapper = new PixelSnapper();
+
+  it.each([
+    [8, 0],
+    [12.25, 0],
+    [10, 5]
+  ])('recovers art drawn with %spx pixels and a %spx offset', (size, offset) => {
+    const art = drawArt();
+    const result = snapper.snap(upscale(art, size, offset), { targetSize: 16, backgroundKey: 'off' });
+
+    expect(result.detected).toBe(true);
+    expect(result.pixelSize).toBeCloseTo(size, 0);
+    expect([result.width, result.height]).toEqual([16, 16]);
+    expect(Array.from(result.imageData.data)).toEqual(Array.from(art.data));
+  });
+
+  it('quantizes to a given palette', () => {
+    const result = snapper.snap(upscale(drawArt(), 8), { targetSize: 16, palette: ['#000000', '#FFFFFF'], backgroundKey: 'off' });
+    expect(result.palette).toEqual(['#000000', '#FFFFFF']);
+    const colors = new Set();
+    for (let i = 0; i < result.imageData.data.length; i += 4) {
+      if (result.imageData.data[i + 3]) colors.add(result.imageData.data[i]);
+    }
+    expect([...colors].sort()).toEqual([0, 255]);
+  });
+
+  it('reports no grid on a smooth gradient', () => {
+    const data = new Uint8ClampedArray(96 * 96 * 4);
+    for (let i = 0; i < 96 * 96; i++) {
+      data.set([i % 96 * 2, Math.floor(i / 96) * 2, 128, 255], i * 4);
+    }
+    expect(snapper.snap(new ImageData(data, 96, 96), { backgroundKey: 'off' }).detected).toBe(false);
+  });
+});
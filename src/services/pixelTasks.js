@@ -0,0 +1,98 @@
+/**
+ * Pixel Tasks
+ *
+ * The CPU-heavy image work that runs in the pixel worker (see pixelWorker
+ * and workers/pixel.worker.js). Tasks only use ImageData and, when
+ * available, OffscreenCanvas, so the same code runs on the main thread
+ * where workers are not supported.
+ *
+ * Each task: (imageData, options, onProgress) => result (or a Promise of it)
+ */
+
+import { SpriteExtractor } from './spriteExtractor';
+import backgroundRemover from './backgroundRemover';
+import { PaletteExtractor } from './paletteExtractor';
+import { PixelSnapper } from './pixelSnapper';
+
+export const PIXEL_TASKS = {
+  // Detect and crop sprites; sprites come back with base64 when they could be encoded here
+  extract: async (imageData, options, onProgress) => {
+    const result = new SpriteExtractor(options).extractPixels(imageData, onProgress);
+    for (const sprite of result.sprites) {
+      sprite.base64 = await imageDataToDataUrl(sprite.imageData);
+    }
+    return result;
+  },
+
+  // Classify an image as one sprite or a sheet: { type, count, gridInfo }
+  detectType: (imageData, options, onProgress) => {
+    const extractor = new SpriteExtractor(options);
+    const detection = extractor.detectSpriteType(imageData, extractor.analyzePixels(imageData, onProgress));
+    const { type, regions, ...grid } = detection;
+    return {
+      type,
+      count: regions?.length || (type === 'grid' ? grid.rows * grid.cols : 1),
+      gridInfo: type === 'grid' ? grid : null
+    };
+  },
+
+  analyzeColors: (imageData) => new SpriteExtractor().analyzeColors(imageData),
+
+  extractPalette: (imageData, options) => new PaletteExtractor(options).extractPalette(imageData, options),
+
+  removeBackground: (imageData, options) => backgroundRemover.removeBackground(imageData, options),
+
+  // Snap a generated image to a true pixel grid and palette
+  pixelSnap: (imageData, options) => new PixelSnapper(options).snap(imageData, options)
+};
+
+/**
+ * Run a task by name
+ * @returns {Promise<*>} Task result
+ */
+export async function runPixelTask(task, imageData, options = {}, onProgress = () => {}) {
+  const run = PIXEL_TASKS[task];
+  if (!run) throw new Error(`Unknown pixel task "${task}"`);
+  return run(imageData, options, onProgress);
+}
+
+/**
+ * Encode pixels as a PNG data URL
+ * @returns {Promise<string|null>} null in a worker without OffscreenCanvas
+ */
+export async function imageDataToDataUrl(imageData) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    const canvas = new OffscreenCanvas(imageData.width, imageData.height);
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+  if (typeof document === 'undefined') return null;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = imageData.width;
+  canvas.height = imageData.height;
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Pixel buffers in a task result, so they can be transferred instead of copied
+ */
+export function collectTransferables(value, buffers = new Set()) {
+  if (typeof ImageData !== 'undefined' && value instanceof ImageData) {
+    buffers.add(value.data.buffer);
+  } else if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectTransferables(item, buffers));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectTransferables(item, buffers));
+  }
+  return [...buffers];
+}
@@ -0,0 +1,213 @@
+/**
+ * Pixel Worker Client
+ *
+ * Runs pixel tasks (sprite extraction, color analysis, background keying)
+ * in a Web Worker so large sheets don't freeze the UI. Jobs report
+ * progress and can be cancelled with an AbortSignal; cancelling terminates
+ * the worker and re-posts the other pending jobs to a fresh one. Where
+ * workers are not available the tasks run on the main thread instead.
+ *
+ * Jobs hold on to their input pixels until they settle so they can be
+ * re-posted; the worker gets a transferred copy.
+ */
+
+import { runPixelTask, imageDataToDataUrl } from './pixelTasks';
+import { loadImageData } from '../utils/imageData';
+
+function abortError() {
+  const error = new Error('Cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class PixelWorker {
+  constructor() {
+    this.worker = null;
+    this.jobs = new Map();
+    this.nextId = 1;
+  }
+
+  getWorker() {
+    if (!this.worker && typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(new URL('../workers/pixel.worker.js', import.meta.url));
+        this.worker.onmessage = ({ data }) => this.handleMessage(data);
+        this.worker.onerror = (event) => {
+          event.preventDefault?.();
+          this.stop(new Error(event.message || 'Pixel worker failed'));
+        };
+      } catch (error) {
+        console.warn('[PixelWorker] Workers unavailable, running on the main thread:', error);
+        this.worker = null;
+      }
+    }
+    return this.worker;
+  }
+
+  /**
+   * Run a pixel task
+   * @param {string} task - PIXEL_TASKS name
+   * @param {ImageData} imageData - Input pixels
+   * @param {object} options - Task options
+   * @param {object} handlers
+   * @param {function} handlers.onProgress - Called with { stage, progress } (progress 0 - 1)
+   * @param {AbortSignal} handlers.signal - Cancels the job (rejects with an AbortError)
+   * @returns {Promise<*>} Task result
+   */
+  run(task, imageData, options = {}, { onProgress, signal } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+
+    const worker = this.getWorker();
+    if (!worker) {
+      return runPixelTask(task, imageData, options, onProgress);
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      const onAbort = () => this.cancel(id);
+      this.jobs.set(id, { task, imageData, options, resolve, reject, onProgress, signal, onAbort });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.post(worker, id);
+    });
+  }
+
+  post(worker, id) {
+    const { task, imageData, options } = this.jobs.get(id);
+    const copy = new ImageData(new Uint8ClampedArray(imageData.data), imageData.width, imageData.height);
+    worker.postMessage({ id, task, imageData: copy, options }, [copy.data.buffer]);
+  }
+
+  handleMessage({ id, type, stage, progress, result, error }) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      job.onProgress?.({ stage, progress });
+      return;
+    }
+    this.finish(id);
+    if (type === 'result') {
+      job.resolve(result);
+    } else {
+      job.reject(new Error(error));
+    }
+  }
+
+  finish(id) {
+    const job = this.jobs.get(id);
+    job?.signal?.removeEventListener('abort', job.onAbort);
+    this.jobs.delete(id);
+  }
+
+  /**
+   * Cancel a job. The worker can't be interrupted mid-task, so it is
+   * terminated and the remaining jobs start over on a fresh worker.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+    console.log('[PixelWorker] Cancelling job', id);
+    this.finish(id);
+    job.reject(abortError());
+
+    this.worker?.terminate();
+    this.worker = null;
+    if (this.jobs.size === 0) return;
+
+    const worker = this.getWorker();
+    console.log('[PixelWorker] Restarting', this.jobs.size, 'pending job(s)');
+    for (const [pendingId, pending] of [...this.jobs.entries()]) {
+      if (worker) {
+        this.post(worker, pendingId);
+      } else {
+        this.finish(pendingId);
+        runPixelTask(pending.task, pending.imageData, pending.options, pending.onProgress).then(pending.resolve, pending.reject);
+      }
+    }
+  }
+
+  // Terminate the worker and reject every pending job
+  stop(error) {
+    this.worker?.terminate();
+    this.worker = null;
+    const jobs = [...this.jobs.entries()];
+    jobs.forEach(([id, job]) => {
+      this.finish(id);
+      job.reject(error);
+    });
+  }
+
+  /**
+   * Extract sprites from an image file
+   * @param {File} file - Image file from input/drop
+   * @param {object} options - SpriteExtractor options
+   * @param {object} handlers - { onProgress, signal }
+   * @returns {Promise<Array<{base64, imageData, index}>>}
+   */
+  async extractFromFile(file, options = {}, handlers = {}) {
+    console.log('[PixelWorker] Processing file:', file.name, file.type, file.size);
+    const url = URL.createObjectURL(file);
+    try {
+      const imageData = await loadImageData(url);
+      const { sprites } = await this.run('extract', imageData, options, handlers);
+      // Workers without OffscreenCanvas return unencoded sprites
+      for (const sprite of sprites) {
+        sprite.base64 = sprite.base64 || await imageDataToDataUrl(sprite.imageData);
+      }
+      console.log('[PixelWorker] Extracted', sprites.length, 'sprite(s)');
+      return sprites;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Classify an image data URL as one sprite or a sheet (see SpriteExtractor.detectSpriteType)
+   * @returns {Promise<{type: string, count: number, gridInfo: object|null}>}
+   */
+  async detectType(imageBase64, options = {}, handlers = {}) {
+    return this.run('detectType', await loadImageData(imageBase64), options, handlers);
+  }
+
+  /**
+   * Dominant color names of an image (see SpriteExtractor.analyzeColors)
+   * @param {string} imageBase64 - Image data URL
+   */
+  async analyzeColors(imageBase64, handlers = {}) {
+    return this.run('analyzeColors', await loadImageData(imageBase64), {}, handlers);
+  }
+
+  /**
+   * Color palette of an image data URL (see PaletteExtractor.extractPalette)
+   * @param {object} options - { method?, maxColors? }
+   */
+  async extractPalette(imageBase64, options = {}, handlers = {}) {
+    return this.run('extractPalette', await loadImageData(imageBase64), options, handlers);
+  }
+
+  /**
+   * Key the background of an image data URL (see BackgroundRemover.removeBackground)
+   * @returns {Promise<{base64: string, color: number[]|null, removed: number}>}
+   */
+  async removeBackground(imageBase64, options = {}, handlers = {}) {
+    const result = await this.run('removeBackground', await loadImageData(imageBase64), options, handlers);
+    if (!result.color) {
+      return { base64: imageBase64, color: null, removed: 0 };
+    }
+    console.log('[PixelWorker] Keyed', result.removed, 'pixels of', `rgb(${result.color.join(', ')})`);
+    return { base64: await imageDataToDataUrl(result.imageData), color: result.color, removed: result.removed };
+  }
+
+  /**
+   * Snap an image data URL to its pixel grid and a palette (see PixelSnapper.snap)
+   * @param {object} options - { targetSize?, palette?, maxColors?, backgroundKey?, keyTolerance? }
+   * @returns {Promise<{base64: string, pixelSize: number, detected: boolean, colors: number, palette: string[], width: number, height: number}>}
+   */
+  async pixelSnap(imageBase64, options = {}, handlers = {}) {
+    const { imageData, ...result } = await this.run('pixelSnap', await loadImageData(imageBase64), options, handlers);
+    return { base64: await imageDataToDataUrl(imageData), ...result };
+  }
+
+}
+
+export default new PixelWorker();
@@ -3,113 +3,150 @@
  * 
  * Handles:
  * - Smart detection of single sprites vs sprite sheets
- * - Individual sprite extraction via Canvas
+ * - Region detection by transparent gaps or connected components
+ * - Keying solid backgrounds to transparency before detection
+ * - Individual sprite extraction from ImageData
  * - Support for both transparent and solid backgrounds
  * - Base64 conversion for API calls
+ *
+ * The pixel methods are DOM-free and run in the pixel worker
+ * (see pixelWorker.extractFromFile and pixelTasks).
  */
 
+// Region detection modes for sheets with transparent backgrounds
+import gridDetector from './gridDetector';
+import backgroundRemover, { KEY_MODES } from './backgroundRemover';
+
+export const DETECTION_MODES = {
+  auto: 'auto',             // Whichever of gaps/components separates more sprites
+  gaps: 'gaps',             // Split on fully transparent rows/columns
+  components: 'components'  // Flood-fill labeling of opaque pixels
+};
+
 export class SpriteExtractor {
   constructor(options = {}) {
     this.cellSize = options.cellSize || 64;
     this.minPixelThreshold = options.minPixelThreshold || 500;
     this.maxSprites = options.maxSprites || 64;
+    this.detectionMode = options.detectionMode || DETECTION_MODES.auto;
+    this.alphaThreshold = options.alphaThreshold ?? 50; // Pixels above this alpha count as content
+    this.connectivity = options.connectivity === 4 ? 4 : 8;
+    this.mergeDistance = options.mergeDistance ?? 4; // Components this close (px) belong to one sprite
+    this.backgroundKey = options.backgroundKey || KEY_MODES.flood; // KEY_MODES value
+    this.keyTolerance = options.keyTolerance ?? 24;
   }
 
   /**
-   * Extract sprites from an image file
-   * @param {File} file - Image file from input/drop
-   * @returns {Promise<Array<{base64: string, index: number}>>}
+   * Detection options, as passed to a SpriteExtractor in the worker
    */
-  async extractFromFile(file) {
-    console.log('[SpriteExtractor] Processing file:', file.name, file.type, file.size);
-    const img = await this.loadImage(file);
-    console.log('[SpriteExtractor] Image loaded:', img.width, 'x', img.height);
-    return this.extractFromImage(img);
+  getOptions() {
+    return {
+      cellSize: this.cellSize,
+      minPixelThreshold: this.minPixelThreshold,
+      maxSprites: this.maxSprites,
+      detectionMode: this.detectionMode,
+      alphaThreshold: this.alphaThreshold,
+      connectivity: this.connectivity,
+      mergeDistance: this.mergeDistance,
+      backgroundKey: this.backgroundKey,
+      keyTolerance: this.keyTolerance
+    };
   }
 
   /**
-   * Load image file into Image element
+   * Analyze image pixels to determine if it's a single sprite or sprite sheet
+   * @param {ImageData} imageData - Image pixels
+   * @param {function} onProgress - Called with { stage, progress }
    */
-  loadImage(file) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = URL.createObjectURL(file);
+  analyzePixels(imageData, onProgress = () => {}) {
+    // Key a solid border color to alpha so flat-background sheets can be segmented
+    onProgress({ stage: 'Removing background', progress: 0 });
+    const keyed = backgroundRemover.removeBackground(imageData, {
+      mode: this.backgroundKey,
+      tolerance: this.keyTolerance
     });
+    if (keyed.color) {
+      console.log('[SpriteExtractor] Keyed background', `rgb(${keyed.color.join(', ')})`, '-', keyed.removed, 'pixels');
+    }
+
+    onProgress({ stage: 'Scanning pixels', progress: 0.2 });
+    const { width, height } = keyed.imageData;
+    const stats = this.scanPixels(keyed.imageData);
+    const totalPixels = width * height;
+    const transparentRatio = stats.transparentPixels / totalPixels;
+    const edgeTransparentRatio = stats.totalEdgePixels > 0 ? stats.edgeTransparent / stats.totalEdgePixels : 0;
+    
+    console.log('[SpriteExtractor] Image analysis:', {
+      dimensions: `${width}x${height}`,
+      transparentRatio: (transparentRatio * 100).toFixed(1) + '%',
+      edgeTransparentRatio: (edgeTransparentRatio * 100).toFixed(1) + '%'
+    });
+    
+    return {
+      hasTransparency: transparentRatio > 0.05,
+      hasTransparentEdges: edgeTransparentRatio > 0.5,
+      transparentRatio,
+      edgeTransparentRatio,
+      backgroundColor: keyed.color,
+      imageData: keyed.imageData,
+      stats
+    };
   }
 
   /**
-   * Analyze image to determine if it's a single sprite or sprite sheet
+   * Single pass over the image: transparency and edge statistics (edges are
+   * the first/last 5 pixels on each side), content pixels per row and column
+   * (for gap detection) and the content bounds
+   * @returns {object} { transparentPixels, edgeTransparent, totalEdgePixels, rowCounts, colCounts, bounds }
    */
-  analyzeImage(img) {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d', { willReadFrequently: true });
-    canvas.width = img.width;
-    canvas.height = img.height;
-    ctx.drawImage(img, 0, 0);
-    
-    const imageData = ctx.getImageData(0, 0, img.width, img.height);
-    const data = imageData.data;
-    
-    // Analyze the image characteristics
+  scanPixels(imageData) {
+    const { data, width, height } = imageData;
+    const rowCounts = new Uint32Array(height);
+    const colCounts = new Uint32Array(width);
     let transparentPixels = 0;
-    let opaquePixels = 0;
     let edgeTransparent = 0;
     let totalEdgePixels = 0;
-    
-    // Sample corners and edges to detect background type
-    const width = img.width;
-    const height = img.height;
-    
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
     for (let y = 0; y < height; y++) {
+      const edgeRow = y < 5 || y >= height - 5;
       for (let x = 0; x < width; x++) {
-        const idx = (y * width + x) * 4;
-        const alpha = data[idx + 3];
-        
+        const alpha = data[(y * width + x) * 4 + 3];
+        const isEdge = edgeRow || x < 5 || x >= width - 5;
+        if (isEdge) totalEdgePixels++;
+
         if (alpha < 128) {
           transparentPixels++;
-        } else {
-          opaquePixels++;
+          if (isEdge) edgeTransparent++;
         }
-        
-        // Check edges (first/last 5 pixels on each side)
-        const isEdge = x < 5 || x >= width - 5 || y < 5 || y >= height - 5;
-        if (isEdge) {
-          totalEdgePixels++;
-          if (alpha < 128) {
-            edgeTransparent++;
-          }
+        if (alpha > this.alphaThreshold) {
+          rowCounts[y]++;
+          colCounts[x]++;
+          if (x < minX) minX = x;
+          if (x > maxX) maxX = x;
+          if (y < minY) minY = y;
+          if (y > maxY) maxY = y;
         }
       }
     }
-    
-    const totalPixels = width * height;
-    const transparentRatio = transparentPixels / totalPixels;
-    const edgeTransparentRatio = totalEdgePixels > 0 ? edgeTransparent / totalEdgePixels : 0;
-    
-    console.log('[SpriteExtractor] Image analysis:', {
-      dimensions: `${width}x${height}`,
-      transparentRatio: (transparentRatio * 100).toFixed(1) + '%',
-      edgeTransparentRatio: (edgeTransparentRatio * 100).toFixed(1) + '%'
-    });
-    
+
     return {
-      hasTransparency: transparentRatio > 0.05,
-      hasTransparentEdges: edgeTransparentRatio > 0.5,
-      transparentRatio,
-      edgeTransparentRatio,
-      imageData,
-      canvas,
-      ctx
+      transparentPixels,
+      edgeTransparent,
+      totalEdgePixels,
+      rowCounts,
+      colCounts,
+      bounds: maxX < 0 ? null : { minX, minY, maxX, maxY }
     };
   }
 
   /**
    * Detect if image is a sprite sheet and calculate grid
+   * @param {object} img - Image or ImageData (only the size is used)
+   * @param {object} analysis - From analyzePixels
    */
   detectSpriteType(img, analysis) {
-    const { hasTransparency, hasTransparentEdges, imageData } = analysis;
+    const { hasTransparency, hasTransparentEdges, imageData, stats } = analysis;
     const width = img.width;
     const height = img.height;
     
@@ -119,11 +156,17 @@ export class SpriteExtractor {
       return { type: 'single' };
     }
     
+    // Nothing visible to extract
+    if (stats && !stats.bounds) {
+      console.log('[SpriteExtractor] Empty image - treating as single sprite');
+      return { type: 'single' };
+    }
+    
     // Case 2: Image with transparent background - try to find sprite regions
     if (hasTransparency && hasTransparentEdges) {
       console.log('[SpriteExtractor] Transparent background detected - looking for sprite regions');
       
-      const regions = this.findSpriteRegions(imageData, width, height);
+      const regions = this.findSpriteRegions(imageData, width, height, { stats });
       
       if (regions.length > 0 && regions.length <= 20) {
         console.log('[SpriteExtractor] Found', regions.length, 'distinct sprite regions');
@@ -136,7 +179,7 @@ export class SpriteExtractor {
       }
       
       // Check for grid-based sprite sheet
-      const gridInfo = this.detectGrid(width, height);
+      const gridInfo = this.detectGrid(width, height, imageData);
       if (gridInfo) {
         console.log('[SpriteExtractor] Detected grid layout:', gridInfo);
         return { type: 'grid', ...gridInfo };
@@ -157,9 +200,18 @@ export class SpriteExtractor {
 
   /**
    * Detect grid dimensions for sprite sheets
+   * @returns {object|null} Grid spec (see gridDetector)
    */
-  detectGrid(width, height) {
-    // Only use grid detection for images that are exact multiples of common sprite sizes
+  detectGrid(width, height, imageData) {
+    // Infer cell size, offset and spacing from separator lines
+    if (imageData) {
+      const spec = gridDetector.detect(imageData, { alphaThreshold: this.alphaThreshold });
+      if (spec && spec.cols * spec.rows <= this.maxSprites) {
+        return spec;
+      }
+    }
+
+    // Fall back to images that are exact multiples of common sprite sizes
     const possibleSizes = [128, 96, 64, 48, 32, 16];
     
     for (const size of possibleSizes) {
@@ -169,7 +221,7 @@ export class SpriteExtractor {
         
         // Only accept grids with reasonable dimensions (2+ cells and not too many)
         if (cols >= 2 && rows >= 1 && cols * rows >= 2 && cols * rows <= 64) {
-          return { cols, rows, cellSize: size };
+          return gridDetector.normalize({ cols, rows, cellWidth: size, cellHeight: size }, width, height);
         }
       }
     }
@@ -177,16 +229,44 @@ export class SpriteExtractor {
     return null;
   }
 
+  /**
+   * Find distinct sprite regions using the configured detection mode
+   * @param {ImageData} imageData - Image pixels
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {object} options - Overrides for detectionMode, alphaThreshold, connectivity, mergeDistance;
+   *   `stats` from scanPixels saves a pass over the image
+   * @returns {Array<{x, y, width, height}>}
+   */
+  findSpriteRegions(imageData, width, height, options = {}) {
+    const mode = options.detectionMode || this.detectionMode;
+
+    if (mode === DETECTION_MODES.components) {
+      return this.findComponentRegions(imageData, width, height, options);
+    }
+
+    const regions = this.findGapRegions(imageData, width, height, options.stats);
+    if (mode === DETECTION_MODES.auto) {
+      // Staggered or tightly packed sprites share gap cells; components split them
+      const components = this.findComponentRegions(imageData, width, height, options);
+      if (components.length > regions.length) {
+        console.log('[SpriteExtractor] Gap detection found', regions.length, 'region(s), using connected components');
+        return components;
+      }
+    }
+    return regions;
+  }
+
   /**
    * Find distinct sprite regions using transparent gap detection
    */
-  findSpriteRegions(imageData, width, height) {
+  findGapRegions(imageData, width, height, stats = this.scanPixels(imageData)) {
     const data = imageData.data;
     const regions = [];
     
     // Find horizontal and vertical gaps
-    const horizontalGaps = this.findGaps(data, width, height, 'horizontal');
-    const verticalGaps = this.findGaps(data, width, height, 'vertical');
+    const horizontalGaps = this.findGaps(stats.rowCounts);
+    const verticalGaps = this.findGaps(stats.colCounts);
     
     console.log('[SpriteExtractor] Found gaps - H:', horizontalGaps.length, 'V:', verticalGaps.length);
     
@@ -208,12 +288,11 @@ export class SpriteExtractor {
           height: yBoundaries[yi + 1] - yBoundaries[yi]
         };
         
-        // Check if region has actual content
-        if (this.regionHasContent(data, width, region)) {
-          const trimmed = this.trimRegion(data, width, height, region);
-          if (trimmed && trimmed.width > 10 && trimmed.height > 10) {
-            regions.push(trimmed);
-          }
+        // Keep regions with actual content, trimmed to it
+        const trimmed = this.trimRegion(data, width, height, region);
+        if (trimmed && trimmed.pixels > 100 && trimmed.width > 10 && trimmed.height > 10) {
+          const { pixels, ...bounds } = trimmed;
+          regions.push(bounds);
         }
       }
     }
@@ -222,95 +301,182 @@ export class SpriteExtractor {
   }
 
   /**
-   * Find transparent gaps in the image
+   * Find sprite regions by labeling connected opaque pixels. Components closer
+   * than mergeDistance are grouped, so detached parts (a floating tail, sparks)
+   * stay with their body.
    */
-  findGaps(data, width, height, direction) {
-    const gaps = [];
-    const minGapSize = 8;
-    
-    if (direction === 'horizontal') {
-      let gapStart = -1;
-      
-      for (let y = 0; y < height; y++) {
-        let rowEmpty = true;
-        
-        for (let x = 0; x < width; x++) {
-          const idx = (y * width + x) * 4;
-          if (data[idx + 3] > 50) {
-            rowEmpty = false;
-            break;
-          }
-        }
-        
-        if (rowEmpty) {
-          if (gapStart === -1) gapStart = y;
-        } else {
-          if (gapStart !== -1 && y - gapStart >= minGapSize) {
-            gaps.push(Math.floor((gapStart + y) / 2));
+  findComponentRegions(imageData, width, height, options = {}) {
+    const data = imageData.data;
+    const alphaThreshold = options.alphaThreshold ?? this.alphaThreshold;
+    const connectivity = (options.connectivity ?? this.connectivity) === 4 ? 4 : 8;
+    const mergeDistance = options.mergeDistance ?? this.mergeDistance;
+
+    const labels = new Int32Array(width * height);
+    const stack = new Int32Array(width * height);
+    const components = [];
+
+    for (let start = 0; start < labels.length; start++) {
+      if (labels[start] || data[start * 4 + 3] <= alphaThreshold) continue;
+
+      // Iterative flood fill from this pixel
+      const label = components.length + 1;
+      const box = { minX: width, minY: height, maxX: -1, maxY: -1, pixels: 0 };
+      let top = 0;
+      stack[top++] = start;
+      labels[start] = label;
+
+      while (top > 0) {
+        const idx = stack[--top];
+        const x = idx % width;
+        const y = (idx - x) / width;
+        box.pixels++;
+        if (x < box.minX) box.minX = x;
+        if (x > box.maxX) box.maxX = x;
+        if (y < box.minY) box.minY = y;
+        if (y > box.maxY) box.maxY = y;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            if (dx === 0 && dy === 0) continue;
+            if (connectivity === 4 && dx !== 0 && dy !== 0) continue;
+            const nx = x + dx;
+            if (nx < 0 || nx >= width) continue;
+            const next = ny * width + nx;
+            if (!labels[next] && data[next * 4 + 3] > alphaThreshold) {
+              labels[next] = label;
+              stack[top++] = next;
+            }
           }
-          gapStart = -1;
         }
       }
-    } else {
-      let gapStart = -1;
-      
-      for (let x = 0; x < width; x++) {
-        let colEmpty = true;
-        
-        for (let y = 0; y < height; y++) {
-          const idx = (y * width + x) * 4;
-          if (data[idx + 3] > 50) {
-            colEmpty = false;
-            break;
-          }
-        }
-        
-        if (colEmpty) {
-          if (gapStart === -1) gapStart = x;
-        } else {
-          if (gapStart !== -1 && x - gapStart >= minGapSize) {
-            gaps.push(Math.floor((gapStart + x) / 2));
+      components.push(box);
+    }
+
+    const merged = this.mergeNearbyBoxes(components, mergeDistance);
+    console.log('[SpriteExtractor] Found', components.length, 'components, merged into', merged.length);
+
+    // Same content thresholds as gap detection
+    const padding = 2;
+    const regions = merged
+      .filter(box => box.pixels > 100)
+      .map(box => {
+        const x = Math.max(0, box.minX - padding);
+        const y = Math.max(0, box.minY - padding);
+        return {
+          x,
+          y,
+          width: Math.min(width, box.maxX + 1 + padding) - x,
+          height: Math.min(height, box.maxY + 1 + padding) - y
+        };
+      })
+      .filter(region => region.width > 10 && region.height > 10);
+
+    return this.sortRegions(regions);
+  }
+
+  /**
+   * Merge bounding boxes whose gap is at most `distance` pixels, repeating
+   * until no more merges happen (a merged box can reach new neighbours)
+   */
+  mergeNearbyBoxes(boxes, distance) {
+    let current = boxes.map(box => ({ ...box }));
+    let mergedAny = true;
+
+    while (mergedAny && current.length > 1) {
+      mergedAny = false;
+      current.sort((a, b) => a.minX - b.minX);
+      const next = [];
+      const used = new Array(current.length).fill(false);
+
+      for (let i = 0; i < current.length; i++) {
+        if (used[i]) continue;
+        const box = current[i];
+
+        // Sweep right while boxes can still be within reach horizontally
+        for (let j = i + 1; j < current.length && current[j].minX <= box.maxX + distance + 1; j++) {
+          if (used[j]) continue;
+          const other = current[j];
+          const gapX = Math.max(0, other.minX - box.maxX - 1, box.minX - other.maxX - 1);
+          const gapY = Math.max(0, other.minY - box.maxY - 1, box.minY - other.maxY - 1);
+          if (gapX <= distance && gapY <= distance) {
+            box.minX = Math.min(box.minX, other.minX);
+            box.minY = Math.min(box.minY, other.minY);
+            box.maxX = Math.max(box.maxX, other.maxX);
+            box.maxY = Math.max(box.maxY, other.maxY);
+            box.pixels += other.pixels;
+            used[j] = true;
+            mergedAny = true;
           }
-          gapStart = -1;
         }
+        next.push(box);
       }
+      current = next;
     }
-    
-    return gaps;
+
+    return current;
+  }
+
+  /**
+   * Sort regions in reading order: rows of overlapping regions, left to right
+   */
+  sortRegions(regions) {
+    const byTop = [...regions].sort((a, b) => a.y - b.y);
+    const rows = [];
+
+    for (const region of byTop) {
+      const row = rows[rows.length - 1];
+      if (row && region.y < row.bottom) {
+        row.regions.push(region);
+        row.bottom = Math.max(row.bottom, region.y + region.height);
+      } else {
+        rows.push({ regions: [region], bottom: region.y + region.height });
+      }
+    }
+
+    return rows.flatMap(row => row.regions.sort((a, b) => a.x - b.x));
   }
 
   /**
-   * Check if a region has visible content
+   * Find transparent gaps along one axis
+   * @param {Uint32Array} lineCounts - Content pixels per row or column (from scanPixels)
+   * @returns {number[]} Gap centers
    */
-  regionHasContent(data, imgWidth, region) {
-    let count = 0;
+  findGaps(lineCounts, minGapSize = 8) {
+    const gaps = [];
+    let gapStart = -1;
     
-    for (let y = region.y; y < region.y + region.height; y++) {
-      for (let x = region.x; x < region.x + region.width; x++) {
-        const idx = (y * imgWidth + x) * 4;
-        if (data[idx + 3] > 50) {
-          count++;
-          if (count > 100) return true;
+    for (let i = 0; i < lineCounts.length; i++) {
+      if (lineCounts[i] === 0) {
+        if (gapStart === -1) gapStart = i;
+      } else {
+        if (gapStart !== -1 && i - gapStart >= minGapSize) {
+          gaps.push(Math.floor((gapStart + i) / 2));
         }
+        gapStart = -1;
       }
     }
     
-    return false;
+    return gaps;
   }
 
   /**
    * Trim a region to its actual content bounds
+   * @returns {object|null} { x, y, width, height, pixels } - pixels counts the content
    */
   trimRegion(data, imgWidth, imgHeight, region) {
     let minX = region.x + region.width;
     let minY = region.y + region.height;
     let maxX = region.x;
     let maxY = region.y;
+    let pixels = 0;
     
     for (let y = region.y; y < Math.min(region.y + region.height, imgHeight); y++) {
       for (let x = region.x; x < Math.min(region.x + region.width, imgWidth); x++) {
         const idx = (y * imgWidth + x) * 4;
-        if (data[idx + 3] > 50) {
+        if (data[idx + 3] > this.alphaThreshold) {
+          pixels++;
           minX = Math.min(minX, x);
           minY = Math.min(minY, y);
           maxX = Math.max(maxX, x);
@@ -326,100 +492,66 @@ export class SpriteExtractor {
       x: Math.max(0, minX - padding),
       y: Math.max(0, minY - padding),
       width: Math.min(imgWidth - minX + padding, maxX - minX + 1 + padding * 2),
-      height: Math.min(imgHeight - minY + padding, maxY - minY + 1 + padding * 2)
+      height: Math.min(imgHeight - minY + padding, maxY - minY + 1 + padding * 2),
+      pixels
     };
   }
 
   /**
-   * Extract all sprites from image
+   * Extract all sprites from image pixels (runs in the pixel worker)
+   * @param {ImageData} imageData - Image pixels
+   * @param {function} onProgress - Called with { stage, progress }
+   * @returns {object} { sprites: [{ imageData, index, type? | region? | gridPosition? }], detection, backgroundColor }
    */
-  extractFromImage(img) {
-    const analysis = this.analyzeImage(img);
-    const detection = this.detectSpriteType(img, analysis);
+  extractPixels(imageData, onProgress = () => {}) {
+    const analysis = this.analyzePixels(imageData, onProgress);
+    onProgress({ stage: 'Detecting sprites', progress: 0.4 });
+    const detection = this.detectSpriteType(imageData, analysis);
     const sprites = [];
+    // Crop from the keyed pixels so removed backgrounds stay transparent
+    const source = analysis.imageData;
 
     if (detection.type === 'single') {
       // Single sprite - use the whole image
       console.log('[SpriteExtractor] Extracting single sprite');
       
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      canvas.width = img.width;
-      canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-      
-      const imageData = ctx.getImageData(0, 0, img.width, img.height);
-      
       sprites.push({
-        base64: canvas.toDataURL('image/png'),
-        imageData: imageData,
+        imageData: source,
         index: 0,
         type: 'single'
       });
       
     } else if (detection.type === 'regions') {
-      // Extract individual regions
+      // Extract individual regions, centered on a square canvas
       console.log('[SpriteExtractor] Extracting', detection.regions.length, 'regions');
       
-      for (const region of detection.regions) {
-        const spriteCanvas = document.createElement('canvas');
-        const spriteCtx = spriteCanvas.getContext('2d', { willReadFrequently: true });
-        
+      detection.regions.forEach((region, i) => {
+        onProgress({ stage: 'Extracting sprites', progress: 0.5 + 0.5 * i / detection.regions.length });
         const size = Math.max(region.width, region.height);
-        spriteCanvas.width = size;
-        spriteCanvas.height = size;
-        
-        const offsetX = Math.floor((size - region.width) / 2);
-        const offsetY = Math.floor((size - region.height) / 2);
-        
-        spriteCtx.drawImage(
-          img,
-          region.x, region.y, region.width, region.height,
-          offsetX, offsetY, region.width, region.height
-        );
-        
-        const imageData = spriteCtx.getImageData(0, 0, size, size);
-        
         sprites.push({
-          base64: spriteCanvas.toDataURL('image/png'),
-          imageData: imageData,
+          imageData: this.cropImageData(source, region, size, size),
           index: sprites.length,
           region: region
         });
-      }
+      });
       
     } else if (detection.type === 'grid') {
       // Grid-based extraction
-      console.log('[SpriteExtractor] Extracting grid:', detection.cols, 'x', detection.rows);
+      console.log('[SpriteExtractor] Extracting grid:', detection.cols, 'x', detection.rows,
+        'cells:', detection.cellWidth, 'x', detection.cellHeight);
       
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-
+      const cells = detection.cols * detection.rows;
       for (let row = 0; row < detection.rows; row++) {
         for (let col = 0; col < detection.cols; col++) {
           if (sprites.length >= this.maxSprites) break;
+          onProgress({ stage: 'Extracting sprites', progress: 0.5 + 0.5 * (row * detection.cols + col) / cells });
 
-          canvas.width = detection.cellSize;
-          canvas.height = detection.cellSize;
-          ctx.clearRect(0, 0, detection.cellSize, detection.cellSize);
-          
-          ctx.drawImage(
-            img,
-            col * detection.cellSize,
-            row * detection.cellSize,
-            detection.cellSize,
-            detection.cellSize,
-            0, 0,
-            detection.cellSize,
-            detection.cellSize
-          );
-
-          const imageData = ctx.getImageData(0, 0, detection.cellSize, detection.cellSize);
+          const cell = gridDetector.getCellRect(detection, row, col);
+          const cellData = this.cropImageData(source, cell, cell.width, cell.height);
           
-          if (this.hasContent(imageData)) {
+          if (this.hasContent(cellData, Boolean(analysis.backgroundColor))) {
             sprites.push({
-              base64: canvas.toDataURL('image/png'),
-              imageData: imageData,
+              imageData: cellData,
               index: sprites.length,
               gridPosition: { row, col }
             });
@@ -428,14 +560,40 @@ export class SpriteExtractor {
       }
     }
 
-    console.log('[SpriteExtractor] Extracted', sprites.length, 'sprite(s)');
-    return sprites;
+    onProgress({ stage: 'Done', progress: 1 });
+    const { regions, ...detectionInfo } = detection;
+    return { sprites, detection: detectionInfo, backgroundColor: analysis.backgroundColor };
+  }
+
+  /**
+   * Copy a rectangle of pixels into a new ImageData, centered when the
+   * output is larger than the rectangle (pixels outside the image stay transparent)
+   */
+  cropImageData(imageData, rect, outWidth, outHeight) {
+    const { data, width, height } = imageData;
+    const out = new Uint8ClampedArray(outWidth * outHeight * 4);
+    const offsetX = Math.floor((outWidth - rect.width) / 2);
+    const offsetY = Math.floor((outHeight - rect.height) / 2);
+
+    for (let y = 0; y < rect.height; y++) {
+      const sy = rect.y + y;
+      if (sy < 0 || sy >= height) continue;
+      const x0 = Math.max(0, rect.x);
+      const x1 = Math.min(width, rect.x + rect.width);
+      if (x1 <= x0) continue;
+      const target = ((offsetY + y) * outWidth + offsetX + (x0 - rect.x)) * 4;
+      out.set(data.subarray((sy * width + x0) * 4, (sy * width + x1) * 4), target);
+    }
+    return new ImageData(out, outWidth, outHeight);
   }
 
   /**
    * Check if sprite cell has visible non-background content
+   * @param {ImageData} imageData - Cell pixels
+   * @param {boolean} backgroundKeyed - The background is already transparent, so
+   *   white and black pixels count as content
    */
-  hasContent(imageData) {
+  hasContent(imageData, backgroundKeyed = false) {
     let visiblePixels = 0;
     let coloredPixels = 0;
     const data = imageData.data;
@@ -453,7 +611,7 @@ export class SpriteExtractor {
     }
 
     const hasEnoughPixels = visiblePixels > this.minPixelThreshold;
-    const hasEnoughColor = coloredPixels > 50;
+    const hasEnoughColor = backgroundKeyed || coloredPixels > 50;
     
     return hasEnoughPixels && hasEnoughColor;
   }
@@ -0,0 +1,231 @@
+/**
+ * Status Engine
+ *
+ * Applies structured ability effects (see ABILITY_EFFECTS) to battle
+ * combatants and resolves the status conditions in STATUS_EFFECTS:
+ * burn, paralysis, freeze, confusion, poison and sleep.
+ *
+ * All chance rolls use the rng passed in, so seeded battles stay reproducible.
+ */
+
+import { STATUS_EFFECTS } from '../data/abilities';
+
+const STAT_STAGE_LIMIT = 6;
+const CRIT_CHANCES = [1 / 16, 1 / 8, 1 / 4, 1 / 3, 1 / 2];
+
+export class StatusEngine {
+  /**
+   * Fresh per-combatant status state
+   */
+  createState() {
+    return {
+      status: null,       // major condition id (one at a time)
+      statusTurns: 0,     // turns left for timed conditions (sleep, freeze)
+      poisonCounter: 0,   // escalates poison damage
+      volatiles: {},      // { confusion: turnsLeft }
+      statStages: { attack: 0, defense: 0, special: 0, speed: 0, crit: 0 },
+      statTimers: [],     // [{ stat, stages, turns }] for effects with a duration
+      flinched: false
+    };
+  }
+
+  /**
+   * Apply an ability's effect after it hits
+   * @param {object} effect - Structured effect
+   * @param {object} user - Attacking combatant
+   * @param {object} target - Defending combatant
+   * @param {function} rng - Random source
+   * @returns {string[]} Log messages
+   */
+  applyEffect(effect, user, target, rng = Math.random) {
+    if (!effect || typeof effect !== 'object') return [];
+
+    const recipient = effect.target === 'self' ? user : target;
+    if (recipient.fainted) return [];
+    if ((effect.chance ?? 1) < 1 && rng() >= effect.chance) return [];
+
+    switch (effect.kind) {
+      case 'status': {
+        const message = this.inflictStatus(recipient, effect.status, rng);
+        return message ? [message] : [];
+      }
+      case 'stat':
+        return [this.changeStat(recipient, effect.stat, effect.stages, effect.duration)];
+      case 'heal': {
+        const healed = Math.min(recipient.maxHp - recipient.hp, Math.max(1, Math.floor(recipient.maxHp * effect.amount)));
+        if (healed <= 0) return [];
+        recipient.hp += healed;
+        return [`${recipient.name} restored ${healed} HP`];
+      }
+      case 'flinch':
+        recipient.flinched = true;
+        return [];
+      default:
+        // crit, priority, ignoreDefense and multiTarget modify the attack itself
+        return [];
+    }
+  }
+
+  /**
+   * Inflict a status condition if the combatant doesn't already have one
+   * @returns {string|null} Log message, or null when nothing happened
+   */
+  inflictStatus(combatant, statusName, rng = Math.random) {
+    const config = STATUS_EFFECTS[statusName];
+    if (!config) return null;
+
+    const turns = config.duration
+      ? config.duration[0] + Math.floor(rng() * (config.duration[1] - config.duration[0] + 1))
+      : 0;
+
+    if (config.volatile) {
+      if (combatant.volatiles[statusName]) return null;
+      combatant.volatiles[statusName] = turns;
+      return `${combatant.name} became confused!`;
+    }
+
+    if (combatant.status) return null;
+    combatant.status = statusName;
+    combatant.statusTurns = turns;
+    combatant.poisonCounter = 0;
+
+    const verbs = {
+      burn: 'was burned',
+      paralysis: 'is paralyzed',
+      freeze: 'was frozen solid',
+      poison: 'was poisoned',
+      sleep: 'fell asleep'
+    };
+    return `${combatant.name} ${verbs[statusName] || `is afflicted with ${statusName}`}!`;
+  }
+
+  /**
+   * Shift a stat stage, clamped to ±6
+   * @returns {string} Log message
+   */
+  changeStat(combatant, stat, stages, duration = null) {
+    const current = combatant.statStages[stat] ?? 0;
+    const next = Math.max(-STAT_STAGE_LIMIT, Math.min(STAT_STAGE_LIMIT, current + stages));
+    const applied = next - current;
+
+    if (applied === 0) {
+      return `${combatant.name}'s ${stat} won't go any ${stages > 0 ? 'higher' : 'lower'}!`;
+    }
+
+    combatant.statStages[stat] = next;
+    if (duration) {
+      combatant.statTimers.push({ stat, stages: applied, turns: duration });
+    }
+
+    const size = Math.abs(applied) > 1 ? ' sharply' : '';
+    return `${combatant.name}'s ${stat}${size} ${applied > 0 ? 'rose' : 'fell'}!`;
+  }
+
+  /**
+   * Resolve conditions that can stop a combatant from acting
+   * @returns {object} { canMove, selfHit, messages }
+   */
+  beforeMove(combatant, rng = Math.random) {
+    const messages = [];
+
+    if (combatant.flinched) {
+      messages.push(`${combatant.name} flinched!`);
+      return { canMove: false, selfHit: false, messages };
+    }
+
+    switch (combatant.status) {
+      case 'sleep':
+        if (combatant.statusTurns > 0) {
+          combatant.statusTurns--;
+          messages.push(`${combatant.name} is fast asleep.`);
+          return { canMove: false, selfHit: false, messages };
+        }
+        combatant.status = null;
+        messages.push(`${combatant.name} woke up!`);
+        break;
+      case 'freeze':
+        if (combatant.statusTurns > 0 && rng() >= STATUS_EFFECTS.freeze.thawChance) {
+          combatant.statusTurns--;
+          messages.push(`${combatant.name} is frozen solid!`);
+          return { canMove: false, selfHit: false, messages };
+        }
+        combatant.status = null;
+        messages.push(`${combatant.name} thawed out!`);
+        break;
+      case 'paralysis':
+        if (rng() < STATUS_EFFECTS.paralysis.skipChance) {
+          messages.push(`${combatant.name} is paralyzed! It can't move!`);
+          return { canMove: false, selfHit: false, messages };
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (combatant.volatiles.confusion !== undefined) {
+      if (combatant.volatiles.confusion <= 0) {
+        delete combatant.volatiles.confusion;
+        messages.push(`${combatant.name} snapped out of confusion!`);
+      } else {
+        combatant.volatiles.confusion--;
+        messages.push(`${combatant.name} is confused!`);
+        if (rng() < STATUS_EFFECTS.confusion.selfHitChance) {
+          messages.push('It hurt itself in its confusion!');
+          return { canMove: false, selfHit: true, messages };
+        }
+      }
+    }
+
+    return { canMove: true, selfHit: false, messages };
+  }
+
+  /**
+   * Residual damage and timers at the end of a turn
+   * @returns {string[]} Log messages
+   */
+  endOfTurn(combatant) {
+    const messages = [];
+    combatant.flinched = false;
+    if (combatant.fainted) return messages;
+
+    const config = STATUS_EFFECTS[combatant.status];
+    if (config?.residual) {
+      if (config.escalating) combatant.poisonCounter++;
+      const fraction = config.residual * (config.escalating ? combatant.poisonCounter : 1);
+      const damage = Math.max(1, Math.floor(combatant.maxHp * fraction));
+      combatant.hp = Math.max(0, combatant.hp - damage);
+      messages.push(`${combatant.name} is hurt by its ${combatant.status} (${damage})`);
+    }
+
+    combatant.statTimers = combatant.statTimers.filter(timer => {
+      timer.turns--;
+      if (timer.turns > 0) return true;
+      combatant.statStages[timer.stat] -= timer.stages;
+      messages.push(`${combatant.name}'s ${timer.stat} returned to normal`);
+      return false;
+    });
+
+    return messages;
+  }
+
+  /**
+   * Battle stat after stages and status modifiers
+   */
+  getStat(combatant, stat, { ignoreBoosts = false } = {}) {
+    let stage = combatant.statStages?.[stat] ?? 0;
+    if (ignoreBoosts) stage = Math.min(stage, 0);
+
+    const stageMultiplier = stage >= 0 ? (2 + stage) / 2 : 2 / (2 - stage);
+    const statusMultiplier = STATUS_EFFECTS[combatant.status]?.statMultiplier?.[stat] ?? 1;
+    return Math.max(1, Math.floor(combatant.stats[stat] * stageMultiplier * statusMultiplier));
+  }
+
+  /**
+   * Critical-hit chance for a crit stage
+   */
+  getCritChance(stage = 0) {
+    return CRIT_CHANCES[Math.max(0, Math.min(stage, CRIT_CHANCES.length - 1))];
+  }
+}
+
+export default new StatusEngine();
@@ -0,0 +1,108 @@
+/**
+ * Transformation History
+ *
+ * Builds TransformationRecords (docs/ETL_PIPELINE_SPEC.md) for every
+ * analysis, generation and edit step and appends them to a record's
+ * transformationHistory. Images in inputs and outputs are replaced by a
+ * short summary so the history stays small.
+ */
+
+export const PROVIDERS = {
+  local: 'local',
+  claudeVision: 'claude-vision',
+  nanoBanana: 'nano-banana',
+  manual: 'manual'
+};
+
+const MAX_STRING_LENGTH = 500;
+
+let recordCount = 0;
+
+export class TransformationHistory {
+  /**
+   * Create a history record
+   * @param {object} step - { type: 'text'|'image', category, provider, input, output,
+   *   duration, success, error }
+   * @returns {object} TransformationRecord
+   */
+  createRecord(step) {
+    const record = {
+      id: `tr_${Date.now()}_${recordCount++}`,
+      type: step.type || 'text',
+      category: step.category,
+      provider: step.provider || PROVIDERS.local,
+      input: this.summarize(step.input ?? null),
+      output: this.summarize(step.output ?? null),
+      timestamp: step.timestamp || new Date().toISOString(),
+      duration: Math.round(step.duration || 0),
+      success: step.success !== false
+    };
+    if (step.error) record.error = step.error;
+    return record;
+  }
+
+  /**
+   * Run a step and push its record onto `records`, whether it succeeds or throws
+   * @param {object} step - { type, category, provider, input, describeOutput? }
+   * @param {function} run - Sync or async function performing the step
+   * @param {object[]} records - Collector the record is pushed to
+   * @returns {Promise<*>} The step's result (errors are re-thrown)
+   */
+  async track(step, run, records) {
+    const { describeOutput, ...details } = step;
+    const timestamp = new Date().toISOString();
+    const start = performance.now();
+
+    try {
+      const result = await run();
+      records.push(this.createRecord({
+        ...details,
+        timestamp,
+        output: describeOutput ? describeOutput(result) : result,
+        duration: performance.now() - start,
+        success: true
+      }));
+      return result;
+    } catch (error) {
+      records.push(this.createRecord({
+        ...details,
+        timestamp,
+        duration: performance.now() - start,
+        success: false,
+        error: error.message
+      }));
+      throw error;
+    }
+  }
+
+  /**
+   * Append records to a monster or sprite record's history
+   */
+  append(target, records) {
+    if (!records?.length) return target;
+    return {
+      ...target,
+      updatedAt: records[records.length - 1].timestamp,
+      transformationHistory: [...(target.transformationHistory || []), ...records]
+    };
+  }
+
+  /**
+   * Replace images with a size summary and trim long strings
+   */
+  summarize(value) {
+    if (typeof value === 'string') {
+      if (value.startsWith('data:')) {
+        return `[image ${(value.length * 0.75 / 1024).toFixed(1)} KB]`;
+      }
+      return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+    }
+    if (Array.isArray(value)) return value.map(item => this.summarize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.summarize(item)]));
+    }
+    return value;
+  }
+}
+
+export default new TransformationHistory();
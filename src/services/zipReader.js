@@ -0,0 +1,112 @@
+/**
+ * ZIP Reader Service
+ *
+ * Unpacks .zip archives in the browser so a zipped sprite folder can be
+ * imported in one go. Reads the central directory and inflates entries
+ * with the native DecompressionStream; only stored and deflated entries
+ * (what every common zip tool writes) are supported. Folders, dotfiles and
+ * macOS resource forks are skipped.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+const MIME_TYPES = {
+  png: 'image/png',
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  json: 'application/json'
+};
+
+export class ZipReader {
+  /**
+   * Whether a file looks like a zip archive
+   * @param {File} file
+   */
+  isZipFile(file) {
+    return /zip/.test(file.type) || /\.zip$/i.test(file.name);
+  }
+
+  /**
+   * Unpack every file in an archive
+   * @param {File|Blob} file - .zip archive
+   * @returns {Promise<File[]>} Entries as Files (named without their folder)
+   */
+  async readFiles(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = this.readCentralDirectory(view);
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.name.endsWith('/') || entry.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')) continue;
+      if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+        console.warn('[ZipReader] Skipping', entry.name, '- unsupported compression method', entry.method);
+        continue;
+      }
+
+      if (view.getUint32(entry.offset, true) !== LOCAL_FILE_HEADER) {
+        throw new Error(`${file.name} is corrupt (bad header for ${entry.name})`);
+      }
+      const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+      const data = bytes.subarray(start, start + entry.compressedSize);
+      const contents = entry.method === METHOD_DEFLATED ? await inflate(data) : data;
+
+      const name = entry.name.split('/').pop();
+      const extension = name.split('.').pop().toLowerCase();
+      files.push(new File([contents], name, { type: MIME_TYPES[extension] || '' }));
+    }
+
+    console.log('[ZipReader] Unpacked', files.length, 'files from', file.name);
+    return files;
+  }
+
+  readCentralDirectory(view) {
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64KB
+    let end = -1;
+    for (let pos = view.byteLength - 22; pos >= Math.max(0, view.byteLength - 22 - 0xffff); pos--) {
+      if (view.getUint32(pos, true) === END_OF_CENTRAL_DIRECTORY) {
+        end = pos;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Not a zip archive');
+
+    const count = view.getUint16(end + 10, true);
+    let pos = view.getUint32(end + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(pos, true) !== CENTRAL_DIRECTORY_ENTRY) {
+        throw new Error('Zip directory is corrupt');
+      }
+      const nameLength = view.getUint16(pos + 28, true);
+      entries.push({
+        method: view.getUint16(pos + 10, true),
+        compressedSize: view.getUint32(pos + 20, true),
+        offset: view.getUint32(pos + 42, true),
+        name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength))
+      });
+      pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+    }
+    return entries;
+  }
+}
+
+async function inflate(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot unpack compressed zip files');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export default new ZipReader();
@@ -0,0 +1,16 @@
+// jsdom has no ImageData; services only need its shape
+if (typeof global.ImageData === 'undefined') {
+  global.ImageData = class ImageData {
+    constructor(data, width, height) {
+      if (typeof data === 'number') {
+        [width, height, data] = [data, width, new Uint8ClampedArray(data * width * 4)];
+      }
+      this.data = data;
+      this.width = width;
+      this.height = height;
+    }
+  };
+}
+
+// Services log their progress; keep test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
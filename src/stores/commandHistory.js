@@ -0,0 +1,134 @@
+/**
+ * Command History
+ *
+ * Application-wide undo/redo for library mutations, Forge saves and
+ * monster edits. A command records the before/after version of every
+ * record it touched, so undoing one command never reverts unrelated
+ * changes made after it.
+ *
+ * State shape: { originals: [], transformations: [] }
+ */
+
+const COLLECTIONS = ['originals', 'transformations'];
+const MAX_COMMANDS = 100;
+
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Diff two versions of the library into per-record changes
+ */
+function diffCollection(before = [], after = []) {
+  const beforeById = new Map(before.map((record, index) => [record.id, { record, index }]));
+  const afterById = new Map(after.map((record, index) => [record.id, { record, index }]));
+  const changes = [];
+
+  for (const [id, { record, index }] of beforeById) {
+    const next = afterById.get(id);
+    if (!next) {
+      changes.push({ id, before: record, after: null, beforeIndex: index, afterIndex: null });
+    } else if (next.record !== record) {
+      changes.push({ id, before: record, after: next.record, beforeIndex: index, afterIndex: next.index });
+    }
+  }
+  for (const [id, { record, index }] of afterById) {
+    if (!beforeById.has(id)) {
+      changes.push({ id, before: null, after: record, beforeIndex: null, afterIndex: index });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Put each changed record back to one side of the command
+ * @param {string} side - 'before' (undo) or 'after' (redo)
+ */
+function applyChanges(records, changes, side) {
+  const next = [...records];
+  const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+
+  // Remove every touched record first, then re-insert in index order
+  const touched = new Set(changes.map(change => change.id));
+  const kept = next.filter(record => !touched.has(record.id));
+  const inserts = changes
+    .filter(change => change[side])
+    .sort((a, b) => a[indexKey] - b[indexKey]);
+
+  for (const change of inserts) {
+    kept.splice(Math.min(change[indexKey], kept.length), 0, change[side]);
+  }
+  return kept;
+}
+
+export const commandHistory = {
+  /**
+   * Record a mutation
+   * @param {string} label - Shown in the undo/redo toast
+   * @param {object} before - Library state before the mutation
+   * @param {object} after - Library state after the mutation
+   * @returns {object|null} The command, or null when nothing changed
+   */
+  push(label, before, after) {
+    const changes = {};
+    let changed = false;
+    for (const key of COLLECTIONS) {
+      changes[key] = diffCollection(before[key], after[key]);
+      if (changes[key].length > 0) changed = true;
+    }
+    if (!changed) return null;
+
+    const command = { id: `cmd_${Date.now()}_${undoStack.length}`, label, changes };
+    undoStack = [...undoStack, command].slice(-MAX_COMMANDS);
+    redoStack = [];
+    return command;
+  },
+
+  /**
+   * Undo the latest command (or a specific one, e.g. from a toast action)
+   * @returns {object|null} { state, command } or null when there is nothing to undo
+   */
+  undo(state, commandId) {
+    const command = commandId
+      ? undoStack.find(entry => entry.id === commandId)
+      : undoStack[undoStack.length - 1];
+    if (!command) return null;
+
+    undoStack = undoStack.filter(entry => entry !== command);
+    redoStack = [...redoStack, command];
+    return { command, state: this.apply(state, command, 'before') };
+  },
+
+  /**
+   * Redo the most recently undone command
+   * @returns {object|null} { state, command }
+   */
+  redo(state) {
+    const command = redoStack[redoStack.length - 1];
+    if (!command) return null;
+
+    redoStack = redoStack.slice(0, -1);
+    undoStack = [...undoStack, command];
+    return { command, state: this.apply(state, command, 'after') };
+  },
+
+  /**
+   * Library state with every record of a command set to one side
+   * @param {string} side - 'before' or 'after'
+   */
+  apply(state, command, side) {
+    const next = { ...state };
+    for (const key of COLLECTIONS) {
+      if (command.changes[key].length > 0) {
+        next[key] = applyChanges(state[key] || [], command.changes[key], side);
+      }
+    }
+    return next;
+  },
+
+  clear() {
+    undoStack = [];
+    redoStack = [];
+  }
+};
+
+export default commandHistory;
@@ -0,0 +1,461 @@
+/**
+ * Library Storage
+ *
+ * Persists originals and transformations in IndexedDB.
+ * Image data URLs are split out of the JSON records and stored once each
+ * as Blobs in an asset store, keyed by their SHA-256 digest. Records keep an
+ * "asset:<id>" reference in their place.
+ *
+ * Loading is lazy: records come back with their top-level images (the
+ * thumbnails the library shows) and keep the references for nested ones
+ * (evolution sprites, poses, animation frames) until hydrate() is called for
+ * them. References save back unchanged, so partly loaded records are safe to edit.
+ *
+ * Data saved by older versions in localStorage is moved over on first run.
+ * Records are upgraded to the current schema as they load (see data/schema);
+ * ones that can't be upgraded are reported and left untouched in the database.
+ */
+
+import { hashString } from '../utils/random';
+import { RECORD_KINDS, upgradeRecords } from '../data/schema';
+
+const DB_NAME = 'monster-forge';
+const DB_VERSION = 1;
+
+const STORES = {
+  originals: 'originals',
+  transformations: 'transformations',
+  assets: 'assets',
+  meta: 'meta'
+};
+
+const LEGACY_ORIGINALS_KEY = 'monster-forge-originals';
+const LEGACY_TRANSFORMATIONS_KEY = 'monster-forge-transformations';
+const MIGRATION_KEY = 'localStorageMigrated';
+
+const ASSET_PREFIX = 'asset:';
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,/;
+
+// Records hydrated per batch while loading
+const LOAD_BATCH_SIZE = 20;
+
+let dbPromise = null;
+
+// Records as last written, by store then id (skips unchanged records on save)
+const savedRecords = {
+  [STORES.originals]: new Map(),
+  [STORES.transformations]: new Map()
+};
+
+// Data URL <-> asset id caches
+const assetIdsByUrl = new Map();
+const assetUrlsById = new Map();
+const storedAssetIds = new Set();
+
+// Writes run one at a time so a slow save can't overtake a newer one
+let writeQueue = Promise.resolve();
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function isDataUrl(value) {
+  return typeof value === 'string' && DATA_URL_PATTERN.test(value);
+}
+
+function isAssetRef(value) {
+  return typeof value === 'string' && value.startsWith(ASSET_PREFIX);
+}
+
+async function getAssetId(dataUrl) {
+  let id = assetIdsByUrl.get(dataUrl);
+  if (id) return id;
+
+  const subtle = window.crypto?.subtle;
+  if (subtle) {
+    const digest = await subtle.digest('SHA-256', new TextEncoder().encode(dataUrl));
+    id = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  } else {
+    // crypto.subtle needs a secure context; fall back to a short hash, probing past
+    // ids already taken by different content
+    const base = `${hashString(dataUrl).toString(36)}_${dataUrl.length.toString(36)}`;
+    id = base;
+    for (let n = 1; assetUrlsById.has(id) && assetUrlsById.get(id) !== dataUrl; n++) {
+      id = `${base}_${n}`;
+    }
+  }
+  assetIdsByUrl.set(dataUrl, id);
+  assetUrlsById.set(id, dataUrl);
+  return id;
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [, type] = dataUrl.match(DATA_URL_PATTERN);
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Replace every image data URL in a record with an asset reference
+ * @returns {Promise<object>} { record, assets: Map<id, dataUrl> }
+ */
+async function extractAssets(value, assets = new Map()) {
+  if (isDataUrl(value)) {
+    const id = await getAssetId(value);
+    assets.set(id, value);
+    return { record: `${ASSET_PREFIX}${id}`, assets };
+  }
+  if (Array.isArray(value)) {
+    const record = [];
+    for (const item of value) {
+      record.push((await extractAssets(item, assets)).record);
+    }
+    return { record, assets };
+  }
+  if (value && typeof value === 'object') {
+    const record = {};
+    for (const [key, item] of Object.entries(value)) {
+      record[key] = (await extractAssets(item, assets)).record;
+    }
+    return { record, assets };
+  }
+  return { record: value, assets };
+}
+
+function collectAssetRefs(value, refs = new Set()) {
+  if (isAssetRef(value)) {
+    refs.add(value.slice(ASSET_PREFIX.length));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectAssetRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectAssetRefs(item, refs));
+  }
+  return refs;
+}
+
+function replaceAssetRefs(value) {
+  if (isAssetRef(value)) {
+    return assetUrlsById.get(value.slice(ASSET_PREFIX.length)) || null;
+  }
+  if (Array.isArray(value)) return value.map(replaceAssetRefs);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceAssetRefs(item)]));
+  }
+  return value;
+}
+
+// Asset references held directly by a record's own fields
+function topLevelRefs(record) {
+  return Object.values(record).filter(isAssetRef);
+}
+
+function replaceTopLevelRefs(record) {
+  return Object.fromEntries(Object.entries(record).map(([key, value]) => [key, isAssetRef(value) ? replaceAssetRefs(value) : value]));
+}
+
+async function getAll(db, storeName) {
+  const tx = db.transaction(storeName, 'readonly');
+  return promisify(tx.objectStore(storeName).getAll());
+}
+
+/**
+ * Load the assets a batch of records (or asset references) refers to into the cache
+ */
+async function loadAssets(db, records) {
+  const ids = new Set();
+  records.forEach(record => collectAssetRefs(record, ids));
+  const missing = [...ids].filter(id => !assetUrlsById.has(id));
+  if (missing.length === 0) return;
+
+  const tx = db.transaction(STORES.assets, 'readonly');
+  const store = tx.objectStore(STORES.assets);
+  const entries = await Promise.all(missing.map(id => promisify(store.get(id))));
+
+  await Promise.all(entries.filter(Boolean).map(async (entry) => {
+    const dataUrl = await blobToDataUrl(entry.blob);
+    assetUrlsById.set(entry.id, dataUrl);
+    assetIdsByUrl.set(dataUrl, entry.id);
+    storedAssetIds.add(entry.id);
+  }));
+}
+
+/**
+ * Write changed records and their new assets, delete removed records
+ */
+async function writeRecords(storeName, records) {
+  const db = await openDatabase();
+  const saved = savedRecords[storeName];
+  const changed = records.filter(record => saved.get(record.id) !== record);
+  const currentIds = new Set(records.map(record => record.id));
+  const removed = [...saved.keys()].filter(id => !currentIds.has(id));
+  if (changed.length === 0 && removed.length === 0) return;
+
+  // Asset ids are digested up front: a transaction commits as soon as it sits idle across an await
+  const prepared = [];
+  for (const record of changed) {
+    const { record: stored, assets } = await extractAssets(record);
+    prepared.push({ record, stored, assets });
+  }
+
+  const tx = db.transaction([storeName, STORES.assets], 'readwrite');
+  const recordStore = tx.objectStore(storeName);
+  const assetStore = tx.objectStore(STORES.assets);
+
+  const newAssetIds = new Set();
+  for (const { stored, assets } of prepared) {
+    for (const [id, dataUrl] of assets) {
+      if (storedAssetIds.has(id) || newAssetIds.has(id)) continue;
+      const blob = dataUrlToBlob(dataUrl);
+      assetStore.put({ id, blob, size: blob.size, type: blob.type });
+      newAssetIds.add(id);
+    }
+    recordStore.put(stored);
+  }
+  removed.forEach(id => recordStore.delete(id));
+
+  // Caches only change once the writes commit; an aborted save (e.g. over quota) is retried in full next time
+  await transactionDone(tx);
+  newAssetIds.forEach(id => storedAssetIds.add(id));
+  prepared.forEach(({ record }) => saved.set(record.id, record));
+  removed.forEach(id => saved.delete(id));
+}
+
+/**
+ * Move data saved by older versions out of localStorage (runs once)
+ */
+async function migrateLocalStorage(db) {
+  const tx = db.transaction(STORES.meta, 'readonly');
+  const done = await promisify(tx.objectStore(STORES.meta).get(MIGRATION_KEY));
+  if (done) return;
+
+  try {
+    const originals = JSON.parse(localStorage.getItem(LEGACY_ORIGINALS_KEY) || '[]');
+    const transformations = JSON.parse(localStorage.getItem(LEGACY_TRANSFORMATIONS_KEY) || '[]');
+
+    if (originals.length > 0) await writeRecords(STORES.originals, originals);
+    if (transformations.length > 0) await writeRecords(STORES.transformations, transformations);
+    if (originals.length + transformations.length > 0) {
+      console.log('[LibraryStorage] Migrated', originals.length, 'originals and',
+        transformations.length, 'transformations from localStorage');
+    }
+
+    localStorage.removeItem(LEGACY_ORIGINALS_KEY);
+    localStorage.removeItem(LEGACY_TRANSFORMATIONS_KEY);
+  } catch (error) {
+    // Keep the old data where it is and try again next time
+    console.error('[LibraryStorage] Migration from localStorage failed:', error);
+    return;
+  }
+
+  const metaTx = db.transaction(STORES.meta, 'readwrite');
+  metaTx.objectStore(STORES.meta).put({ id: MIGRATION_KEY, value: new Date().toISOString() });
+  await transactionDone(metaTx);
+}
+
+/**
+ * Delete assets no record refers to any more
+ */
+async function collectGarbage(db, records) {
+  const referenced = new Set();
+  records.forEach(record => collectAssetRefs(record, referenced));
+
+  const tx = db.transaction(STORES.assets, 'readwrite');
+  const store = tx.objectStore(STORES.assets);
+  const ids = await promisify(store.getAllKeys());
+  const garbage = ids.filter(id => !referenced.has(id));
+  garbage.forEach(id => store.delete(id));
+  ids.filter(id => referenced.has(id)).forEach(id => storedAssetIds.add(id));
+  await transactionDone(tx);
+  garbage.forEach(id => storedAssetIds.delete(id));
+}
+
+export const libraryStorage = {
+  /**
+   * Load the library. Records come back in batches with their top-level
+   * images only, so the first entries can render before the rest is read;
+   * call hydrate() before using a record's nested images.
+   * @param {object} handlers
+   * @param {function} handlers.onBatch - Called with ('originals' | 'transformations', records) per batch
+   * @returns {Promise<object>} { originals, transformations, rejected } once everything is loaded;
+   *   rejected lists { kind, id, name, errors } for records that could not be upgraded.
+   *   Rejects when the database can't be opened or read, so callers can keep saves off.
+   */
+  async load({ onBatch } = {}) {
+    const result = { originals: [], transformations: [], rejected: [] };
+
+    try {
+      const db = await openDatabase();
+      await migrateLocalStorage(db);
+
+      const stored = {
+        originals: await getAll(db, STORES.originals),
+        transformations: await getAll(db, STORES.transformations)
+      };
+      await collectGarbage(db, [...stored.originals, ...stored.transformations]);
+
+      const sources = [
+        ['originals', STORES.originals, RECORD_KINDS.original],
+        ['transformations', STORES.transformations, RECORD_KINDS.transformation]
+      ];
+      for (const [key, storeName, kind] of sources) {
+        for (let start = 0; start < stored[key].length; start += LOAD_BATCH_SIZE) {
+          const batch = stored[key].slice(start, start + LOAD_BATCH_SIZE);
+          await loadAssets(db, batch.flatMap(topLevelRefs));
+
+          const { records, rejected } = upgradeRecords(kind, batch.map(replaceTopLevelRefs));
+          // Upgraded records differ from what is stored, so they are rewritten on the next save
+          records.forEach(record => {
+            const original = batch.find(entry => entry.id === record.id);
+            if (original?.schemaVersion === record.schemaVersion) savedRecords[storeName].set(record.id, record);
+          });
+          result[key].push(...records);
+          result.rejected.push(...rejected.map(entry => ({ kind, ...entry })));
+          if (records.length > 0) onBatch?.(key, records);
+        }
+      }
+      if (result.rejected.length > 0) {
+        console.warn('[LibraryStorage] Records that could not be upgraded:', result.rejected);
+      }
+    } catch (error) {
+      console.error('[LibraryStorage] Failed to load library:', error);
+      throw error;
+    }
+
+    return result;
+  },
+
+  /**
+   * Whether a loaded record still holds references to images not yet read
+   */
+  needsHydration(record) {
+    return collectAssetRefs(record).size > 0;
+  },
+
+  /**
+   * Read the nested images of loaded records
+   * @param {string} key - 'originals' | 'transformations'
+   * @param {Array} records - Records as returned by load()
+   * @returns {Promise<Array>} The records with every asset reference replaced
+   */
+  async hydrate(key, records) {
+    const pending = records.filter(record => this.needsHydration(record));
+    if (pending.length === 0) return records;
+
+    const db = await openDatabase();
+    await loadAssets(db, pending);
+    const saved = savedRecords[STORES[key]];
+    return records.map(record => {
+      if (!pending.includes(record)) return record;
+      const hydrated = replaceAssetRefs(record);
+      // Same content as stored, so it isn't rewritten on the next save
+      if (saved.get(record.id) === record) saved.set(record.id, hydrated);
+      return hydrated;
+    });
+  },
+
+  saveOriginals(originals) {
+    writeQueue = writeQueue
+      .then(() => writeRecords(STORES.originals, originals))
+      .catch(error => console.error('[LibraryStorage] Failed to save originals:', error));
+    return writeQueue;
+  },
+
+  saveTransformations(transformations) {
+    writeQueue = writeQueue
+      .then(() => writeRecords(STORES.transformations, transformations))
+      .catch(error => console.error('[LibraryStorage] Failed to save transformations:', error));
+    return writeQueue;
+  },
+
+  /**
+   * Storage usage for the settings indicator
+   * @returns {Promise<object>} { originals, transformations, assets, assetBytes, usage, quota }
+   */
+  async getUsage() {
+    const usage = { originals: 0, transformations: 0, assets: 0, assetBytes: 0, usage: null, quota: null };
+
+    try {
+      const db = await openDatabase();
+      const tx = db.transaction([STORES.originals, STORES.transformations, STORES.assets], 'readonly');
+      usage.originals = await promisify(tx.objectStore(STORES.originals).count());
+      usage.transformations = await promisify(tx.objectStore(STORES.transformations).count());
+      const assets = await promisify(tx.objectStore(STORES.assets).getAll());
+      usage.assets = assets.length;
+      usage.assetBytes = assets.reduce((sum, asset) => sum + (asset.size || 0), 0);
+
+      if (navigator.storage?.estimate) {
+        const estimate = await navigator.storage.estimate();
+        usage.usage = estimate.usage ?? null;
+        usage.quota = estimate.quota ?? null;
+      }
+    } catch (error) {
+      console.error('[LibraryStorage] Failed to read storage usage:', error);
+    }
+
+    return usage;
+  },
+
+  async clear() {
+    await writeQueue;
+    try {
+      const db = await openDatabase();
+      const names = [STORES.originals, STORES.transformations, STORES.assets];
+      const tx = db.transaction(names, 'readwrite');
+      names.forEach(name => tx.objectStore(name).clear());
+      await transactionDone(tx);
+      Object.values(savedRecords).forEach(map => map.clear());
+      storedAssetIds.clear();
+    } catch (error) {
+      console.error('[LibraryStorage] Failed to clear library:', error);
+    }
+  }
+};
+
+export default libraryStorage;
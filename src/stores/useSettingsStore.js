@@ -2,12 +2,11 @@
  * Settings Store
  * 
  * Manages application settings including Y14D integration configuration.
- * Uses localStorage for persistence.
+ * Uses localStorage for persistence. Library data lives in IndexedDB
+ * (see libraryStorage).
  */
 
 const STORAGE_KEY = 'monster-forge-settings';
-const ORIGINALS_STORAGE_KEY = 'monster-forge-originals';
-const TRANSFORMATIONS_STORAGE_KEY = 'monster-forge-transformations';
 
 // Default settings
 const defaultSettings = {
@@ -24,6 +23,20 @@ const defaultSettings = {
   // Forge settings
   autoAnalyze: true,
   autoGenerate: true,
+  statProfile: 'balanced', // Default balance profile for generated stats
+  chainShape: 'auto', // Evolution chain shape ('auto' uses the default three stages)
+  
+  // Sprite sheet region detection (see SpriteExtractor)
+  detectionMode: 'auto',
+  alphaThreshold: 50,
+  connectivity: 8,
+  mergeDistance: 4,
+  backgroundKey: 'flood', // Solid background keying: 'off', 'flood' (from edges) or 'global'
+  keyTolerance: 24,
+  frameGrouping: 'none', // Group extracted cells into animated characters (see FrameGrouper)
+  
+  // Forge generation post-processing
+  pixelSnapStyles: ['pixel', 'pixel_hd'], // Art styles whose output is snapped to a true pixel grid (see PixelSnapper)
   
   // Display preferences
   showTransformationHistory: true,
@@ -126,6 +139,12 @@ export const settingsStore = {
     this.updateSettings({ y14dApiKey: null });
   },
   
+  // Sprite detection options for SpriteExtractor
+  getDetectionOptions() {
+    const { detectionMode, alphaThreshold, connectivity, mergeDistance, backgroundKey, keyTolerance } = currentSettings;
+    return { detectionMode, alphaThreshold, connectivity, mergeDistance, backgroundKey, keyTolerance };
+  },
+  
   // Storage mode methods
   getStorageMode() {
     return currentSettings.storageMode || 'local';
@@ -134,56 +153,6 @@ export const settingsStore = {
   setStorageMode(mode) {
     this.updateSettings({ storageMode: mode });
   },
-  
-  // Local storage for sprites
-  saveOriginals(originals) {
-    if (currentSettings.storageMode !== 'local') return;
-    try {
-      localStorage.setItem(ORIGINALS_STORAGE_KEY, JSON.stringify(originals));
-    } catch (error) {
-      console.error('[SettingsStore] Failed to save originals:', error);
-    }
-  },
-  
-  loadOriginals() {
-    if (currentSettings.storageMode !== 'local') return [];
-    try {
-      const stored = localStorage.getItem(ORIGINALS_STORAGE_KEY);
-      return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-      console.error('[SettingsStore] Failed to load originals:', error);
-      return [];
-    }
-  },
-  
-  saveTransformations(transformations) {
-    if (currentSettings.storageMode !== 'local') return;
-    try {
-      localStorage.setItem(TRANSFORMATIONS_STORAGE_KEY, JSON.stringify(transformations));
-    } catch (error) {
-      console.error('[SettingsStore] Failed to save transformations:', error);
-    }
-  },
-  
-  loadTransformations() {
-    if (currentSettings.storageMode !== 'local') return [];
-    try {
-      const stored = localStorage.getItem(TRANSFORMATIONS_STORAGE_KEY);
-      return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-      console.error('[SettingsStore] Failed to load transformations:', error);
-      return [];
-    }
-  },
-  
-  clearLocalStorage() {
-    try {
-      localStorage.removeItem(ORIGINALS_STORAGE_KEY);
-      localStorage.removeItem(TRANSFORMATIONS_STORAGE_KEY);
-    } catch (error) {
-      console.error('[SettingsStore] Failed to clear local storage:', error);
-    }
-  },
 };
 
 // React hook for using settings
@@ -0,0 +1,66 @@
+/**
+ * Image Data Utilities
+ *
+ * Decoding images to pixels and measuring their visible content, shared by
+ * the services that analyze sprites.
+ */
+
+/**
+ * Load an image URL
+ * @param {string} src - Image or data URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load image'));
+    img.src = src;
+  });
+}
+
+/**
+ * Draw an image to a canvas and read its pixels
+ * @param {HTMLImageElement} img - Loaded image
+ * @returns {ImageData}
+ */
+export function getImageData(img) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  canvas.width = img.width;
+  canvas.height = img.height;
+  ctx.drawImage(img, 0, 0);
+  return ctx.getImageData(0, 0, img.width, img.height);
+}
+
+/**
+ * Decode an image URL to pixels
+ * @param {string} src - Image or data URL
+ * @returns {Promise<ImageData>}
+ */
+export async function loadImageData(src) {
+  return getImageData(await loadImage(src));
+}
+
+/**
+ * Bounding box of the pixels whose alpha exceeds a threshold
+ * @param {ImageData} imageData - Pixels to scan
+ * @param {number} alphaThreshold - Alpha at or below which a pixel counts as transparent
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} null when nothing is visible
+ */
+export function findContentBounds(imageData, alphaThreshold = 0) {
+  const { data, width, height } = imageData;
+  let minX = width, minY = height, maxX = -1, maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] > alphaThreshold) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+  return maxX < 0 ? null : { minX, minY, maxX, maxY };
+}
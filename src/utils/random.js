@@ -0,0 +1,50 @@
+/**
+ * Seeded Random Utilities
+ *
+ * Deterministic pseudo-random number generation so the same seed
+ * always produces the same monster.
+ */
+
+/**
+ * Hash a string to an unsigned 32-bit integer (FNV-1a)
+ * @param {string} str - Input string (e.g. a sprite data URL)
+ * @returns {number} 32-bit hash
+ */
+export function hashString(str = '') {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh random seed
+ * @returns {number} 32-bit integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export default {
+  hashString,
+  createRng,
+  randomSeed
+};
@@ -0,0 +1,26 @@
+/**
+ * Pixel Worker
+ *
+ * Runs pixel tasks (see services/pixelTasks) off the main thread.
+ *
+ * In:  { id, task, imageData, options }
+ * Out: { id, type: 'progress', stage, progress }
+ *      { id, type: 'result', result }
+ *      { id, type: 'error', error }
+ */
+
+import { runPixelTask, collectTransferables } from '../services/pixelTasks';
+
+const worker = self; // eslint-disable-line no-restricted-globals
+
+worker.onmessage = async ({ data }) => {
+  const { id, task, imageData, options } = data;
+  try {
+    const result = await runPixelTask(task, imageData, options, ({ stage, progress }) => {
+      worker.postMessage({ id, type: 'progress', stage, progress });
+    });
+    worker.postMessage({ id, type: 'result', result }, collectTransferables(result));
+  } catch (error) {
+    worker.postMessage({ id, type: 'error', error: error.message });
+  }
+};